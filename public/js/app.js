@@ -1,14 +1,24 @@
 // Main application initialization
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // Sign-in first: the other modules show controls by role
+  await Auth.init();
+
   // Initialize all modules
   Prompts.init();
   Settings.init();
+  Glossary.init();
+  Channels.init();
+  ValidationRules.init();
   Uploader.init();
   Player.init();
   Transcript.init();
   Metadata.init();
+  Compare.init();
   Thumbnails.init();
+  Projects.init();
+  Speakers.init();
+  Usage.init();
 
   // Reset button
   document.getElementById('reset-btn').addEventListener('click', resetApp);
@@ -19,8 +29,9 @@ document.addEventListener('DOMContentLoaded', () => {
   console.log('The Algo Whisperer app initialized');
 });
 
-// Reset the entire app to initial state - just reload the page
-function resetApp() {
+// Reset the entire app to initial state - save the project, then reload the page
+async function resetApp() {
+  await Projects.saveNow();
   window.location.reload();
 }
 
@@ -0,0 +1,227 @@
+// Signed-in user: role checks, the account modal (password, team accounts) and signing out
+
+const Auth = {
+  user: null,
+  users: [],
+
+  // Least to most access (matches server/lib/users.js)
+  roles: ['viewer', 'editor', 'admin'],
+
+  async init() {
+    try {
+      const response = await fetch('/api/auth/status');
+      const data = await response.json();
+      if (!data.authenticated) {
+        window.location.href = '/login.html';
+        return;
+      }
+      this.user = data.user;
+      // Drives the .editor-only / .admin-only styles
+      document.body.dataset.role = this.user.role;
+    } catch (error) {
+      console.error('Failed to load sign-in status:', error);
+    }
+
+    this.setupEventListeners();
+  },
+
+  // Whether the signed-in user has at least this role
+  hasRole(minimum) {
+    return !!this.user && this.roles.indexOf(this.user.role) >= this.roles.indexOf(minimum);
+  },
+
+  setupEventListeners() {
+    const modal = document.getElementById('account-modal');
+
+    document.getElementById('account-btn').addEventListener('click', () => {
+      this.openModal();
+    });
+
+    document.getElementById('close-account').addEventListener('click', () => {
+      modal.classList.add('hidden');
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.classList.add('hidden');
+      }
+    });
+
+    document.getElementById('change-password-btn').addEventListener('click', () => {
+      this.changePassword();
+    });
+
+    document.getElementById('add-account-btn').addEventListener('click', () => {
+      this.addAccount();
+    });
+
+    document.getElementById('sign-out-btn').addEventListener('click', () => {
+      this.signOut();
+    });
+  },
+
+  async openModal() {
+    document.getElementById('account-signed-in').textContent = this.user?.username
+      ? `Signed in as ${this.user.username} (${this.user.role})`
+      : 'Signed in with the shared API key';
+    document.getElementById('current-password').value = '';
+    document.getElementById('new-password').value = '';
+    document.getElementById('account-modal').classList.remove('hidden');
+    if (this.hasRole('admin')) {
+      await this.loadAccounts();
+    }
+  },
+
+  async loadAccounts() {
+    try {
+      const response = await fetch('/api/users');
+      const data = await response.json();
+      if (data.success) {
+        this.users = data.users;
+        this.renderAccounts();
+      }
+    } catch (error) {
+      console.error('Failed to load accounts:', error);
+    }
+  },
+
+  renderAccounts() {
+    const container = document.getElementById('account-list');
+    container.innerHTML = '';
+
+    this.users.forEach((user) => {
+      const row = document.createElement('div');
+      row.className = 'account-row';
+
+      const isYou = user.username === this.user?.username;
+      const name = document.createElement('span');
+      name.textContent = isYou ? `${user.username} (you, ${user.role})` : user.username;
+      row.appendChild(name);
+
+      // Your own role and account can't be changed here, so there's always an admin
+      if (!isYou) {
+        const actions = document.createElement('div');
+        actions.className = 'account-row-actions';
+
+        const roleSelect = document.createElement('select');
+        roleSelect.title = `${user.username}'s role`;
+        this.roles.forEach((role) => {
+          const option = document.createElement('option');
+          option.value = role;
+          option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+          option.selected = role === user.role;
+          roleSelect.appendChild(option);
+        });
+        roleSelect.addEventListener('change', () => this.changeRole(user.username, roleSelect.value));
+        actions.appendChild(roleSelect);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'project-action-btn';
+        removeBtn.textContent = '🗑️';
+        removeBtn.title = `Remove ${user.username}`;
+        removeBtn.addEventListener('click', () => this.removeAccount(user.username));
+        actions.appendChild(removeBtn);
+
+        row.appendChild(actions);
+      }
+
+      container.appendChild(row);
+    });
+  },
+
+  async addAccount() {
+    const usernameInput = document.getElementById('new-account-username');
+    const passwordInput = document.getElementById('new-account-password');
+    const role = document.getElementById('new-account-role').value;
+
+    try {
+      const response = await fetch('/api/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: usernameInput.value, password: passwordInput.value, role }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to add account');
+        return;
+      }
+      usernameInput.value = '';
+      passwordInput.value = '';
+      await this.loadAccounts();
+    } catch (error) {
+      console.error('Failed to add account:', error);
+      alert('Failed to add account');
+    }
+  },
+
+  async changeRole(username, role) {
+    try {
+      const response = await fetch(`/api/users/${encodeURIComponent(username)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role }),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to change role');
+      }
+    } catch (error) {
+      console.error('Failed to change role:', error);
+      alert('Failed to change role');
+    }
+    await this.loadAccounts();
+  },
+
+  async removeAccount(username) {
+    if (!confirm(`Remove the account "${username}"? They will be signed out.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to remove account');
+        return;
+      }
+      await this.loadAccounts();
+    } catch (error) {
+      console.error('Failed to remove account:', error);
+      alert('Failed to remove account');
+    }
+  },
+
+  async changePassword() {
+    const currentInput = document.getElementById('current-password');
+    const newInput = document.getElementById('new-password');
+
+    try {
+      const response = await fetch('/api/auth/password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: currentInput.value, newPassword: newInput.value }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to change password');
+        return;
+      }
+      currentInput.value = '';
+      newInput.value = '';
+      alert('Password changed. Other devices have been signed out.');
+    } catch (error) {
+      console.error('Failed to change password:', error);
+      alert('Failed to change password');
+    }
+  },
+
+  async signOut() {
+    await Projects.saveNow();
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Failed to sign out:', error);
+    }
+    window.location.href = '/login.html';
+  },
+};
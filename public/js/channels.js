@@ -0,0 +1,227 @@
+// Channel profiles: the channel name, featured people and topic that fill in prompt variables (edited in the settings modal)
+// Each channel also has its own settings, prompts, speakers, glossary, metadata checks and thumbnail style;
+// the switcher in the header picks the channel you work on
+
+const Channels = {
+  channels: [],
+  saved: [], // As last loaded from the server
+
+  DEFAULT_CHANNEL: 'default',
+
+  async init() {
+    document.getElementById('channel-switcher').addEventListener('change', (e) => {
+      this.switchTo(e.target.value);
+    });
+
+    document.getElementById('add-channel').addEventListener('click', () => {
+      this.channels = this.readForm();
+      this.channels.push({ id: null, name: '', channelName: '', guestNames: '', topic: '' });
+      this.render();
+      const inputs = document.querySelectorAll('#channel-profiles .channel-name-input');
+      inputs[inputs.length - 1].focus();
+    });
+
+    await this.load();
+  },
+
+  async load() {
+    try {
+      const response = await fetch('/api/channels');
+      const data = await response.json();
+      if (data.success) {
+        this.channels = data.channels;
+        this.saved = data.channels;
+        this.render();
+        Projects.renderList(); // Projects show which channel they're for
+      }
+    } catch (error) {
+      console.error('Failed to load channels:', error);
+    }
+  },
+
+  render() {
+    this.renderSwitcher();
+
+    const container = document.getElementById('channel-profiles');
+    container.innerHTML = '';
+
+    this.channels.forEach((channel, index) => {
+      const row = document.createElement('div');
+      row.className = 'channel-row';
+      row.dataset.channelId = channel.id || '';
+
+      const fields = [
+        ['channel-name-input', 'name', 'Profile name, e.g. Main Channel'],
+        ['channel-channel-name-input', 'channelName', 'Channel name ({{channel_name}})'],
+        ['channel-guests-input', 'guestNames', 'Featured people ({{guest_names}})'],
+        ['channel-topic-input', 'topic', 'Topic ({{channel_topic}})'],
+      ];
+      fields.forEach(([className, key, placeholder]) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = className;
+        input.placeholder = placeholder;
+        input.value = channel[key] || '';
+        row.appendChild(input);
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'project-action-btn';
+      removeBtn.textContent = '🗑️';
+      removeBtn.title = 'Remove profile';
+      removeBtn.disabled = channel.id === this.DEFAULT_CHANNEL;
+      removeBtn.addEventListener('click', () => {
+        this.channels = this.readForm();
+        this.channels.splice(index, 1);
+        this.render();
+      });
+      row.appendChild(removeBtn);
+
+      container.appendChild(row);
+    });
+  },
+
+  // The switcher lists saved profiles only
+  renderSwitcher() {
+    const select = document.getElementById('channel-switcher');
+    select.innerHTML = '';
+    this.saved.forEach((channel) => {
+      const option = document.createElement('option');
+      option.value = channel.id;
+      option.textContent = channel.name;
+      select.appendChild(option);
+    });
+    select.value = this.active()?.id || this.DEFAULT_CHANNEL;
+  },
+
+  // The channel you work on
+  active() {
+    const channelId = Settings.get().channelId || this.DEFAULT_CHANNEL;
+    return this.saved.find(channel => channel.id === channelId) || this.saved[0] || null;
+  },
+
+  nameOf(channelId) {
+    return this.saved.find(channel => channel.id === channelId)?.name || channelId;
+  },
+
+  // Work on another channel: everything the channel owns is reloaded
+  async switchTo(channelId) {
+    try {
+      const response = await fetch('/api/settings/channel', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channelId }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to switch channel');
+        this.renderSwitcher();
+        return false;
+      }
+
+      Settings.current = data.settings;
+      Settings.populateFormFields();
+      await Promise.all([
+        Prompts.loadLibrary(),
+        Glossary.load(),
+        ValidationRules.load(),
+        Speakers.load(),
+      ]);
+      Prompts.renderPromptSelector();
+      Prompts.renderPreview();
+      if (Thumbnails.rankedFrames.length === 0) {
+        Thumbnails.applyChannelStyle();
+      }
+      Projects.renderList();
+      return true;
+    } catch (error) {
+      console.error('Failed to switch channel:', error);
+      alert('Failed to switch channel');
+      return false;
+    }
+  },
+
+  // Make the thumbnail editor's font and colors the channel's brand kit
+  async saveThumbnailStyle(style) {
+    const channel = this.active();
+    try {
+      const response = await fetch(`/api/channels/${channel.id}/thumbnail-style`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(style),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to save thumbnail style');
+        return false;
+      }
+      await this.load();
+      return true;
+    } catch (error) {
+      console.error('Failed to save thumbnail style:', error);
+      alert('Failed to save thumbnail style');
+      return false;
+    }
+  },
+
+  // Read profiles back from the form, dropping rows without a name
+  readForm() {
+    return Array.from(document.querySelectorAll('#channel-profiles .channel-row'))
+      .map(row => ({
+        id: row.dataset.channelId || null,
+        name: row.querySelector('.channel-name-input').value.trim(),
+        channelName: row.querySelector('.channel-channel-name-input').value.trim(),
+        guestNames: row.querySelector('.channel-guests-input').value.trim(),
+        topic: row.querySelector('.channel-topic-input').value.trim(),
+      }))
+      .filter(channel => channel.name);
+  },
+
+  // New profiles get an ID made from their name
+  slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+  },
+
+  // Save added, changed and removed profiles (called when settings are saved)
+  async save() {
+    const channels = this.readForm();
+    const requests = [];
+
+    for (const { id, ...profile } of channels) {
+      if (!id) {
+        requests.push(['POST', '/api/channels', { id: this.slugify(profile.name), profile }]);
+        continue;
+      }
+      const saved = this.saved.find(channel => channel.id === id);
+      if (!saved || ['name', 'channelName', 'guestNames', 'topic'].some(key => saved[key] !== profile[key])) {
+        requests.push(['PUT', `/api/channels/${id}`, { profile }]);
+      }
+    }
+    for (const { id } of this.saved) {
+      if (!channels.some(channel => channel.id === id)) {
+        requests.push(['DELETE', `/api/channels/${id}`]);
+      }
+    }
+
+    try {
+      for (const [method, url, body] of requests) {
+        const response = await fetch(url, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        if (!response.ok) {
+          const data = await response.json();
+          alert(`Channel profiles not saved: ${data.error}`);
+          await this.load();
+          return false;
+        }
+      }
+      await this.load();
+      return true;
+    } catch (error) {
+      console.error('Failed to save channels:', error);
+      return false;
+    }
+  },
+};
@@ -0,0 +1,272 @@
+// Prompt A/B comparison: run several metadata prompts on the same transcript and vote for the better set
+
+const Compare = {
+  comparisonId: null,
+  results: [],
+  winner: null,
+
+  MIN_PROMPTS: 2,
+  MAX_PROMPTS: 4,
+
+  init() {
+    const modal = document.getElementById('compare-modal');
+
+    document.getElementById('compare-prompts-btn').addEventListener('click', () => {
+      this.open();
+    });
+
+    document.getElementById('close-compare').addEventListener('click', () => {
+      modal.classList.add('hidden');
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.classList.add('hidden');
+      }
+    });
+
+    document.getElementById('run-compare-btn').addEventListener('click', () => {
+      this.run();
+    });
+
+    document.getElementById('compare-back-btn').addEventListener('click', () => {
+      this.showSetup();
+    });
+  },
+
+  async open() {
+    if (!Transcript.data) {
+      alert('Transcribe a video before comparing prompts');
+      return;
+    }
+
+    let tallies = {};
+    try {
+      const response = await fetch('/api/prompts/metadata/tallies');
+      const data = await response.json();
+      if (data.success) tallies = data.tallies;
+    } catch (error) {
+      console.error('Failed to load comparison tallies:', error);
+    }
+
+    this.renderPromptList(tallies);
+    this.showSetup();
+    document.getElementById('compare-modal').classList.remove('hidden');
+  },
+
+  showSetup() {
+    document.getElementById('compare-setup').classList.remove('hidden');
+    document.getElementById('compare-results').classList.add('hidden');
+    document.getElementById('compare-back-btn').classList.add('hidden');
+    document.getElementById('run-compare-btn').classList.remove('hidden');
+  },
+
+  renderPromptList(tallies) {
+    const container = document.getElementById('compare-prompt-list');
+    const typeData = Prompts.library?.metadata;
+    container.innerHTML = '';
+    if (!typeData) return;
+
+    Object.entries(typeData.prompts).forEach(([id, prompt]) => {
+      const row = document.createElement('div');
+      row.className = 'compare-prompt-row';
+      row.dataset.promptId = id;
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = id === typeData.active;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${prompt.name || id}`));
+      row.appendChild(label);
+
+      const tally = tallies[id];
+      const record = document.createElement('span');
+      record.className = 'compare-tally';
+      record.textContent = tally ? `Won ${tally.wins} of ${tally.comparisons}` : 'Not compared yet';
+      row.appendChild(record);
+
+      // Blank uses the chat model from Settings
+      const modelSelect = document.createElement('select');
+      modelSelect.title = 'Chat model for this prompt';
+      const models = ['', ...Settings.availableModels.chat];
+      modelSelect.innerHTML = models
+        .map(m => `<option value="${m}">${m || `Settings model (${Settings.get().chatModel})`}</option>`)
+        .join('');
+      row.appendChild(modelSelect);
+
+      container.appendChild(row);
+    });
+  },
+
+  async run() {
+    const compare = [...document.querySelectorAll('.compare-prompt-row')]
+      .filter(row => row.querySelector('input[type="checkbox"]').checked)
+      .map((row) => {
+        const chatModel = row.querySelector('select').value;
+        return chatModel ? { promptId: row.dataset.promptId, chatModel } : { promptId: row.dataset.promptId };
+      });
+
+    if (compare.length < this.MIN_PROMPTS || compare.length > this.MAX_PROMPTS) {
+      alert(`Pick between ${this.MIN_PROMPTS} and ${this.MAX_PROMPTS} prompts to compare`);
+      return;
+    }
+
+    const loading = document.getElementById('compare-loading');
+    const runBtn = document.getElementById('run-compare-btn');
+    document.getElementById('compare-setup').classList.add('hidden');
+    loading.classList.remove('hidden');
+    runBtn.disabled = true;
+
+    try {
+      const settings = Settings.get();
+      const response = await fetch('/api/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sessionId: Uploader.sessionId,
+          transcript: Transcript.data,
+          settings: {
+            numTitles: settings.numTitles,
+            numDescriptions: settings.numDescriptions,
+            numThumbnailTitles: settings.numThumbnailTitles,
+            numTags: settings.numTags,
+            numHashtags: settings.numHashtags,
+            chatModel: settings.chatModel,
+          },
+          autoFix: settings.autoFixMetadata === true,
+          compare,
+        }),
+      });
+      const data = await response.json();
+      Usage.refresh();
+
+      if (!response.ok) {
+        alert(data.error || 'Comparison failed');
+        this.showSetup();
+        return;
+      }
+
+      this.comparisonId = data.comparisonId;
+      this.results = data.results;
+      this.winner = null;
+      this.renderResults();
+    } catch (error) {
+      console.error('Comparison error:', error);
+      alert('Comparison failed');
+      this.showSetup();
+    } finally {
+      loading.classList.add('hidden');
+      runBtn.disabled = false;
+    }
+  },
+
+  renderResults(tallies = null) {
+    const container = document.getElementById('compare-results');
+    container.innerHTML = '';
+    container.style.gridTemplateColumns = `repeat(${this.results.length}, minmax(0, 1fr))`;
+
+    this.results.forEach((result, index) => {
+      const column = document.createElement('div');
+      column.className = 'compare-column';
+      column.classList.toggle('winner', index === this.winner);
+
+      const heading = document.createElement('h4');
+      const name = Prompts.library?.metadata?.prompts[result.promptId]?.name || result.promptId;
+      heading.textContent = `${name} (v${result.promptVersion.version})`;
+      column.appendChild(heading);
+
+      const model = document.createElement('p');
+      model.className = 'compare-model';
+      const tally = tallies?.[result.promptId];
+      model.textContent = tally ? `${result.model} · won ${tally.wins} of ${tally.comparisons}` : result.model;
+      column.appendChild(model);
+
+      if (result.error) {
+        const error = document.createElement('p');
+        error.className = 'error';
+        error.textContent = result.error;
+        column.appendChild(error);
+        container.appendChild(column);
+        return;
+      }
+
+      const { metadata } = result;
+      column.appendChild(this.createList('Titles', metadata.titles));
+      column.appendChild(this.createList('Thumbnail Titles', metadata.thumbnailTitles));
+      column.appendChild(this.createList('Descriptions', metadata.descriptions, true));
+      column.appendChild(this.createList('Tags', [(metadata.tags || []).join(', ')]));
+
+      const actions = document.createElement('div');
+      actions.className = 'compare-actions editor-only';
+      if (this.winner === null) {
+        const voteBtn = document.createElement('button');
+        voteBtn.className = 'btn btn-primary btn-small';
+        voteBtn.textContent = 'This Set Is Better';
+        voteBtn.addEventListener('click', () => this.vote(index));
+        actions.appendChild(voteBtn);
+      } else if (index === this.winner) {
+        const useBtn = document.createElement('button');
+        useBtn.className = 'btn btn-primary btn-small';
+        useBtn.textContent = 'Use These Results';
+        useBtn.addEventListener('click', () => this.useResults(index));
+        actions.appendChild(useBtn);
+      }
+      column.appendChild(actions);
+
+      container.appendChild(column);
+    });
+
+    container.classList.remove('hidden');
+    document.getElementById('compare-back-btn').classList.remove('hidden');
+    document.getElementById('run-compare-btn').classList.add('hidden');
+  },
+
+  createList(title, items, isLong = false) {
+    const section = document.createElement('div');
+    section.className = 'compare-section';
+
+    const heading = document.createElement('h5');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    const list = document.createElement('ol');
+    (items || []).forEach((text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      if (isLong) item.className = 'compare-long';
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  },
+
+  async vote(index) {
+    try {
+      const response = await fetch(`/api/generate/compare/${this.comparisonId}/vote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ winner: index }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to record vote');
+        return;
+      }
+      this.winner = index;
+      this.renderResults(data.tallies);
+    } catch (error) {
+      console.error('Failed to record vote:', error);
+      alert('Failed to record vote');
+    }
+  },
+
+  // Replace the generated metadata with the winning set
+  useResults(index) {
+    if (Metadata.data && !confirm('Replace the generated metadata with this set?')) {
+      return;
+    }
+    Metadata.show(this.results[index].metadata);
+    document.getElementById('compare-modal').classList.add('hidden');
+  },
+};
@@ -0,0 +1,114 @@
+// Transcript glossary: correct spellings for names, acronyms and jargon (edited in the settings modal)
+
+const Glossary = {
+  terms: [],
+
+  async init() {
+    document.getElementById('add-glossary-term').addEventListener('click', () => {
+      this.terms = this.readForm();
+      this.terms.push({ term: '', misspellings: [], caseSensitive: false });
+      this.render();
+      const inputs = document.querySelectorAll('#glossary-terms .glossary-term-input');
+      inputs[inputs.length - 1].focus();
+    });
+
+    await this.load();
+  },
+
+  async load() {
+    try {
+      const response = await fetch('/api/glossary');
+      const data = await response.json();
+      if (data.success) {
+        this.terms = data.terms;
+        this.render();
+      }
+    } catch (error) {
+      console.error('Failed to load glossary:', error);
+    }
+  },
+
+  render() {
+    const container = document.getElementById('glossary-terms');
+    container.innerHTML = '';
+
+    this.terms.forEach((term, index) => {
+      const row = document.createElement('div');
+      row.className = 'glossary-row';
+
+      const termInput = document.createElement('input');
+      termInput.type = 'text';
+      termInput.className = 'glossary-term-input';
+      termInput.placeholder = 'Correct spelling';
+      termInput.value = term.term;
+
+      const misspellingsInput = document.createElement('input');
+      misspellingsInput.type = 'text';
+      misspellingsInput.className = 'glossary-misspellings-input';
+      misspellingsInput.placeholder = 'Misspellings, comma-separated';
+      misspellingsInput.value = term.misspellings.join(', ');
+
+      const caseLabel = document.createElement('label');
+      caseLabel.className = 'glossary-case';
+      caseLabel.title = 'Only fix misspellings with exactly this capitalization';
+      const caseCheckbox = document.createElement('input');
+      caseCheckbox.type = 'checkbox';
+      caseCheckbox.className = 'glossary-case-input';
+      caseCheckbox.checked = term.caseSensitive;
+      caseLabel.appendChild(caseCheckbox);
+      caseLabel.appendChild(document.createTextNode('Match case'));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'project-action-btn';
+      removeBtn.textContent = '🗑️';
+      removeBtn.title = 'Remove term';
+      removeBtn.addEventListener('click', () => {
+        this.terms = this.readForm();
+        this.terms.splice(index, 1);
+        this.render();
+      });
+
+      row.appendChild(termInput);
+      row.appendChild(misspellingsInput);
+      row.appendChild(caseLabel);
+      row.appendChild(removeBtn);
+      container.appendChild(row);
+    });
+  },
+
+  // Read terms back from the form, dropping empty rows
+  readForm() {
+    return Array.from(document.querySelectorAll('#glossary-terms .glossary-row'))
+      .map(row => ({
+        term: row.querySelector('.glossary-term-input').value.trim(),
+        misspellings: row.querySelector('.glossary-misspellings-input').value
+          .split(',')
+          .map(m => m.trim())
+          .filter(Boolean),
+        caseSensitive: row.querySelector('.glossary-case-input').checked,
+      }))
+      .filter(t => t.term);
+  },
+
+  // Save the glossary (called when settings are saved)
+  async save() {
+    try {
+      const response = await fetch('/api/glossary', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ terms: this.readForm() }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Glossary not saved: ${data.error}`);
+        return false;
+      }
+      this.terms = data.terms;
+      this.render();
+      return true;
+    } catch (error) {
+      console.error('Failed to save glossary:', error);
+      return false;
+    }
+  },
+};
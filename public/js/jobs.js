@@ -0,0 +1,104 @@
+// Background jobs: start server-side work and follow its progress over SSE
+
+const Jobs = {
+  // Start a job and wait for its result
+  // onProgress is called with the job snapshot on every progress event
+  async run(url, body, onProgress) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw this.toError(result);
+    }
+
+    return this.follow(result.jobId, onProgress);
+  },
+
+  // Follow an existing job until it finishes (also used to resume after a reload)
+  follow(jobId, onProgress) {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/jobs/${jobId}/events`);
+      let finished = false;
+
+      const finish = (job) => {
+        finished = true;
+        source.close();
+        if (job.status === 'completed') {
+          resolve(job.result);
+        } else {
+          reject(this.toError(job.error || {}));
+        }
+      };
+
+      source.addEventListener('progress', (e) => {
+        if (onProgress) onProgress(JSON.parse(e.data));
+      });
+
+      source.addEventListener('completed', (e) => finish(JSON.parse(e.data)));
+      source.addEventListener('failed', (e) => finish(JSON.parse(e.data)));
+
+      // EventSource reconnects on its own after network drops; once it gives up
+      // (e.g. the job expired), fall back to a one-off status check
+      source.onerror = async () => {
+        if (finished || source.readyState !== EventSource.CLOSED) return;
+
+        try {
+          const job = await this.getStatus(jobId);
+          if (job.status === 'completed' || job.status === 'failed') {
+            finish(job);
+          } else {
+            finished = true;
+            resolve(this.follow(jobId, onProgress));
+          }
+        } catch (error) {
+          finished = true;
+          reject(error);
+        }
+      };
+    });
+  },
+
+  async getStatus(jobId) {
+    const response = await fetch(`/api/jobs/${jobId}`);
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Job not found');
+    }
+    return result.job;
+  },
+
+  // Find unfinished or recently completed jobs for a session, keyed by job type
+  async findForSession(sessionId) {
+    try {
+      const response = await fetch(`/api/jobs?sessionId=${encodeURIComponent(sessionId)}`);
+      const result = await response.json();
+      if (!response.ok) return {};
+
+      // Jobs are newest first - keep the latest of each type that didn't fail
+      const latest = {};
+      for (const job of result.jobs) {
+        if (!latest[job.type] && job.status !== 'failed') {
+          latest[job.type] = job;
+        }
+      }
+      return latest;
+    } catch (error) {
+      console.error('Failed to look up jobs:', error);
+      return {};
+    }
+  },
+
+  // Convert an error payload into an Error carrying billing info
+  toError(payload) {
+    const error = new Error(payload.error || 'Job failed');
+    error.billingUrl = payload.billingUrl;
+    error.isBillingError = payload.isBillingError;
+    return error;
+  },
+};
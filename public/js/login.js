@@ -0,0 +1,70 @@
+// Sign-in page: sign in, or create the first account on a fresh install
+
+const Login = {
+  setup: false,
+
+  async init() {
+    try {
+      const response = await fetch('/api/auth/status');
+      const data = await response.json();
+      if (data.authenticated) {
+        window.location.href = '/';
+        return;
+      }
+
+      if (data.setupRequired) {
+        if (!data.setupAllowed) {
+          this.showError('No accounts yet. Set ADMIN_USERNAME and ADMIN_PASSWORD on the server and restart it.');
+          document.getElementById('login-submit').disabled = true;
+          return;
+        }
+        this.setup = true;
+        document.getElementById('login-intro').textContent = 'Create the first account';
+        document.getElementById('login-password').autocomplete = 'new-password';
+        document.getElementById('login-submit').textContent = 'Create Account';
+      }
+    } catch (error) {
+      console.error('Failed to load sign-in status:', error);
+    }
+
+    document.getElementById('login-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+  },
+
+  async submit() {
+    const submitBtn = document.getElementById('login-submit');
+    submitBtn.disabled = true;
+    this.showError('');
+
+    try {
+      const response = await fetch(this.setup ? '/api/auth/setup' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('login-username').value,
+          password: document.getElementById('login-password').value,
+        }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        window.location.href = '/';
+        return;
+      }
+      this.showError(data.error || 'Sign-in failed');
+    } catch (error) {
+      console.error('Sign-in failed:', error);
+      this.showError('Could not reach the server');
+    }
+    submitBtn.disabled = false;
+  },
+
+  showError(message) {
+    const errorEl = document.getElementById('login-error');
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hidden', !message);
+  },
+};
+
+document.addEventListener('DOMContentLoaded', () => Login.init());
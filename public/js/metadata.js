@@ -5,8 +5,31 @@ const Metadata = {
   descriptionLabels: null,
   videoSummary: null,
 
+  // YouTube's tag budget (see server/lib/tags.js)
+  TAG_BUDGET: 500,
+
+  // YouTube only shows chapters when these rules hold (see server/lib/chapters.js)
+  CHAPTER_RULES: {
+    minChapters: 3,
+    minLengthSeconds: 10,
+  },
+
   init() {
-    // No additional initialization needed
+    document.getElementById('add-chapter-btn').addEventListener('click', () => {
+      this.addChapter();
+    });
+
+    document.getElementById('insert-chapters-btn').addEventListener('click', () => {
+      this.insertChaptersIntoDescription();
+    });
+
+    document.getElementById('copy-tags-btn').addEventListener('click', (e) => {
+      this.copyToClipboard(this.getEnabledTags().join(','), e.target);
+    });
+
+    document.getElementById('copy-hashtags-btn').addEventListener('click', (e) => {
+      this.copyToClipboard(this.getEnabledHashtags().join(' '), e.target);
+    });
   },
 
   async generate() {
@@ -17,6 +40,7 @@ const Metadata = {
     // Show section and loading
     section.classList.remove('hidden');
     loading.classList.remove('hidden');
+    this.startStreamPreview();
 
     try {
       const settings = Settings.get();
@@ -25,36 +49,29 @@ const Metadata = {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
+          sessionId: Uploader.sessionId,
           transcript: Transcript.data,
           settings: {
             numTitles: settings.numTitles,
             numDescriptions: settings.numDescriptions,
             numThumbnailTitles: settings.numThumbnailTitles,
+            numTags: settings.numTags,
+            numHashtags: settings.numHashtags,
             chatModel: settings.chatModel,
           },
+          autoFix: settings.autoFixMetadata === true,
+          stream: true,
         }),
       });
 
-      const result = await response.json();
-
+      // Errors before generation starts (bad request, rate limit) come back as plain JSON
       if (!response.ok) {
-        const error = new Error(result.error || 'Metadata generation failed');
-        error.billingUrl = result.billingUrl;
-        error.isBillingError = result.isBillingError;
-        throw error;
+        throw this.toError(await response.json());
       }
-      this.data = result.metadata;
-
-      // Generate AI summaries for descriptions (runs in parallel with rendering initial state)
-      this.generateDescriptionSummaries(this.data.descriptions, settings);
-
-      // Render metadata with initial labels (will update when summaries arrive)
-      this.render();
 
-      // Update thumbnail editors if they were created before metadata was ready
-      if (Thumbnails.editors.length > 0) {
-        Thumbnails.refreshMetadataOptions();
-      }
+      const result = await this.readStream(response);
+      this.show(result.metadata);
+      Usage.refresh();
     } catch (error) {
       console.error('Metadata generation error:', error);
       if (error.billingUrl) {
@@ -77,15 +94,115 @@ const Metadata = {
       }
     } finally {
       loading.classList.add('hidden');
+      document.getElementById('metadata-stream').classList.add('hidden');
     }
   },
 
+  // Show newly generated metadata (from a generation or the winner of a prompt comparison)
+  show(metadata) {
+    document.getElementById('metadata-section').classList.remove('hidden');
+    this.data = metadata;
+
+    // Generate AI summaries for descriptions (runs in parallel with rendering initial state)
+    this.generateDescriptionSummaries(this.data.descriptions, Settings.get());
+
+    // Render metadata with initial labels (will update when summaries arrive)
+    this.render();
+
+    // Update thumbnail editors if they were created before metadata was ready
+    if (Thumbnails.editors.length > 0) {
+      Thumbnails.refreshMetadataOptions();
+    }
+
+    Projects.saveNow();
+  },
+
+  toError(result) {
+    const error = new Error(result.error || 'Metadata generation failed');
+    error.billingUrl = result.billingUrl;
+    error.isBillingError = result.isBillingError;
+    return error;
+  },
+
+  // ============== STREAMING ==============
+
+  // Read the Server-Sent Events from a streaming /api/generate until the final result
+  async readStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = block.match(/^event: (.*)$/m)?.[1];
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        if (!event || !data) continue;
+
+        const payload = JSON.parse(data);
+        if (event === 'item') {
+          this.showStreamedItem(payload);
+        } else if (event === 'done') {
+          reader.cancel();
+          return payload;
+        } else if (event === 'error') {
+          reader.cancel();
+          throw this.toError(payload);
+        }
+      }
+    }
+
+    throw new Error('Metadata generation was interrupted');
+  },
+
+  startStreamPreview() {
+    const preview = document.getElementById('metadata-stream');
+    preview.querySelectorAll('.metadata-stream-list').forEach((list) => {
+      list.innerHTML = '';
+    });
+    preview.querySelectorAll('.metadata-stream-count').forEach((count) => {
+      count.textContent = '';
+    });
+    preview.classList.add('hidden');
+  },
+
+  // Add a title, description or thumbnail title to the preview as soon as it's written
+  showStreamedItem({ field, value }) {
+    const preview = document.getElementById('metadata-stream');
+    const column = preview.querySelector(`[data-field="${field}"]`);
+    if (!column) return;
+
+    preview.classList.remove('hidden');
+
+    const kind = { titles: 'title', descriptions: 'description', thumbnailTitles: 'thumbnailTitle' }[field];
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    // Descriptions are long - the first line is enough to see progress
+    text.textContent = field === 'descriptions' ? value.split('\n')[0] : value;
+    item.appendChild(text);
+    const badge = this.createValidationBadge(value, kind);
+    if (badge) item.appendChild(badge);
+
+    const list = column.querySelector('.metadata-stream-list');
+    list.appendChild(item);
+    column.querySelector('.metadata-stream-count').textContent = `(${list.children.length})`;
+  },
+
   async generateDescriptionSummaries(descriptions, settings) {
     try {
       const response = await fetch('/api/generate/summarize-descriptions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
+          sessionId: Uploader.sessionId,
           descriptions,
           settings: { chatModel: settings.chatModel },
         }),
@@ -103,15 +220,48 @@ const Metadata = {
       // Update the UI with the new labels and summary
       this.updateDescriptionLabels();
       this.showVideoSummary();
+
+      Projects.scheduleSave();
+      Usage.refresh();
     } catch (error) {
       console.error('Description summary error:', error);
     }
   },
 
+  // Snapshot of everything needed to restore this section
+  getState() {
+    if (!this.data) return null;
+    return {
+      data: this.data,
+      descriptionLabels: this.descriptionLabels,
+      videoSummary: this.videoSummary,
+    };
+  },
+
+  // Restore metadata saved on a project
+  restore(state) {
+    document.getElementById('metadata-section').classList.remove('hidden');
+    this.data = state.data;
+    this.descriptionLabels = state.descriptionLabels || null;
+    this.videoSummary = state.videoSummary || null;
+
+    this.render();
+
+    if (this.descriptionLabels) {
+      this.updateDescriptionLabels();
+      this.showVideoSummary();
+    }
+
+    // Rebuild (rather than refresh) so saved overlay text isn't replaced
+    if (Thumbnails.editors.length > 0) {
+      Thumbnails.showThumbnailEditor();
+    }
+  },
+
   updateDescriptionLabels() {
     if (!this.descriptionLabels) return;
 
-    const labels = document.querySelectorAll('.description-label');
+    const labels = document.querySelectorAll('.description-label-text');
     labels.forEach((label, index) => {
       if (this.descriptionLabels[index]) {
         label.textContent = this.descriptionLabels[index];
@@ -135,12 +285,26 @@ const Metadata = {
   render() {
     if (!this.data) return;
 
+    this.renderPromptVersion(this.data.promptVersion);
+
     // Render descriptions with radio buttons
     this.renderDescriptions(this.data.descriptions);
 
+    this.renderTags();
+    this.renderChapters();
+
     // Titles and thumbnail titles are only shown in the thumbnail editor, not in this section
   },
 
+  // Which prompt version produced these results (missing on projects from before version history)
+  renderPromptVersion(promptVersion) {
+    const el = document.getElementById('metadata-prompt-version');
+    el.classList.toggle('hidden', !promptVersion);
+    if (promptVersion) {
+      el.textContent = `Generated with the "${promptVersion.name}" prompt, version ${promptVersion.version}`;
+    }
+  },
+
   renderDescriptions(descriptions) {
     const selectorContainer = document.getElementById('descriptions-selector');
     const contentContainer = document.getElementById('descriptions-content');
@@ -163,14 +327,20 @@ const Metadata = {
       radio.value = index;
       if (index === 0) radio.checked = true;
 
-      // Create label
+      // Create label (with a badge if the description breaks a limit or rule)
       const label = document.createElement('label');
       label.htmlFor = `desc-${index}`;
       label.className = 'description-label';
-      label.textContent = summary;
-
+      const labelText = document.createElement('span');
+      labelText.className = 'description-label-text';
+      labelText.textContent = summary;
+      label.appendChild(labelText);
+      const badge = this.createValidationBadge(desc, 'description');
+      if (badge) label.appendChild(badge);
+
+      // Read from data so inserted chapters show up
       radio.addEventListener('change', () => {
-        this.showDescription(desc);
+        this.showDescription(this.data.descriptions[index]);
       });
 
       selectorContainer.appendChild(radio);
@@ -205,8 +375,14 @@ const Metadata = {
       .filter(p => p.trim())  // Remove empty paragraphs
       .map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`)  // Wrap in <p>, convert single newlines to <br>
       .join('');
+    const { issues } = Validator.validate(description, 'description', ValidationRules.rules);
+    const issuesHtml = issues
+      .map(i => `<div class="validation-issue ${i.severity}">${i.severity === 'error' ? '⛔' : '⚠️'} ${this.escapeHtml(i.message)}</div>`)
+      .join('');
     contentContainer.innerHTML = `
       <div class="description-text">${formattedDesc}</div>
+      <div class="description-length">${description.length} / ${Validator.YOUTUBE_LIMITS.descriptionMaxLength} characters</div>
+      ${issuesHtml}
       <button class="btn btn-secondary" style="margin-top: 12px;" onclick="Metadata.copyDescriptionToClipboard(this)">Copy to Clipboard</button>
     `;
     contentContainer.dataset.description = description;
@@ -285,6 +461,291 @@ const Metadata = {
     });
   },
 
+  // ============== VALIDATION ==============
+
+  // Badge for a title, description or thumbnail title that breaks a limit or rule (null if it passes)
+  createValidationBadge(text, kind) {
+    const { status, issues } = Validator.validate(text, kind, ValidationRules.rules);
+    if (status === 'ok') return null;
+
+    const badge = document.createElement('span');
+    badge.className = `validation-badge ${status}`;
+    badge.textContent = status === 'error' ? '⛔' : '⚠️';
+    badge.title = issues.map(i => i.message).join('\n');
+    return badge;
+  },
+
+  // Re-check everything on screen after the rules change
+  refreshValidation() {
+    if (!this.data) return;
+
+    const selected = document.querySelector('input[name="description-select"]:checked');
+    const index = selected ? parseInt(selected.value, 10) : 0;
+    this.renderDescriptions(this.data.descriptions);
+    document.getElementById(`desc-${index}`)?.click();
+    this.updateDescriptionLabels();
+
+    if (Thumbnails.editors.length > 0) {
+      Thumbnails.refreshValidationBadges();
+    }
+  },
+
+  // ============== TAGS & HASHTAGS ==============
+
+  // Characters a tag list uses: commas count, and tags with spaces count two extra (YouTube quotes them)
+  tagsLength(tags) {
+    if (tags.length === 0) return 0;
+    return tags.reduce((sum, tag) => sum + tag.length + (tag.includes(' ') ? 2 : 0), 0) + tags.length - 1;
+  },
+
+  getEnabledTags() {
+    const excluded = this.data.excludedTags || [];
+    return (this.data.tags || []).filter(tag => !excluded.includes(tag));
+  },
+
+  getEnabledHashtags() {
+    const excluded = this.data.excludedHashtags || [];
+    return (this.data.hashtags || []).filter(tag => !excluded.includes(tag));
+  },
+
+  renderTags() {
+    const group = document.getElementById('tags-group');
+
+    if (!this.data.tags) {
+      // Metadata generated before tags existed
+      group.classList.add('hidden');
+      return;
+    }
+
+    group.classList.remove('hidden');
+    this.renderTagList('tags-list', this.data.tags, 'excludedTags');
+    this.renderTagList('hashtags-list', this.data.hashtags || [], 'excludedHashtags');
+    this.updateTagBudget();
+  },
+
+  // Render toggleable chips; excludedKey names the list on this.data holding switched-off items
+  renderTagList(containerId, items, excludedKey) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+
+    items.forEach((item) => {
+      const chip = document.createElement('button');
+      chip.className = 'tag-chip';
+      chip.textContent = item;
+      chip.classList.toggle('disabled', (this.data[excludedKey] || []).includes(item));
+
+      chip.addEventListener('click', () => {
+        const excluded = this.data[excludedKey] || [];
+        const enabling = excluded.includes(item);
+
+        // Don't let a tag back in if it would blow the budget
+        if (enabling && excludedKey === 'excludedTags' &&
+          this.tagsLength([...this.getEnabledTags(), item]) > this.TAG_BUDGET) {
+          chip.classList.add('over-budget');
+          setTimeout(() => chip.classList.remove('over-budget'), 600);
+          return;
+        }
+
+        this.data[excludedKey] = enabling ? excluded.filter(t => t !== item) : [...excluded, item];
+        chip.classList.toggle('disabled', !enabling);
+        this.updateTagBudget();
+        Projects.scheduleSave();
+      });
+
+      container.appendChild(chip);
+    });
+  },
+
+  updateTagBudget() {
+    const used = this.tagsLength(this.getEnabledTags());
+    const fill = document.getElementById('tag-budget-fill');
+    fill.style.width = `${Math.min(100, (used / this.TAG_BUDGET) * 100)}%`;
+    fill.classList.toggle('over', used > this.TAG_BUDGET);
+    document.getElementById('tag-budget-text').textContent = `${used} / ${this.TAG_BUDGET} characters`;
+
+    const hashtags = this.getEnabledHashtags().length;
+    document.getElementById('hashtag-count-text').textContent =
+      `${hashtags} selected${hashtags > 3 ? ' (YouTube shows the first 3 above the title)' : ''}`;
+  },
+
+  // ============== CHAPTERS ==============
+
+  renderChapters() {
+    const group = document.getElementById('chapters-group');
+    const list = document.getElementById('chapters-list');
+
+    if (!this.data.chapters) {
+      // Metadata generated before chapters existed
+      group.classList.add('hidden');
+      return;
+    }
+
+    group.classList.remove('hidden');
+    list.innerHTML = '';
+
+    this.data.chapters.forEach((chapter, index) => {
+      const row = document.createElement('div');
+      row.className = 'chapter-row';
+
+      const timeInput = document.createElement('input');
+      timeInput.type = 'text';
+      timeInput.className = 'chapter-time';
+      timeInput.value = Player.formatDuration(chapter.start);
+      timeInput.addEventListener('change', () => {
+        const seconds = this.parseChapterTime(timeInput.value);
+        if (seconds === null) {
+          timeInput.value = Player.formatDuration(chapter.start);
+          return;
+        }
+        chapter.start = seconds;
+        this.chaptersChanged(true);
+      });
+
+      const titleInput = document.createElement('input');
+      titleInput.type = 'text';
+      titleInput.className = 'chapter-title';
+      titleInput.maxLength = 100;
+      titleInput.value = chapter.title;
+      titleInput.addEventListener('input', () => {
+        chapter.title = titleInput.value.trim();
+        this.chaptersChanged(false);
+      });
+
+      const seekBtn = document.createElement('button');
+      seekBtn.className = 'project-action-btn';
+      seekBtn.textContent = '▶️';
+      seekBtn.title = 'Play from here';
+      seekBtn.addEventListener('click', () => Player.seekTo(chapter.start));
+
+      const nowBtn = document.createElement('button');
+      nowBtn.className = 'project-action-btn';
+      nowBtn.textContent = '⏱️';
+      nowBtn.title = 'Start this chapter at the current video time';
+      nowBtn.addEventListener('click', () => {
+        chapter.start = Math.floor(Player.videoElement.currentTime);
+        this.chaptersChanged(true);
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'project-action-btn';
+      removeBtn.textContent = '🗑️';
+      removeBtn.title = 'Remove chapter';
+      removeBtn.addEventListener('click', () => {
+        this.data.chapters.splice(index, 1);
+        this.chaptersChanged(true);
+      });
+
+      row.appendChild(timeInput);
+      row.appendChild(titleInput);
+      row.appendChild(seekBtn);
+      row.appendChild(nowBtn);
+      row.appendChild(removeBtn);
+      list.appendChild(row);
+    });
+
+    this.showChapterWarnings();
+  },
+
+  // Re-sort and re-render after a time changes; titles only need re-validating
+  chaptersChanged(reorder) {
+    if (reorder) {
+      this.data.chapters.sort((a, b) => a.start - b.start);
+      this.renderChapters();
+    } else {
+      this.showChapterWarnings();
+    }
+    Projects.scheduleSave();
+  },
+
+  addChapter() {
+    const start = Math.floor(Player.videoElement.currentTime || 0);
+    this.data.chapters.push({ start, title: '' });
+    this.chaptersChanged(true);
+
+    // Focus the new chapter's title
+    const index = this.data.chapters.findIndex(c => c.start === start && !c.title);
+    document.querySelectorAll('#chapters-list .chapter-title')[index]?.focus();
+  },
+
+  // Parse SS, M:SS or H:MM:SS into seconds
+  parseChapterTime(value) {
+    if (!/^\d+(:\d{1,2}){0,2}$/.test(value.trim())) return null;
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  },
+
+  getVideoDuration() {
+    return Player.videoElement.duration || Transcript.data?.[Transcript.data.length - 1]?.end || null;
+  },
+
+  validateChapters() {
+    const chapters = this.data.chapters;
+    const duration = this.getVideoDuration();
+    const { minChapters, minLengthSeconds } = this.CHAPTER_RULES;
+    const errors = [];
+
+    if (chapters.length < minChapters) {
+      errors.push(`YouTube needs at least ${minChapters} chapters`);
+    }
+    if (chapters.length > 0 && chapters[0].start !== 0) {
+      errors.push('The first chapter must start at 0:00');
+    }
+    chapters.forEach((chapter, i) => {
+      const end = i < chapters.length - 1 ? chapters[i + 1].start : duration;
+      if (end !== null && end - chapter.start < minLengthSeconds) {
+        errors.push(`"${chapter.title || 'Untitled'}" (${Player.formatDuration(chapter.start)}) is shorter than ${minLengthSeconds} seconds`);
+      }
+      if (!chapter.title) {
+        errors.push(`The chapter at ${Player.formatDuration(chapter.start)} has no title`);
+      }
+    });
+
+    return errors;
+  },
+
+  showChapterWarnings() {
+    const warningsEl = document.getElementById('chapter-warnings');
+    const errors = this.validateChapters();
+
+    warningsEl.innerHTML = errors.map(e => `<div>⚠️ ${this.escapeHtml(e)}</div>`).join('');
+    warningsEl.classList.toggle('hidden', errors.length === 0);
+  },
+
+  formatChapterList() {
+    return this.data.chapters
+      .filter(c => c.title)
+      .map(c => `${Player.formatDuration(c.start)} ${c.title}`)
+      .join('\n');
+  },
+
+  // Put the chapter list into the selected description, replacing its "Contents:" block if it has one
+  insertChaptersIntoDescription() {
+    const errors = this.validateChapters();
+    if (errors.length > 0 && !confirm(`YouTube may not show these chapters:\n\n${errors.join('\n')}\n\nInsert anyway?`)) {
+      return;
+    }
+
+    const selected = document.querySelector('input[name="description-select"]:checked');
+    const index = selected ? parseInt(selected.value, 10) : 0;
+    const description = this.data.descriptions[index];
+    const chapterList = this.formatChapterList();
+
+    // A "Contents:" (or "Chapters:") heading followed by its lines, up to the next blank line
+    const contentsBlock = /^[^\w\n]{0,4}(Contents|Chapters|Table of contents)[^\w\n]{0,4}\n(?:.+\n?)*/im;
+
+    this.data.descriptions[index] = contentsBlock.test(description)
+      ? description.replace(contentsBlock, (block) => `${block.split('\n')[0]}\n${chapterList}\n`)
+      : `${description.trimEnd()}\n\nChapters:\n${chapterList}`;
+
+    this.showDescription(this.data.descriptions[index]);
+    Projects.scheduleSave();
+  },
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  },
+
   getThumbnailTitles() {
     return this.data?.thumbnailTitles || [];
   },
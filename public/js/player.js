@@ -1,13 +1,32 @@
 // Video player handling
+// Audio files play in the same element, shown as a waveform (peaks from the server) with the
+// played part highlighted; clicking the waveform jumps there.
+// Videos browsers can't play (MKV, AVI, some MOV codecs) switch to a playable copy the server
+// makes in the background; everything else keeps working on the original
 
 const Player = {
   videoElement: null,
+  isAudio: false,
+  waveform: null, // { duration, peaks } of an audio file
 
   init() {
     this.videoElement = document.getElementById('video-player');
+
+    const canvas = document.getElementById('waveform');
+    canvas.addEventListener('click', (e) => {
+      const duration = this.videoElement.duration || this.waveform?.duration;
+      if (!duration) return;
+      const rect = canvas.getBoundingClientRect();
+      this.seekTo(((e.clientX - rect.left) / rect.width) * duration);
+    });
+    this.videoElement.addEventListener('timeupdate', () => this.drawWaveform());
+    window.addEventListener('resize', () => this.drawWaveform());
   },
 
-  loadVideo(path, fileInfo) {
+  // project is the saved state when reopening an existing project
+  // fileInfo.mediaType is 'audio' for audio files (anything else is a video), and
+  // fileInfo.proxyJobId the job making a playable copy of a fresh upload
+  loadVideo(path, fileInfo, project = null) {
     const uploadSection = document.getElementById('upload-section');
     const playerSection = document.getElementById('player-section');
 
@@ -17,6 +36,7 @@ const Player = {
 
     // Load video
     this.videoElement.src = path;
+    this.setAudioMode(fileInfo.mediaType === 'audio');
 
     // Set video name
     document.getElementById('video-name').textContent = fileInfo.name;
@@ -37,15 +57,31 @@ const Player = {
     });
 
     // Start both transcription and frame extraction in parallel
-    this.startProcessing();
+    this.startProcessing(project, fileInfo.proxyJobId);
   },
 
-  async startProcessing() {
+  async startProcessing(project = null, proxyJobId = null) {
     const transcribeStatus = document.getElementById('transcribe-status');
     const framesStatus = document.getElementById('frames-status');
 
+    // Restore saved work instead of re-running (and re-paying for) finished steps
+    const hasTranscript = project?.transcript?.length > 0;
+    const hasFrames = project?.thumbnails?.rankedFrames?.length > 0;
+
+    // Re-transcribing an opened project keeps the speakers chosen for it
+    if (project?.expectedSpeakers) {
+      Speakers.setExpected(project.expectedSpeakers);
+    }
+
+    // Pick up jobs still running (or finished) from before a reload
+    const jobs = project ? await Jobs.findForSession(project.sessionId) : {};
+
+    this.usePlayableCopy(project?.proxy, proxyJobId || jobs.proxy?.id);
+
     // Start both tasks in parallel
-    const transcriptionPromise = Transcript.startTranscription()
+    const transcriptionPromise = (hasTranscript
+      ? Transcript.restore(project)
+      : Transcript.startTranscription(jobs.transcribe?.id))
       .then(() => {
         transcribeStatus.textContent = 'Transcription complete';
         transcribeStatus.classList.add('complete');
@@ -55,8 +91,25 @@ const Player = {
         transcribeStatus.classList.add('error');
       });
 
-    const framesPromise = Thumbnails.extractFrames()
+    // Audio files have no frames - their thumbnails start from a cover image
+    let framesTask;
+    if (hasFrames) {
+      framesTask = Thumbnails.restore(project.thumbnails);
+    } else if (this.isAudio) {
+      framesTask = Thumbnails.showCoverUpload();
+    } else {
+      framesTask = Thumbnails.extractFrames(false, {
+        extractJobId: jobs['extract-frames']?.id,
+        analyzeJobId: jobs['analyze-frames']?.id,
+      });
+    }
+
+    const framesPromise = framesTask
       .then(() => {
+        if (this.isAudio && !hasFrames) {
+          framesStatus.textContent = 'Waiting for a cover image';
+          return;
+        }
         framesStatus.textContent = 'Frames ready';
         framesStatus.classList.add('complete');
       })
@@ -69,6 +122,126 @@ const Player = {
     await Promise.allSettled([transcriptionPromise, framesPromise]);
   },
 
+  // Play the server's playable copy once it exists (proxy is the project's proxy state)
+  async usePlayableCopy(proxy, jobId) {
+    const status = document.getElementById('proxy-status');
+    status.classList.add('hidden');
+    status.classList.remove('error');
+
+    if (proxy?.status === 'ready') {
+      this.switchSource(`/uploads/${proxy.filename}`);
+      return;
+    }
+    if (!jobId) return;
+
+    try {
+      const result = await Jobs.follow(jobId, (job) => {
+        // Only show anything once it's clear the browser can't play the original
+        if (job.stage !== 'transcoding') return;
+        status.classList.remove('hidden');
+        status.textContent = `This format doesn't play in browsers. Preparing a playable copy (${job.progress?.current || 0}%)...`;
+      });
+
+      status.classList.add('hidden');
+      if (result.proxy?.status === 'ready') {
+        this.switchSource(`/uploads/${result.proxy.filename}`);
+      }
+    } catch (error) {
+      status.textContent = `${error.message}. Transcription and thumbnails still use the original file.`;
+      status.classList.add('error');
+      status.classList.remove('hidden');
+    }
+  },
+
+  // Play another file of the same recording, keeping the position
+  switchSource(path) {
+    const { currentTime } = this.videoElement;
+    const wasPlaying = !this.videoElement.paused;
+
+    this.videoElement.addEventListener('loadedmetadata', () => {
+      this.videoElement.currentTime = currentTime;
+      if (wasPlaying) this.videoElement.play();
+    }, { once: true });
+    this.videoElement.src = path;
+  },
+
+  // Switch between showing the picture and showing a waveform
+  setAudioMode(isAudio) {
+    this.isAudio = isAudio;
+    this.waveform = null;
+    document.getElementById('video-container').classList.toggle('audio-mode', isAudio);
+    document.getElementById('waveform').classList.toggle('hidden', !isAudio);
+    document.querySelector('#player-section h2').textContent = isAudio ? 'Audio Preview' : 'Video Preview';
+
+    if (isAudio) {
+      this.loadWaveform();
+    }
+  },
+
+  async loadWaveform() {
+    try {
+      const response = await fetch(`/api/projects/${Uploader.sessionId}/waveform`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load waveform');
+      }
+      this.waveform = { duration: data.duration, peaks: data.peaks };
+      this.drawWaveform();
+    } catch (error) {
+      // The player still works without one
+      console.error('Failed to load waveform:', error);
+    }
+  },
+
+  // Bars for the peaks, the part already played in the primary color
+  drawWaveform() {
+    if (!this.isAudio || !this.waveform) return;
+
+    const canvas = document.getElementById('waveform');
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+
+    const styles = getComputedStyle(document.documentElement);
+    const playedColor = styles.getPropertyValue('--primary-color').trim();
+    const restColor = styles.getPropertyValue('--border-color').trim();
+
+    const { peaks } = this.waveform;
+    const duration = this.videoElement.duration || this.waveform.duration;
+    const playedX = duration ? (this.videoElement.currentTime / duration) * width : 0;
+    const barWidth = 2;
+    const bars = Math.floor(width / (barWidth + 1));
+
+    for (let i = 0; i < bars; i++) {
+      // Loudest peak in the slice of peaks this bar covers
+      const from = Math.floor((i / bars) * peaks.length);
+      const to = Math.max(from + 1, Math.floor(((i + 1) / bars) * peaks.length));
+      const peak = Math.max(...peaks.slice(from, to));
+      const barHeight = Math.max(1, peak * height);
+      const x = i * (barWidth + 1);
+
+      ctx.fillStyle = x < playedX ? playedColor : restColor;
+      ctx.fillRect(x, (height - barHeight) / 2, barWidth, barHeight);
+    }
+  },
+
+  // Show a background job's current stage in a processing status item
+  showJobProgress(elementId, job) {
+    const element = document.getElementById(elementId);
+    const { progress } = job;
+
+    element.textContent = job.message;
+    if (progress && progress.total > 1) {
+      element.textContent += ` (${Math.round((progress.current / progress.total) * 100)}%)`;
+    }
+  },
+
   formatDuration(seconds) {
     const h = Math.floor(seconds / 3600);
     const m = Math.floor((seconds % 3600) / 60);
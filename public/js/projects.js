@@ -0,0 +1,224 @@
+// Persistent projects: save and reopen a whole video session
+
+const Projects = {
+  list: [],
+  saveTimer: null,
+  SAVE_DELAY_MS: 1000, // Debounce saves so rapid edits become a single request
+
+  init() {
+    this.loadList();
+  },
+
+  async loadList() {
+    try {
+      const response = await fetch('/api/projects');
+      const data = await response.json();
+      if (data.success) {
+        this.list = data.projects;
+        this.renderList();
+      }
+    } catch (error) {
+      console.error('Failed to load projects:', error);
+    }
+  },
+
+  renderList() {
+    const section = document.getElementById('recent-projects');
+    const container = document.getElementById('recent-projects-list');
+
+    container.innerHTML = '';
+
+    if (this.list.length === 0) {
+      section.classList.add('hidden');
+      return;
+    }
+    section.classList.remove('hidden');
+
+    this.list.forEach((project) => {
+      const row = document.createElement('div');
+      row.className = 'project-item' + (project.fileAvailable ? '' : ' unavailable');
+
+      const info = document.createElement('div');
+      info.className = 'project-info';
+
+      const name = document.createElement('span');
+      name.className = 'project-name';
+      name.textContent = project.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'project-meta';
+      const progress = [
+        project.hasTranscript ? 'transcript' : null,
+        project.hasMetadata ? 'metadata' : null,
+        project.hasThumbnails ? 'thumbnails' : null,
+      ].filter(Boolean);
+      meta.textContent = [
+        Channels.saved.length > 1 ? Channels.nameOf(project.channelId) : null,
+        Player.formatDate(new Date(project.updatedAt)),
+        Player.formatFileSize(project.size),
+        progress.length > 0 ? progress.join(', ') : 'not processed',
+        project.fileAvailable ? null : 'video file missing',
+      ].filter(Boolean).join(' | ');
+
+      info.appendChild(name);
+      info.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'project-actions editor-only';
+
+      const keepBtn = document.createElement('button');
+      keepBtn.className = 'project-action-btn' + (project.keep ? ' active' : '');
+      keepBtn.textContent = '📌';
+      keepBtn.title = project.keep ? 'Kept (excluded from automatic cleanup)' : 'Keep this project';
+      keepBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.update(project.sessionId, { keep: !project.keep });
+      });
+
+      const renameBtn = document.createElement('button');
+      renameBtn.className = 'project-action-btn';
+      renameBtn.textContent = '✏️';
+      renameBtn.title = 'Rename project';
+      renameBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const newName = prompt('Project name:', project.name);
+        if (newName && newName.trim() && newName.trim() !== project.name) {
+          this.update(project.sessionId, { name: newName.trim() });
+        }
+      });
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'project-action-btn admin-only';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Delete project and its files';
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.delete(project);
+      });
+
+      actions.appendChild(keepBtn);
+      actions.appendChild(renameBtn);
+      actions.appendChild(deleteBtn);
+
+      row.appendChild(info);
+      row.appendChild(actions);
+
+      if (project.fileAvailable) {
+        row.addEventListener('click', () => {
+          this.open(project.sessionId);
+        });
+      }
+
+      container.appendChild(row);
+    });
+  },
+
+  async open(sessionId) {
+    try {
+      const response = await fetch(`/api/projects/${sessionId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to open project');
+      }
+
+      // Work on the channel the project was produced for
+      const { channelId } = data.summary;
+      if (channelId !== Settings.get().channelId && Channels.saved.some(channel => channel.id === channelId)) {
+        await Channels.switchTo(channelId);
+      }
+
+      const project = data.project;
+      Uploader.sessionId = project.sessionId;
+      Uploader.filename = project.filename;
+      Usage.refresh();
+
+      Player.loadVideo(`/uploads/${project.filename}`, {
+        name: project.name,
+        size: project.size,
+        lastModified: project.lastModified,
+        mediaType: data.summary.mediaType,
+      }, project);
+    } catch (error) {
+      console.error('Failed to open project:', error);
+      alert(error.message);
+    }
+  },
+
+  async update(sessionId, updates) {
+    try {
+      const response = await fetch(`/api/projects/${sessionId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update project');
+      }
+
+      await this.loadList();
+    } catch (error) {
+      console.error('Failed to update project:', error);
+      alert(error.message);
+    }
+  },
+
+  async delete(project) {
+    if (!confirm(`Delete "${project.name}" and all of its files?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/projects/${project.sessionId}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete project');
+      }
+
+      await this.loadList();
+    } catch (error) {
+      console.error('Failed to delete project:', error);
+      alert(error.message);
+    }
+  },
+
+  // Save the current session state after a short delay
+  scheduleSave() {
+    if (!Uploader.sessionId) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveNow();
+    }, this.SAVE_DELAY_MS);
+  },
+
+  async saveNow() {
+    clearTimeout(this.saveTimer);
+    // Viewers can't change projects
+    if (!Uploader.sessionId || !Auth.hasRole('editor')) return;
+
+    const state = {
+      transcript: Transcript.data,
+      metadata: Metadata.getState(),
+      thumbnails: Thumbnails.getState(),
+    };
+
+    try {
+      const response = await fetch(`/api/projects/${Uploader.sessionId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(state),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        console.error('Failed to save project:', error.error);
+      }
+    } catch (error) {
+      console.error('Failed to save project:', error);
+    }
+  },
+};
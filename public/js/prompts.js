@@ -5,6 +5,8 @@ const Prompts = {
   currentType: 'metadata',
   isEditing: false,
   editingPromptId: null,
+  importBundle: null, // The bundle being previewed for import
+  variables: [], // Template variables prompts can use: [{ name, description }]
 
   // Field definitions for each prompt type
   fieldDefinitions: {
@@ -13,6 +15,7 @@ const Prompts = {
       { key: 'title_prompt', label: 'Title Generation Prompt', type: 'textarea', tall: true },
       { key: 'description_prompt', label: 'Description Generation Prompt', type: 'textarea', tall: true },
       { key: 'thumbnail_title_prompt', label: 'Thumbnail Title Prompt', type: 'textarea', tall: true },
+      { key: 'chapter_prompt', label: 'Chapter Prompt (optional - uses the built-in default when empty)', type: 'textarea' },
     ],
     vision: [
       { key: 'system_prompt', label: 'System Prompt', type: 'textarea', tall: true },
@@ -28,6 +31,7 @@ const Prompts = {
   async init() {
     // Load prompts library
     await this.loadLibrary();
+    await this.loadVariables();
 
     // Set up event listeners
     this.setupEventListeners();
@@ -76,6 +80,9 @@ const Prompts = {
       await this.setActivePrompt(e.target.value);
     });
 
+    // Viewers don't generate anything, so there's nothing for them to pick
+    document.getElementById('active-prompt-select').disabled = !Auth.hasRole('editor');
+
     // Add new prompt
     document.getElementById('add-prompt-btn').addEventListener('click', () => {
       this.openEditor(null);
@@ -87,12 +94,66 @@ const Prompts = {
       this.openEditor(select.value);
     });
 
+    // Make the selected prompt the one everyone uses unless they pick their own
+    document.getElementById('share-prompt-btn').addEventListener('click', async () => {
+      const select = document.getElementById('active-prompt-select');
+      await this.setActivePrompt(select.value, true);
+    });
+
+    // Show or hide the selected prompt's version history
+    document.getElementById('history-prompt-btn').addEventListener('click', async () => {
+      const history = document.getElementById('prompt-history');
+      if (!history.classList.contains('hidden')) {
+        history.classList.add('hidden');
+        return;
+      }
+      await this.showHistory(document.getElementById('active-prompt-select').value);
+    });
+
     // Delete prompt
     document.getElementById('delete-prompt-btn').addEventListener('click', async () => {
       const select = document.getElementById('active-prompt-select');
       await this.deletePrompt(select.value);
     });
 
+    // Export the selected prompt, this tab's prompts or the whole library
+    document.getElementById('export-prompt-btn').addEventListener('click', () => {
+      const select = document.getElementById('active-prompt-select');
+      this.exportBundle(this.currentType, select.value);
+    });
+
+    document.getElementById('export-type-btn').addEventListener('click', () => {
+      this.exportBundle(this.currentType);
+    });
+
+    document.getElementById('export-all-btn').addEventListener('click', () => {
+      this.exportBundle();
+    });
+
+    // Import: pick a file, preview what it would do, then apply
+    const importFile = document.getElementById('import-prompts-file');
+    document.getElementById('import-prompts-btn').addEventListener('click', () => {
+      importFile.click();
+    });
+
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files[0];
+      importFile.value = '';
+      if (file) await this.previewImport(file);
+    });
+
+    document.getElementById('import-conflict').addEventListener('change', async () => {
+      await this.runImport(true);
+    });
+
+    document.getElementById('cancel-import-btn').addEventListener('click', () => {
+      this.closeImport();
+    });
+
+    document.getElementById('apply-import-btn').addEventListener('click', async () => {
+      await this.runImport(false);
+    });
+
     // Editor modal events
     document.getElementById('close-prompt-editor').addEventListener('click', () => {
       this.closeEditor();
@@ -140,6 +201,9 @@ const Prompts = {
     const select = document.getElementById('active-prompt-select');
     const typeData = this.library[this.currentType];
 
+    // History belongs to one prompt, so it's closed whenever the selection is redrawn
+    document.getElementById('prompt-history').classList.add('hidden');
+
     if (!typeData) {
       select.innerHTML = '<option>No prompts available</option>';
       return;
@@ -148,15 +212,33 @@ const Prompts = {
     select.innerHTML = Object.entries(typeData.prompts)
       .map(([id, prompt]) => {
         const selected = id === typeData.active ? 'selected' : '';
-        return `<option value="${id}" ${selected}>${prompt.name || id}</option>`;
+        const label = id === typeData.sharedActive ? ' (team default)' : prompt.owner ? ' (personal)' : '';
+        return `<option value="${id}" ${selected}>${this.escapeHtml(prompt.name || id)}${label}</option>`;
       })
       .join('');
 
-    // Update delete button state
+    // Shared prompts are edited by admins, personal ones by their owner
+    const activePrompt = typeData.prompts[typeData.active];
+    const canManage = !!activePrompt && this.canManage(activePrompt);
+    document.getElementById('edit-prompt-btn').classList.toggle('hidden', !canManage);
+    document.getElementById('delete-prompt-btn').classList.toggle('hidden', !canManage);
+
+    const shareBtn = document.getElementById('share-prompt-btn');
+    shareBtn.disabled = typeData.active === typeData.sharedActive || !!activePrompt?.owner;
+    shareBtn.title = typeData.active === typeData.sharedActive
+      ? 'This is already the team default'
+      : activePrompt?.owner ? 'Personal prompts can\'t be the team default' : 'Use this prompt for everyone who hasn\'t picked their own';
+
+    // Update delete button state (the last shared prompt has to stay)
     const deleteBtn = document.getElementById('delete-prompt-btn');
-    const promptCount = Object.keys(typeData.prompts).length;
-    deleteBtn.disabled = promptCount <= 1;
-    deleteBtn.title = promptCount <= 1 ? 'Cannot delete the last prompt' : 'Delete this prompt';
+    const sharedCount = Object.values(typeData.prompts).filter(prompt => !prompt.owner).length;
+    const isLast = !activePrompt?.owner && sharedCount <= 1;
+    deleteBtn.disabled = isLast;
+    deleteBtn.title = isLast ? 'Cannot delete the last prompt' : 'Delete this prompt';
+  },
+
+  canManage(prompt) {
+    return prompt.owner ? prompt.owner === Auth.user?.username : Auth.hasRole('admin');
   },
 
   renderPreview() {
@@ -187,17 +269,20 @@ const Prompts = {
       .join('');
   },
 
-  async setActivePrompt(promptId) {
+  // Pick the prompt you generate with, or with shared the team default
+  async setActivePrompt(promptId, shared = false) {
     try {
       const response = await fetch(`/api/prompts/${this.currentType}/active`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ promptId }),
+        body: JSON.stringify({ promptId, shared }),
       });
 
       if (response.ok) {
         this.library[this.currentType].active = promptId;
-        console.log(`Active ${this.currentType} prompt set to: ${promptId}`);
+        if (shared) this.library[this.currentType].sharedActive = promptId;
+        console.log(`Active ${this.currentType} prompt set to: ${promptId}${shared ? ' (team default)' : ''}`);
+        this.renderPromptSelector();
         this.renderPreview();
       }
     } catch (error) {
@@ -205,6 +290,45 @@ const Prompts = {
     }
   },
 
+  async loadVariables() {
+    try {
+      const response = await fetch('/api/prompt-variables');
+      const data = await response.json();
+      if (data.success) {
+        this.variables = data.variables;
+        this.renderVariablesHint();
+      }
+    } catch (error) {
+      console.error('Failed to load prompt variables:', error);
+    }
+  },
+
+  renderVariablesHint() {
+    const hint = document.getElementById('prompt-variables-hint');
+    hint.textContent = 'Variables filled in when the prompt is used: ';
+    this.variables.forEach(({ name, description }, index) => {
+      const code = document.createElement('code');
+      code.textContent = `{{${name}}}`;
+      code.title = description;
+      if (index > 0) hint.appendChild(document.createTextNode(', '));
+      hint.appendChild(code);
+    });
+  },
+
+  // Variables a prompt uses that the server doesn't know, as "{{name}} in Field"
+  findUnknownVariables(prompt) {
+    const known = new Set(this.variables.map(variable => variable.name));
+    const unknown = [];
+    for (const field of this.fieldDefinitions[this.currentType]) {
+      const value = prompt[field.key];
+      if (typeof value !== 'string') continue;
+      for (const [, name] of value.matchAll(/\{\{\s*([^{}\s]*)\s*\}\}/g)) {
+        if (!known.has(name)) unknown.push(`{{${name}}} in ${field.label}`);
+      }
+    }
+    return unknown;
+  },
+
   openEditor(promptId) {
     this.isEditing = !!promptId;
     this.editingPromptId = promptId;
@@ -229,6 +353,7 @@ const Prompts = {
       idInput.value = '';
       nameInput.value = '';
     }
+    document.getElementById('prompt-note').value = '';
 
     // Render field editors
     fieldsContainer.innerHTML = fields
@@ -263,6 +388,7 @@ const Prompts = {
 
     const promptId = idInput.value.trim().toLowerCase().replace(/\s+/g, '-');
     const promptName = nameInput.value.trim();
+    const note = document.getElementById('prompt-note').value.trim();
 
     if (!promptId) {
       alert('Please enter a prompt ID');
@@ -292,6 +418,12 @@ const Prompts = {
       prompt[field.key] = value;
     }
 
+    const unknownVariables = this.findUnknownVariables(prompt);
+    if (this.variables.length > 0 && unknownVariables.length > 0) {
+      alert(`Unknown template variables: ${unknownVariables.join(', ')}`);
+      return;
+    }
+
     try {
       let response;
       if (this.isEditing) {
@@ -299,14 +431,14 @@ const Prompts = {
         response = await fetch(`/api/prompts/${this.currentType}/${this.editingPromptId}`, {
           method: 'PUT',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ prompt }),
+          body: JSON.stringify({ prompt, note }),
         });
       } else {
         // Add new prompt
         response = await fetch(`/api/prompts/${this.currentType}`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ id: promptId, prompt }),
+          body: JSON.stringify({ id: promptId, prompt, note }),
         });
       }
 
@@ -353,6 +485,243 @@ const Prompts = {
     }
   },
 
+  // ============== VERSION HISTORY ==============
+
+  async showHistory(promptId) {
+    try {
+      const response = await fetch(`/api/prompts/${this.currentType}/${promptId}/versions`);
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to load version history');
+        return;
+      }
+      this.renderHistory(promptId, data);
+      document.getElementById('prompt-history').classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to load version history:', error);
+    }
+  },
+
+  renderHistory(promptId, { current, versions }) {
+    const list = document.getElementById('prompt-history-list');
+    const prompt = this.library[this.currentType].prompts[promptId];
+    const canRollBack = !!prompt && this.canManage(prompt);
+
+    document.getElementById('prompt-diff').classList.add('hidden');
+    list.innerHTML = '';
+
+    versions.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.className = 'prompt-version-row';
+
+      const info = document.createElement('div');
+      const meta = document.createElement('span');
+      meta.className = 'prompt-version-meta';
+      const when = new Date(entry.createdAt).toLocaleString();
+      meta.textContent = `v${entry.version}${entry.version === current ? ' (current)' : ''} · ${entry.author || 'API key'} · ${when}`;
+      info.appendChild(meta);
+      if (entry.note) {
+        const note = document.createElement('span');
+        note.className = 'prompt-version-note';
+        note.textContent = entry.note;
+        info.appendChild(note);
+      }
+      row.appendChild(info);
+
+      const actions = document.createElement('div');
+      actions.className = 'prompt-version-actions';
+
+      // Versions are listed newest first, so the one before is next in the list
+      const previous = versions[index + 1];
+      if (previous) {
+        const diffBtn = document.createElement('button');
+        diffBtn.className = 'btn btn-secondary btn-small';
+        diffBtn.textContent = 'Changes';
+        diffBtn.title = `Compare with v${previous.version}`;
+        diffBtn.addEventListener('click', () => this.showDiff(promptId, previous.version, entry.version));
+        actions.appendChild(diffBtn);
+      }
+
+      if (canRollBack && entry.version !== current) {
+        const rollbackBtn = document.createElement('button');
+        rollbackBtn.className = 'btn btn-secondary btn-small';
+        rollbackBtn.textContent = 'Restore';
+        rollbackBtn.title = `Make v${entry.version} the current version`;
+        rollbackBtn.addEventListener('click', () => this.rollback(promptId, entry.version));
+        actions.appendChild(rollbackBtn);
+      }
+
+      row.appendChild(actions);
+      list.appendChild(row);
+    });
+  },
+
+  async showDiff(promptId, from, to) {
+    const container = document.getElementById('prompt-diff');
+
+    try {
+      const response = await fetch(`/api/prompts/${this.currentType}/${promptId}/versions/diff?from=${from}&to=${to}`);
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to compare versions');
+        return;
+      }
+
+      const labels = Object.fromEntries(this.fieldDefinitions[this.currentType].map(field => [field.key, field.label]));
+      labels.name = 'Display Name';
+
+      container.innerHTML = `<h4>Changes from v${data.from} to v${data.to}</h4>` + (data.changes.length === 0
+        ? '<p>No changes</p>'
+        : data.changes.map(change => `
+          <div class="prompt-preview-field">
+            <label>${this.escapeHtml(labels[change.field] || change.field)}</label>
+            <pre>${change.lines.map(line => `<span class="diff-${line.type}">${this.escapeHtml(line.text) || ' '}</span>`).join('')}</pre>
+          </div>
+        `).join(''));
+      container.classList.remove('hidden');
+    } catch (error) {
+      console.error('Failed to compare versions:', error);
+    }
+  },
+
+  async rollback(promptId, version) {
+    if (!confirm(`Restore version ${version} of "${promptId}"? The current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/prompts/${this.currentType}/${promptId}/versions/${version}/rollback`, {
+        method: 'POST',
+      });
+      if (!response.ok) {
+        const error = await response.json();
+        alert(error.error || 'Failed to restore version');
+        return;
+      }
+      await this.loadLibrary();
+      this.renderPromptSelector();
+      this.renderPreview();
+      await this.showHistory(promptId);
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+      alert('Failed to restore version');
+    }
+  },
+
+  // Download prompts as a bundle; no type exports the whole library
+  async exportBundle(type = null, promptId = null) {
+    const params = new URLSearchParams();
+    if (type) params.set('type', type);
+    if (promptId) params.set('promptId', promptId);
+
+    try {
+      const response = await fetch(`/api/prompts/export?${params}`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Export failed');
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filenameMatch = disposition.match(/filename="?([^"]+)"?/);
+      const blob = await response.blob();
+
+      const link = document.createElement('a');
+      link.download = filenameMatch ? filenameMatch[1] : 'prompts.json';
+      link.href = URL.createObjectURL(blob);
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+      console.error('Prompt export error:', error);
+      alert(`Export failed: ${error.message}`);
+    }
+  },
+
+  async previewImport(file) {
+    try {
+      this.importBundle = JSON.parse(await file.text());
+    } catch {
+      alert(`${file.name} isn't a prompt bundle (not valid JSON)`);
+      return;
+    }
+    document.getElementById('import-conflict').value = 'skip';
+    await this.runImport(true);
+  },
+
+  // A dry run shows what importing would do; otherwise the bundle is imported
+  async runImport(dryRun) {
+    if (!this.importBundle) return;
+
+    try {
+      const response = await fetch('/api/prompts/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bundle: this.importBundle,
+          conflict: document.getElementById('import-conflict').value,
+          dryRun,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Import failed');
+        if (dryRun) this.closeImport();
+        return;
+      }
+
+      if (dryRun) {
+        this.renderImportPlan(data.results);
+        return;
+      }
+
+      const imported = data.results.filter(result => ['add', 'overwrite', 'rename'].includes(result.action));
+      this.closeImport();
+      await this.loadLibrary();
+      this.renderPromptSelector();
+      this.renderPreview();
+      alert(`Imported ${imported.length} prompt${imported.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Prompt import error:', error);
+      alert('Import failed');
+    }
+  },
+
+  renderImportPlan(results) {
+    const descriptions = {
+      add: () => 'New',
+      overwrite: () => 'Replaces the existing prompt',
+      rename: result => `Imported as ${result.importedAs}`,
+      skip: result => `Skipped: ${result.reason}`,
+      unchanged: () => 'Already in the library',
+    };
+
+    const list = document.getElementById('prompt-import-list');
+    list.innerHTML = '';
+    results.forEach((result) => {
+      const row = document.createElement('div');
+      row.className = `prompt-import-row import-${result.action}`;
+
+      const name = document.createElement('span');
+      name.textContent = `${result.type} / ${result.id}`;
+      row.appendChild(name);
+
+      const action = document.createElement('span');
+      action.className = 'prompt-import-action';
+      action.textContent = descriptions[result.action](result);
+      row.appendChild(action);
+
+      list.appendChild(row);
+    });
+
+    const importing = results.some(result => ['add', 'overwrite', 'rename'].includes(result.action));
+    document.getElementById('apply-import-btn').disabled = !importing;
+    document.getElementById('prompt-import').classList.remove('hidden');
+  },
+
+  closeImport() {
+    this.importBundle = null;
+    document.getElementById('prompt-import').classList.add('hidden');
+  },
+
   // Get the active prompt for a given type
   getActivePrompt(type) {
     if (!this.library || !this.library[type]) {
@@ -15,12 +15,20 @@ const Settings = {
       numTitles: 20,
       numDescriptions: 5,
       numThumbnailTitles: 20,
+      numTags: 15,
+      numHashtags: 3,
       numFrames: 24,
       transcriptionModel: 'gpt-4o-transcribe-diarize',
       chatModel: 'gpt-4o',
       visionModel: 'gpt-4.1',
       imageDetail: 'auto',
       chunkMinutes: 4,
+      uploadConcurrency: 4,
+      autoFixMetadata: false,
+      aiProvider: 'openai',
+      aiBaseUrl: '',
+      monthlyBudget: 0,
+      channelId: 'default',
     };
   },
 
@@ -48,7 +56,7 @@ const Settings = {
       });
       const data = await response.json();
       if (data.success) {
-        this.current = settings;
+        this.current = data.settings;
         return true;
       }
     } catch (error) {
@@ -57,6 +65,26 @@ const Settings = {
     return false;
   },
 
+  // Save as the team's settings (admins)
+  async saveShared(settings) {
+    try {
+      const response = await fetch('/api/settings/shared', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings),
+      });
+      const data = await response.json();
+      if (data.success) {
+        this.current = data.settings;
+        this.populateFormFields();
+        return true;
+      }
+    } catch (error) {
+      console.error('Failed to save team settings:', error);
+    }
+    return false;
+  },
+
   // Reset to defaults
   async resetToDefaults() {
     try {
@@ -121,6 +149,8 @@ const Settings = {
     document.getElementById('num-titles').value = settings.numTitles;
     document.getElementById('num-descriptions').value = settings.numDescriptions;
     document.getElementById('num-thumbnail-titles').value = settings.numThumbnailTitles;
+    document.getElementById('num-tags').value = settings.numTags || 15;
+    document.getElementById('num-hashtags').value = settings.numHashtags || 3;
     document.getElementById('num-frames').value = settings.numFrames;
     document.getElementById('transcription-model').value = settings.transcriptionModel;
     document.getElementById('chat-model').value = settings.chatModel;
@@ -136,6 +166,15 @@ const Settings = {
       chunkMinutesInput.value = settings.chunkMinutes || 4;
     }
 
+    document.getElementById('upload-concurrency').value = settings.uploadConcurrency || 4;
+
+    document.getElementById('auto-fix-metadata').checked = settings.autoFixMetadata === true;
+    document.getElementById('ai-provider').value = settings.aiProvider || 'openai';
+    document.getElementById('ai-base-url').value = settings.aiBaseUrl || '';
+    document.getElementById('monthly-budget').value = settings.monthlyBudget || 0;
+    Channels.renderSwitcher();
+    this.updateProviderFields();
+
     // Also update dropdowns if models are loaded
     if (this.availableModels.chat.length > 0) {
       this.populateModelDropdowns();
@@ -154,6 +193,28 @@ const Settings = {
 
     // Setup event listeners
     this.setupEventListeners();
+
+    this.applyPermissions();
+  },
+
+  // Shared fields are admin-only; viewers can't change anything
+  applyPermissions() {
+    const isAdmin = Auth.hasRole('admin');
+    document.querySelectorAll('#settings-modal .admin-fields').forEach((fieldset) => {
+      fieldset.disabled = !isAdmin;
+    });
+
+    if (!Auth.hasRole('editor')) {
+      document.querySelectorAll('#settings-modal .modal-body input, #settings-modal .modal-body select').forEach((input) => {
+        input.disabled = true;
+      });
+    }
+  },
+
+  // The base URL only applies to OpenAI-compatible gateways
+  updateProviderFields() {
+    const provider = document.getElementById('ai-provider').value;
+    document.getElementById('ai-base-url').classList.toggle('hidden', provider !== 'openai-compatible');
   },
 
   setupEventListeners() {
@@ -163,7 +224,15 @@ const Settings = {
     const saveBtn = document.getElementById('save-settings');
     const resetBtn = document.getElementById('reset-defaults');
 
+    document.getElementById('ai-provider').addEventListener('change', () => {
+      this.updateProviderFields();
+    });
+
     settingsBtn.addEventListener('click', () => {
+      Glossary.render(); // Discard unsaved glossary, rule and profile edits
+      ValidationRules.render();
+      Channels.channels = Channels.saved;
+      Channels.render();
       modal.classList.remove('hidden');
     });
 
@@ -178,30 +247,77 @@ const Settings = {
     });
 
     saveBtn.addEventListener('click', async () => {
-      const settings = {
-        numTitles: parseInt(document.getElementById('num-titles').value),
-        numDescriptions: parseInt(document.getElementById('num-descriptions').value),
-        numThumbnailTitles: parseInt(document.getElementById('num-thumbnail-titles').value),
-        numFrames: parseInt(document.getElementById('num-frames').value),
-        transcriptionModel: document.getElementById('transcription-model').value,
-        chatModel: document.getElementById('chat-model').value,
-        visionModel: document.getElementById('vision-model').value,
-        imageDetail: document.getElementById('image-detail')?.value || 'auto',
-        chunkMinutes: parseInt(document.getElementById('chunk-minutes')?.value) || 4,
-      };
-
-      const success = await this.save(settings);
+      const settings = this.readForm();
+      if (!settings) return;
+
+      const providerChanged = settings.aiProvider !== this.get().aiProvider ||
+        settings.aiBaseUrl !== (this.get().aiBaseUrl || '');
+
+      const success = await this.save(settings) && await this.saveSharedLists();
       if (success) {
         modal.classList.add('hidden');
+        // Each provider offers different models
+        if (providerChanged) this.fetchModels();
+        Usage.refresh(); // The budget may have changed
       } else {
         alert('Failed to save settings');
       }
     });
 
+    document.getElementById('save-team-settings').addEventListener('click', async () => {
+      const settings = this.readForm();
+      if (!settings) return;
+      if (!confirm(`Make these the settings everyone on ${Channels.active()?.name || 'this channel'} starts from? People keep any changes of their own.`)) return;
+
+      const success = await this.saveShared(settings) && await this.saveSharedLists();
+      if (success) {
+        modal.classList.add('hidden');
+        this.fetchModels();
+        Usage.refresh();
+      } else {
+        alert('Failed to save team settings');
+      }
+    });
+
     resetBtn.addEventListener('click', async () => {
-      if (confirm('Reset all settings to defaults?')) {
+      if (confirm("Discard your changes and use the team's settings?")) {
         await this.resetToDefaults();
       }
     });
   },
+
+  // The glossary, metadata checks and channel profiles are shared, so only admins save them
+  async saveSharedLists() {
+    if (!Auth.hasRole('admin')) return true;
+    return await Glossary.save() && await ValidationRules.save() && await Channels.save();
+  },
+
+  // Settings as entered in the modal, or null if they can't be saved
+  readForm() {
+    const settings = {
+      numTitles: parseInt(document.getElementById('num-titles').value),
+      numDescriptions: parseInt(document.getElementById('num-descriptions').value),
+      numThumbnailTitles: parseInt(document.getElementById('num-thumbnail-titles').value),
+      numTags: parseInt(document.getElementById('num-tags').value),
+      numHashtags: parseInt(document.getElementById('num-hashtags').value),
+      numFrames: parseInt(document.getElementById('num-frames').value),
+      transcriptionModel: document.getElementById('transcription-model').value,
+      chatModel: document.getElementById('chat-model').value,
+      visionModel: document.getElementById('vision-model').value,
+      imageDetail: document.getElementById('image-detail')?.value || 'auto',
+      chunkMinutes: parseInt(document.getElementById('chunk-minutes')?.value) || 4,
+      uploadConcurrency: parseInt(document.getElementById('upload-concurrency').value) || 4,
+      autoFixMetadata: document.getElementById('auto-fix-metadata').checked,
+      aiProvider: document.getElementById('ai-provider').value,
+      aiBaseUrl: document.getElementById('ai-base-url').value.trim(),
+      monthlyBudget: parseFloat(document.getElementById('monthly-budget').value) || 0,
+      channelId: this.get().channelId || 'default',
+    };
+
+    if (settings.aiProvider === 'openai-compatible' && !settings.aiBaseUrl) {
+      alert('Enter the gateway URL for the OpenAI-compatible provider');
+      return null;
+    }
+    return settings;
+  },
 };
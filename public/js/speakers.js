@@ -0,0 +1,383 @@
+// Speaker library: known voices sent to the diarization model, and who to expect in each video
+
+const Speakers = {
+  list: [],
+  limits: {
+    maxKnownSpeakers: 4,
+    sampleMinSeconds: 2,
+    sampleMaxSeconds: 10,
+  },
+  expectedIds: null, // Expected speakers for the current video (null = library defaults)
+  MAX_RECORDING_SECONDS: 60,
+  editingId: null,
+  sampleBlob: null, // Chosen file or browser recording, waiting to be uploaded
+  recorder: null,
+
+  async init() {
+    this.setupEventListeners();
+    await this.load();
+  },
+
+  async load() {
+    try {
+      const response = await fetch('/api/speakers');
+      const data = await response.json();
+      if (data.success) {
+        this.list = data.speakers;
+        this.limits = data.limits;
+        this.renderExpected();
+        this.renderList();
+      }
+    } catch (error) {
+      console.error('Failed to load speakers:', error);
+    }
+  },
+
+  setupEventListeners() {
+    document.getElementById('speakers-btn').addEventListener('click', () => {
+      this.openModal();
+    });
+
+    document.getElementById('close-speakers').addEventListener('click', () => {
+      this.closeModal();
+    });
+
+    document.getElementById('speakers-modal').addEventListener('click', (e) => {
+      if (e.target.id === 'speakers-modal') {
+        this.closeModal();
+      }
+    });
+
+    document.getElementById('add-speaker-btn').addEventListener('click', () => {
+      this.openForm(null);
+    });
+
+    document.getElementById('cancel-speaker-edit').addEventListener('click', () => {
+      this.closeForm();
+    });
+
+    document.getElementById('save-speaker').addEventListener('click', () => {
+      this.save();
+    });
+
+    document.getElementById('speaker-sample-file').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.setSample(e.target.files[0], e.target.files[0].name);
+      }
+      e.target.value = '';
+    });
+
+    document.getElementById('speaker-record-btn').addEventListener('click', () => {
+      this.toggleRecording();
+    });
+  },
+
+  // ============== EXPECTED SPEAKERS ==============
+
+  // Speakers with a voice sample can be sent to the diarization model
+  getAvailable() {
+    return this.list.filter(s => s.hasSample);
+  },
+
+  getExpectedIds() {
+    if (this.expectedIds) {
+      return this.expectedIds.filter(id => this.getAvailable().some(s => s.id === id));
+    }
+    return this.getAvailable()
+      .filter(s => s.expectedByDefault)
+      .slice(0, this.limits.maxKnownSpeakers)
+      .map(s => s.id);
+  },
+
+  // Restore the expected speakers saved on a project
+  setExpected(ids) {
+    this.expectedIds = Array.isArray(ids) ? ids : null;
+    this.renderExpected();
+  },
+
+  renderExpected() {
+    const container = document.getElementById('expected-speakers');
+    const list = document.getElementById('expected-speakers-list');
+    const available = this.getAvailable();
+
+    container.classList.toggle('hidden', available.length === 0);
+    list.innerHTML = '';
+
+    const expected = this.getExpectedIds();
+
+    available.forEach((speaker) => {
+      const label = document.createElement('label');
+      label.className = 'expected-speaker';
+      label.title = speaker.bio || speaker.name;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = expected.includes(speaker.id);
+      checkbox.addEventListener('change', () => {
+        const ids = this.getExpectedIds().filter(id => id !== speaker.id);
+        if (checkbox.checked) {
+          if (ids.length >= this.limits.maxKnownSpeakers) {
+            alert(`At most ${this.limits.maxKnownSpeakers} speakers can be identified by voice in one video`);
+            checkbox.checked = false;
+            return;
+          }
+          ids.push(speaker.id);
+        }
+        this.expectedIds = ids;
+      });
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(speaker.name));
+      list.appendChild(label);
+    });
+  },
+
+  // ============== LIBRARY MODAL ==============
+
+  openModal() {
+    document.getElementById('speakers-modal').classList.remove('hidden');
+    this.renderList();
+  },
+
+  closeModal() {
+    this.stopRecording();
+    this.closeForm();
+    document.getElementById('speakers-modal').classList.add('hidden');
+  },
+
+  renderList() {
+    const container = document.getElementById('speakers-list');
+    container.innerHTML = '';
+
+    if (this.list.length === 0) {
+      container.innerHTML = '<p class="speakers-empty">No speakers yet. Add a recurring host or guest so transcripts label them by name.</p>';
+      return;
+    }
+
+    this.list.forEach((speaker) => {
+      const item = document.createElement('div');
+      item.className = 'speaker-item';
+
+      const info = document.createElement('div');
+      info.className = 'speaker-item-info';
+      info.innerHTML = `
+        <div class="speaker-item-name">${this.escapeHtml(speaker.name)}${speaker.expectedByDefault ? ' <span class="speaker-badge">always expected</span>' : ''}</div>
+        <div class="speaker-item-bio">${this.escapeHtml(speaker.bio || 'No bio')}</div>
+      `;
+
+      if (speaker.hasSample) {
+        const audio = document.createElement('audio');
+        audio.controls = true;
+        audio.preload = 'none';
+        audio.src = `/api/speakers/${speaker.id}/sample?v=${speaker.updatedAt}`;
+        info.appendChild(audio);
+      } else {
+        const missing = document.createElement('div');
+        missing.className = 'speaker-item-missing';
+        missing.textContent = 'No voice sample - add one so this speaker can be identified';
+        info.appendChild(missing);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'speaker-item-actions';
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'project-action-btn';
+      editBtn.textContent = '✏️';
+      editBtn.title = 'Edit speaker';
+      editBtn.addEventListener('click', () => this.openForm(speaker));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'project-action-btn';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Delete speaker';
+      deleteBtn.addEventListener('click', () => this.delete(speaker));
+
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      container.appendChild(item);
+    });
+  },
+
+  openForm(speaker) {
+    this.editingId = speaker ? speaker.id : null;
+    this.clearSample();
+
+    document.getElementById('speaker-form-title').textContent = speaker ? `Edit ${speaker.name}` : 'Add Speaker';
+    document.getElementById('speaker-name').value = speaker ? speaker.name : '';
+    document.getElementById('speaker-bio').value = speaker ? speaker.bio : '';
+    document.getElementById('speaker-expected-default').checked = speaker ? speaker.expectedByDefault : false;
+    document.getElementById('speaker-sample-start').value = 0;
+    document.getElementById('speaker-sample-duration').value = this.limits.sampleMaxSeconds;
+    document.getElementById('speaker-sample-hint').textContent = speaker?.hasSample
+      ? `Choose or record a new clip to replace the current ${speaker.sampleDuration ? `${speaker.sampleDuration}s ` : ''}sample.`
+      : `A clear clip of only this person speaking. It will be trimmed to ${this.limits.sampleMinSeconds}-${this.limits.sampleMaxSeconds} seconds.`;
+
+    document.getElementById('speaker-form').classList.remove('hidden');
+    document.getElementById('add-speaker-btn').classList.add('hidden');
+    document.getElementById('speaker-name').focus();
+  },
+
+  closeForm() {
+    this.stopRecording();
+    this.clearSample();
+    this.editingId = null;
+    document.getElementById('speaker-form').classList.add('hidden');
+    document.getElementById('add-speaker-btn').classList.remove('hidden');
+  },
+
+  async save() {
+    const name = document.getElementById('speaker-name').value.trim();
+    const bio = document.getElementById('speaker-bio').value.trim();
+    const expectedByDefault = document.getElementById('speaker-expected-default').checked;
+
+    if (!name) {
+      alert('Please enter a name');
+      return;
+    }
+
+    const saveBtn = document.getElementById('save-speaker');
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+      const response = await fetch(this.editingId ? `/api/speakers/${this.editingId}` : '/api/speakers', {
+        method: this.editingId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, bio, expectedByDefault }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save speaker');
+      }
+
+      if (this.sampleBlob) {
+        await this.uploadSample(result.speaker.id);
+      }
+
+      this.closeForm();
+      await this.load();
+    } catch (error) {
+      console.error('Failed to save speaker:', error);
+      alert(error.message);
+    } finally {
+      saveBtn.disabled = false;
+      saveBtn.textContent = 'Save Speaker';
+    }
+  },
+
+  async uploadSample(speakerId) {
+    const formData = new FormData();
+    formData.append('start', document.getElementById('speaker-sample-start').value || 0);
+    formData.append('duration', document.getElementById('speaker-sample-duration').value || this.limits.sampleMaxSeconds);
+    formData.append('sample', this.sampleBlob, this.sampleBlob.name || this.recordingFilename(this.sampleBlob.type));
+
+    const response = await fetch(`/api/speakers/${speakerId}/sample`, {
+      method: 'POST',
+      body: formData,
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to save voice sample');
+    }
+  },
+
+  async delete(speaker) {
+    if (!confirm(`Delete ${speaker.name} and their voice sample?`)) return;
+
+    try {
+      const response = await fetch(`/api/speakers/${speaker.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to delete speaker');
+      }
+      await this.load();
+    } catch (error) {
+      console.error('Failed to delete speaker:', error);
+      alert(error.message);
+    }
+  },
+
+  // ============== VOICE SAMPLES ==============
+
+  setSample(blob, label) {
+    this.sampleBlob = blob;
+    document.getElementById('speaker-sample-name').textContent = label;
+
+    const preview = document.getElementById('speaker-sample-preview');
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    preview.src = URL.createObjectURL(blob);
+    preview.classList.remove('hidden');
+  },
+
+  clearSample() {
+    this.sampleBlob = null;
+    document.getElementById('speaker-sample-name').textContent = '';
+
+    const preview = document.getElementById('speaker-sample-preview');
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    preview.removeAttribute('src');
+    preview.classList.add('hidden');
+  },
+
+  async toggleRecording() {
+    if (this.recorder) {
+      this.stopRecording();
+      return;
+    }
+
+    const recordBtn = document.getElementById('speaker-record-btn');
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const chunks = [];
+
+      this.recorder = new MediaRecorder(stream);
+      this.recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+      this.recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(track => track.stop());
+        const blob = new Blob(chunks, { type: this.recorder.mimeType });
+        this.recorder = null;
+        recordBtn.textContent = '⏺ Record';
+        recordBtn.classList.remove('recording');
+        this.setSample(blob, 'Recording');
+      });
+
+      this.recorder.start();
+      recordBtn.textContent = '⏹ Stop';
+      recordBtn.classList.add('recording');
+
+      // Only a short clip is kept after trimming, so don't record indefinitely
+      setTimeout(() => {
+        if (this.recorder?.state === 'recording') this.stopRecording();
+      }, this.MAX_RECORDING_SECONDS * 1000);
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+      alert('Could not access the microphone. Check your browser permissions.');
+    }
+  },
+
+  stopRecording() {
+    if (this.recorder?.state === 'recording') {
+      this.recorder.stop();
+    }
+  },
+
+  // Give a recording a filename the server recognizes
+  recordingFilename(mimeType) {
+    if (mimeType.includes('ogg')) return 'recording.ogg';
+    if (mimeType.includes('mp4')) return 'recording.m4a';
+    return 'recording.webm';
+  },
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  },
+};
@@ -20,21 +20,97 @@ const Thumbnails = {
       this.downloadAll();
     });
 
+    // Extract and rank again instead of using the results of an earlier upload
+    document.getElementById('rerank-frames-btn').addEventListener('click', () => {
+      this.extractFrames(false, null, true);
+    });
+
+    // Audio projects make thumbnails from cover images
+    document.getElementById('cover-image-input').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.uploadCover(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+
     // Settings listeners
     document.getElementById('thumbnail-font').addEventListener('change', (e) => {
       this.settings.font = e.target.value;
       this.updateAllOverlays();
+      Projects.scheduleSave();
     });
 
     document.getElementById('thumbnail-bg-color').addEventListener('input', (e) => {
       this.settings.bgColor = e.target.value;
       this.updateAllOverlays();
+      Projects.scheduleSave();
     });
 
     document.getElementById('thumbnail-text-color').addEventListener('input', (e) => {
       this.settings.textColor = e.target.value;
       this.updateAllOverlays();
+      Projects.scheduleSave();
     });
+
+    document.getElementById('save-channel-style-btn').addEventListener('click', () => {
+      Channels.saveThumbnailStyle(this.settings);
+    });
+  },
+
+  // Start from the channel's brand kit (font and colors)
+  applyChannelStyle() {
+    const style = Channels.active()?.thumbnailStyle;
+    if (!style) return;
+
+    this.settings = { ...this.settings, ...style };
+    document.getElementById('thumbnail-font').value = this.settings.font;
+    document.getElementById('thumbnail-bg-color').value = this.settings.bgColor;
+    document.getElementById('thumbnail-text-color').value = this.settings.textColor;
+    this.updateAllOverlays();
+  },
+
+  // Snapshot of frames, selections and overlay edits for saving on the project
+  getState() {
+    if (this.rankedFrames.length === 0) return null;
+
+    // Capture the latest edits from the live editors
+    if (this.editors.length > 0) {
+      this.saveOverlayStates();
+    }
+
+    return {
+      allFrames: this.allFrames,
+      rankedFrames: this.rankedFrames,
+      frameBatches: this.frameBatches,
+      selectedFrames: this.selectedFrames,
+      nextSelectionId: this.nextSelectionId,
+      overlayStates: Array.from(this.overlayStates.entries()),
+      settings: this.settings,
+    };
+  },
+
+  // Restore frames, selections and overlay edits saved on a project
+  async restore(state) {
+    document.getElementById('frames-section').classList.remove('hidden');
+
+    this.allFrames = state.allFrames || [];
+    this.rankedFrames = state.rankedFrames || [];
+    this.frameBatches = state.frameBatches || [this.rankedFrames];
+    this.selectedFrames = state.selectedFrames || [];
+    this.nextSelectionId = state.nextSelectionId || this.selectedFrames.length + 1;
+    this.overlayStates = new Map(state.overlayStates || []);
+    this.settings = { ...this.settings, ...state.settings };
+
+    document.getElementById('thumbnail-font').value = this.settings.font;
+    document.getElementById('thumbnail-bg-color').value = this.settings.bgColor;
+    document.getElementById('thumbnail-text-color').value = this.settings.textColor;
+
+    this.renderFrameGrid();
+    this.updateFrameSelectionUI();
+
+    if (this.selectedFrames.length > 0) {
+      this.showThumbnailEditor();
+    }
   },
 
   updateAllOverlays() {
@@ -45,7 +121,9 @@ const Thumbnails = {
     });
   },
 
-  async extractFrames(isAdditional = false) {
+  // resume holds { extractJobId, analyzeJobId } of jobs to follow instead of starting new ones;
+  // force extracts and ranks even if this video's frames were ranked before
+  async extractFrames(isAdditional = false, resume = null, force = false) {
     const section = document.getElementById('frames-section');
     const loading = document.getElementById('frames-loading');
     const grid = document.getElementById('frames-grid');
@@ -62,59 +140,62 @@ const Thumbnails = {
       this.frameBatches = [];
       this.overlayStates = new Map(); // Clear saved overlay states for fresh start
       this.nextSelectionId = 1;
+      if (!resume) this.applyChannelStyle();
+      document.getElementById('frames-cache-note').classList.add('hidden');
     }
 
+    const loadingText = loading.querySelector('p');
+    const onProgress = (job) => {
+      loadingText.textContent = job.message;
+      if (!isAdditional) {
+        Player.showJobProgress('frames-status', job);
+      }
+    };
+
     try {
       const settings = Settings.get();
       const numFrames = isAdditional ? 12 : settings.numFrames; // Additional batches are 12 frames
 
-      // Extract frames
-      const extractResponse = await fetch('/api/extract-frames', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: Uploader.sessionId,
-          filename: Uploader.filename,
-          numFrames: numFrames,
-        }),
-      });
-
-      if (!extractResponse.ok) {
-        const errorData = await extractResponse.json().catch(() => ({}));
-        throw new Error(errorData.error || 'Frame extraction failed');
-      }
+      let analyzeResult;
 
-      const extractResult = await extractResponse.json();
-      const newFrames = extractResult.frames;
-
-      // Add new frames to allFrames (avoiding duplicates by index)
-      const existingIndices = new Set(this.allFrames.map(f => f.index));
-      const uniqueNewFrames = newFrames.filter(f => !existingIndices.has(f.index));
-      this.allFrames = [...this.allFrames, ...uniqueNewFrames];
-
-      // Analyze frames with GPT-4 Vision
-      loading.querySelector('p').textContent = 'Analyzing frames with AI...';
-
-      const analyzeResponse = await fetch('/api/analyze-frames', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      if (resume?.analyzeJobId) {
+        // Extraction already finished before the reload - just wait for the ranking
+        analyzeResult = await Jobs.follow(resume.analyzeJobId, onProgress);
+      } else {
+        // Extract frames
+        const extractResult = resume?.extractJobId
+          ? await Jobs.follow(resume.extractJobId, onProgress)
+          : await Jobs.run('/api/extract-frames', {
+              sessionId: Uploader.sessionId,
+              filename: Uploader.filename,
+              numFrames: numFrames,
+              force,
+              additional: isAdditional,
+            }, onProgress);
+        const newFrames = extractResult.frames;
+
+        // Add new frames to allFrames (avoiding duplicates by index)
+        const existingIndices = new Set(this.allFrames.map(f => f.index));
+        const uniqueNewFrames = newFrames.filter(f => !existingIndices.has(f.index));
+        this.allFrames = [...this.allFrames, ...uniqueNewFrames];
+
+        // Analyze frames with GPT-4 Vision
+        loadingText.textContent = 'Analyzing frames with AI...';
+
+        analyzeResult = await Jobs.run('/api/analyze-frames', {
           sessionId: Uploader.sessionId,
           frames: uniqueNewFrames.length > 0 ? uniqueNewFrames : newFrames,
           settings: {
             visionModel: settings.visionModel,
           },
-        }),
-      });
-
-      const analyzeResult = await analyzeResponse.json();
+          force,
+        }, onProgress);
+      }
 
-      if (!analyzeResponse.ok) {
-        const error = new Error(analyzeResult.error || 'Frame analysis failed');
-        error.billingUrl = analyzeResult.billingUrl;
-        error.isBillingError = analyzeResult.isBillingError;
-        throw error;
+      if (!isAdditional) {
+        Transcript.showCacheNote('frames-cache-note', analyzeResult, 'Frames and ranking reused from an earlier upload of this video');
       }
+
       const newRankedFrames = analyzeResult.rankedFrames;
 
       // Add new ranked frames as a new batch
@@ -123,6 +204,7 @@ const Thumbnails = {
 
       // Render frames in ranked order with batch separators
       this.renderFrameGrid();
+      Usage.refresh();
 
       // Auto-select top 3 frames only on first extraction
       if (!isAdditional && this.rankedFrames.length > 0) {
@@ -135,6 +217,8 @@ const Thumbnails = {
       } else {
         this.updateFrameSelectionUI();
       }
+
+      Projects.scheduleSave();
     } catch (error) {
       console.error('Frame extraction error:', error);
       if (error.billingUrl) {
@@ -171,6 +255,52 @@ const Thumbnails = {
       }
     } finally {
       loading.classList.add('hidden');
+      loadingText.textContent = 'Extracting and analyzing frames...';
+    }
+  },
+
+  // Audio files have no frames to extract - ask for a cover image instead
+  async showCoverUpload() {
+    document.getElementById('frames-section').classList.remove('hidden');
+    document.getElementById('cover-upload').classList.remove('hidden');
+    this.applyChannelStyle();
+  },
+
+  // Add a cover image as a frame and open it in the editor
+  async uploadCover(file) {
+    const loading = document.getElementById('frames-loading');
+    const loadingText = loading.querySelector('p');
+    loadingText.textContent = 'Uploading cover image...';
+    loading.classList.remove('hidden');
+
+    try {
+      const formData = new FormData();
+      formData.append('image', file);
+      const response = await fetch(`/api/projects/${Uploader.sessionId}/cover`, {
+        method: 'POST',
+        body: formData,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload cover image');
+      }
+
+      document.getElementById('cover-upload').classList.add('hidden');
+      const framesStatus = document.getElementById('frames-status');
+      framesStatus.textContent = 'Cover image ready';
+      framesStatus.classList.add('complete');
+
+      this.allFrames.push(data.frame);
+      this.rankedFrames.push(data.frame);
+      this.frameBatches = [this.rankedFrames]; // Covers aren't ranked in batches
+      this.renderFrameGrid();
+      this.addFrameSelection(data.frame);
+    } catch (error) {
+      console.error('Cover image upload error:', error);
+      alert(error.message);
+    } finally {
+      loading.classList.add('hidden');
+      loadingText.textContent = 'Extracting and analyzing frames...';
     }
   },
 
@@ -216,6 +346,18 @@ const Thumbnails = {
       });
     });
 
+    // Audio projects get more images by uploading them
+    if (Player.isAudio) {
+      const coverBtn = document.createElement('button');
+      coverBtn.className = 'btn btn-secondary more-images-btn editor-only';
+      coverBtn.textContent = 'Upload another cover';
+      coverBtn.addEventListener('click', () => {
+        document.getElementById('cover-image-input').click();
+      });
+      grid.appendChild(coverBtn);
+      return;
+    }
+
     // Add "More images" button at the end
     const moreBtn = document.createElement('button');
     moreBtn.className = 'btn btn-secondary more-images-btn';
@@ -264,6 +406,7 @@ const Thumbnails = {
       this.selectedFrames.push({ ...frame, selectionId: this.nextSelectionId++ });
       this.updateFrameSelectionUI();
       this.showThumbnailEditor();
+      Projects.scheduleSave();
     }
     // If already at 4, do nothing (user must click checkmark to unselect)
   },
@@ -281,6 +424,8 @@ const Thumbnails = {
     } else {
       document.getElementById('thumbnail-section').classList.add('hidden');
     }
+
+    Projects.scheduleSave();
   },
 
   removeEditorAt(index) {
@@ -309,6 +454,8 @@ const Thumbnails = {
     } else {
       document.getElementById('thumbnail-section').classList.add('hidden');
     }
+
+    Projects.scheduleSave();
   },
 
   // Save current overlay state for all editors before rebuilding
@@ -520,6 +667,12 @@ const Thumbnails = {
     textOverlay.addEventListener('input', () => {
       // Rescale font to fit within current box dimensions
       this.autoScaleFont(textOverlay, canvasContainer, img, false);
+      Projects.scheduleSave();
+    });
+
+    // Drags and resizes end with a mouseup inside the canvas
+    canvasContainer.addEventListener('mouseup', () => {
+      Projects.scheduleSave();
     });
 
     canvasContainer.appendChild(img);
@@ -533,6 +686,7 @@ const Thumbnails = {
         dot.classList.add('active');
         // Apply alignment
         this.alignTextOverlay(textOverlay, img, dot.dataset.position);
+        Projects.scheduleSave();
       });
     });
 
@@ -548,6 +702,7 @@ const Thumbnails = {
       const option = document.createElement('div');
       option.className = 'thumbnail-option' + (i === 0 ? ' active' : '');
       option.textContent = title;
+      this.setValidationBadge(option, title, 'thumbnailTitle');
 
       // Click to apply this title to the overlay
       option.addEventListener('click', () => {
@@ -565,6 +720,7 @@ const Thumbnails = {
         const imgHeight = img.clientHeight;
         const overlayHeight = textOverlay.offsetHeight;
         textOverlay.style.top = `${imgHeight - overlayHeight}px`;
+        Projects.scheduleSave();
       });
 
       optionsGrid.appendChild(option);
@@ -636,6 +792,7 @@ const Thumbnails = {
       titleText.addEventListener('blur', () => {
         titleText.contentEditable = false;
         titleText.classList.remove('editing');
+        this.setValidationBadge(titleItem, titleText.textContent, 'title');
       });
 
       titleText.addEventListener('keydown', (e) => {
@@ -650,6 +807,7 @@ const Thumbnails = {
 
       titleItem.appendChild(titleText);
       titleItem.appendChild(copyBtn);
+      this.setValidationBadge(titleItem, title, 'title');
       titlesGrid.appendChild(titleItem);
     });
 
@@ -1285,6 +1443,7 @@ const Thumbnails = {
             const option = document.createElement('div');
             option.className = 'thumbnail-option' + (i === 0 ? ' active' : '');
             option.textContent = title;
+            this.setValidationBadge(option, title, 'thumbnailTitle');
 
             option.addEventListener('click', () => {
               // Preserve resize handles when setting text
@@ -1379,6 +1538,7 @@ const Thumbnails = {
             titleText.addEventListener('blur', () => {
               titleText.contentEditable = false;
               titleText.classList.remove('editing');
+              this.setValidationBadge(titleItem, titleText.textContent, 'title');
             });
 
             titleText.addEventListener('keydown', (e) => {
@@ -1393,6 +1553,7 @@ const Thumbnails = {
 
             titleItem.appendChild(titleText);
             titleItem.appendChild(copyBtn);
+            this.setValidationBadge(titleItem, title, 'title');
             titlesGrid.appendChild(titleItem);
           });
         }
@@ -1400,6 +1561,33 @@ const Thumbnails = {
     });
   },
 
+  /**
+   * Show (or clear) the validation badge on a thumbnail title option or video title item
+   */
+  setValidationBadge(element, text, kind) {
+    element.querySelector('.validation-badge')?.remove();
+    const badge = Metadata.createValidationBadge(text, kind);
+    if (!badge) return;
+
+    // Video titles keep the copy button last
+    const copyBtn = element.querySelector('.video-title-copy-btn');
+    element.insertBefore(badge, copyBtn);
+  },
+
+  /**
+   * Re-check every thumbnail title and video title after the validation rules change
+   */
+  refreshValidationBadges() {
+    this.editors.forEach(({ element }) => {
+      element.querySelectorAll('.thumbnail-option').forEach((option) => {
+        this.setValidationBadge(option, option.firstChild?.textContent || '', 'thumbnailTitle');
+      });
+      element.querySelectorAll('.video-title-item').forEach((item) => {
+        this.setValidationBadge(item, item.querySelector('.video-title-text').textContent, 'title');
+      });
+    });
+  },
+
   async downloadAll() {
     for (let i = 0; i < this.editors.length; i++) {
       await this.downloadThumbnail(this.editors[i], i + 1);
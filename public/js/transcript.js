@@ -2,6 +2,9 @@
 
 const Transcript = {
   data: null,
+  editing: false,
+  history: [], // Undo stack of transcript snapshots
+  MAX_HISTORY: 50,
 
   init() {
     document.getElementById('generate-metadata-btn').addEventListener('click', () => {
@@ -12,6 +15,95 @@ const Transcript = {
     document.getElementById('copy-transcript-btn').addEventListener('click', () => {
       this.copyToClipboard();
     });
+
+    // Export menu
+    const exportMenu = document.getElementById('export-menu');
+    document.getElementById('export-transcript-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportMenu.classList.toggle('hidden');
+    });
+
+    exportMenu.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    exportMenu.querySelectorAll('[data-format]').forEach((item) => {
+      item.addEventListener('click', () => {
+        exportMenu.classList.add('hidden');
+        this.exportAs(item.dataset.format);
+      });
+    });
+
+    document.addEventListener('click', () => {
+      exportMenu.classList.add('hidden');
+    });
+
+    // Editing
+    // Transcribe again instead of using the transcript of an earlier upload
+    document.getElementById('retranscribe-btn').addEventListener('click', () => {
+      if (confirm('Transcribe this video again? This is a paid call and replaces the transcript, including your edits.')) {
+        this.startTranscription(null, true);
+      }
+    });
+
+    document.getElementById('edit-transcript-btn').addEventListener('click', () => {
+      this.setEditing(!this.editing);
+    });
+
+    document.getElementById('undo-transcript-btn').addEventListener('click', () => {
+      this.undo();
+    });
+
+    // Ctrl/Cmd+Z undoes transcript edits when not typing in a field
+    document.addEventListener('keydown', (e) => {
+      if (!this.editing || !(e.ctrlKey || e.metaKey) || e.key !== 'z') return;
+      const target = e.target;
+      if (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') return;
+      e.preventDefault();
+      this.undo();
+    });
+  },
+
+  // Download the transcript as captions or a readable transcript
+  async exportAs(format) {
+    if (!this.data || this.data.length === 0) {
+      return;
+    }
+
+    try {
+      const name = document.getElementById('video-name').textContent;
+      const response = await fetch('/api/export/transcript', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          transcript: this.data,
+          format,
+          name,
+          options: {
+            speakerPrefix: document.getElementById('export-speaker-prefix').checked,
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Export failed');
+      }
+
+      // Use the server's filename from Content-Disposition
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filenameMatch = disposition.match(/filename="?([^"]+)"?/);
+      const blob = await response.blob();
+
+      const link = document.createElement('a');
+      link.download = filenameMatch ? filenameMatch[1] : `transcript.${format}`;
+      link.href = URL.createObjectURL(blob);
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+      console.error('Transcript export error:', error);
+      alert(`Export failed: ${error.message}`);
+    }
   },
 
   copyToClipboard() {
@@ -40,7 +132,9 @@ const Transcript = {
     });
   },
 
-  async startTranscription() {
+  // resumeJobId follows an already-running transcription job instead of starting a new one;
+  // force transcribes even if this video was transcribed before
+  async startTranscription(resumeJobId = null, force = false) {
     const section = document.getElementById('transcript-section');
     const loading = document.getElementById('transcript-loading');
     const container = document.getElementById('transcript-container');
@@ -51,37 +145,43 @@ const Transcript = {
     loading.classList.remove('hidden');
     container.innerHTML = '';
     generateBtn.disabled = true;
+    document.getElementById('transcript-cache-note').classList.add('hidden');
+
+    const loadingText = loading.querySelector('p');
+    const onProgress = (job) => {
+      loadingText.textContent = job.message;
+      Player.showJobProgress('transcribe-status', job);
+    };
 
     try {
       const settings = Settings.get();
 
-      const response = await fetch('/api/transcribe', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: Uploader.sessionId,
-          filename: Uploader.filename,
-          model: settings.transcriptionModel,
-          chunkMinutes: settings.chunkMinutes,
-        }),
-      });
+      const result = resumeJobId
+        ? await Jobs.follow(resumeJobId, onProgress)
+        : await Jobs.run('/api/transcribe', {
+            sessionId: Uploader.sessionId,
+            filename: Uploader.filename,
+            model: settings.transcriptionModel,
+            chunkMinutes: settings.chunkMinutes,
+            speakerIds: Speakers.getExpectedIds(),
+            force,
+          }, onProgress);
 
-      const result = await response.json();
-
-      if (!response.ok) {
-        const error = new Error(result.error || 'Transcription failed');
-        error.billingUrl = result.billingUrl;
-        error.isBillingError = result.isBillingError;
-        throw error;
-      }
       this.data = result.transcript;
+      this.showCacheNote('transcript-cache-note', result, 'Transcript reused from an earlier upload of this video');
+      this.resetHistory();
 
       // Render transcript
       this.render();
+      this.showCorrections(result.corrections);
+      Usage.refresh();
 
       // Enable generate button
       generateBtn.disabled = false;
 
+      // Persist right away - this is the expensive step
+      Projects.saveNow();
+
       // Auto-start metadata generation
       console.log('Transcript complete, auto-starting metadata generation...');
       Metadata.generate();
@@ -107,6 +207,22 @@ const Transcript = {
       }
     } finally {
       loading.classList.add('hidden');
+      loadingText.textContent = 'Transcribing video...';
+    }
+  },
+
+  // Restore a transcript saved on a project
+  async restore(project) {
+    document.getElementById('transcript-section').classList.remove('hidden');
+    this.data = project.transcript;
+    this.resetHistory();
+    this.render();
+    document.getElementById('generate-metadata-btn').disabled = false;
+
+    if (project.metadata?.data) {
+      Metadata.restore(project.metadata);
+    } else {
+      Metadata.generate();
     }
   },
 
@@ -178,6 +294,11 @@ const Transcript = {
       return;
     }
 
+    if (this.editing) {
+      this.renderEditor();
+      return;
+    }
+
     // Group continuous speech by speaker
     const speakerGroups = this.groupBySpeaker();
 
@@ -190,11 +311,11 @@ const Transcript = {
 
       div.innerHTML = `
         <div class="speaker">
-          ${group.speaker}
+          ${this.escapeHtml(group.speaker)}
           <span class="timestamp">${timestamp}</span>
         </div>
         <div class="text">
-          ${paragraphs.map(p => `<p>${p}</p>`).join('')}
+          ${paragraphs.map(p => `<p>${this.escapeHtml(p)}</p>`).join('')}
         </div>
       `;
 
@@ -207,6 +328,292 @@ const Transcript = {
     });
   },
 
+  // Show which glossary corrections were made to the transcript
+  // Say when a result came from the cache (an earlier upload of the same video)
+  showCacheNote(noteId, result, label) {
+    const note = document.getElementById(noteId);
+    note.classList.toggle('hidden', !result.cached);
+    if (result.cached) {
+      note.querySelector('.cache-note-text').textContent = `${label} (${new Date(result.cachedAt).toLocaleString()})`;
+    }
+  },
+
+  showCorrections(report) {
+    const details = document.getElementById('glossary-report');
+    if (!report || report.totalReplacements === 0) {
+      details.classList.add('hidden');
+      return;
+    }
+
+    const count = report.totalReplacements;
+    details.querySelector('summary').textContent = `Glossary fixed ${count} spelling${count === 1 ? '' : 's'}`;
+    details.querySelector('.glossary-report-list').innerHTML = report.replacements
+      .map(r => `<li><s>${this.escapeHtml(r.from)}</s> → <strong>${this.escapeHtml(r.term)}</strong>${r.count > 1 ? ` (×${r.count})` : ''}</li>`)
+      .join('');
+    details.classList.remove('hidden');
+  },
+
+  // ============== EDITING ==============
+
+  setEditing(editing) {
+    this.editing = editing;
+
+    const editBtn = document.getElementById('edit-transcript-btn');
+    editBtn.querySelector('.icon').textContent = editing ? '✓' : '✏️';
+    editBtn.querySelector('.btn-text').textContent = editing ? 'Done' : 'Edit';
+    editBtn.classList.toggle('active', editing);
+
+    document.getElementById('undo-transcript-btn').classList.toggle('hidden', !editing);
+    document.getElementById('transcript-speakers').classList.toggle('hidden', !editing);
+
+    this.render();
+  },
+
+  // Save a snapshot before a change so it can be undone
+  pushHistory() {
+    this.history.push(JSON.stringify(this.data));
+    if (this.history.length > this.MAX_HISTORY) {
+      this.history.shift();
+    }
+    this.updateUndoButton();
+  },
+
+  undo() {
+    if (this.history.length === 0) return;
+    this.data = JSON.parse(this.history.pop());
+    this.updateUndoButton();
+    this.render();
+    Projects.scheduleSave();
+  },
+
+  resetHistory() {
+    this.history = [];
+    this.updateUndoButton();
+  },
+
+  updateUndoButton() {
+    document.getElementById('undo-transcript-btn').disabled = this.history.length === 0;
+  },
+
+  // Record an edit: snapshot first, then mutate, then re-render and save
+  applyEdit(mutate) {
+    this.pushHistory();
+    mutate();
+    this.data.forEach((segment, index) => {
+      segment.id = index;
+    });
+    this.render();
+    Projects.scheduleSave();
+  },
+
+  getSpeakers() {
+    const counts = new Map();
+    (this.data || []).forEach((segment) => {
+      counts.set(segment.speaker, (counts.get(segment.speaker) || 0) + 1);
+    });
+    return Array.from(counts.entries()).map(([name, count]) => ({ name, count }));
+  },
+
+  // Rewrite every segment carrying a speaker label
+  renameSpeaker(oldName, newName) {
+    if (!newName || newName === oldName) return;
+    this.applyEdit(() => {
+      this.data.forEach((segment) => {
+        if (segment.speaker === oldName) {
+          segment.speaker = newName;
+        }
+      });
+    });
+  },
+
+  setSegmentSpeaker(index, speaker) {
+    if (!speaker || this.data[index].speaker === speaker) return;
+    this.applyEdit(() => {
+      this.data[index].speaker = speaker;
+    });
+  },
+
+  setSegmentText(index, text) {
+    const trimmed = text.replace(/\s+/g, ' ').trim();
+    if (trimmed === this.data[index].text.trim()) return;
+    this.applyEdit(() => {
+      this.data[index].text = trimmed;
+    });
+  },
+
+  // Merge a segment with the one after it
+  mergeWithNext(index) {
+    const current = this.data[index];
+    const next = this.data[index + 1];
+    if (!next) return;
+
+    this.applyEdit(() => {
+      current.text = `${current.text.trim()} ${next.text.trim()}`;
+      current.end = next.end;
+      this.data.splice(index + 1, 1);
+    });
+  },
+
+  // Split a segment at a character offset, dividing its time in proportion to the text
+  splitAt(index, offset) {
+    const segment = this.data[index];
+    const text = segment.text;
+    const before = text.slice(0, offset).trim();
+    const after = text.slice(offset).trim();
+
+    if (!before || !after) {
+      alert('Place the cursor inside the text where the segment should be split');
+      return;
+    }
+
+    const splitTime = segment.start + (segment.end - segment.start) * (offset / text.length);
+
+    this.applyEdit(() => {
+      this.data.splice(index, 1,
+        { ...segment, text: before, end: splitTime },
+        { ...segment, text: after, start: splitTime }
+      );
+    });
+  },
+
+  renderSpeakerPanel() {
+    const panel = document.getElementById('transcript-speakers');
+    panel.innerHTML = '<span class="speakers-label">Speakers:</span>';
+
+    this.getSpeakers().forEach(({ name, count }) => {
+      const chip = document.createElement('button');
+      chip.className = `speaker-chip ${this.getSpeakerClass(name)}`;
+      chip.title = 'Rename this speaker everywhere';
+      chip.textContent = `${name} (${count})`;
+      chip.addEventListener('click', () => {
+        const newName = prompt(`Rename "${name}" in all ${count} segments to:`, name);
+        if (newName) {
+          this.renameSpeaker(name, newName.trim());
+        }
+      });
+      panel.appendChild(chip);
+    });
+  },
+
+  renderEditor() {
+    const container = document.getElementById('transcript-container');
+    const speakers = this.getSpeakers().map(s => s.name);
+
+    this.renderSpeakerPanel();
+
+    this.data.forEach((segment, index) => {
+      const row = document.createElement('div');
+      row.className = `transcript-segment editable ${this.getSpeakerClass(segment.speaker)}`;
+
+      const header = document.createElement('div');
+      header.className = 'speaker';
+
+      // Speaker picker: existing labels plus a way to add a new one
+      const speakerSelect = document.createElement('select');
+      speakerSelect.className = 'segment-speaker-select';
+      speakerSelect.innerHTML = speakers
+        .map(name => `<option value="${this.escapeHtml(name)}"${name === segment.speaker ? ' selected' : ''}>${this.escapeHtml(name)}</option>`)
+        .join('') + '<option value="__new__">New speaker...</option>';
+      speakerSelect.addEventListener('change', () => {
+        let speaker = speakerSelect.value;
+        if (speaker === '__new__') {
+          speaker = (prompt('New speaker name:') || '').trim();
+        }
+        if (speaker) {
+          this.setSegmentSpeaker(index, speaker);
+        } else {
+          speakerSelect.value = segment.speaker;
+        }
+      });
+
+      const timestamp = document.createElement('span');
+      timestamp.className = 'timestamp seekable';
+      timestamp.textContent = this.formatTimestamp(segment.start);
+      timestamp.title = 'Play from here';
+      timestamp.addEventListener('click', () => {
+        Player.seekTo(segment.start);
+      });
+
+      const actions = document.createElement('span');
+      actions.className = 'segment-actions';
+
+      const text = document.createElement('div');
+      text.className = 'text segment-text';
+      text.contentEditable = true;
+      text.textContent = segment.text;
+      text.addEventListener('blur', () => {
+        this.setSegmentText(index, text.textContent);
+      });
+      text.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          text.blur();
+        }
+        if (e.key === 'Escape') {
+          text.textContent = segment.text;
+          text.blur();
+        }
+      });
+
+      const splitBtn = document.createElement('button');
+      splitBtn.className = 'segment-action-btn';
+      splitBtn.textContent = '✂️';
+      splitBtn.title = 'Split at cursor';
+      // mousedown fires before the text loses focus, so the caret position is still available
+      splitBtn.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const offset = this.getCaretOffset(text);
+        if (offset === null) {
+          alert('Click in the text where the segment should be split first');
+          return;
+        }
+        // Keep any typing done before splitting
+        segment.text = text.textContent;
+        this.splitAt(index, offset);
+      });
+
+      const mergeBtn = document.createElement('button');
+      mergeBtn.className = 'segment-action-btn';
+      mergeBtn.textContent = '⤵️';
+      mergeBtn.title = 'Merge with next segment';
+      mergeBtn.disabled = index === this.data.length - 1;
+      mergeBtn.addEventListener('click', () => {
+        this.mergeWithNext(index);
+      });
+
+      actions.appendChild(splitBtn);
+      actions.appendChild(mergeBtn);
+
+      header.appendChild(speakerSelect);
+      header.appendChild(timestamp);
+      header.appendChild(actions);
+
+      row.appendChild(header);
+      row.appendChild(text);
+      container.appendChild(row);
+    });
+  },
+
+  // Character offset of the caret within an element, or null if the caret is elsewhere
+  getCaretOffset(element) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+
+    const range = selection.getRangeAt(0);
+    if (!element.contains(range.startContainer)) return null;
+
+    const preRange = range.cloneRange();
+    preRange.selectNodeContents(element);
+    preRange.setEnd(range.startContainer, range.startOffset);
+    return preRange.toString().length;
+  },
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
   getSpeakerClass(speaker) {
     const name = speaker.toLowerCase().replace(/\s+/g, '-');
     if (name.includes('justin') || name.includes('wolfers')) return 'justin-wolfers';
@@ -1,4 +1,4 @@
-// Video upload handling with parallel chunked uploads
+// Video and audio upload handling with parallel chunked uploads
 
 const Uploader = {
   sessionId: null,
@@ -6,9 +6,20 @@ const Uploader = {
 
   // Configurable settings (tuned for fast connections)
   CHUNK_SIZE: 20 * 1024 * 1024, // 20MB chunks - fewer requests
-  MAX_PARALLEL_UPLOADS: 10, // Number of concurrent chunk uploads
+  DEFAULT_PARALLEL_UPLOADS: 4, // Concurrent chunk uploads unless Settings says otherwise
   MIN_FILE_SIZE_FOR_CHUNKING: 50 * 1024 * 1024, // Use chunked upload for files > 50MB
 
+  // A chunk that fails (network error, server error, or corrupted on the way) is sent
+  // again after 1s, 2s, 4s, ... up to this many attempts
+  MAX_CHUNK_ATTEMPTS: 5,
+  RETRY_BASE_DELAY_MS: 1000,
+
+  // Chunked uploads in progress are remembered in localStorage by file name, size and
+  // last-modified time, so choosing the same file after a reload resumes the upload.
+  // The server forgets uploads after a day without chunks
+  RESUME_KEY_PREFIX: 'upload:',
+  RESUME_MAX_AGE_MS: 24 * 60 * 60 * 1000,
+
   init() {
     const dropZone = document.getElementById('drop-zone');
     const fileInput = document.getElementById('file-input');
@@ -38,12 +49,83 @@ const Uploader = {
         this.uploadFile(e.target.files[0]);
       }
     });
+
+    this.renderResumeHint();
+  },
+
+  resumeKey(file) {
+    return `${this.RESUME_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+  },
+
+  rememberUpload(file, uploadId) {
+    localStorage.setItem(this.resumeKey(file), JSON.stringify({
+      uploadId,
+      name: file.name,
+      chunkSize: this.CHUNK_SIZE,
+      lastActiveAt: Date.now(),
+    }));
+  },
+
+  // Uploads a reload interrupted: [{ key, uploadId, name, chunkSize, lastActiveAt }]
+  pendingUploads() {
+    const pending = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key.startsWith(this.RESUME_KEY_PREFIX)) continue;
+      try {
+        pending.push({ key, ...JSON.parse(localStorage.getItem(key)) });
+      } catch {
+        pending.push({ key, lastActiveAt: 0 });
+      }
+    }
+
+    const now = Date.now();
+    return pending.filter((upload) => {
+      const fresh = now - upload.lastActiveAt < this.RESUME_MAX_AGE_MS;
+      if (!fresh) localStorage.removeItem(upload.key);
+      return fresh;
+    });
+  },
+
+  renderResumeHint() {
+    const hint = document.getElementById('upload-resume-hint');
+    const names = this.pendingUploads().map(upload => upload.name);
+    hint.textContent = names.length > 0
+      ? `Unfinished upload: ${names.join(', ')}. Choose the same file to continue where it left off.`
+      : '';
+    hint.classList.toggle('hidden', names.length === 0);
+  },
+
+  // The server's status of the upload to continue for this file, or null to start over
+  async findResumableUpload(file, totalChunks) {
+    const key = this.resumeKey(file);
+    const saved = this.pendingUploads().find(upload => upload.key === key);
+    if (!saved) return null;
+
+    try {
+      if (saved.chunkSize === this.CHUNK_SIZE) {
+        const response = await fetch(`/api/upload/status/${saved.uploadId}`);
+        if (response.ok) {
+          const status = await response.json();
+          const sameFile = status.filename === file.name
+            && status.fileSize === file.size
+            && status.lastModified === file.lastModified
+            && status.totalChunks === totalChunks;
+          if (sameFile) return status;
+        }
+      }
+    } catch (error) {
+      console.error('Failed to check for a resumable upload:', error);
+    }
+
+    localStorage.removeItem(key);
+    return null;
   },
 
   async uploadFile(file) {
     // Validate file type
-    if (!file.type.startsWith('video/')) {
-      alert('Please select a video file');
+    if (!file.type.startsWith('video/') && !file.type.startsWith('audio/')) {
+      alert('Please select a video or audio file');
       return;
     }
 
@@ -74,86 +156,130 @@ const Uploader = {
     console.log(`Splitting into ${totalChunks} chunks of ${this.CHUNK_SIZE / 1024 / 1024}MB`);
 
     try {
-      // Step 1: Initialize upload
+      // Step 1: Continue an interrupted upload of this file, or start a new one
       progressText.textContent = 'Initializing upload...';
-      const initResponse = await fetch('/api/upload/init', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          filename: file.name,
-          fileSize: file.size,
-          totalChunks,
-        }),
-      });
+      let uploadId;
+      let alreadyReceived = [];
+
+      const resumable = await this.findResumableUpload(file, totalChunks);
+      if (resumable) {
+        uploadId = resumable.uploadId;
+        alreadyReceived = resumable.receivedChunks;
+        this.rememberUpload(file, uploadId);
+        console.log(`Resuming upload ${uploadId}: ${alreadyReceived.length}/${totalChunks} chunks already received`);
+      } else {
+        const initResponse = await fetch('/api/upload/init', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            filename: file.name,
+            fileSize: file.size,
+            totalChunks,
+            lastModified: file.lastModified,
+          }),
+        });
 
-      if (!initResponse.ok) {
-        const error = await initResponse.json();
-        throw new Error(error.error || 'Failed to initialize upload');
-      }
+        if (!initResponse.ok) {
+          const error = await initResponse.json();
+          throw new Error(error.error || 'Failed to initialize upload');
+        }
+
+        ({ uploadId } = await initResponse.json());
+        console.log('Upload initialized:', uploadId);
 
-      const { uploadId, sessionId } = await initResponse.json();
-      console.log('Upload initialized:', uploadId);
+        this.rememberUpload(file, uploadId);
+      }
 
-      // Step 2: Upload chunks in parallel
+      // Step 2: Upload chunks in parallel, each with its SHA-256 so the server can check it
+      if (!this.canChecksum()) {
+        console.warn('Web Crypto needs HTTPS or localhost: uploading without checksums');
+      }
+      const concurrency = Settings.get().uploadConcurrency || this.DEFAULT_PARALLEL_UPLOADS;
+      const chunkHashes = new Array(totalChunks);
       const chunkProgress = new Array(totalChunks).fill(0);
-      let completedChunks = 0;
+      alreadyReceived.forEach((chunkIndex) => { chunkProgress[chunkIndex] = 100; });
 
       const updateProgress = () => {
         const totalProgress = chunkProgress.reduce((a, b) => a + b, 0) / totalChunks;
+        const completedChunks = chunkProgress.filter(progress => progress === 100).length;
         progressFill.style.width = `${totalProgress}%`;
         progressText.textContent = `Uploading... ${Math.round(totalProgress)}% (${completedChunks}/${totalChunks} chunks)`;
       };
 
       // Create chunk upload promises
       const uploadChunk = async (chunkIndex) => {
-        const start = chunkIndex * this.CHUNK_SIZE;
-        const end = Math.min(start + this.CHUNK_SIZE, file.size);
-        const chunk = file.slice(start, end);
+        const chunk = this.chunkOf(file, chunkIndex);
+        chunkHashes[chunkIndex] = await this.sha256(chunk);
+
+        const headers = {
+          'Content-Type': 'application/octet-stream',
+          'X-Upload-Id': uploadId,
+          'X-Chunk-Index': chunkIndex.toString(),
+        };
+        if (chunkHashes[chunkIndex]) {
+          headers['X-Chunk-SHA256'] = chunkHashes[chunkIndex];
+        }
 
-        const response = await fetch('/api/upload/chunk', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/octet-stream',
-            'X-Upload-Id': uploadId,
-            'X-Chunk-Index': chunkIndex.toString(),
-          },
-          body: chunk,
+        await this.withRetry(`Chunk ${chunkIndex}`, async () => {
+          const response = await fetch('/api/upload/chunk', {
+            method: 'POST',
+            headers,
+            body: chunk,
+          });
+          await this.checkResponse(response);
         });
 
-        if (!response.ok) {
-          const error = await response.json();
-          throw new Error(`Chunk ${chunkIndex} failed: ${error.error}`);
-        }
-
         chunkProgress[chunkIndex] = 100;
-        completedChunks++;
         updateProgress();
 
         return chunkIndex;
       };
 
-      // Upload chunks with controlled parallelism
-      const chunkIndices = Array.from({ length: totalChunks }, (_, i) => i);
-      await this.parallelLimit(chunkIndices, this.MAX_PARALLEL_UPLOADS, uploadChunk);
+      // Upload the missing chunks with controlled parallelism
+      updateProgress();
+      const chunkIndices = Array.from({ length: totalChunks }, (_, i) => i)
+        .filter(chunkIndex => !alreadyReceived.includes(chunkIndex));
+      await this.parallelLimit(chunkIndices, concurrency, uploadChunk);
+
+      // Chunks sent before a reload are hashed here; the manifest hash needs them all
+      let fileHash = null;
+      if (this.canChecksum()) {
+        for (const chunkIndex of alreadyReceived) {
+          chunkHashes[chunkIndex] = await this.sha256(this.chunkOf(file, chunkIndex));
+        }
+        fileHash = await this.sha256(new Blob([chunkHashes.join('')]));
+      }
 
-      // Step 3: Complete upload
-      progressText.textContent = 'Assembling file...';
-      const completeResponse = await fetch('/api/upload/complete', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ uploadId }),
-      });
+      // Step 3: Complete upload. If the assembled file doesn't match, the server lists the
+      // chunks that differ; those are sent again
+      let completeResponse;
+      for (let attempt = 1; ; attempt++) {
+        progressText.textContent = 'Assembling file...';
+        completeResponse = await fetch('/api/upload/complete', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ uploadId, fileHash, chunkHashes }),
+        });
+        if (completeResponse.ok) break;
 
-      if (!completeResponse.ok) {
         const error = await completeResponse.json();
-        throw new Error(error.error || 'Failed to complete upload');
+        const resend = completeResponse.status === 422 ? error.missingChunks || [] : [];
+        if (resend.length === 0 || attempt >= this.MAX_CHUNK_ATTEMPTS) {
+          throw new Error(error.error || 'Failed to complete upload');
+        }
+        console.warn(`Upload checksum mismatch, sending chunks ${resend.join(', ')} again`);
+        resend.forEach((chunkIndex) => { chunkProgress[chunkIndex] = 0; });
+        await this.parallelLimit(resend, concurrency, uploadChunk);
       }
 
       const result = await completeResponse.json();
       console.log('Upload complete:', result);
+      localStorage.removeItem(this.resumeKey(file));
+      this.renderResumeHint();
 
       this.sessionId = result.sessionId;
       this.filename = result.filename;
+      Usage.refresh();
 
       progressFill.style.width = '100%';
       progressText.textContent = 'Upload complete!';
@@ -164,12 +290,61 @@ const Uploader = {
           name: result.originalName,
           size: result.size,
           lastModified: file.lastModified,
+          mediaType: result.mediaType,
+          proxyJobId: result.proxyJobId,
         });
       }, 500);
 
     } catch (error) {
       console.error('Chunked upload error:', error);
-      this.handleUploadError(error.message, dropZoneContent, progressContainer);
+      this.renderResumeHint();
+      const canResume = !!localStorage.getItem(this.resumeKey(file));
+      const message = canResume ? `${error.message}\n\nChoose the same file again to resume the upload.` : error.message;
+      this.handleUploadError(message, dropZoneContent, progressContainer);
+    }
+  },
+
+  chunkOf(file, chunkIndex) {
+    const start = chunkIndex * this.CHUNK_SIZE;
+    return file.slice(start, Math.min(start + this.CHUNK_SIZE, file.size));
+  },
+
+  // Web Crypto is only available over HTTPS or on localhost; elsewhere uploads go unchecked
+  canChecksum() {
+    return Boolean(window.crypto?.subtle);
+  },
+
+  // Hex SHA-256 of a blob, or null without Web Crypto
+  async sha256(blob) {
+    if (!this.canChecksum()) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  },
+
+  // Throw for a failed response; network errors, server errors, rate limits and chunks
+  // that arrived corrupted are worth retrying, other refusals aren't
+  async checkResponse(response) {
+    if (response.ok) return;
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.retryable = response.status === 422 || response.status === 429 || response.status >= 500;
+    throw error;
+  },
+
+  // Run a request, retrying with exponential backoff (and a little jitter)
+  async withRetry(label, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        const retryable = error.retryable !== false; // fetch rejects network errors without a flag
+        if (!retryable || attempt >= this.MAX_CHUNK_ATTEMPTS) {
+          throw new Error(`${label} failed: ${error.message}`);
+        }
+        const delay = this.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.random() * 250;
+        console.warn(`${label} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
   },
 
@@ -196,6 +371,8 @@ const Uploader = {
 
   async standardUpload(file, progressFill, progressText, dropZoneContent, progressContainer) {
     const formData = new FormData();
+    // Text fields must precede the file so multer has them when the file arrives
+    formData.append('lastModified', file.lastModified);
     formData.append('video', file);
 
     const xhr = new XMLHttpRequest();
@@ -222,6 +399,7 @@ const Uploader = {
             console.log('Upload response:', response);
             self.sessionId = response.sessionId;
             self.filename = response.filename;
+            Usage.refresh();
 
             progressText.textContent = 'Upload complete!';
 
@@ -231,6 +409,8 @@ const Uploader = {
                 name: response.originalName,
                 size: response.size,
                 lastModified: file.lastModified,
+                mediaType: response.mediaType,
+                proxyJobId: response.proxyJobId,
               });
             }, 500);
             resolve(response);
@@ -0,0 +1,81 @@
+// AI spend: the cost badge in the header and the monthly summary in settings
+
+const Usage = {
+  month: null,
+  session: null,
+  budget: null,
+
+  init() {
+    this.refresh();
+  },
+
+  // Reload totals for this month and the current video (call after anything that uses AI)
+  async refresh() {
+    try {
+      const response = await fetch('/api/usage');
+      const data = await response.json();
+      if (data.success) {
+        this.month = data.usage;
+        this.budget = data.budget;
+      }
+
+      this.session = null;
+      if (Uploader.sessionId) {
+        const sessionResponse = await fetch(`/api/usage/sessions/${Uploader.sessionId}`);
+        const sessionData = await sessionResponse.json();
+        if (sessionData.success) {
+          this.session = sessionData.usage;
+        }
+      }
+
+      this.render();
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  },
+
+  formatCost(cost) {
+    if (cost > 0 && cost < 0.01) return '<$0.01';
+    return `$${cost.toFixed(2)}`;
+  },
+
+  // Tooltip lines for a set of totals
+  describe(label, usage) {
+    const lines = [`${label}: ${this.formatCost(usage.cost)} over ${usage.calls} AI call${usage.calls === 1 ? '' : 's'}`];
+    if (usage.audioSeconds > 0) lines.push(`  ${(usage.audioSeconds / 60).toFixed(1)} audio minutes transcribed`);
+    if (usage.inputTokens + usage.outputTokens > 0) {
+      lines.push(`  ${usage.inputTokens.toLocaleString()} input / ${usage.outputTokens.toLocaleString()} output tokens`);
+    }
+    if (usage.images > 0) lines.push(`  ${usage.images} frames analyzed`);
+    if (usage.unpricedCalls > 0) lines.push(`  ${usage.unpricedCalls} call${usage.unpricedCalls === 1 ? '' : 's'} to models without a price (not counted)`);
+    return lines;
+  },
+
+  render() {
+    const badge = document.getElementById('cost-badge');
+    if (!this.month || !this.budget) return;
+
+    const monthName = new Date(`${this.budget.month}-01T00:00:00Z`).toLocaleString(undefined, { month: 'long', timeZone: 'UTC' });
+    const budgetText = this.budget.limit > 0 ? ` / ${this.formatCost(this.budget.limit)}` : '';
+    const parts = [];
+    if (this.session) parts.push(`This video ${this.formatCost(this.session.cost)}`);
+    parts.push(`${monthName} ${this.formatCost(this.month.cost)}${budgetText}`);
+
+    badge.textContent = parts.join(' · ');
+    badge.title = [
+      ...(this.session ? this.describe('This video', this.session) : []),
+      ...this.describe(monthName, this.month),
+      'Costs are estimates from the price table',
+    ].join('\n');
+
+    const nearLimit = this.budget.limit > 0 && this.budget.spent >= this.budget.limit * 0.8;
+    badge.classList.toggle('over-budget', this.budget.exceeded);
+    badge.classList.toggle('near-budget', nearLimit && !this.budget.exceeded);
+    badge.classList.remove('hidden');
+
+    const summary = document.getElementById('usage-summary');
+    summary.textContent = this.budget.exceeded
+      ? `Budget reached: ${this.formatCost(this.budget.spent)} spent this month. AI features are paused until the budget is raised or the month ends.`
+      : `${this.formatCost(this.month.cost)} spent this month${this.budget.limit > 0 ? `, ${this.formatCost(this.budget.remaining)} left` : ''}.`;
+  },
+};
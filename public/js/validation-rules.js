@@ -0,0 +1,68 @@
+// Channel rules for the metadata validator (edited in the settings modal)
+
+const ValidationRules = {
+  rules: { ...Validator.DEFAULT_RULES },
+
+  async init() {
+    await this.load();
+  },
+
+  async load() {
+    try {
+      const response = await fetch('/api/validation-rules');
+      const data = await response.json();
+      if (data.success) {
+        this.rules = data.rules;
+        this.render();
+      }
+    } catch (error) {
+      console.error('Failed to load validation rules:', error);
+    }
+  },
+
+  render() {
+    document.getElementById('title-truncate-length').value = this.rules.titleTruncateLength;
+    document.getElementById('thumbnail-title-max-length').value = this.rules.thumbnailTitleMaxLength;
+    document.getElementById('max-caps-percent').value = Math.round(this.rules.maxCapsRatio * 100);
+    document.getElementById('banned-words').value = this.rules.bannedWords.join(', ');
+    document.getElementById('clickbait-words').value = this.rules.clickbaitWords.join(', ');
+  },
+
+  readForm() {
+    const words = id => document.getElementById(id).value
+      .split(',')
+      .map(w => w.trim())
+      .filter(Boolean);
+
+    return {
+      titleTruncateLength: parseInt(document.getElementById('title-truncate-length').value),
+      thumbnailTitleMaxLength: parseInt(document.getElementById('thumbnail-title-max-length').value),
+      maxCapsRatio: parseInt(document.getElementById('max-caps-percent').value) / 100,
+      bannedWords: words('banned-words'),
+      clickbaitWords: words('clickbait-words'),
+    };
+  },
+
+  // Save the rules (called when settings are saved) and re-check what's on screen
+  async save() {
+    try {
+      const response = await fetch('/api/validation-rules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: this.readForm() }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(`Metadata checks not saved: ${data.error}`);
+        return false;
+      }
+      this.rules = data.rules;
+      this.render();
+      Metadata.refreshValidation();
+      return true;
+    } catch (error) {
+      console.error('Failed to save validation rules:', error);
+      return false;
+    }
+  },
+};
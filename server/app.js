@@ -0,0 +1,254 @@
+// The Express app; server/index.js starts it, tests boot it on a port of their own
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const path = require('path');
+const { getProvider } = require('./lib/providers');
+const { UPLOADS_DIR } = require('./lib/paths');
+const { authenticate, requireAuth, requireRole } = require('./lib/auth');
+const { cleanupOldFiles, cleanupSession, getUploadStats } = require('./lib/cleanup');
+const { isValidSessionId } = require('./lib/security');
+const { apiRateLimit, readRateLimit } = require('./lib/rate-limit');
+
+// Environment check
+const isProduction = process.env.NODE_ENV === 'production';
+
+const transcribeRoutes = require('./routes/transcribe');
+const generateRoutes = require('./routes/generate');
+const extractFramesRoutes = require('./routes/extract-frames');
+const chunkedUploadRoutes = require('./routes/chunked-upload');
+const projectRoutes = require('./routes/projects');
+const jobRoutes = require('./routes/jobs');
+const exportRoutes = require('./routes/export');
+const speakerRoutes = require('./routes/speakers');
+const glossaryRoutes = require('./routes/glossary');
+const validationRoutes = require('./routes/validation');
+const usageRoutes = require('./routes/usage');
+const authRoutes = require('./routes/auth');
+const settingsRoutes = require('./routes/settings');
+const promptRoutes = require('./routes/prompts');
+const channelRoutes = require('./routes/channels');
+const audioRoutes = require('./routes/audio');
+
+const app = express();
+
+// CORS configuration
+// In production, set ALLOWED_ORIGINS env variable to restrict access
+// e.g., ALLOWED_ORIGINS=https://yourdomain.com,https://app.yourdomain.com
+const allowedOrigins = process.env.ALLOWED_ORIGINS
+  ? process.env.ALLOWED_ORIGINS.split(',').map(o => o.trim())
+  : null; // null means allow all (development mode)
+
+const corsOptions = allowedOrigins
+  ? {
+      origin: (origin, callback) => {
+        // Allow requests with no origin (like mobile apps or curl)
+        if (!origin) return callback(null, true);
+        if (allowedOrigins.includes(origin)) {
+          callback(null, true);
+        } else {
+          callback(new Error('Not allowed by CORS'));
+        }
+      },
+    }
+  : {}; // Empty options = allow all origins
+
+// Middleware
+// Security headers (helmet)
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      defaultSrc: ["'self'"],
+      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+      fontSrc: ["'self'", "https://fonts.gstatic.com"],
+      imgSrc: ["'self'", "data:", "blob:"],
+      mediaSrc: ["'self'", "blob:"], // Voice sample previews
+      scriptSrc: ["'self'"],
+      connectSrc: ["'self'"],
+    },
+  },
+  crossOriginEmbedderPolicy: false, // Allow loading images from blob URLs
+}));
+
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '50mb' }));
+
+// Apply rate limiting BEFORE routes
+app.use('/api', apiRateLimit);
+
+// Increase server timeout for large file uploads (10 minutes)
+// Long AI work runs as background jobs (see lib/jobs.js), so this only needs to cover uploads
+app.use((req, res, next) => {
+  res.setTimeout(600000); // 10 minutes
+  next();
+});
+
+// Who is calling (session cookie or X-API-Key) - see lib/auth.js
+app.use(authenticate);
+
+// Send visitors who aren't signed in to the sign-in page (the rest of public/ has nothing private)
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (!req.user) return res.redirect('/login.html');
+  next();
+});
+// The metadata validator lives with the server code; the browser runs the same file
+app.get('/js/validator.js', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib/validator.js'));
+});
+app.use(express.static(path.join(__dirname, '../public')));
+
+// Open to everyone: signing in and the health check
+app.use('/api', authRoutes);
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Everything else needs a signed-in user or the API key
+app.use('/uploads', requireAuth, express.static(UPLOADS_DIR));
+app.use('/api', requireAuth);
+
+// API Routes
+app.use('/api', settingsRoutes);
+app.use('/api', promptRoutes);
+app.use('/api', channelRoutes);
+app.use('/api', transcribeRoutes);
+app.use('/api', generateRoutes);
+app.use('/api', extractFramesRoutes);
+app.use('/api', chunkedUploadRoutes);
+app.use('/api', projectRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', speakerRoutes);
+app.use('/api', glossaryRoutes);
+app.use('/api', validationRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', audioRoutes);
+
+// ============== MODELS API ==============
+
+// List available models from the configured AI provider
+app.get('/api/models', async (req, res) => {
+  try {
+    const provider = getProvider();
+    console.log('=== Models API Call ===');
+    console.log('Provider:', provider.name);
+
+    const modelIds = await provider.listModels();
+
+    console.log('=== Models API Response ===');
+    console.log('Total models returned:', modelIds.length);
+
+    // Self-hosted gateways name models freely, so offer all of them
+    if (provider.name === 'openai-compatible') {
+      const all = [...modelIds].sort();
+      const transcription = all.filter(id => id.includes('transcribe') || id.includes('whisper'));
+      return res.json({
+        success: true,
+        models: { chat: all, transcription: transcription.length > 0 ? transcription : all, vision: all },
+      });
+    }
+
+    // Filter to GPT models (gpt-X.Y format) for chat/responses
+    // Sort from latest to earliest (reverse alphabetical puts higher versions first)
+    const gptModels = modelIds
+      .filter(id => /^gpt-\d/.test(id))
+      .sort()
+      .reverse();
+
+    // Find the latest chat model (ends with -chat-latest) and put it first
+    const latestChatIndex = gptModels.findIndex(m => m.endsWith('-chat-latest'));
+    if (latestChatIndex > 0) {
+      const latestChat = gptModels.splice(latestChatIndex, 1)[0];
+      gptModels.unshift(latestChat);
+    }
+
+    // Filter transcription models
+    const transcriptionModels = modelIds
+      .filter(id => id.includes('transcribe') || id.includes('whisper'))
+      .sort();
+
+    // Vision-capable models (gpt-4o, gpt-4.1, etc.)
+    const visionModels = modelIds
+      .filter(id => /^gpt-(4o|4\.1|4\.5|5)/.test(id) && !id.includes('audio'))
+      .sort();
+
+    console.log('GPT models:', gptModels.length);
+    console.log('Transcription models:', transcriptionModels.length);
+    console.log('Vision models:', visionModels.length);
+
+    res.json({
+      success: true,
+      models: {
+        chat: gptModels,
+        transcription: transcriptionModels,
+        vision: visionModels,
+      },
+    });
+  } catch (error) {
+    console.error('Models list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============== CLEANUP API ==============
+
+// Get upload statistics
+app.get('/api/uploads/stats', (req, res) => {
+  try {
+    const stats = getUploadStats();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Error getting upload stats:', error);
+    res.status(500).json({ error: 'Failed to get upload stats' });
+  }
+});
+
+// Clean up a specific session's files
+app.delete('/api/uploads/:sessionId', requireRole('admin'), (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+
+  try {
+    const result = cleanupSession(sessionId);
+    console.log(`Cleaned up session ${sessionId}:`, result);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error cleaning up session:', error);
+    res.status(500).json({ error: 'Failed to clean up session' });
+  }
+});
+
+// Clean up old files (files older than specified hours, default 24)
+app.post('/api/uploads/cleanup', requireRole('admin'), (req, res) => {
+  const { maxAgeHours = 24 } = req.body;
+  const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
+
+  try {
+    const result = cleanupOldFiles(maxAgeMs);
+    console.log('Cleanup completed:', result);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error during cleanup:', error);
+    res.status(500).json({ error: 'Failed to clean up files' });
+  }
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  // Log error details in development, minimal in production
+  if (isProduction) {
+    console.error('Error:', err.message);
+  } else {
+    console.error('Error:', err);
+  }
+
+  // Don't leak error details in production
+  res.status(err.status || 500).json({
+    error: isProduction ? 'Internal server error' : err.message,
+  });
+});
+
+module.exports = app;
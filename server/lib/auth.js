@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { getUser, hasUsers, createUser, validateCredentials, normalizeUsername, roleOf, hasRole } = require('./users');
+
+/**
+ * Sign-in sessions and route protection
+ * Browsers sign in with a username and password and get an HttpOnly session cookie.
+ * Scripts can instead send the shared secret from API_SECRET in an X-API-Key header;
+ * they act on the shared workspace rather than a user's, with admin access.
+ * Sessions are kept in memory (like jobs), so a restart signs everyone out.
+ */
+const SESSION_COOKIE = 'aw_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, renewed while in use
+const API_KEY_HEADER = 'x-api-key';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Session token -> { username, expiresAt }
+const sessions = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(token);
+  }
+}, 60 * 60 * 1000).unref(); // Hourly
+
+/**
+ * Start a session
+ * @param {string} username
+ * @returns {string} - Session token for the cookie
+ */
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { username, expiresAt: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+function destroySession(token) {
+  sessions.delete(token);
+}
+
+/**
+ * Sign a user out everywhere (after their password changes or their account is removed)
+ * @param {string} username
+ * @param {string} [keepToken] - A session to leave signed in
+ */
+function destroyUserSessions(username, keepToken) {
+  for (const [token, session] of sessions) {
+    if (session.username === username && token !== keepToken) sessions.delete(token);
+  }
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header]
+ * @returns {Object} - Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Ignore malformed values
+    }
+  }
+  return cookies;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax', // Cross-site POSTs don't carry the cookie
+    secure: isProduction,
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: isProduction, path: '/' });
+}
+
+/**
+ * Check an X-API-Key header against API_SECRET (constant time)
+ * @param {string} [key]
+ * @returns {boolean}
+ */
+function isValidApiKey(key) {
+  const secret = process.env.API_SECRET;
+  if (!secret || !key) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(key), digest(secret));
+}
+
+/**
+ * Middleware: work out who is calling
+ * Sets req.user to { username, role, viaApiKey } and req.sessionToken, or leaves req.user null
+ */
+function authenticate(req, res, next) {
+  req.user = null;
+
+  if (isValidApiKey(req.get(API_KEY_HEADER))) {
+    req.user = { username: null, role: 'admin', viaApiKey: true };
+    return next();
+  }
+
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  const user = session && session.expiresAt > Date.now() && getUser(session.username);
+  if (user) {
+    session.expiresAt = Date.now() + SESSION_TTL_MS;
+    req.user = { username: user.username, role: roleOf(user), viaApiKey: false };
+    req.sessionToken = token;
+  }
+
+  next();
+}
+
+/**
+ * Middleware: refuse anyone who isn't signed in
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in to continue', isAuthError: true });
+  }
+  next();
+}
+
+/**
+ * Middleware factory: refuse callers without at least this role
+ * @param {string} minimum - viewer, editor or admin
+ * @returns {Function} Express middleware
+ */
+function requireRole(minimum) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, minimum)) {
+      return res.status(403).json({ error: `This needs ${minimum} access`, isPermissionError: true });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: only for people signed in with a password (not the shared API key)
+ */
+function requireUser(req, res, next) {
+  if (!req.user?.username) {
+    return res.status(403).json({ error: 'Sign in with a user account to do this' });
+  }
+  next();
+}
+
+/**
+ * Create the first account from ADMIN_USERNAME and ADMIN_PASSWORD if there are no users yet
+ * (how production deployments get their first login; see POST /api/auth/setup for local use)
+ */
+function ensureInitialUser() {
+  const username = normalizeUsername(process.env.ADMIN_USERNAME);
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password || hasUsers()) return;
+
+  const error = validateCredentials(username, password);
+  if (error) {
+    console.error(`Cannot create the initial user: ${error}`);
+    return;
+  }
+  createUser(username, password, 'admin');
+  console.log(`Created initial admin '${username}'`);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  API_KEY_HEADER,
+  createSession,
+  destroySession,
+  destroyUserSessions,
+  parseCookies,
+  setSessionCookie,
+  clearSessionCookie,
+  isValidApiKey,
+  authenticate,
+  requireAuth,
+  requireRole,
+  requireUser,
+  ensureInitialUser,
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+/**
+ * Channel profiles (channels.json)
+ * A profile describes one show - its channel name, the people it features and its
+ * topic - and supplies those values to prompt templates (lib/prompt-templates.js), so
+ * the same library prompt can serve several channels. Each channel also owns:
+ *   settings - changes to the shared settings.json for work on this channel
+ *   activePrompts - the prompt each type uses by default ({ [type]: promptId })
+ *   thumbnailStyle - the brand kit new thumbnails start with ({ font, bgColor, textColor })
+ * Glossaries, metadata rules and speakers are kept per channel in their own files.
+ * Which channel you work on comes from the channelId setting.
+ */
+const CHANNELS_PATH = path.join(DATA_DIR, 'channels.json');
+const DEFAULT_CHANNEL = 'default';
+
+const CHANNEL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_CHANNELS = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_FIELD_LENGTH = 300;
+
+// Profile fields besides the display name
+const PROFILE_FIELDS = ['channelName', 'guestNames', 'topic'];
+
+const MAX_FONT_LENGTH = 100;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Load the channels file
+ * @returns {Object} - { channels: { [channelId]: { name, channelName, guestNames, topic, settings, activePrompts, thumbnailStyle } } }
+ */
+function loadChannelsFile() {
+  if (!fs.existsSync(CHANNELS_PATH)) {
+    return { channels: {} };
+  }
+  return JSON.parse(fs.readFileSync(CHANNELS_PATH, 'utf8'));
+}
+
+function saveChannelsFile(file) {
+  fs.writeFileSync(CHANNELS_PATH, JSON.stringify(file, null, 2));
+}
+
+/**
+ * All channel profiles, the default one first
+ * @returns {Object[]} - [{ id, name, channelName, guestNames, topic, settings, activePrompts, thumbnailStyle }]
+ */
+function listChannels() {
+  const { channels } = loadChannelsFile();
+  if (!channels[DEFAULT_CHANNEL]) {
+    channels[DEFAULT_CHANNEL] = { name: 'Default' };
+  }
+  return Object.entries(channels)
+    .map(([id, { updatedAt, ...profile }]) => ({ id, ...emptyProfile(), ...profile }))
+    .sort((a, b) => (a.id === DEFAULT_CHANNEL ? -1 : b.id === DEFAULT_CHANNEL ? 1 : a.name.localeCompare(b.name)));
+}
+
+function emptyProfile() {
+  return {
+    ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, ''])),
+    settings: {},
+    activePrompts: {},
+    thumbnailStyle: null,
+  };
+}
+
+/**
+ * Get a channel profile, falling back to the default channel when it doesn't exist
+ * @param {string} [channelId]
+ * @returns {Object} - { id, name, channelName, guestNames, topic, settings, activePrompts, thumbnailStyle }
+ */
+function getChannel(channelId = DEFAULT_CHANNEL) {
+  const channels = listChannels();
+  return channels.find(channel => channel.id === channelId) || channels[0];
+}
+
+function channelExists(channelId) {
+  return Object.hasOwn(loadChannelsFile().channels, channelId);
+}
+
+/**
+ * The channel to work on: the one asked for if it exists, else the default channel
+ * @param {string} [channelId]
+ * @returns {string}
+ */
+function resolveChannelId(channelId) {
+  return channelId && channelExists(channelId) ? channelId : DEFAULT_CHANNEL;
+}
+
+/**
+ * Apply changes to a stored channel, creating it if needed
+ * @param {string} channelId
+ * @param {Function} update - Called with the stored channel to modify in place
+ * @returns {Object} - The channel as getChannel returns it
+ */
+function updateChannel(channelId, update) {
+  const file = loadChannelsFile();
+  const channel = file.channels[channelId] || { name: channelId === DEFAULT_CHANNEL ? 'Default' : channelId };
+  update(channel);
+  channel.updatedAt = Date.now();
+  file.channels[channelId] = channel;
+  saveChannelsFile(file);
+  return getChannel(channelId);
+}
+
+/**
+ * Create a channel profile or change its details (what the channel owns is kept)
+ * @param {string} channelId
+ * @param {Object} profile - { name, channelName, guestNames, topic }
+ * @returns {Object} - The saved channel
+ */
+function saveChannel(channelId, profile) {
+  return updateChannel(channelId, (channel) => {
+    channel.name = profile.name.trim();
+    for (const field of PROFILE_FIELDS) {
+      channel[field] = (profile[field] || '').trim();
+    }
+  });
+}
+
+/**
+ * Replace a channel's changes to the shared settings
+ * @param {string} channelId
+ * @param {Object} settings - Already validated; only fields that differ from the shared settings
+ * @returns {Object} - The saved channel
+ */
+function saveChannelSettings(channelId, settings) {
+  return updateChannel(channelId, (channel) => { channel.settings = settings; });
+}
+
+/**
+ * Pick the prompt a channel uses by default for a prompt type
+ * @param {string} channelId
+ * @param {string} type - metadata, vision or transcription
+ * @param {string} promptId
+ * @returns {Object} - The saved channel
+ */
+function saveChannelPrompt(channelId, type, promptId) {
+  return updateChannel(channelId, (channel) => {
+    channel.activePrompts = { ...channel.activePrompts, [type]: promptId };
+  });
+}
+
+/**
+ * Replace a channel's thumbnail brand kit
+ * @param {string} channelId
+ * @param {Object} style - { font, bgColor, textColor }, already validated
+ * @returns {Object} - The saved channel
+ */
+function saveThumbnailStyle(channelId, style) {
+  return updateChannel(channelId, (channel) => {
+    channel.thumbnailStyle = { font: style.font, bgColor: style.bgColor, textColor: style.textColor };
+  });
+}
+
+/**
+ * Remove a channel profile (the default channel can't be removed)
+ * @param {string} channelId
+ * @returns {boolean} - Whether it existed
+ */
+function deleteChannel(channelId) {
+  const file = loadChannelsFile();
+  if (channelId === DEFAULT_CHANNEL || !file.channels[channelId]) return false;
+
+  delete file.channels[channelId];
+  saveChannelsFile(file);
+  return true;
+}
+
+/**
+ * Validate a channel ID for a new profile
+ * @param {string} channelId
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateChannelId(channelId) {
+  if (typeof channelId !== 'string' || !CHANNEL_ID_PATTERN.test(channelId)) {
+    return 'Channel ID must be lowercase letters, numbers and dashes (at most 40)';
+  }
+  if (Object.keys(loadChannelsFile().channels).length >= MAX_CHANNELS) {
+    return `There can be at most ${MAX_CHANNELS} channels`;
+  }
+  return null;
+}
+
+/**
+ * Validate a channel profile
+ * @param {Object} profile
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateChannel(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return 'Profile must be an object';
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim() || profile.name.length > MAX_NAME_LENGTH) {
+    return `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  for (const field of PROFILE_FIELDS) {
+    const value = profile[field];
+    if (value !== undefined && (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH)) {
+      return `${field} must be a string of at most ${MAX_FIELD_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a thumbnail brand kit
+ * @param {Object} style - { font, bgColor, textColor }
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateThumbnailStyle(style) {
+  if (!style || typeof style !== 'object') {
+    return 'Thumbnail style must be an object';
+  }
+  if (typeof style.font !== 'string' || !style.font.trim() || style.font.length > MAX_FONT_LENGTH) {
+    return `font must be a non-empty string of at most ${MAX_FONT_LENGTH} characters`;
+  }
+  for (const field of ['bgColor', 'textColor']) {
+    if (typeof style[field] !== 'string' || !COLOR_PATTERN.test(style[field])) {
+      return `${field} must be a color like #ffeb3b`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  listChannels,
+  getChannel,
+  channelExists,
+  resolveChannelId,
+  saveChannel,
+  saveChannelSettings,
+  saveChannelPrompt,
+  saveThumbnailStyle,
+  deleteChannel,
+  validateChannelId,
+  validateChannel,
+  validateThumbnailStyle,
+};
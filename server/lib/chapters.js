@@ -0,0 +1,167 @@
+/**
+ * YouTube chapter markers ("0:00 Intro" lines in a description)
+ * YouTube only turns a timestamp list into chapters when:
+ *   - the first timestamp is 0:00
+ *   - there are at least three timestamps
+ *   - each chapter is at least ten seconds long
+ */
+const CHAPTER_RULES = {
+  minChapters: 3,
+  minLengthSeconds: 10,
+};
+
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+
+// Mark the time inside long speaker turns at most this often, so chapters can start mid-answer
+const TIMESTAMP_INTERVAL_SECONDS = 60;
+
+// Default guidance when the active metadata prompt has no chapter_prompt
+const DEFAULT_CHAPTER_PROMPT = `For chapters: Split the video into chapters that follow the conversation, using the [M:SS] timestamps in the transcript. Each chapter starts where a new question or topic begins. The first chapter starts at 0:00. Chapter titles are short (2-6 words), specific and written in title case. Aim for roughly one chapter per 1-2.5 minutes of video, and at least three chapters.`;
+
+/**
+ * Format seconds as a YouTube timestamp (M:SS or H:MM:SS)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatChapterTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  if (h > 0) {
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  }
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Parse a timestamp (SS, M:SS or H:MM:SS) into seconds
+ * @param {string|number} value
+ * @returns {number|null} - Seconds, or null if it isn't a timestamp
+ */
+function parseChapterTime(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}$/.test(value.trim())) {
+    return null;
+  }
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Check chapters against YouTube's rules
+ * @param {Object[]} chapters - { start (seconds), title }, sorted by start
+ * @param {number} [durationSeconds] - Video length, to check the last chapter's length
+ * @returns {string[]} - Problems (empty if YouTube will accept the chapters)
+ */
+function validateChapters(chapters, durationSeconds = null) {
+  const errors = [];
+
+  if (chapters.length < CHAPTER_RULES.minChapters) {
+    errors.push(`YouTube needs at least ${CHAPTER_RULES.minChapters} chapters`);
+  }
+  if (chapters.length > 0 && chapters[0].start !== 0) {
+    errors.push('The first chapter must start at 0:00');
+  }
+
+  chapters.forEach((chapter, i) => {
+    const end = i < chapters.length - 1 ? chapters[i + 1].start : durationSeconds;
+    if (end !== null && end - chapter.start < CHAPTER_RULES.minLengthSeconds) {
+      errors.push(`"${chapter.title}" (${formatChapterTime(chapter.start)}) is shorter than ${CHAPTER_RULES.minLengthSeconds} seconds`);
+    }
+    if (!chapter.title) {
+      errors.push(`The chapter at ${formatChapterTime(chapter.start)} has no title`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Clean up model-generated chapters so they satisfy YouTube's rules where possible:
+ * sort, snap the first chapter to 0:00, and drop chapters that start too soon after
+ * the previous one or too close to the end of the video
+ * @param {Object[]} rawChapters - { start (timestamp string or seconds), title }
+ * @param {number} durationSeconds - Video length
+ * @returns {Object} - { chapters: [{ start, title }], warnings: string[] }
+ */
+function normalizeChapters(rawChapters, durationSeconds) {
+  const parsed = (rawChapters || [])
+    .map(c => ({
+      start: parseChapterTime(c.start),
+      title: (c.title || '').trim().slice(0, MAX_CHAPTER_TITLE_LENGTH),
+    }))
+    .filter(c => c.start !== null && c.title)
+    .filter(c => !durationSeconds || c.start < durationSeconds)
+    .sort((a, b) => a.start - b.start);
+
+  if (parsed.length > 0) {
+    parsed[0].start = 0;
+  }
+
+  const chapters = [];
+  for (const chapter of parsed) {
+    const previous = chapters[chapters.length - 1];
+    if (previous && chapter.start - previous.start < CHAPTER_RULES.minLengthSeconds) continue;
+    chapters.push({ start: Math.floor(chapter.start), title: chapter.title });
+  }
+
+  // The last chapter also needs ten seconds before the video ends
+  while (chapters.length > 1 && durationSeconds &&
+    durationSeconds - chapters[chapters.length - 1].start < CHAPTER_RULES.minLengthSeconds) {
+    chapters.pop();
+  }
+
+  return { chapters, warnings: validateChapters(chapters, durationSeconds || null) };
+}
+
+/**
+ * Group consecutive transcript segments by the same speaker for the metadata prompt
+ * Creates cleaner paragraphs instead of individual snippets with repeated speaker labels.
+ * Each turn starts with a [M:SS] timestamp, which the model uses for chapter markers.
+ * @param {Object[]} transcript - Segments ({ start, text, speaker })
+ * @returns {string} - "Speaker [M:SS]:\nParagraph text" blocks separated by blank lines
+ */
+function groupTranscriptBySpeaker(transcript) {
+  if (!transcript || transcript.length === 0) return '';
+
+  const groups = [];
+  let currentGroup = null;
+  let lastMarked = -Infinity;
+
+  for (const seg of transcript) {
+    if (currentGroup && seg.speaker === currentGroup.speaker) {
+      // Same speaker, append text to current group (with a timestamp if it's been a while)
+      const start = seg.start || 0;
+      if (start - lastMarked >= TIMESTAMP_INTERVAL_SECONDS) {
+        currentGroup.texts.push(`[${formatChapterTime(start)}] ${seg.text}`);
+        lastMarked = start;
+      } else {
+        currentGroup.texts.push(seg.text);
+      }
+    } else {
+      // Different speaker, save current group and start new one
+      if (currentGroup) groups.push(currentGroup);
+      currentGroup = { speaker: seg.speaker, start: seg.start || 0, texts: [seg.text] };
+      lastMarked = currentGroup.start;
+    }
+  }
+  // Don't forget the last group
+  groups.push(currentGroup);
+
+  // Format as "Speaker [M:SS]:\nParagraph text\n\n"
+  return groups
+    .map(g => `${g.speaker} [${formatChapterTime(g.start)}]:\n${g.texts.join(' ')}`)
+    .join('\n\n');
+}
+
+module.exports = {
+  CHAPTER_RULES,
+  DEFAULT_CHAPTER_PROMPT,
+  formatChapterTime,
+  parseChapterTime,
+  validateChapters,
+  normalizeChapters,
+  groupTranscriptBySpeaker,
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { UPLOADS_DIR, isValidSessionId } = require('./security');
+
+/**
+ * Chunked upload state, kept on disk next to the chunks so an upload survives a server
+ * restart and can be resumed after a browser reload:
+ *   uploads/<uploadId>_chunks/upload.json   - what is being uploaded (written once, at init)
+ *   uploads/<uploadId>_chunks/chunk_000000  - the chunks received so far
+ * Chunks are written under a temporary name and renamed once complete, so a chunk file
+ * that exists is a chunk that was fully received. Every chunk touches upload.json, whose
+ * modification time is the upload's last activity.
+ *
+ * Integrity: each chunk arrives with its SHA-256 and is refused if the bytes don't match.
+ * At completion the client sends a manifest hash - the SHA-256 of its chunk hashes (hex,
+ * in order, concatenated), not a hash of the file's bytes - which the server checks against
+ * the chunks as they are assembled. Browsers can't hash a multi-gigabyte file in one go,
+ * but they already have every chunk hash.
+ * Checksums are optional: browsers only have Web Crypto over HTTPS or on localhost, so a
+ * client without it sends none and its chunks are stored unchecked.
+ */
+const STATE_FILE = 'upload.json';
+const CHUNK_PATTERN = /^chunk_(\d{6})$/;
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+// Uploads nobody has sent a chunk to for this long are removed
+const UPLOAD_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+function chunksDirFor(uploadId) {
+  return path.join(UPLOADS_DIR, `${uploadId}_chunks`);
+}
+
+function chunkPath(chunksDir, chunkIndex) {
+  return path.join(chunksDir, `chunk_${chunkIndex.toString().padStart(6, '0')}`);
+}
+
+/**
+ * SHA-256 of some bytes, in hex
+ * @param {Buffer|string} data
+ * @returns {string}
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * The manifest hash the client sends at completion: the SHA-256 of the chunk hashes in order
+ * @param {string[]} chunkHashes - Hex SHA-256 of each chunk
+ * @returns {string}
+ */
+function manifestHashOf(chunkHashes) {
+  return sha256(chunkHashes.join(''));
+}
+
+/**
+ * Start an upload
+ * @param {Object} upload - { uploadId, sessionId, originalFilename, fileSize, totalChunks, lastModified, channelId, ext }
+ * @returns {Object} - The stored upload
+ */
+function createUpload(upload) {
+  const chunksDir = chunksDirFor(upload.uploadId);
+  fs.mkdirSync(chunksDir, { recursive: true });
+
+  const stored = { ...upload, createdAt: Date.now() };
+  fs.writeFileSync(path.join(chunksDir, STATE_FILE), JSON.stringify(stored, null, 2));
+  return { ...stored, chunksDir };
+}
+
+/**
+ * Get an upload
+ * @param {string} uploadId
+ * @returns {Object|null} - The upload with its chunksDir, or null if unknown or expired
+ */
+function getUpload(uploadId) {
+  if (!isValidSessionId(uploadId)) return null;
+
+  const chunksDir = chunksDirFor(uploadId);
+  try {
+    const upload = JSON.parse(fs.readFileSync(path.join(chunksDir, STATE_FILE), 'utf8'));
+    return { ...upload, chunksDir };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Indexes of the chunks received so far, in order
+ * @param {Object} upload
+ * @returns {Promise<number[]>}
+ */
+async function receivedChunks(upload) {
+  const files = await fsPromises.readdir(upload.chunksDir);
+  return files
+    .map(file => CHUNK_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10))
+    .filter(index => index < upload.totalChunks)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Store a chunk (sending the same chunk again replaces it)
+ * @param {Object} upload
+ * @param {number} chunkIndex
+ * @param {Buffer} data
+ */
+async function saveChunk(upload, chunkIndex, data) {
+  const finalPath = chunkPath(upload.chunksDir, chunkIndex);
+  const partialPath = `${finalPath}.${crypto.randomUUID()}.part`;
+
+  await fsPromises.writeFile(partialPath, data);
+  await fsPromises.rename(partialPath, finalPath);
+
+  const now = new Date();
+  await fsPromises.utimes(path.join(upload.chunksDir, STATE_FILE), now, now);
+}
+
+/**
+ * Throw away chunks so they are sent again
+ * @param {Object} upload
+ * @param {number[]} chunkIndexes
+ */
+async function discardChunks(upload, chunkIndexes) {
+  await Promise.all(chunkIndexes.map(chunkIndex => fsPromises.rm(chunkPath(upload.chunksDir, chunkIndex), { force: true })));
+}
+
+/**
+ * Remove an upload and its chunks
+ * @param {string} uploadId
+ */
+async function removeUpload(uploadId) {
+  try {
+    await fsPromises.rm(chunksDirFor(uploadId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Error cleaning up chunks for ${uploadId}:`, error.message);
+  }
+}
+
+/**
+ * Remove uploads that have been inactive for longer than UPLOAD_TIMEOUT_MS, and chunk
+ * folders whose state is missing (left over from before state was kept on disk)
+ * @param {number} [now]
+ * @returns {Promise<string[]>} - IDs of the removed uploads
+ */
+async function cleanupStaleUploads(now = Date.now()) {
+  const removed = [];
+  let entries;
+  try {
+    entries = await fsPromises.readdir(UPLOADS_DIR);
+  } catch {
+    return removed;
+  }
+
+  for (const entry of entries) {
+    const uploadId = entry.replace(/_chunks$/, '');
+    if (uploadId === entry || !isValidSessionId(uploadId)) continue;
+
+    const chunksDir = chunksDirFor(uploadId);
+    let lastActivity;
+    try {
+      lastActivity = (await fsPromises.stat(path.join(chunksDir, STATE_FILE))).mtimeMs;
+    } catch {
+      try {
+        lastActivity = (await fsPromises.stat(chunksDir)).mtimeMs;
+      } catch {
+        continue; // Removed meanwhile
+      }
+    }
+
+    if (now - lastActivity > UPLOAD_TIMEOUT_MS) {
+      console.log(`Cleaning up stale upload: ${uploadId}`);
+      await removeUpload(uploadId);
+      removed.push(uploadId);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  UPLOAD_TIMEOUT_MS,
+  SHA256_PATTERN,
+  sha256,
+  manifestHashOf,
+  chunkPath,
+  createUpload,
+  getUpload,
+  receivedChunks,
+  saveChunk,
+  discardChunks,
+  removeUpload,
+  cleanupStaleUploads,
+};
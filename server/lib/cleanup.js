@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const { UPLOADS_DIR } = require('./security');
+const { isProjectKept } = require('./projects');
 
 // Track active sessions to avoid cleaning up files in use
 const activeSessions = new Set();
@@ -71,7 +72,7 @@ function cleanupSession(sessionId) {
  * @returns {Object} - Result with deleted files count
  */
 function cleanupOldFiles(maxAgeMs = 24 * 60 * 60 * 1000) {
-  const result = { deletedFiles: 0, errors: [], skippedActive: 0 };
+  const result = { deletedFiles: 0, errors: [], skippedActive: 0, skippedKept: 0 };
   const now = Date.now();
 
   try {
@@ -98,6 +99,12 @@ function cleanupOldFiles(maxAgeMs = 24 * 60 * 60 * 1000) {
           continue;
         }
 
+        // Skip files belonging to projects the user chose to keep
+        if (sessionId && isProjectKept(sessionId)) {
+          result.skippedKept++;
+          continue;
+        }
+
         if (age > maxAgeMs) {
           if (stat.isDirectory()) {
             fs.rmSync(filePath, { recursive: true, force: true });
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+/**
+ * Results cache keyed by what a video contains
+ * Uploads are fingerprinted with the SHA-256 of the file (project.contentHash), and the slow
+ * or paid steps keep their results here under that hash plus whatever else changes them,
+ * so uploading the same video again reuses the work:
+ *   transcripts - transcription model and expected speakers
+ *   frames      - number of frames (the images are kept as well)
+ *   rankings    - the frame images sent, vision model, image detail and the prompt as filled in
+ * Entries live in DATA_DIR/cache rather than uploads, whose files expire after a day, and
+ * are removed once unused for CACHE_MAX_AGE_MS.
+ */
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const KINDS = ['transcripts', 'frames', 'rankings'];
+
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 of a file, in hex
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const data of fs.createReadStream(filePath)) {
+    hash.update(data);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Cache key for a result
+ * @param {Object} parts - Everything the result depends on, including the contentHash
+ * @returns {string}
+ */
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function entryPath(kind, key) {
+  return path.join(CACHE_DIR, kind, `${key}.json`);
+}
+
+/**
+ * Look up a cached result, marking it as used
+ * @param {string} kind - transcripts, frames or rankings
+ * @param {string} key
+ * @returns {Object|null} - The stored result with its cachedAt, or null
+ */
+function getCached(kind, key) {
+  const filePath = entryPath(kind, key);
+  try {
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a result
+ * @param {string} kind - transcripts, frames or rankings
+ * @param {string} key
+ * @param {Object} result
+ */
+function setCached(kind, key, result) {
+  fs.mkdirSync(path.join(CACHE_DIR, kind), { recursive: true });
+  fs.writeFileSync(entryPath(kind, key), JSON.stringify({ ...result, cachedAt: Date.now() }));
+}
+
+/**
+ * Keep extracted frames: their images and the frame list
+ * @param {string} key
+ * @param {string} framesDir - Where the frames were extracted to
+ * @param {Object[]} frames - [{ filename, index, timestamp }]
+ */
+async function cacheFrames(key, framesDir, frames) {
+  const imagesDir = path.join(CACHE_DIR, 'frames', key);
+  await fsPromises.mkdir(imagesDir, { recursive: true });
+  for (const frame of frames) {
+    await fsPromises.copyFile(path.join(framesDir, frame.filename), path.join(imagesDir, frame.filename));
+  }
+  setCached('frames', key, { frames });
+}
+
+/**
+ * Put cached frames into a session's frames folder
+ * @param {string} key
+ * @param {string} framesDir
+ * @returns {Promise<Object|null>} - { frames, cachedAt }, or null if not cached
+ */
+async function restoreFrames(key, framesDir) {
+  const entry = getCached('frames', key);
+  if (!entry) return null;
+
+  const imagesDir = path.join(CACHE_DIR, 'frames', key);
+  try {
+    await fsPromises.mkdir(framesDir, { recursive: true });
+    for (const frame of entry.frames) {
+      await fsPromises.copyFile(path.join(imagesDir, frame.filename), path.join(framesDir, frame.filename));
+    }
+  } catch (error) {
+    console.error(`Cached frames ${key} are incomplete:`, error.message);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Remove entries that haven't been used for a while
+ * @param {number} [maxAgeMs]
+ * @returns {number} - Entries removed
+ */
+function pruneCache(maxAgeMs = CACHE_MAX_AGE_MS) {
+  const now = Date.now();
+  let removed = 0;
+
+  for (const kind of KINDS) {
+    const kindDir = path.join(CACHE_DIR, kind);
+    if (!fs.existsSync(kindDir)) continue;
+
+    for (const file of fs.readdirSync(kindDir)) {
+      if (!file.endsWith('.json')) continue;
+      const filePath = path.join(kindDir, file);
+      try {
+        if (now - fs.statSync(filePath).mtimeMs <= maxAgeMs) continue;
+        fs.unlinkSync(filePath);
+        fs.rmSync(path.join(kindDir, path.basename(file, '.json')), { recursive: true, force: true });
+        removed++;
+      } catch (error) {
+        console.error(`Failed to prune cache entry ${kind}/${file}:`, error.message);
+      }
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHE_MAX_AGE_MS,
+  hashFile,
+  cacheKey,
+  getCached,
+  setCached,
+  cacheFrames,
+  restoreFrames,
+  pruneCache,
+};
@@ -54,6 +54,55 @@ function getAudioDuration(audioPath) {
   });
 }
 
+// Container and codecs of a media file
+// Cover art that some files carry as a picture stream isn't counted as video
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      const codecOf = type => metadata.streams
+        .find(stream => stream.codec_type === type && !stream.disposition?.attached_pic)?.codec_name || null;
+      resolve({
+        format: metadata.format.format_name,
+        duration: metadata.format.duration,
+        videoCodec: codecOf('video'),
+        audioCodec: codecOf('audio'),
+      });
+    });
+  });
+}
+
+// Transcode to a low-bitrate H.264/AAC MP4 that any browser plays (at most 720p, playable
+// before it has fully loaded). Written under a temporary name so a half-done file is never served
+// onProgress (optional) is called with the percentage done
+function transcodeProxy(inputPath, outputPath, onProgress = null) {
+  const partialPath = `${outputPath}.part`;
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .videoCodec('libx264')
+      .videoFilters("scale=-2:'trunc(min(720,ih)/2)*2'")
+      .audioCodec('aac')
+      .audioBitrate('96k')
+      .outputOptions(['-preset veryfast', '-crf 28', '-pix_fmt yuv420p', '-movflags +faststart'])
+      .format('mp4')
+      .output(partialPath)
+      .on('progress', (progress) => {
+        if (onProgress && progress.percent != null) {
+          onProgress(Math.max(0, Math.min(99, Math.round(progress.percent))));
+        }
+      })
+      .on('end', () => {
+        fs.renameSync(partialPath, outputPath);
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        safeDelete(partialPath);
+        reject(err);
+      })
+      .run();
+  });
+}
+
 // Get file size in bytes
 function getFileSize(filePath) {
   const stats = fs.statSync(filePath);
@@ -115,8 +164,70 @@ async function splitAudioIntoChunks(audioPath, outputDir, chunkDurationSeconds =
   return chunks;
 }
 
+// Trim an audio (or video) file to a short mono WAV clip, e.g. a speaker voice sample
+function trimAudioSample(inputPath, outputPath, startSeconds, durationSeconds) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .setStartTime(startSeconds)
+      .setDuration(durationSeconds)
+      .noVideo()
+      .audioCodec('pcm_s16le')
+      .audioChannels(1)
+      .audioFrequency(24000)
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', (err) => {
+        safeDelete(outputPath);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// Loudness outline of an audio file for drawing a waveform
+// Decodes to low-rate mono PCM and keeps the loudest sample of each of numPeaks slices
+// Returns { duration, peaks } with peaks from 0 to 1
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+async function getWaveform(audioPath, numPeaks = 1000) {
+  const duration = await getAudioDuration(audioPath);
+  const samplesPerPeak = Math.max(1, Math.ceil((duration * WAVEFORM_SAMPLE_RATE) / numPeaks));
+  const peaks = new Array(numPeaks).fill(0);
+
+  await new Promise((resolve, reject) => {
+    let sampleIndex = 0;
+    let leftover = null; // Odd byte from the previous data event
+
+    const pcm = ffmpeg(audioPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(WAVEFORM_SAMPLE_RATE)
+      .format('s16le')
+      .on('error', reject)
+      .pipe();
+
+    pcm.on('data', (data) => {
+      const bytes = leftover ? Buffer.concat([leftover, data]) : data;
+      const usable = bytes.length - (bytes.length % 2);
+      leftover = usable < bytes.length ? bytes.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        const peak = Math.min(numPeaks - 1, Math.floor(sampleIndex / samplesPerPeak));
+        const level = Math.abs(bytes.readInt16LE(offset)) / 32768;
+        if (level > peaks[peak]) peaks[peak] = level;
+        sampleIndex++;
+      }
+    });
+    pcm.on('end', resolve);
+    pcm.on('error', reject);
+  });
+
+  return { duration, peaks: peaks.map(peak => Math.round(peak * 1000) / 1000) };
+}
+
 // Extract frames at random timestamps
-async function extractFrames(videoPath, outputDir, numFrames = 24) {
+// onProgress (optional) is called with (framesDone, totalFrames) after each frame
+async function extractFrames(videoPath, outputDir, numFrames = 24, onProgress = null) {
   const duration = await getVideoDuration(videoPath);
   const frames = [];
 
@@ -147,6 +258,7 @@ async function extractFrames(videoPath, outputDir, numFrames = 24) {
             path: outputPath,
             filename: `frame_${i + 1}.jpg`
           });
+          if (onProgress) onProgress(frames.length, timestamps.length);
           resolve();
         })
         .on('error', (err) => {
@@ -165,7 +277,11 @@ module.exports = {
   extractAudio,
   getVideoDuration,
   getAudioDuration,
+  probeMedia,
+  transcodeProxy,
   getFileSize,
   splitAudioIntoChunks,
+  trimAudioSample,
+  getWaveform,
   extractFrames,
 };
@@ -0,0 +1,46 @@
+/**
+ * Reading the vision model's frame ranking
+ * The vision prompt asks for a final "RANKING: 3, 1, 7" line; when the model doesn't
+ * follow it, any frame numbers in the reply are used instead.
+ */
+
+/**
+ * Extract ranked frame numbers from the model's reply
+ * @param {string} text - Model reply
+ * @param {number} count - How many frames to return
+ * @param {number} [totalFrames=24] - Frames sent; numbers outside 1..totalFrames are ignored
+ * @returns {number[]} - 1-based frame numbers, best first, without duplicates
+ */
+function extractRankedFrames(text, count, totalFrames = 24) {
+  // First, try to find a RANKING: line with comma-separated numbers
+  const rankingMatch = text.match(/RANKING:\s*([\d,\s]+)/i);
+  if (rankingMatch) {
+    const numbers = rankingMatch[1].match(/\d+/g);
+    if (numbers) {
+      const seen = new Set();
+      const validNumbers = numbers
+        .map(n => parseInt(n, 10))
+        .filter(n => n >= 1 && n <= totalFrames && !seen.has(n) && seen.add(n));
+      if (validNumbers.length >= count) {
+        return validNumbers.slice(0, count);
+      }
+    }
+  }
+
+  // Fallback: Look for numbers in the response
+  const numbers = text.match(/\d+/g);
+  if (!numbers) return Array.from({ length: count }, (_, i) => i + 1);
+
+  // Filter to valid frame numbers (1 to totalFrames) and dedupe
+  const seen = new Set();
+  const validNumbers = numbers
+    .map(n => parseInt(n, 10))
+    .filter(n => n >= 1 && n <= totalFrames && !seen.has(n) && seen.add(n));
+
+  // Return requested count
+  return validNumbers.slice(0, count);
+}
+
+module.exports = {
+  extractRankedFrames,
+};
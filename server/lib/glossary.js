@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { DEFAULT_CHANNEL } = require('./channels');
+
+/**
+ * Transcript glossary: names, acronyms and jargon the transcription model gets wrong
+ * Each term has the correct spelling, the misspellings to fix, and a case rule:
+ *   caseSensitive false (default) - match case-insensitively and always write the term as given (cpi -> CPI)
+ *   caseSensitive true - only replace misspellings with exactly the case given (fix "FED" without touching "fed up")
+ * Glossaries are stored per channel (lib/channels.js).
+ */
+const GLOSSARY_PATH = path.join(DATA_DIR, 'glossary.json');
+
+const MAX_TERMS = 500;
+const MAX_TERM_LENGTH = 100;
+const MAX_MISSPELLINGS = 20;
+
+// Whisper-style transcription prompts only use the last ~224 tokens
+const MAX_PROMPT_LENGTH = 800;
+
+/**
+ * Load the glossary file
+ * @returns {Object} - { channels: { [channelId]: { terms } } }
+ */
+function loadGlossaryFile() {
+  if (!fs.existsSync(GLOSSARY_PATH)) {
+    return { channels: {} };
+  }
+  return JSON.parse(fs.readFileSync(GLOSSARY_PATH, 'utf8'));
+}
+
+/**
+ * Get a channel's glossary terms
+ * @param {string} channelId
+ * @returns {Object[]} - { term, misspellings, caseSensitive }
+ */
+function getGlossary(channelId = DEFAULT_CHANNEL) {
+  return loadGlossaryFile().channels[channelId]?.terms || [];
+}
+
+/**
+ * Replace a channel's glossary terms
+ * @param {Object[]} terms
+ * @param {string} channelId
+ * @returns {Object[]} - The saved terms
+ */
+function saveGlossary(terms, channelId = DEFAULT_CHANNEL) {
+  const file = loadGlossaryFile();
+  const normalized = terms.map(t => ({
+    term: t.term.trim(),
+    misspellings: [...new Set((t.misspellings || []).map(m => m.trim()).filter(Boolean))],
+    caseSensitive: t.caseSensitive === true,
+  }));
+
+  file.channels[channelId] = { terms: normalized, updatedAt: Date.now() };
+  fs.writeFileSync(GLOSSARY_PATH, JSON.stringify(file, null, 2));
+  return normalized;
+}
+
+/**
+ * Validate glossary terms
+ * @param {Object[]} terms
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateGlossary(terms) {
+  if (!Array.isArray(terms)) {
+    return 'terms must be an array';
+  }
+  if (terms.length > MAX_TERMS) {
+    return `Glossary can have at most ${MAX_TERMS} terms`;
+  }
+
+  for (const [i, t] of terms.entries()) {
+    const label = `Term ${i + 1}`;
+    if (!t || typeof t.term !== 'string' || !t.term.trim()) {
+      return `${label}: term must be a non-empty string`;
+    }
+    if (t.term.length > MAX_TERM_LENGTH) {
+      return `${label}: term must be at most ${MAX_TERM_LENGTH} characters`;
+    }
+    if (t.misspellings !== undefined) {
+      if (!Array.isArray(t.misspellings) || t.misspellings.length > MAX_MISSPELLINGS) {
+        return `${label}: misspellings must be an array of at most ${MAX_MISSPELLINGS} strings`;
+      }
+      if (t.misspellings.some(m => typeof m !== 'string' || m.length > MAX_TERM_LENGTH)) {
+        return `${label}: each misspelling must be a string of at most ${MAX_TERM_LENGTH} characters`;
+      }
+    }
+    if (t.caseSensitive !== undefined && typeof t.caseSensitive !== 'boolean') {
+      return `${label}: caseSensitive must be a boolean`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a transcription model accepts a text prompt
+ * (the diarization model rejects the prompt parameter)
+ * @param {string} model
+ * @returns {boolean}
+ */
+function modelSupportsPrompt(model) {
+  return !!model && !model.includes('diarize');
+}
+
+/**
+ * Build a transcription prompt listing the glossary's spellings
+ * @param {Object[]} terms
+ * @returns {string|null} - Prompt text, or null if the glossary is empty
+ */
+function buildTranscriptionPrompt(terms) {
+  if (!terms || terms.length === 0) return null;
+
+  let prompt = 'Glossary:';
+  for (const { term } of terms) {
+    const next = `${prompt} ${term},`;
+    if (next.length > MAX_PROMPT_LENGTH) break;
+    prompt = next;
+  }
+  return prompt.replace(/,$/, '.');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a term's matcher: whole words/phrases only, any whitespace between words
+ * @param {string} text
+ * @param {boolean} caseSensitive
+ * @returns {RegExp}
+ */
+function compileMatcher(text, caseSensitive) {
+  const pattern = text.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Apply glossary corrections to transcript segments
+ * Longer misspellings are matched first so "Jay Powel" wins over "Powel"
+ * @param {Object[]} segments - { id, text, ... }
+ * @param {Object[]} terms - Glossary terms
+ * @returns {Object} - { segments, report: { totalReplacements, replacements: [{ term, from, count, segmentIds }] } }
+ */
+function applyGlossary(segments, terms) {
+  const rules = [];
+  for (const t of terms || []) {
+    // Case-insensitive terms also fix the casing of the term itself (e.g. "Cpi" -> "CPI")
+    const variants = t.caseSensitive ? t.misspellings : [t.term, ...t.misspellings];
+    for (const variant of variants || []) {
+      if (!variant || (t.caseSensitive && variant === t.term)) continue;
+      rules.push({ term: t.term, regex: compileMatcher(variant, t.caseSensitive) });
+    }
+  }
+  rules.sort((a, b) => b.regex.source.length - a.regex.source.length);
+
+  const found = new Map(); // "term\0from" -> report entry
+
+  const corrected = segments.map((segment) => {
+    let text = segment.text || '';
+
+    for (const rule of rules) {
+      text = text.replace(rule.regex, (match) => {
+        if (match === rule.term) return match;
+
+        const key = `${rule.term}\0${match}`;
+        if (!found.has(key)) {
+          found.set(key, { term: rule.term, from: match, count: 0, segmentIds: [] });
+        }
+        const entry = found.get(key);
+        entry.count++;
+        if (!entry.segmentIds.includes(segment.id)) {
+          entry.segmentIds.push(segment.id);
+        }
+        return rule.term;
+      });
+    }
+
+    return text === segment.text ? segment : { ...segment, text };
+  });
+
+  const replacements = Array.from(found.values()).sort((a, b) => b.count - a.count);
+
+  return {
+    segments: corrected,
+    report: {
+      totalReplacements: replacements.reduce((sum, r) => sum + r.count, 0),
+      replacements,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  getGlossary,
+  saveGlossary,
+  validateGlossary,
+  modelSupportsPrompt,
+  buildTranscriptionPrompt,
+  applyGlossary,
+};
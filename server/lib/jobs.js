@@ -0,0 +1,205 @@
+/**
+ * Simple in-memory background job queue
+ * Long-running work (transcription, frame extraction, vision analysis) runs here so
+ * routes can return a job ID immediately and clients follow progress over SSE.
+ * For production use with multiple servers, use a shared queue (e.g. Redis-backed)
+ */
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Keep finished jobs around so reconnecting clients can still collect results
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Maximum jobs running at once; the rest wait in the queue
+const MAX_CONCURRENT_JOBS = 3;
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+// Clean up finished jobs every 10 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [jobId, job] of jobs.entries()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) {
+      jobs.delete(jobId);
+    }
+  }
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Public view of a job (what status endpoints and SSE events send)
+ * @param {Object} job
+ * @returns {Object}
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    sessionId: job.sessionId,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress,
+    result: job.status === 'completed' ? job.result : undefined,
+    error: job.status === 'failed' ? job.error : undefined,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Update a job and notify listeners
+ * @param {Object} job
+ * @param {Object} changes
+ */
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  job.events.emit('update', serializeJob(job));
+}
+
+/**
+ * Start the next queued jobs if there is capacity
+ */
+function runNext() {
+  while (runningCount < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const job = queue.shift();
+    runningCount++;
+    runJob(job).finally(() => {
+      runningCount--;
+      runNext();
+    });
+  }
+}
+
+/**
+ * Run a job's task, recording progress, result or error
+ * @param {Object} job
+ */
+async function runJob(job) {
+  const reporter = {
+    /**
+     * Report progress on the current stage
+     * @param {string} stage - Machine-readable stage name (e.g. 'extracting_audio')
+     * @param {string} message - Human-readable status line
+     * @param {Object} [progress] - Optional { current, total }
+     */
+    stage(stage, message, progress = null) {
+      updateJob(job, { stage, message, progress });
+    },
+  };
+
+  updateJob(job, { status: 'running', stage: 'starting', message: 'Starting...' });
+
+  try {
+    const result = await job.task(reporter);
+    updateJob(job, {
+      status: 'completed',
+      stage: 'done',
+      message: 'Complete',
+      result,
+      finishedAt: Date.now(),
+    });
+  } catch (error) {
+    // Tasks attach a user-facing payload (e.g. billing info) to error.payload
+    updateJob(job, {
+      status: 'failed',
+      message: 'Failed',
+      error: error.payload || { error: error.message },
+      finishedAt: Date.now(),
+    });
+  }
+
+  job.events.removeAllListeners();
+}
+
+/**
+ * Queue a new background job
+ * @param {Object} options
+ * @param {string} options.type - Job type (e.g. 'transcribe')
+ * @param {string} options.sessionId - Session the job belongs to
+ * @param {Function} task - async (reporter) => result
+ * @returns {Object} - Serialized job
+ */
+function createJob({ type, sessionId }, task) {
+  const now = Date.now();
+  const job = {
+    id: uuidv4(),
+    type,
+    sessionId,
+    status: 'queued',
+    stage: 'queued',
+    message: 'Waiting to start...',
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    task,
+    events: new EventEmitter(),
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  console.log(`Job ${job.id} queued (${type}, session ${sessionId})`);
+
+  runNext();
+  return serializeJob(job);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId
+ * @returns {Object|null} - Serialized job, or null if not found
+ */
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * List jobs for a session, newest first
+ * @param {string} sessionId
+ * @returns {Object[]} - Serialized jobs
+ */
+function listSessionJobs(sessionId) {
+  return Array.from(jobs.values())
+    .filter(job => job.sessionId === sessionId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(serializeJob);
+}
+
+/**
+ * Subscribe to updates for a job
+ * @param {string} jobId
+ * @param {Function} listener - Called with the serialized job on every update
+ * @returns {Function|null} - Unsubscribe function, or null if the job isn't running
+ */
+function subscribe(jobId, listener) {
+  const job = jobs.get(jobId);
+  if (!job || job.finishedAt) {
+    return null;
+  }
+
+  job.events.on('update', listener);
+  return () => job.events.off('update', listener);
+}
+
+/**
+ * Check whether a job has finished
+ * @param {Object} job - Serialized job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  listSessionJobs,
+  subscribe,
+  isFinished,
+};
@@ -0,0 +1,80 @@
+/**
+ * Incremental parsing of a JSON object as it streams in from the model
+ * Only what's needed to show results early: the string items of top-level arrays
+ * (e.g. { "titles": ["A", "B"] }), reported as soon as each string is complete.
+ * The full text is still parsed with JSON.parse once the stream ends.
+ */
+
+/**
+ * Create a parser that reports completed strings in the given top-level arrays
+ * @param {string[]} fields - Top-level keys whose array items to report
+ * @param {Function} onItem - Called with (field, index, value) for each completed item
+ * @returns {Object} - { push(chunk) }
+ */
+function createArrayItemParser(fields, onItem) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let raw = '';
+  let lastString = null; // Most recent string in the top-level object (a key, if ':' follows)
+  let key = null;
+  let field = null; // Field whose array we're inside
+  const counts = {};
+
+  const endString = () => {
+    let value;
+    try {
+      value = JSON.parse(`"${raw}"`);
+    } catch {
+      return; // Malformed escape - the final JSON.parse will report it
+    }
+
+    if (depth === 1) {
+      lastString = value;
+    } else if (depth === 2 && field) {
+      onItem(field, counts[field]++, value);
+    }
+  };
+
+  return {
+    push(chunk) {
+      for (const ch of chunk) {
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+            raw += ch;
+          } else if (ch === '\\') {
+            escaped = true;
+            raw += ch;
+          } else if (ch === '"') {
+            inString = false;
+            endString();
+          } else {
+            raw += ch;
+          }
+          continue;
+        }
+
+        if (ch === '"') {
+          inString = true;
+          raw = '';
+        } else if (ch === ':' && depth === 1) {
+          key = lastString;
+        } else if (ch === '{' || ch === '[') {
+          depth++;
+          if (ch === '[' && depth === 2 && fields.includes(key)) {
+            field = key;
+            counts[field] = 0;
+          }
+        } else if (ch === '}' || ch === ']') {
+          depth--;
+          if (depth <= 1) field = null;
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createArrayItemParser,
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+
+/**
+ * What kinds of files can be uploaded
+ * Videos go through the whole pipeline. Audio files (podcasts, recorder interviews) have
+ * no frames: the player shows a waveform and thumbnails start from an uploaded cover image.
+ * Audio the transcription API reads as is (DIRECT_TRANSCRIBE_EXTENSIONS) is sent without
+ * converting it to mp3 first.
+ */
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'avi', 'mkv', 'webm'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'm4a', 'aac', 'flac', 'ogg'];
+const DIRECT_TRANSCRIBE_EXTENSIONS = ['mp3', 'wav', 'm4a'];
+
+const COVER_IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+
+const INVALID_TYPE_MESSAGE = 'Invalid file type. Only video and audio files are allowed.';
+
+function extensionOf(filename) {
+  return path.extname(filename || '').toLowerCase().slice(1);
+}
+
+/**
+ * Whether a file is a video or an audio file, by its extension
+ * @param {string} filename
+ * @returns {'video'|'audio'|null} - null for anything that can't be uploaded
+ */
+function mediaTypeOf(filename) {
+  const ext = extensionOf(filename);
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+  if (AUDIO_EXTENSIONS.includes(ext)) return 'audio';
+  return null;
+}
+
+/**
+ * Whether a file can be transcribed without extracting its audio first
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function canTranscribeDirectly(filename) {
+  return DIRECT_TRANSCRIBE_EXTENSIONS.includes(extensionOf(filename));
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  AUDIO_EXTENSIONS,
+  COVER_IMAGE_EXTENSIONS,
+  INVALID_TYPE_MESSAGE,
+  extensionOf,
+  mediaTypeOf,
+  canTranscribeDirectly,
+};
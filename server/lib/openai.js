@@ -1,11 +1,9 @@
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { isValidPromptId } = require('./prompt-bundles');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 10 * 60 * 1000, // 10 minutes timeout for large file transcriptions
-});
+// The API clients themselves live in lib/providers
 
 // Load prompt configurations from legacy prompts folder
 function loadPrompt(promptFile) {
@@ -13,23 +11,51 @@ function loadPrompt(promptFile) {
   return JSON.parse(fs.readFileSync(promptPath, 'utf8'));
 }
 
-// Load active prompt from prompts library
-function loadActivePrompt(type) {
-  const libraryPath = path.join(__dirname, '../prompts-library.json');
-  const library = JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+function loadLibrary() {
+  const libraryPath = path.join(DATA_DIR, 'prompts-library.json');
+  return JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+}
+
+// A type's entry in the prompts library, or null
+// Only the library's own keys count, so names every object has ('constructor', '__proto__') are never found
+function libraryType(library, type) {
+  return typeof type === 'string' && Object.hasOwn(library, type) ? library[type] : null;
+}
+
+// A prompt in the prompts library, or null for unknown types and unknown or invalid IDs
+function findLibraryPrompt(library, type, promptId) {
+  const entry = libraryType(library, type);
+  return entry && isValidPromptId(promptId) && Object.hasOwn(entry.prompts, promptId) ? entry.prompts[promptId] : null;
+}
 
-  if (!library[type]) {
+// Find the active prompt in the prompts library: { id, prompt }
+// selections are a user's own picks by type (see lib/users.js); without one the shared active prompt is used
+function resolveActivePrompt(type, selections = {}) {
+  const library = loadLibrary();
+
+  if (!libraryType(library, type)) {
     throw new Error(`Prompt type '${type}' not found in prompts library`);
   }
 
-  const activeId = library[type].active;
-  const activePrompt = library[type].prompts[activeId];
+  const selected = selections[type];
+  const activeId = findLibraryPrompt(library, type, selected) ? selected : library[type].active;
+  const activePrompt = findLibraryPrompt(library, type, activeId);
 
   if (!activePrompt) {
     throw new Error(`Active prompt '${activeId}' not found for type '${type}'`);
   }
 
-  return activePrompt;
+  return { id: activeId, prompt: activePrompt };
+}
+
+// Load active prompt from prompts library
+function loadActivePrompt(type, selections = {}) {
+  return resolveActivePrompt(type, selections).prompt;
+}
+
+// Load a specific prompt from the prompts library (null if it doesn't exist)
+function loadLibraryPrompt(type, promptId) {
+  return findLibraryPrompt(loadLibrary(), type, promptId);
 }
 
 // Convert audio file to base64 data URL
@@ -113,9 +139,12 @@ function parseOpenAIError(error) {
 }
 
 module.exports = {
-  openai,
   loadPrompt,
+  resolveActivePrompt,
   loadActivePrompt,
+  loadLibraryPrompt,
+  libraryType,
+  findLibraryPrompt,
   audioToDataUrl,
   imageToDataUrl,
   parseOpenAIError,
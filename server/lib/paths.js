@@ -0,0 +1,16 @@
+const path = require('path');
+
+/**
+ * Where the app keeps its files
+ * DATA_DIR holds the editable JSON data (settings, prompts library, speakers and their
+ * voice samples, glossary, validation rules, channel profiles); UPLOADS_DIR holds uploaded videos and
+ * everything derived from them. Both can be moved with environment variables of the
+ * same name, e.g. so tests work on scratch copies. defaults.json always ships in server/.
+ */
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..'));
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads'));
+
+module.exports = {
+  DATA_DIR,
+  UPLOADS_DIR,
+};
@@ -0,0 +1,83 @@
+const { probeMedia, transcodeProxy } = require('./ffmpeg');
+const { createJob } = require('./jobs');
+const { saveProjectProxy } = require('./projects');
+const { safeUploadPath } = require('./security');
+const { extensionOf, mediaTypeOf } = require('./media');
+
+/**
+ * Browser-playable copies of uploaded videos
+ * Browsers play few containers and codecs - MKV and AVI not at all, MOV only with the common
+ * codecs. After upload a video is probed with ffprobe and, if the player couldn't play it,
+ * transcoded in the background to a low-bitrate H.264/AAC MP4 (<sessionId>_proxy.mp4).
+ * Only the player uses the copy: transcription and frames keep reading the original.
+ * Progress is kept on the project as proxy: { status, filename, codecs }.
+ */
+const PLAYABLE = {
+  mp4: { video: ['h264', 'av1'], audio: ['aac', 'mp3'] },
+  mov: { video: ['h264', 'av1'], audio: ['aac', 'mp3'] },
+  webm: { video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis'] },
+};
+
+/**
+ * Whether browsers can play a file as it is
+ * @param {string} filename - Its extension tells the container (ffprobe reports MKV and WebM alike)
+ * @param {Object} probe - { videoCodec, audioCodec } from probeMedia
+ * @returns {boolean}
+ */
+function isBrowserPlayable(filename, { videoCodec, audioCodec }) {
+  const playable = PLAYABLE[extensionOf(filename)];
+  return Boolean(playable)
+    && (!videoCodec || playable.video.includes(videoCodec))
+    && (!audioCodec || playable.audio.includes(audioCodec));
+}
+
+function proxyFilenameFor(sessionId) {
+  return `${sessionId}_proxy.mp4`;
+}
+
+/**
+ * Check a freshly uploaded video and make a playable copy if it needs one
+ * @param {string} sessionId
+ * @param {string} filename - The upload, in the uploads folder
+ * @returns {Object|null} - The background job, or null for audio files (browsers play those)
+ */
+function startProxyJob(sessionId, filename) {
+  if (mediaTypeOf(filename) !== 'video') return null;
+
+  saveProjectProxy(sessionId, { status: 'pending', filename: null, codecs: null });
+
+  return createJob({ type: 'proxy', sessionId }, async (reporter) => {
+    try {
+      reporter.stage('probing', 'Checking whether browsers can play this video...');
+      const probe = await probeMedia(safeUploadPath(filename));
+      const codecs = { video: probe.videoCodec, audio: probe.audioCodec };
+
+      if (isBrowserPlayable(filename, probe)) {
+        const proxy = saveProjectProxy(sessionId, { status: 'not_needed', filename: null, codecs })?.proxy;
+        return { success: true, proxy };
+      }
+
+      console.log(`Making a playable copy of ${filename} (${codecs.video || 'no video'}/${codecs.audio || 'no audio'})`);
+      reporter.stage('transcoding', 'Preparing a playable copy...', { current: 0, total: 100 });
+
+      const proxyFilename = proxyFilenameFor(sessionId);
+      await transcodeProxy(safeUploadPath(filename), safeUploadPath(proxyFilename), (percent) => {
+        reporter.stage('transcoding', 'Preparing a playable copy...', { current: percent, total: 100 });
+      });
+
+      const proxy = saveProjectProxy(sessionId, { status: 'ready', filename: proxyFilename, codecs })?.proxy;
+      return { success: true, proxy };
+    } catch (error) {
+      console.error(`Failed to make a playable copy of ${filename}:`, error.message);
+      saveProjectProxy(sessionId, { status: 'failed', filename: null, codecs: null });
+      error.payload = { error: 'Could not make a playable copy of this video' };
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  isBrowserPlayable,
+  proxyFilenameFor,
+  startProxyJob,
+};
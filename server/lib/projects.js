@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { UPLOADS_DIR, isValidSessionId } = require('./security');
+const { DEFAULT_CHANNEL } = require('./channels');
+const { mediaTypeOf } = require('./media');
+
+// Fields the client is allowed to persist on a project
+const STATE_FIELDS = ['transcript', 'metadata', 'thumbnails', 'expectedSpeakers'];
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Resolve the project file for a session
+ * Project files live next to the session's other files so cleanupSession() removes them too
+ * @param {string} sessionId
+ * @returns {string|null} - Full path if valid, null otherwise
+ */
+function projectPath(sessionId) {
+  if (!isValidSessionId(sessionId)) {
+    return null;
+  }
+  return path.join(UPLOADS_DIR, `${sessionId}_project.json`);
+}
+
+/**
+ * Read a project from disk
+ * @param {string} sessionId
+ * @returns {Object|null} - The project, or null if it doesn't exist
+ */
+function getProject(sessionId) {
+  const filePath = projectPath(sessionId);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a project to disk, bumping its updatedAt timestamp
+ * @param {Object} project
+ * @returns {Object} - The saved project
+ */
+function writeProject(project) {
+  project.updatedAt = Date.now();
+  fs.writeFileSync(projectPath(project.sessionId), JSON.stringify(project, null, 2));
+  return project;
+}
+
+/**
+ * Create a project for a freshly uploaded file
+ * @param {string} sessionId
+ * @param {Object} fileInfo - { filename, originalName, size, lastModified, channelId, contentHash }
+ * @returns {Object} - The new project, tagged with the channel it is produced for, whether
+ *   the file is a video or audio (lib/media.js) and the SHA-256 of the file (which finds
+ *   cached results for the same video, lib/content-cache.js)
+ */
+function createProject(sessionId, fileInfo) {
+  const project = {
+    sessionId,
+    name: fileInfo.originalName || fileInfo.filename,
+    filename: fileInfo.filename,
+    originalName: fileInfo.originalName || fileInfo.filename,
+    size: fileInfo.size || 0,
+    lastModified: fileInfo.lastModified || null,
+    channelId: fileInfo.channelId || DEFAULT_CHANNEL,
+    mediaType: mediaTypeOf(fileInfo.filename) || 'video',
+    contentHash: fileInfo.contentHash || null,
+    proxy: null,
+    keep: false,
+    createdAt: Date.now(),
+    transcript: null,
+    metadata: null,
+    thumbnails: null,
+    expectedSpeakers: null,
+  };
+  return writeProject(project);
+}
+
+/**
+ * Save pipeline state (transcript, metadata, thumbnails, expected speakers) onto a project
+ * @param {string} sessionId
+ * @param {Object} state - Only STATE_FIELDS are applied
+ * @returns {Object|null} - The updated project, or null if not found
+ */
+function saveProjectState(sessionId, state) {
+  const project = getProject(sessionId);
+  if (!project) return null;
+
+  for (const field of STATE_FIELDS) {
+    if (state[field] !== undefined) {
+      project[field] = state[field];
+    }
+  }
+  return writeProject(project);
+}
+
+/**
+ * Record where a project's browser-playable copy is at (lib/playback.js)
+ * @param {string} sessionId
+ * @param {Object} proxy - { status: 'pending' | 'ready' | 'not_needed' | 'failed', filename, codecs }
+ * @returns {Object|null} - The updated project, or null if not found
+ */
+function saveProjectProxy(sessionId, proxy) {
+  const project = getProject(sessionId);
+  if (!project) return null;
+
+  project.proxy = proxy;
+  return writeProject(project);
+}
+
+/**
+ * Rename a project and/or change whether it is kept
+ * @param {string} sessionId
+ * @param {Object} updates - { name, keep }
+ * @returns {Object|null} - The updated project, or null if not found
+ */
+function updateProjectInfo(sessionId, updates) {
+  const project = getProject(sessionId);
+  if (!project) return null;
+
+  if (updates.name !== undefined) {
+    project.name = updates.name;
+  }
+  if (updates.keep !== undefined) {
+    project.keep = updates.keep;
+  }
+  return writeProject(project);
+}
+
+/**
+ * Validate a rename/keep update
+ * @param {Object} updates
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateProjectInfo(updates) {
+  if (!updates || typeof updates !== 'object') {
+    return 'Invalid project update';
+  }
+  if (updates.name !== undefined) {
+    if (typeof updates.name !== 'string' || !updates.name.trim()) {
+      return 'Project name must be a non-empty string';
+    }
+    if (updates.name.length > MAX_NAME_LENGTH) {
+      return `Project name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (updates.keep !== undefined && typeof updates.keep !== 'boolean') {
+    return 'keep must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Summarize a project for list views (omits the heavy pipeline state)
+ * @param {Object} project
+ * @returns {Object}
+ */
+function summarizeProject(project) {
+  return {
+    sessionId: project.sessionId,
+    name: project.name,
+    filename: project.filename,
+    originalName: project.originalName,
+    size: project.size,
+    channelId: project.channelId || DEFAULT_CHANNEL, // Projects from before channels were for the default one
+    mediaType: project.mediaType || 'video', // Only videos could be uploaded before audio files
+    keep: project.keep,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+    hasTranscript: Array.isArray(project.transcript) && project.transcript.length > 0,
+    hasMetadata: !!project.metadata?.data,
+    hasThumbnails: !!project.thumbnails?.selectedFrames?.length,
+    fileAvailable: fs.existsSync(path.join(UPLOADS_DIR, project.filename)),
+  };
+}
+
+/**
+ * List all projects, most recently updated first
+ * @returns {Object[]} - Project summaries
+ */
+function listProjects() {
+  const projects = [];
+
+  if (!fs.existsSync(UPLOADS_DIR)) {
+    return projects;
+  }
+
+  for (const file of fs.readdirSync(UPLOADS_DIR)) {
+    const match = file.match(/^(.+)_project\.json$/);
+    if (!match || !isValidSessionId(match[1])) continue;
+
+    try {
+      projects.push(summarizeProject(getProject(match[1])));
+    } catch (error) {
+      console.error(`Failed to read project ${file}:`, error.message);
+    }
+  }
+
+  return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Check whether the user chose to keep a session's project
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+function isProjectKept(sessionId) {
+  try {
+    return getProject(sessionId)?.keep === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  getProject,
+  createProject,
+  saveProjectState,
+  saveProjectProxy,
+  updateProjectInfo,
+  validateProjectInfo,
+  summarizeProject,
+  listProjects,
+  isProjectKept,
+};
@@ -0,0 +1,221 @@
+const { findUnknownVariables } = require('./prompt-templates');
+
+/**
+ * Prompt bundles: library prompts as a JSON file, to move them between deployments
+ * A bundle holds one prompt, every prompt of a type, or the whole library:
+ *   { format, version, exportedAt, exportedBy, prompts: { [type]: { [promptId]: prompt } } }
+ * Who owns a prompt isn't exported - imported prompts are shared. When an imported ID is
+ * already taken, the conflict mode decides: skip it, overwrite the existing prompt (shared
+ * prompts only), or import it under a new ID.
+ */
+const BUNDLE_FORMAT = 'algo-whisperer-prompts';
+const BUNDLE_VERSION = 1;
+
+const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+
+const PROMPT_ID_PATTERN = /^[\w-]{1,100}$/;
+const INVALID_PROMPT_ID_MESSAGE = 'letters, numbers, dashes and underscores';
+const MAX_BUNDLE_PROMPTS = 200;
+const MAX_FIELD_LENGTH = 50000;
+
+// The fields each type of prompt has (besides its name); optional ones can be left out
+const PROMPT_FIELDS = {
+  metadata: {
+    system_prompt: 'text',
+    title_prompt: 'text',
+    description_prompt: 'text',
+    thumbnail_title_prompt: 'text',
+    chapter_prompt: 'optional text',
+  },
+  vision: {
+    system_prompt: 'text',
+    analysis_prompt: 'text',
+  },
+  transcription: {
+    instructions: 'text',
+    known_speakers: 'list',
+    unknown_speaker_labels: 'list',
+  },
+};
+
+// A prompt as it goes into a bundle (without its owner)
+function exportedPrompt(prompt) {
+  const { owner, ...fields } = prompt;
+  return fields;
+}
+
+/**
+ * Build a bundle from the prompts a user can see
+ * @param {Object} library - Prompts library, already limited to what the user can see
+ * @param {Object} [options] - { type, promptId, exportedBy }; no type exports everything
+ * @returns {Object|null} - The bundle, or null if the type or prompt doesn't exist
+ */
+function createBundle(library, { type, promptId, exportedBy = null } = {}) {
+  const prompts = {};
+
+  for (const [libraryType, { prompts: typePrompts }] of Object.entries(library)) {
+    if (type && libraryType !== type) continue;
+
+    const ids = promptId ? [promptId] : Object.keys(typePrompts);
+    if (ids.some(id => !Object.hasOwn(typePrompts, id))) return null;
+    prompts[libraryType] = Object.fromEntries(ids.map(id => [id, exportedPrompt(typePrompts[id])]));
+  }
+  if (type && !prompts[type]) return null;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    prompts,
+  };
+}
+
+/**
+ * Whether a prompt ID can be stored in the library, whether created or imported
+ * IDs are object keys, so names every object already has (__proto__, constructor) are refused
+ * @param {*} id
+ * @returns {boolean}
+ */
+function isValidPromptId(id) {
+  return typeof id === 'string' && PROMPT_ID_PATTERN.test(id) && !(id in Object.prototype);
+}
+
+/**
+ * Check one prompt against its type's fields
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validatePrompt(type, prompt) {
+  if (!prompt || typeof prompt !== 'object' || Array.isArray(prompt)) {
+    return 'must be an object';
+  }
+  if (typeof prompt.name !== 'string' || !prompt.name.trim() || prompt.name.length > 200) {
+    return 'needs a name of at most 200 characters';
+  }
+
+  const fields = PROMPT_FIELDS[type];
+  for (const key of Object.keys(prompt)) {
+    if (key !== 'name' && !fields[key]) return `has an unknown field '${key}'`;
+  }
+  for (const [key, kind] of Object.entries(fields)) {
+    const value = prompt[key];
+    if (value === undefined) {
+      if (kind === 'optional text') continue;
+      return `is missing '${key}'`;
+    }
+    if (kind === 'list' ? !Array.isArray(value) : typeof value !== 'string') {
+      return `'${key}' must be ${kind === 'list' ? 'a list' : 'text'}`;
+    }
+    if (JSON.stringify(value).length > MAX_FIELD_LENGTH) {
+      return `'${key}' is too long`;
+    }
+  }
+
+  const unknown = findUnknownVariables(prompt);
+  if (unknown.length > 0) {
+    return `uses unknown template variables: ${unknown.map(({ field, variable }) => `{{${variable}}} in ${field}`).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a bundle before importing it
+ * @param {*} bundle
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return 'Bundle must be an object';
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return 'Not a prompt bundle';
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return `Unsupported bundle version: ${bundle.version} (this app reads up to version ${BUNDLE_VERSION})`;
+  }
+  if (!bundle.prompts || typeof bundle.prompts !== 'object' || Array.isArray(bundle.prompts)) {
+    return 'Bundle has no prompts';
+  }
+
+  let count = 0;
+  for (const [type, prompts] of Object.entries(bundle.prompts)) {
+    if (!Object.hasOwn(PROMPT_FIELDS, type)) {
+      return `Unknown prompt type '${type}'`;
+    }
+    if (!prompts || typeof prompts !== 'object' || Array.isArray(prompts)) {
+      return `${type} prompts must be an object`;
+    }
+    for (const [id, prompt] of Object.entries(prompts)) {
+      if (!isValidPromptId(id)) {
+        return `Invalid prompt ID '${id}' (${INVALID_PROMPT_ID_MESSAGE})`;
+      }
+      const error = validatePrompt(type, prompt);
+      if (error) return `${type} prompt '${id}' ${error}`;
+      count++;
+    }
+  }
+
+  if (count === 0) return 'Bundle has no prompts';
+  if (count > MAX_BUNDLE_PROMPTS) return `A bundle can have at most ${MAX_BUNDLE_PROMPTS} prompts`;
+  return null;
+}
+
+// The first free "<id>-2", "<id>-3", ... (also avoiding IDs taken earlier in the same import)
+function freeId(id, taken) {
+  for (let n = 2; ; n++) {
+    const candidate = `${id}-${n}`;
+    if (!taken.has(candidate)) return candidate;
+  }
+}
+
+/**
+ * Work out what importing a bundle would do, without changing anything
+ * @param {Object} library - Prompts library
+ * @param {Object} bundle - Validated bundle
+ * @param {string} conflict - skip, overwrite or rename
+ * @returns {Object[]} - [{ type, id, action, importedAs, reason }]
+ *   action: add, overwrite, rename, skip, or unchanged (already in the library as is)
+ */
+function planImport(library, bundle, conflict) {
+  const plan = [];
+
+  for (const [type, prompts] of Object.entries(bundle.prompts)) {
+    const existing = library[type]?.prompts || {};
+    const taken = new Set(Object.keys(existing));
+
+    for (const [id, prompt] of Object.entries(prompts)) {
+      const current = existing[id];
+      if (!current) {
+        plan.push({ type, id, action: 'add', importedAs: id });
+      } else if (!current.owner && JSON.stringify(exportedPrompt(current)) === JSON.stringify(prompt)) {
+        plan.push({ type, id, action: 'unchanged', importedAs: id });
+      } else if (conflict === 'overwrite' && !current.owner) {
+        plan.push({ type, id, action: 'overwrite', importedAs: id });
+      } else if (conflict === 'rename') {
+        const importedAs = freeId(id, taken);
+        taken.add(importedAs);
+        plan.push({ type, id, action: 'rename', importedAs });
+      } else {
+        plan.push({
+          type,
+          id,
+          action: 'skip',
+          importedAs: null,
+          reason: current.owner ? 'The ID belongs to someone\'s personal prompt' : 'A different prompt has this ID',
+        });
+      }
+    }
+  }
+  return plan;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  CONFLICT_MODES,
+  INVALID_PROMPT_ID_MESSAGE,
+  isValidPromptId,
+  createBundle,
+  validateBundle,
+  planImport,
+};
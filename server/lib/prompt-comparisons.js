@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR } = require('./paths');
+
+/**
+ * Prompt A/B comparisons
+ * A comparison runs two or more prompts (optionally with different models) on the same
+ * transcript. Running comparisons are kept in memory until someone votes for the better
+ * set; votes are appended to prompt-votes.json, and the wins and losses each prompt has
+ * collected are tallied from them.
+ */
+const VOTES_PATH = path.join(DATA_DIR, 'prompt-votes.json');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 4;
+const COMPARISON_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours to vote
+
+// Comparison ID -> { type, sessionId, variants: [{ promptId, version, model, failed }], voted, createdAt }
+const comparisons = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, comparison] of comparisons) {
+    if (now - comparison.createdAt > COMPARISON_TTL_MS) comparisons.delete(id);
+  }
+}, 30 * 60 * 1000).unref();
+
+function loadVotes() {
+  try {
+    return JSON.parse(fs.readFileSync(VOTES_PATH, 'utf8')).votes || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Validate the variants of a comparison request
+ * @param {*} variants - [{ promptId, chatModel }]
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return `Compare between ${MIN_VARIANTS} and ${MAX_VARIANTS} prompts`;
+  }
+  for (const variant of variants) {
+    if (!variant || typeof variant.promptId !== 'string' || !variant.promptId) {
+      return 'Each comparison needs a promptId';
+    }
+    if (variant.chatModel !== undefined && (typeof variant.chatModel !== 'string' || variant.chatModel.length > 100)) {
+      return 'chatModel must be a model name';
+    }
+  }
+
+  const keys = variants.map(variant => `${variant.promptId}|${variant.chatModel || ''}`);
+  if (new Set(keys).size !== keys.length) {
+    return 'Each prompt and model combination can only be compared once';
+  }
+  return null;
+}
+
+/**
+ * Start a comparison waiting for a vote
+ * @param {Object} comparison - { type, sessionId, variants: [{ promptId, version, model, failed }] }
+ * @returns {string} - Comparison ID
+ */
+function createComparison({ type, sessionId, variants }) {
+  const id = uuidv4();
+  comparisons.set(id, { type, sessionId: sessionId || null, variants, voted: false, createdAt: Date.now() });
+  return id;
+}
+
+function getComparison(id) {
+  return comparisons.get(id) || null;
+}
+
+/**
+ * Vote for the better set of results (once per comparison)
+ * @param {string} id - Comparison ID
+ * @param {number} winner - Index of the winning variant
+ * @param {string|null} voter - Username (null for the shared API key)
+ * @returns {Object} - The recorded vote
+ */
+function recordVote(id, winner, voter) {
+  const comparison = comparisons.get(id);
+  comparison.voted = true;
+
+  const vote = {
+    comparisonId: id,
+    type: comparison.type,
+    sessionId: comparison.sessionId,
+    variants: comparison.variants,
+    winner,
+    voter,
+    createdAt: new Date().toISOString(),
+  };
+  const votes = loadVotes();
+  votes.push(vote);
+  fs.writeFileSync(VOTES_PATH, JSON.stringify({ votes }, null, 2));
+  return vote;
+}
+
+/**
+ * Wins and losses per prompt, from every vote so far
+ * A prompt compared against itself (with different models) isn't counted as losing to itself,
+ * and runs that failed don't count at all.
+ * @param {string} type - Prompt type
+ * @returns {Object} - { [promptId]: { wins, losses, comparisons } }
+ */
+function getTallies(type) {
+  const tallies = {};
+  for (const vote of loadVotes().filter(entry => entry.type === type)) {
+    const winnerId = vote.variants[vote.winner].promptId;
+    const compared = vote.variants.filter(variant => !variant.failed).map(variant => variant.promptId);
+    for (const promptId of new Set(compared)) {
+      const tally = tallies[promptId] = tallies[promptId] || { wins: 0, losses: 0, comparisons: 0 };
+      tally.comparisons++;
+      if (promptId === winnerId) {
+        tally.wins++;
+      } else {
+        tally.losses++;
+      }
+    }
+  }
+  return tallies;
+}
+
+module.exports = {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  validateVariants,
+  createComparison,
+  getComparison,
+  recordVote,
+  getTallies,
+};
@@ -0,0 +1,117 @@
+/**
+ * Prompt templates
+ * Library prompts can use {{variables}} that are filled in when a prompt is used: the
+ * channel's details come from its profile (lib/channels.js), the rest from the video and
+ * the generation settings. A variable with no value is replaced with an empty string.
+ * Prompts that use a variable not listed here are rejected when saved.
+ */
+const TEMPLATE_VARIABLES = {
+  channel_name: 'The channel name, from the channel profile',
+  guest_names: 'The people the channel features, from the channel profile',
+  channel_topic: 'What the channel covers, from the channel profile',
+  video_duration: 'Length of the clip, e.g. "4 min 12 seconds"',
+  speakers: 'Speakers identified in the transcript, comma-separated',
+  num_titles: 'Number of titles requested (Settings)',
+  num_descriptions: 'Number of descriptions requested (Settings)',
+  num_thumbnail_titles: 'Number of thumbnail titles requested (Settings)',
+};
+
+// {{name}}, allowing spaces inside the braces
+const VARIABLE_PATTERN = /\{\{\s*([^{}\s]*)\s*\}\}/g;
+
+/**
+ * Variable names used in a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function variablesIn(text) {
+  return [...String(text).matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Variables a prompt uses that don't exist
+ * @param {Object} prompt - Library prompt (string fields are checked)
+ * @returns {Object[]} - [{ field, variable }]
+ */
+function findUnknownVariables(prompt) {
+  const unknown = [];
+  for (const [field, value] of Object.entries(prompt)) {
+    if (typeof value !== 'string') continue;
+    for (const variable of new Set(variablesIn(value))) {
+      if (!Object.hasOwn(TEMPLATE_VARIABLES, variable)) {
+        unknown.push({ field, variable });
+      }
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Fill in a text's variables
+ * @param {string} text
+ * @param {Object} values - { [variable]: value }
+ * @returns {string}
+ */
+function renderTemplate(text, values) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => {
+    if (!Object.hasOwn(TEMPLATE_VARIABLES, name)) return match;
+    const value = values[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Fill in the variables of every text field of a prompt
+ * @param {Object} prompt - Library prompt
+ * @param {Object} values
+ * @returns {Object} - A rendered copy
+ */
+function renderPrompt(prompt, values) {
+  return Object.fromEntries(Object.entries(prompt).map(([field, value]) => [
+    field,
+    typeof value === 'string' ? renderTemplate(value, values) : value,
+  ]));
+}
+
+/**
+ * Format seconds the way prompts describe a clip's length
+ * @param {number} seconds
+ * @returns {string} - e.g. "4 min 12 seconds"
+ */
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)} min ${Math.floor(seconds % 60)} seconds`;
+}
+
+/**
+ * The values for a generation
+ * @param {Object} options
+ * @param {Object} options.channel - Channel profile
+ * @param {Object[]} [options.transcript] - Transcript segments
+ * @param {Object} [options.settings] - Generation settings
+ * @returns {Object} - { [variable]: value }
+ */
+function templateValues({ channel, transcript = [], settings = {} }) {
+  const speakers = [...new Set(transcript.map(segment => segment.speaker).filter(Boolean))];
+  const durationSeconds = transcript[transcript.length - 1]?.end || 0;
+
+  return {
+    channel_name: channel.channelName,
+    guest_names: channel.guestNames,
+    channel_topic: channel.topic,
+    video_duration: transcript.length > 0 ? formatDuration(durationSeconds) : '',
+    speakers: speakers.join(', '),
+    num_titles: settings.numTitles,
+    num_descriptions: settings.numDescriptions,
+    num_thumbnail_titles: settings.numThumbnailTitles,
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  variablesIn,
+  findUnknownVariables,
+  renderTemplate,
+  renderPrompt,
+  formatDuration,
+  templateValues,
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+/**
+ * Prompt version history (prompt-versions.json)
+ * Every save of a library prompt is kept as an immutable, numbered version with its author,
+ * time and a note, so an edit that makes output worse can be compared and rolled back.
+ * Versions are never changed or removed - a rollback records a new version with the old
+ * content, and deleting a prompt keeps its history so older generations stay traceable.
+ */
+const VERSIONS_PATH = path.join(DATA_DIR, 'prompt-versions.json');
+
+const MAX_NOTE_LENGTH = 500;
+
+function loadHistory() {
+  try {
+    return JSON.parse(fs.readFileSync(VERSIONS_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveHistory(history) {
+  fs.writeFileSync(VERSIONS_PATH, JSON.stringify(history, null, 2));
+}
+
+// The fields a version captures (who owns a prompt isn't part of its content)
+function promptContent(prompt) {
+  const { owner, ...fields } = prompt;
+  return fields;
+}
+
+function sameContent(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * All versions of a prompt, oldest first
+ * @param {string} type - metadata, vision or transcription
+ * @param {string} promptId
+ * @returns {Object[]} - [{ version, prompt, author, note, createdAt }]
+ */
+function listVersions(type, promptId) {
+  return loadHistory()[type]?.[promptId] || [];
+}
+
+/**
+ * One version of a prompt
+ * @param {string} type
+ * @param {string} promptId
+ * @param {number} version
+ * @returns {Object|null}
+ */
+function getVersion(type, promptId, version) {
+  return listVersions(type, promptId).find(entry => entry.version === version) || null;
+}
+
+/**
+ * Record a save as the prompt's next version
+ * @param {string} type
+ * @param {string} promptId
+ * @param {Object} prompt - The prompt as saved in the library
+ * @param {Object} [details] - { author, note }
+ * @returns {Object} - The new version
+ */
+function recordVersion(type, promptId, prompt, { author = null, note = '' } = {}) {
+  const history = loadHistory();
+  history[type] = history[type] || {};
+  const versions = history[type][promptId] = history[type][promptId] || [];
+
+  const entry = {
+    version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+    prompt: promptContent(prompt),
+    author,
+    note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH),
+    createdAt: new Date().toISOString(),
+  };
+  versions.push(entry);
+  saveHistory(history);
+  return entry;
+}
+
+/**
+ * The version matching a prompt's current content
+ * Prompts from before version history (or edited by hand in prompts-library.json) get
+ * their content recorded first, so there is always a version to stamp and roll back to.
+ * @param {string} type
+ * @param {string} promptId
+ * @param {Object} prompt - The prompt as it is in the library
+ * @returns {Object}
+ */
+function ensureVersion(type, promptId, prompt) {
+  const versions = listVersions(type, promptId);
+  const latest = versions[versions.length - 1];
+  if (latest && sameContent(latest.prompt, promptContent(prompt))) {
+    return latest;
+  }
+  return recordVersion(type, promptId, prompt, { note: latest ? 'Changed outside the app' : 'Initial version' });
+}
+
+/**
+ * What to stamp on a generation so it can be traced to the exact prompt that produced it
+ * @param {string} type
+ * @param {string} promptId
+ * @param {Object} prompt
+ * @returns {Object} - { type, promptId, name, version }
+ */
+function versionStamp(type, promptId, prompt) {
+  const { version } = ensureVersion(type, promptId, prompt);
+  return { type, promptId, name: prompt.name || promptId, version };
+}
+
+// Prompt fields are strings, apart from the transcription speaker lists
+function fieldText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Object[]} - [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffLines(before, after) {
+  const a = before === '' ? [] : before.split('\n');
+  const b = after === '' ? [] : after.split('\n');
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Compare two versions field by field
+ * @param {Object} from - Version entry
+ * @param {Object} to - Version entry
+ * @returns {Object[]} - Changed fields: [{ field, status: 'added' | 'removed' | 'changed', from, to, lines }]
+ */
+function diffVersions(from, to) {
+  const fields = [...new Set([...Object.keys(from.prompt), ...Object.keys(to.prompt)])];
+
+  return fields
+    .filter(field => !sameContent(from.prompt[field], to.prompt[field]))
+    .map((field) => {
+      const before = fieldText(from.prompt[field]);
+      const after = fieldText(to.prompt[field]);
+      return {
+        field,
+        status: !(field in from.prompt) ? 'added' : !(field in to.prompt) ? 'removed' : 'changed',
+        from: before,
+        to: after,
+        lines: diffLines(before, after),
+      };
+    });
+}
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  listVersions,
+  getVersion,
+  recordVersion,
+  ensureVersion,
+  versionStamp,
+  diffLines,
+  diffVersions,
+};
@@ -0,0 +1,168 @@
+/**
+ * Fake provider: deterministic canned results, no network and no API spend
+ * Lets the whole pipeline (transcribe -> generate -> rank frames) run offline, e.g. in
+ * development or tests. Output follows the request's shape - the counts asked for in
+ * the prompt and the fields of the JSON schema - so downstream code sees realistic data.
+ */
+
+const FAKE_MODELS = ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4o-transcribe-diarize', 'gpt-4o-transcribe', 'whisper-1'];
+
+const SEGMENT_SECONDS = 10;
+
+const CANNED_LINES = [
+  'Welcome back to the show. Today we are talking about the latest jobs report.',
+  'Thanks for having me. The headline number came in stronger than most forecasters expected.',
+  'What does that tell us about where the labor market is heading?',
+  'Hiring is slowing, but it is slowing gently rather than falling off a cliff.',
+  'And inflation? Does this change the picture for the Fed?',
+  'It makes a rate cut at the next meeting a little less likely, but only a little.',
+];
+
+// Pull a requested count out of the prompt ("Generate: 1. 20 suggested YouTube video titles")
+function countFrom(text, pattern, fallback) {
+  const match = (text || '').match(pattern);
+  return match ? parseInt(match[1], 10) : fallback;
+}
+
+function range(count, make) {
+  return Array.from({ length: count }, (_, i) => make(i + 1));
+}
+
+// Fill a JSON schema with placeholder values (for schemas without a canned builder)
+function fillSchema(schema, name = 'value') {
+  switch (schema?.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, fillSchema(value, key)]));
+    case 'array':
+      return range(3, i => fillSchema(schema.items, `${name} ${i}`));
+    case 'number':
+    case 'integer':
+      return 1;
+    case 'boolean':
+      return true;
+    default:
+      return `Sample ${name}`;
+  }
+}
+
+// Canned results for the app's structured requests, keyed by schema name
+const BUILDERS = {
+  metadata_response({ instructions }) {
+    const numTitles = countFrom(instructions, /(\d+) suggested YouTube video titles/, 3);
+    const numDescriptions = countFrom(instructions, /(\d+) suggested YouTube video descriptions/, 2);
+    const numThumbnailTitles = countFrom(instructions, /(\d+) suggested thumbnail titles/, 3);
+    const numTags = countFrom(instructions, /(\d+) YouTube tags/, 10);
+    const numHashtags = countFrom(instructions, /(\d+) hashtags/, 3);
+
+    return {
+      titles: range(numTitles, i => `Sample Title ${i}: What the Jobs Report Means`),
+      descriptions: range(numDescriptions, i => `Sample description ${i}. Two economists discuss the latest jobs report, what it means for inflation, and whether the Fed will cut rates.`),
+      thumbnailTitles: range(numThumbnailTitles, i => `Jobs Report ${i}`),
+      chapters: [
+        { start: '0:00', title: 'Introduction' },
+        { start: '0:20', title: 'The Headline Number' },
+        { start: '0:40', title: 'What It Means for the Fed' },
+      ],
+      tags: range(numTags, i => `sample tag ${i}`),
+      hashtags: range(numHashtags, i => `#SampleHashtag${i}`),
+    };
+  },
+
+  tags_response({ input }) {
+    return {
+      tags: range(countFrom(input, /exactly (\d+) tags/, 10), i => `sample tag ${i}`),
+      hashtags: range(countFrom(input, /exactly (\d+) hashtags/, 3), i => `#SampleHashtag${i}`),
+    };
+  },
+
+  replacements_response({ input }) {
+    return {
+      titles: range(countFrom(input, /exactly (\d+) titles/, 0), i => `Replacement Title ${i}`),
+      descriptions: range(countFrom(input, /(\d+) descriptions/, 0), i => `Replacement description ${i}.`),
+      thumbnailTitles: range(countFrom(input, /(\d+) thumbnail titles/, 0), i => `Replacement ${i}`),
+    };
+  },
+
+  description_summary({ input }) {
+    const count = ((input || '').match(/^DESCRIPTION \d+:/gm) || []).length;
+    return {
+      videoSummary: 'Two economists discuss the latest jobs report and what it means for interest rates.',
+      labels: range(count, i => `Sample angle ${i}`),
+    };
+  },
+};
+
+function createFakeProvider() {
+  let responseCount = 0;
+
+  const respond = (request) => {
+    const { format } = request;
+    let result;
+    if (format?.type === 'json_schema') {
+      result = BUILDERS[format.name] ? BUILDERS[format.name](request) : fillSchema(format.schema);
+    } else if (format?.type === 'json_object') {
+      result = { titles: range(3, i => `Refined Title ${i}`) };
+    } else {
+      result = null;
+    }
+
+    responseCount++;
+    return {
+      id: `fake_resp_${responseCount}`,
+      text: result === null ? `Sample response ${responseCount}` : JSON.stringify(result),
+      usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+    };
+  };
+
+  return {
+    name: 'fake',
+
+    // Speakers alternate between the expected speakers (or generic A/B labels)
+    async transcribe({ knownSpeakerNames = [] }) {
+      const speakers = knownSpeakerNames.length >= 2 ? knownSpeakerNames : ['A', 'B'];
+      const segments = CANNED_LINES.map((text, i) => ({
+        start: i * SEGMENT_SECONDS,
+        end: (i + 1) * SEGMENT_SECONDS,
+        text,
+        speaker: speakers[i % speakers.length],
+      }));
+
+      return {
+        segments,
+        duration: CANNED_LINES.length * SEGMENT_SECONDS,
+        language: 'english',
+      };
+    },
+
+    async generate(request) {
+      return respond(request);
+    },
+
+    async *generateStream(request) {
+      const { id, text, usage } = respond(request);
+      for (let i = 0; i < text.length; i += 40) {
+        yield { type: 'delta', text: text.slice(i, i + 40) };
+      }
+      yield { type: 'completed', id, usage };
+    },
+
+    // Frames ranked in the order they were sent
+    async analyzeImages({ model, images }) {
+      const ranking = images.map((_, i) => i + 1).join(', ');
+      return {
+        text: `Frames ranked by thumbnail potential.\n\nRANKING: ${ranking}`,
+        model,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        finishReason: 'stop',
+      };
+    },
+
+    async listModels() {
+      return FAKE_MODELS;
+    },
+  };
+}
+
+module.exports = {
+  createFakeProvider,
+};
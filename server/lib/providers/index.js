@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { createOpenAIProvider } = require('./openai');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createFakeProvider } = require('./fake');
+
+/**
+ * AI providers: every model call the app makes goes through one of these
+ *
+ * A provider implements:
+ *   transcribe({ filePath, model, knownSpeakerNames, knownSpeakerReferences, prompt })
+ *     -> { segments: [{ start, end, text, speaker }], duration, language }
+ *   generate({ model, instructions, input, format, previousResponseId })
+ *     -> { id, text, usage }
+ *     format is { type: 'json_schema', name, schema } or { type: 'json_object' }; the id can be
+ *     passed back as previousResponseId to continue the conversation
+ *   generateStream(request, { signal })
+ *     -> async iterable of { type: 'delta', text } then { type: 'completed', id, usage }
+ *   analyzeImages({ model, systemPrompt, prompt, images: [{ dataUrl, detail }], maxTokens })
+ *     -> { text, model, usage, finishReason }
+ *   listModels() -> model IDs
+ *
+ * The provider is chosen with the aiProvider setting (aiBaseUrl for openai-compatible).
+ * The AI_PROVIDER environment variable overrides the setting, e.g. AI_PROVIDER=fake.
+ */
+const PROVIDERS = ['openai', 'openai-compatible', 'fake'];
+const DEFAULT_PROVIDER = 'openai';
+
+const settingsPath = path.join(DATA_DIR, 'settings.json');
+const defaultsPath = path.join(__dirname, '../../defaults.json');
+
+// Built providers, keyed by their configuration
+const instances = new Map();
+
+function loadProviderSettings() {
+  for (const file of [settingsPath, defaultsPath]) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      // Missing or unreadable - try the next file
+    }
+  }
+  return {};
+}
+
+/**
+ * Get the configured AI provider
+ * @returns {Object} - Provider
+ */
+function getProvider() {
+  const settings = loadProviderSettings();
+  const name = process.env.AI_PROVIDER || settings.aiProvider || DEFAULT_PROVIDER;
+  const baseURL = process.env.AI_BASE_URL || settings.aiBaseUrl || '';
+
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI provider '${name}' (expected one of: ${PROVIDERS.join(', ')})`);
+  }
+  if (name === 'openai-compatible' && !baseURL) {
+    throw new Error('The openai-compatible provider needs a base URL (aiBaseUrl setting)');
+  }
+
+  const key = name === 'openai-compatible' ? `${name}|${baseURL}` : name;
+  if (!instances.has(key)) {
+    if (name === 'openai') {
+      instances.set(key, createOpenAIProvider());
+    } else if (name === 'openai-compatible') {
+      instances.set(key, createOpenAICompatibleProvider({ baseURL }));
+    } else {
+      instances.set(key, createFakeProvider());
+    }
+  }
+  return instances.get(key);
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+};
@@ -0,0 +1,122 @@
+const OpenAI = require('openai');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { createOpenAIProvider } = require('./openai');
+
+/**
+ * OpenAI-compatible provider for self-hosted gateways (vLLM, Ollama, LiteLLM, ...)
+ * Gateways generally implement chat completions and Whisper-style transcription but not
+ * the Responses API, so text generation goes through chat completions and follow-up
+ * requests replay the conversation kept here. Transcription has no diarization or
+ * known speakers. Vision and model listing work as they do with OpenAI.
+ */
+
+// Conversations kept for follow-ups (auto-fix, tag retries, refinement), like generate.js's TTL
+const CONVERSATION_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_CONVERSATIONS = 200;
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseURL - Gateway URL, e.g. http://localhost:8000/v1
+ * @param {string} [options.apiKey] - Defaults to AI_API_KEY, then OPENAI_API_KEY
+ * @returns {Object} - Provider (see providers/index.js for the interface)
+ */
+function createOpenAICompatibleProvider({ baseURL, apiKey }) {
+  const client = new OpenAI({
+    baseURL,
+    apiKey: apiKey || process.env.AI_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+    timeout: 10 * 60 * 1000,
+  });
+
+  // responseId -> { messages, createdAt }
+  const conversations = new Map();
+
+  const remember = (messages) => {
+    const now = Date.now();
+    for (const [id, conversation] of conversations) {
+      if (now - conversation.createdAt > CONVERSATION_TTL_MS || conversations.size >= MAX_CONVERSATIONS) {
+        conversations.delete(id);
+      }
+    }
+
+    const id = `resp_${uuidv4()}`;
+    conversations.set(id, { messages, createdAt: now });
+    return id;
+  };
+
+  const toChatParams = ({ model, instructions, input, format, previousResponseId }) => {
+    const history = previousResponseId ? conversations.get(previousResponseId)?.messages : null;
+    if (previousResponseId && !history) {
+      throw new Error('Previous conversation not found or expired');
+    }
+
+    const messages = history
+      ? [...history, { role: 'user', content: input }]
+      : [...(instructions ? [{ role: 'system', content: instructions }] : []), { role: 'user', content: input }];
+
+    const params = { model, messages };
+    if (format?.type === 'json_schema') {
+      params.response_format = {
+        type: 'json_schema',
+        json_schema: { name: format.name, strict: true, schema: format.schema },
+      };
+    } else if (format?.type === 'json_object') {
+      params.response_format = { type: 'json_object' };
+    }
+    return params;
+  };
+
+  return {
+    ...createOpenAIProvider({ client }),
+    name: 'openai-compatible',
+
+    async transcribe({ filePath, model, prompt = null }) {
+      const params = {
+        file: fs.createReadStream(filePath),
+        model,
+        response_format: 'verbose_json',
+      };
+      if (prompt) {
+        params.prompt = prompt;
+      }
+
+      // Segments come back without speakers; they're labelled 'Unknown' downstream
+      return client.audio.transcriptions.create(params);
+    },
+
+    async generate(request) {
+      const params = toChatParams(request);
+      const response = await client.chat.completions.create(params);
+      const text = response.choices[0]?.message?.content || '';
+
+      const id = remember([...params.messages, { role: 'assistant', content: text }]);
+      return { id, text, usage: response.usage };
+    },
+
+    async *generateStream(request, { signal } = {}) {
+      const params = toChatParams(request);
+      const stream = await client.chat.completions.create(
+        { ...params, stream: true, stream_options: { include_usage: true } },
+        { signal }
+      );
+
+      let text = '';
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          yield { type: 'delta', text: delta };
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      const id = remember([...params.messages, { role: 'assistant', content: text }]);
+      yield { type: 'completed', id, usage };
+    },
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
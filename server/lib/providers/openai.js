@@ -0,0 +1,109 @@
+const OpenAI = require('openai');
+const fs = require('fs');
+
+/**
+ * OpenAI provider: Responses API for text, chat completions for vision,
+ * and the diarizing transcription models (with known speaker references)
+ * @param {Object} [options]
+ * @param {OpenAI} [options.client] - Existing client (the compatible provider passes its own)
+ * @returns {Object} - Provider (see providers/index.js for the interface)
+ */
+function createOpenAIProvider({ client } = {}) {
+  const openai = client || new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    timeout: 10 * 60 * 1000, // 10 minutes timeout for large file transcriptions
+  });
+
+  // Map a provider-neutral request onto Responses API parameters
+  const toResponseParams = ({ model, instructions, input, format, previousResponseId }) => {
+    const params = { model, input };
+    if (instructions) params.instructions = instructions;
+    if (previousResponseId) params.previous_response_id = previousResponseId;
+    if (format?.type === 'json_schema') {
+      params.text = { format: { type: 'json_schema', name: format.name, strict: true, schema: format.schema } };
+    } else if (format?.type === 'json_object') {
+      params.text = { format: { type: 'json_object' } };
+    }
+    return params;
+  };
+
+  return {
+    name: 'openai',
+
+    async transcribe({ filePath, model, knownSpeakerNames = [], knownSpeakerReferences = [], prompt = null }) {
+      const params = {
+        file: fs.createReadStream(filePath),
+        model,
+        response_format: 'diarized_json',
+        chunking_strategy: 'auto',
+      };
+
+      if (knownSpeakerNames.length > 0) {
+        params.known_speaker_names = knownSpeakerNames;
+      }
+      if (knownSpeakerReferences.length > 0) {
+        params.known_speaker_references = knownSpeakerReferences;
+      }
+      if (prompt) {
+        params.prompt = prompt;
+      }
+
+      return openai.audio.transcriptions.create(params);
+    },
+
+    async generate(request) {
+      const response = await openai.responses.create(toResponseParams(request));
+      return { id: response.id, text: response.output_text, usage: response.usage };
+    },
+
+    async *generateStream(request, { signal } = {}) {
+      const stream = await openai.responses.create({ ...toResponseParams(request), stream: true }, { signal });
+
+      for await (const event of stream) {
+        if (event.type === 'response.output_text.delta') {
+          yield { type: 'delta', text: event.delta };
+        } else if (event.type === 'response.completed') {
+          yield { type: 'completed', id: event.response.id, usage: event.response.usage };
+        } else if (event.type === 'response.failed' || event.type === 'error') {
+          throw new Error(event.response?.error?.message || event.message || 'Generation failed');
+        }
+      }
+    },
+
+    async analyzeImages({ model, systemPrompt, prompt, images, maxTokens = 2000 }) {
+      const response = await openai.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              ...images.map(image => ({
+                type: 'image_url',
+                image_url: { url: image.dataUrl, detail: image.detail || 'auto' },
+              })),
+            ],
+          },
+        ],
+        max_tokens: maxTokens,
+      });
+
+      return {
+        text: response.choices[0]?.message?.content || '',
+        model: response.model,
+        usage: response.usage,
+        finishReason: response.choices[0]?.finish_reason,
+      };
+    },
+
+    async listModels() {
+      const response = await openai.models.list();
+      return response.data.map(m => m.id);
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
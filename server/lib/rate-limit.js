@@ -14,7 +14,7 @@ setInterval(() => {
       requestCounts.delete(key);
     }
   }
-}, 60000);
+}, 60000).unref();
 
 /**
  * Create a rate limiting middleware
@@ -22,6 +22,8 @@ setInterval(() => {
  * @param {number} options.windowMs - Time window in milliseconds (default: 60000 = 1 minute)
  * @param {number} options.maxRequests - Maximum requests per window (default: 60)
  * @param {string} options.message - Error message when rate limited
+ * @param {string} options.keyPrefix - Count separately from the other limiters (default: shared per-IP count)
+ * @param {Function} options.weight - How many requests a request counts as: (req) => number (default: 1)
  * @returns {Function} Express middleware
  */
 function rateLimit(options = {}) {
@@ -29,6 +31,8 @@ function rateLimit(options = {}) {
     windowMs = 60000,
     maxRequests = 60,
     message = 'Too many requests, please try again later',
+    keyPrefix = '',
+    weight = () => 1,
   } = options;
 
   return (req, res, next) => {
@@ -38,18 +42,18 @@ function rateLimit(options = {}) {
     }
 
     const ip = req.ip || req.connection.remoteAddress || 'unknown';
+    const key = `${keyPrefix}${ip}`;
     const now = Date.now();
 
-    let data = requestCounts.get(ip);
+    let data = requestCounts.get(key);
 
     if (!data || now - data.windowStart > windowMs) {
       // Start a new window
-      data = { count: 1, windowStart: now };
-      requestCounts.set(ip, data);
-      return next();
+      data = { count: 0, windowStart: now };
+      requestCounts.set(key, data);
     }
 
-    data.count++;
+    data.count += weight(req);
 
     if (data.count > maxRequests) {
       const retryAfter = Math.ceil((data.windowStart + windowMs - now) / 1000);
@@ -64,14 +68,25 @@ function rateLimit(options = {}) {
   };
 }
 
-/**
- * Stricter rate limiter for expensive operations (like AI API calls)
- */
-const aiRateLimit = rateLimit({
+const AI_RATE_LIMIT = {
   windowMs: 60000, // 1 minute
   maxRequests: 10, // Max 10 AI requests per minute
   message: 'Too many AI requests, please wait before trying again',
-});
+};
+
+/**
+ * Stricter rate limiter for expensive operations (like AI API calls)
+ */
+const aiRateLimit = rateLimit(AI_RATE_LIMIT);
+
+/**
+ * The AI rate limit for routes where one request can make several AI calls
+ * @param {Function} weight - How many AI requests a request counts as: (req) => number
+ * @returns {Function} Express middleware
+ */
+function weightedAiRateLimit(weight) {
+  return rateLimit({ ...AI_RATE_LIMIT, weight });
+}
 
 /**
  * Standard rate limiter for general API endpoints
@@ -91,9 +106,21 @@ const readRateLimit = rateLimit({
   message: 'Too many requests, please try again later',
 });
 
+/**
+ * Sign-in attempts, counted on their own so password guessing is slow
+ */
+const loginRateLimit = rateLimit({
+  windowMs: 60000, // 1 minute
+  maxRequests: 5, // Max 5 attempts per minute
+  message: 'Too many sign-in attempts, please wait a minute',
+  keyPrefix: 'login:',
+});
+
 module.exports = {
   rateLimit,
   aiRateLimit,
+  weightedAiRateLimit,
   apiRateLimit,
   readRateLimit,
+  loginRateLimit,
 };
@@ -1,7 +1,5 @@
 const path = require('path');
-
-// Base uploads directory
-const UPLOADS_DIR = path.resolve(__dirname, '../../uploads');
+const { UPLOADS_DIR } = require('./paths');
 
 /**
  * Validates that a filename is safe and doesn't contain path traversal
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { PROVIDERS } = require('./providers');
+const { DEFAULT_CHANNEL, getChannel, resolveChannelId, saveChannelSettings } = require('./channels');
+
+/**
+ * App settings (settings.json, falling back to the shipped defaults.json)
+ * settings.json is shared by everyone and is what the default channel uses. Other
+ * channels keep their own changes to it (lib/channels.js), and each user's changes are
+ * kept on their account (lib/users.js) and layered on top of the channel they work on,
+ * except for the server-wide settings below.
+ */
+const SETTINGS_PATH = path.join(DATA_DIR, 'settings.json');
+const DEFAULTS_PATH = path.join(__dirname, '../defaults.json');
+
+// The provider and budget apply to every request the server makes, so nobody has a personal copy
+const SHARED_ONLY_SETTINGS = ['aiProvider', 'aiBaseUrl', 'monthlyBudget'];
+
+/**
+ * Load the current settings
+ * @returns {Object} - Saved settings, the defaults if none are saved, or {} if neither can be read
+ */
+function loadSettings() {
+  for (const file of [SETTINGS_PATH, DEFAULTS_PATH]) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      // Missing or unreadable - try the next file
+    }
+  }
+  return {};
+}
+
+/**
+ * Replace the shared settings
+ * @param {Object} settings - Already validated
+ */
+function saveSettings(settings) {
+  fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+}
+
+/**
+ * Save settings as the team's for the channel they name (or the one the team is on)
+ * The default channel's go to settings.json; other channels keep what differs from it.
+ * The provider and budget are server-wide, so they always go to settings.json, and which
+ * channel the team starts on isn't changed.
+ * @param {Object} settings - Already validated
+ */
+function saveTeamSettings(settings) {
+  const shared = loadSettings();
+  const channelId = resolveChannelId(settings.channelId ?? shared.channelId);
+  if (channelId === DEFAULT_CHANNEL) {
+    saveSettings({ ...settings, channelId: shared.channelId ?? DEFAULT_CHANNEL });
+    return;
+  }
+
+  const channelChanges = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'channelId') continue;
+    if (SHARED_ONLY_SETTINGS.includes(key)) {
+      shared[key] = value;
+    } else if (value !== shared[key]) {
+      channelChanges[key] = value;
+    }
+  }
+  saveSettings(shared);
+  saveChannelSettings(channelId, channelChanges);
+}
+
+/**
+ * A channel's settings: the shared settings with the channel's changes on top
+ * @param {string} channelId
+ * @returns {Object} - channelId is the channel asked for, or the default one if it no longer exists
+ */
+function channelSettings(channelId) {
+  const settings = loadSettings();
+  const resolvedId = resolveChannelId(channelId);
+  if (resolvedId !== DEFAULT_CHANNEL) {
+    for (const [key, value] of Object.entries(getChannel(resolvedId).settings)) {
+      if (!SHARED_ONLY_SETTINGS.includes(key)) settings[key] = value;
+    }
+  }
+  settings.channelId = resolvedId;
+  return settings;
+}
+
+/**
+ * A user's settings: their channel's settings with their personal changes on top
+ * @param {Object} [personal] - The user's stored settings
+ * @returns {Object}
+ */
+function resolveSettings(personal = {}) {
+  const settings = channelSettings(personal.channelId ?? loadSettings().channelId);
+  for (const [key, value] of Object.entries(personal)) {
+    if (!SHARED_ONLY_SETTINGS.includes(key) && key !== 'channelId') settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Split settings a user saved into their personal changes and changes to the shared settings
+ * @param {Object} settings - Everything the user saved
+ * @param {Object} shared - Current shared settings
+ * @returns {Object} - { personal, sharedChanges } (fields that differ from the shared settings)
+ */
+function splitSettings(settings, shared) {
+  const personal = {};
+  const sharedChanges = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === shared[key]) continue;
+    if (SHARED_ONLY_SETTINGS.includes(key)) {
+      sharedChanges[key] = value;
+    } else {
+      personal[key] = value;
+    }
+  }
+  return { personal, sharedChanges };
+}
+
+/**
+ * Validate a settings object before it's saved
+ * Unknown fields are rejected; known fields are checked against their type and range
+ * @param {Object} settings
+ * @returns {Object} - { valid, errors }
+ */
+function validateSettings(settings) {
+  const errors = [];
+
+  // Check that settings is an object
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { valid: false, errors: ['Settings must be an object'] };
+  }
+
+  // Define allowed fields and their types/constraints
+  const allowedFields = {
+    numTitles: { type: 'number', min: 1, max: 100 },
+    numDescriptions: { type: 'number', min: 1, max: 20 },
+    numThumbnailTitles: { type: 'number', min: 1, max: 100 },
+    numTags: { type: 'number', min: 1, max: 50 },
+    numHashtags: { type: 'number', min: 1, max: 15 },
+    numFrames: { type: 'number', min: 1, max: 100 },
+    transcriptionModel: { type: 'string', maxLength: 100 },
+    chatModel: { type: 'string', maxLength: 100 },
+    visionModel: { type: 'string', maxLength: 100 },
+    imageDetail: { type: 'string', allowed: ['low', 'high', 'auto'] },
+    chunkMinutes: { type: 'number', min: 1, max: 15 },
+    uploadConcurrency: { type: 'number', min: 1, max: 10 },
+    autoFixMetadata: { type: 'boolean' },
+    channelId: { type: 'string', maxLength: 40 },
+    aiProvider: { type: 'string', allowed: PROVIDERS },
+    aiBaseUrl: { type: 'string', maxLength: 500, pattern: /^(https?:\/\/\S+)?$/, patternMessage: 'must be an http(s) URL' },
+    monthlyBudget: { type: 'number', min: 0, max: 100000 },
+  };
+
+  // Check for unknown fields
+  for (const key of Object.keys(settings)) {
+    if (!allowedFields[key]) {
+      errors.push(`Unknown setting: ${key}`);
+    }
+  }
+
+  // Validate each field
+  for (const [key, constraints] of Object.entries(allowedFields)) {
+    if (settings[key] === undefined) continue;
+
+    const value = settings[key];
+
+    if (constraints.type === 'number') {
+      if (typeof value !== 'number' || isNaN(value)) {
+        errors.push(`${key} must be a number`);
+      } else {
+        if (constraints.min !== undefined && value < constraints.min) {
+          errors.push(`${key} must be at least ${constraints.min}`);
+        }
+        if (constraints.max !== undefined && value > constraints.max) {
+          errors.push(`${key} must be at most ${constraints.max}`);
+        }
+      }
+    } else if (constraints.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push(`${key} must be true or false`);
+      }
+    } else if (constraints.type === 'string') {
+      if (typeof value !== 'string') {
+        errors.push(`${key} must be a string`);
+      } else {
+        if (constraints.maxLength && value.length > constraints.maxLength) {
+          errors.push(`${key} must be at most ${constraints.maxLength} characters`);
+        }
+        if (constraints.allowed && !constraints.allowed.includes(value)) {
+          errors.push(`${key} must be one of: ${constraints.allowed.join(', ')}`);
+        }
+        if (constraints.pattern && !constraints.pattern.test(value)) {
+          errors.push(`${key} ${constraints.patternMessage}`);
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  SETTINGS_PATH,
+  DEFAULTS_PATH,
+  SHARED_ONLY_SETTINGS,
+  loadSettings,
+  saveSettings,
+  saveTeamSettings,
+  channelSettings,
+  resolveSettings,
+  splitSettings,
+  validateSettings,
+};
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const { audioToDataUrl } = require('./openai');
+const { DATA_DIR } = require('./paths');
+const { DEFAULT_CHANNEL } = require('./channels');
+
+// Speaker library and voice samples (replaces prompts/transcription.json known_speakers)
+// Each speaker belongs to one channel (lib/channels.js); speakers from before channels belong to the default one
+const SPEAKERS_PATH = path.join(DATA_DIR, 'speakers.json');
+const SAMPLES_DIR = path.join(DATA_DIR, 'samples');
+const LEGACY_PROMPTS_DIR = path.join(__dirname, '../../prompts');
+
+// Limits of the diarization model's known_speaker_references
+const MAX_KNOWN_SPEAKERS = 4;
+const SAMPLE_MIN_SECONDS = 2;
+const SAMPLE_MAX_SECONDS = 10;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_BIO_LENGTH = 1000;
+
+/**
+ * Build the library from the legacy transcription and speaker description prompts
+ * @returns {Object} - { speakers: { [id]: speaker } }
+ */
+function migrateLegacySpeakers() {
+  const library = { speakers: {} };
+
+  try {
+    const transcription = JSON.parse(fs.readFileSync(path.join(LEGACY_PROMPTS_DIR, 'transcription.json'), 'utf8'));
+    let descriptions = {};
+    try {
+      descriptions = JSON.parse(fs.readFileSync(path.join(LEGACY_PROMPTS_DIR, 'speakers.json'), 'utf8')).speaker_descriptions || {};
+    } catch (error) {
+      // Descriptions are optional
+    }
+
+    const now = Date.now();
+    for (const legacy of transcription.known_speakers || []) {
+      const id = path.basename(legacy.sample_file, path.extname(legacy.sample_file));
+      library.speakers[id] = {
+        id,
+        name: legacy.name,
+        bio: descriptions[legacy.name] || '',
+        sampleFile: legacy.sample_file,
+        expectedByDefault: true,
+        createdAt: now,
+        updatedAt: now,
+      };
+    }
+    console.log(`Migrated ${Object.keys(library.speakers).length} speakers from legacy prompts`);
+  } catch (error) {
+    console.error('Failed to migrate legacy speakers:', error.message);
+  }
+
+  return library;
+}
+
+/**
+ * Load the speaker library, migrating from the legacy prompts on first use
+ * @returns {Object}
+ */
+function loadLibrary() {
+  if (!fs.existsSync(SPEAKERS_PATH)) {
+    const library = migrateLegacySpeakers();
+    saveLibrary(library);
+    return library;
+  }
+  return JSON.parse(fs.readFileSync(SPEAKERS_PATH, 'utf8'));
+}
+
+function saveLibrary(library) {
+  fs.writeFileSync(SPEAKERS_PATH, JSON.stringify(library, null, 2));
+}
+
+/**
+ * Turn a name into a speaker ID (also the sample's filename)
+ * @param {string} name
+ * @param {Object} existing - Current speakers keyed by ID
+ * @returns {string}
+ */
+function toSpeakerId(name, existing) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'speaker';
+  let id = base;
+  for (let i = 2; Object.prototype.hasOwnProperty.call(existing, id); i++) {
+    id = `${base}-${i}`;
+  }
+  return id;
+}
+
+/**
+ * Resolve a speaker's sample file inside the samples folder
+ * @param {Object} speaker
+ * @returns {string|null} - Full path if the sample exists, null otherwise
+ */
+function samplePath(speaker) {
+  if (!speaker?.sampleFile) return null;
+  const fullPath = path.join(SAMPLES_DIR, path.basename(speaker.sampleFile));
+  return fs.existsSync(fullPath) ? fullPath : null;
+}
+
+/**
+ * Public view of a speaker
+ * @param {Object} speaker
+ * @returns {Object}
+ */
+function serializeSpeaker(speaker) {
+  return {
+    id: speaker.id,
+    channelId: channelOf(speaker),
+    name: speaker.name,
+    bio: speaker.bio,
+    expectedByDefault: speaker.expectedByDefault,
+    hasSample: !!samplePath(speaker),
+    sampleDuration: speaker.sampleDuration || null,
+    createdAt: speaker.createdAt,
+    updatedAt: speaker.updatedAt,
+  };
+}
+
+function channelOf(speaker) {
+  return speaker.channelId || DEFAULT_CHANNEL;
+}
+
+/**
+ * List a channel's speakers, sorted by name
+ * @param {string} [channelId]
+ * @returns {Object[]}
+ */
+function listSpeakers(channelId = DEFAULT_CHANNEL) {
+  return Object.values(loadLibrary().speakers)
+    .filter(s => channelOf(s) === channelId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(serializeSpeaker);
+}
+
+// A speaker in a loaded library (own keys only, so IDs like 'constructor' aren't found on Object)
+function findSpeaker(library, id) {
+  return Object.prototype.hasOwnProperty.call(library.speakers, id) ? library.speakers[id] : null;
+}
+
+/**
+ * Get a raw speaker record
+ * @param {string} id
+ * @param {string} [channelId] - Only find the speaker if it belongs to this channel
+ * @returns {Object|null}
+ */
+function getSpeaker(id, channelId) {
+  const speaker = findSpeaker(loadLibrary(), id);
+  return speaker && (!channelId || channelOf(speaker) === channelId) ? speaker : null;
+}
+
+/**
+ * Validate speaker fields
+ * @param {Object} info - { name, bio, expectedByDefault }
+ * @param {boolean} isNew - Name is required for new speakers
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateSpeakerInfo(info, isNew = false) {
+  if (!info || typeof info !== 'object') {
+    return 'Invalid speaker';
+  }
+  if (isNew || info.name !== undefined) {
+    if (typeof info.name !== 'string' || !info.name.trim()) {
+      return 'Speaker name must be a non-empty string';
+    }
+    if (info.name.length > MAX_NAME_LENGTH) {
+      return `Speaker name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  if (info.bio !== undefined && (typeof info.bio !== 'string' || info.bio.length > MAX_BIO_LENGTH)) {
+    return `Bio must be a string of at most ${MAX_BIO_LENGTH} characters`;
+  }
+  if (info.expectedByDefault !== undefined && typeof info.expectedByDefault !== 'boolean') {
+    return 'expectedByDefault must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Add a speaker to a channel (the voice sample is attached separately)
+ * @param {Object} info - { name, bio, expectedByDefault }
+ * @param {string} [channelId]
+ * @returns {Object} - Serialized speaker
+ */
+function createSpeaker(info, channelId = DEFAULT_CHANNEL) {
+  const library = loadLibrary();
+  const now = Date.now();
+  const id = toSpeakerId(info.name, library.speakers);
+
+  library.speakers[id] = {
+    id,
+    channelId,
+    name: info.name.trim(),
+    bio: (info.bio || '').trim(),
+    sampleFile: null,
+    expectedByDefault: info.expectedByDefault ?? false,
+    createdAt: now,
+    updatedAt: now,
+  };
+  saveLibrary(library);
+  return serializeSpeaker(library.speakers[id]);
+}
+
+/**
+ * Update a speaker's name, bio or default expectation
+ * @param {string} id
+ * @param {Object} updates - { name, bio, expectedByDefault }
+ * @returns {Object|null} - Serialized speaker, or null if not found
+ */
+function updateSpeaker(id, updates) {
+  const library = loadLibrary();
+  const speaker = findSpeaker(library, id);
+  if (!speaker) return null;
+
+  if (updates.name !== undefined) speaker.name = updates.name.trim();
+  if (updates.bio !== undefined) speaker.bio = updates.bio.trim();
+  if (updates.expectedByDefault !== undefined) speaker.expectedByDefault = updates.expectedByDefault;
+  speaker.updatedAt = Date.now();
+
+  saveLibrary(library);
+  return serializeSpeaker(speaker);
+}
+
+/**
+ * Record a new voice sample for a speaker
+ * @param {string} id
+ * @param {string} sampleFile - Filename inside the samples folder
+ * @param {number} duration - Sample length in seconds
+ * @returns {Object|null} - Serialized speaker, or null if not found
+ */
+function setSpeakerSample(id, sampleFile, duration) {
+  const library = loadLibrary();
+  const speaker = findSpeaker(library, id);
+  if (!speaker) return null;
+
+  speaker.sampleFile = sampleFile;
+  speaker.sampleDuration = duration;
+  speaker.updatedAt = Date.now();
+
+  saveLibrary(library);
+  return serializeSpeaker(speaker);
+}
+
+/**
+ * Remove a speaker and its voice sample
+ * @param {string} id
+ * @returns {boolean} - True if the speaker existed
+ */
+function deleteSpeaker(id) {
+  const library = loadLibrary();
+  const speaker = findSpeaker(library, id);
+  if (!speaker) return false;
+
+  const sample = samplePath(speaker);
+  if (sample) {
+    fs.unlinkSync(sample);
+  }
+
+  delete library.speakers[id];
+  saveLibrary(library);
+  return true;
+}
+
+/**
+ * IDs of a channel's speakers expected on every video unless the user chooses otherwise
+ * @param {string} [channelId]
+ * @returns {string[]}
+ */
+function getDefaultSpeakerIds(channelId = DEFAULT_CHANNEL) {
+  return Object.values(loadLibrary().speakers)
+    .filter(s => channelOf(s) === channelId && s.expectedByDefault && samplePath(s))
+    .slice(0, MAX_KNOWN_SPEAKERS)
+    .map(s => s.id);
+}
+
+/**
+ * Validate a video's expected speakers
+ * @param {string[]} speakerIds
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateExpectedSpeakers(speakerIds) {
+  if (!Array.isArray(speakerIds)) {
+    return 'speakerIds must be an array';
+  }
+  if (speakerIds.length > MAX_KNOWN_SPEAKERS) {
+    return `At most ${MAX_KNOWN_SPEAKERS} expected speakers are supported`;
+  }
+  for (const id of speakerIds) {
+    const speaker = typeof id === 'string' ? getSpeaker(id) : null;
+    if (!speaker) {
+      return `Unknown speaker: ${id}`;
+    }
+    if (!samplePath(speaker)) {
+      return `${speaker.name} has no voice sample`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build known_speaker_names / known_speaker_references for the diarization model
+ * @param {string[]} speakerIds - Expected speakers for this video
+ * @returns {Object} - { names, references }
+ */
+function getKnownSpeakerReferences(speakerIds) {
+  const names = [];
+  const references = [];
+
+  for (const id of speakerIds) {
+    const speaker = getSpeaker(id);
+    const sample = samplePath(speaker);
+    if (!sample) continue;
+
+    names.push(speaker.name);
+    references.push(audioToDataUrl(sample));
+  }
+
+  return { names, references };
+}
+
+module.exports = {
+  SAMPLES_DIR,
+  MAX_KNOWN_SPEAKERS,
+  SAMPLE_MIN_SECONDS,
+  SAMPLE_MAX_SECONDS,
+  listSpeakers,
+  getSpeaker,
+  samplePath,
+  validateSpeakerInfo,
+  createSpeaker,
+  updateSpeaker,
+  setSpeakerSample,
+  deleteSpeaker,
+  getDefaultSpeakerIds,
+  validateExpectedSpeakers,
+  getKnownSpeakerReferences,
+};
@@ -0,0 +1,121 @@
+/**
+ * YouTube tags and hashtags
+ * Tags share a 500 character budget. YouTube counts the commas between tags, and
+ * tags containing spaces count two extra characters because it stores them quoted.
+ * Hashtags go in the description; YouTube shows the first three above the title.
+ */
+const TAG_LIMITS = {
+  maxTotalLength: 500,
+  maxHashtagLength: 50,
+};
+
+/**
+ * Characters a tag list uses against YouTube's budget
+ * @param {string[]} tags
+ * @returns {number}
+ */
+function tagsLength(tags) {
+  if (tags.length === 0) return 0;
+  const characters = tags.reduce((sum, tag) => sum + tag.length + (tag.includes(' ') ? 2 : 0), 0);
+  return characters + (tags.length - 1); // Commas between tags
+}
+
+/**
+ * Clean up tags: trim, strip characters YouTube rejects, drop blanks and duplicates
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+
+  for (const raw of tags || []) {
+    const tag = String(raw)
+      .replace(/[<>,#"]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    seen.add(key);
+    result.push(tag);
+  }
+
+  return result;
+}
+
+/**
+ * Keep tags, in order of relevance, until the character budget is used up
+ * Tags that don't fit are skipped so shorter ones further down can still be used
+ * @param {string[]} tags
+ * @param {number} maxTotalLength
+ * @returns {Object} - { tags, dropped }
+ */
+function fitTagsToLimit(tags, maxTotalLength = TAG_LIMITS.maxTotalLength) {
+  const kept = [];
+  const dropped = [];
+
+  for (const tag of tags) {
+    if (tagsLength([...kept, tag]) <= maxTotalLength) {
+      kept.push(tag);
+    } else {
+      dropped.push(tag);
+    }
+  }
+
+  return { tags: kept, dropped };
+}
+
+/**
+ * Clean up hashtags: one word each, starting with #, no duplicates
+ * Multi-word hashtags are joined in camel case ("labor market" -> "#LaborMarket")
+ * @param {string[]} hashtags
+ * @returns {string[]}
+ */
+function normalizeHashtags(hashtags) {
+  const seen = new Set();
+  const result = [];
+
+  for (const raw of hashtags || []) {
+    const words = String(raw).replace(/#/g, ' ').split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (words.length === 0) continue;
+
+    const body = words.length === 1
+      ? words[0]
+      : words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+    const hashtag = `#${body}`.slice(0, TAG_LIMITS.maxHashtagLength);
+
+    const key = hashtag.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(hashtag);
+  }
+
+  return result;
+}
+
+/**
+ * Enforce the tag budget and hashtag count on generated metadata
+ * @param {Object} generated - { tags, hashtags } from the model
+ * @param {Object} counts - { numTags, numHashtags } requested
+ * @returns {Object} - { tags, hashtags, droppedTags, needsRegeneration }
+ */
+function enforceTagLimits(generated, { numTags, numHashtags }) {
+  const normalized = normalizeTags(generated.tags).slice(0, numTags);
+  const { tags, dropped } = fitTagsToLimit(normalized);
+  const hashtags = normalizeHashtags(generated.hashtags).slice(0, numHashtags);
+
+  // Going over the budget is fixed by trimming; too few usable results means the
+  // model ignored the instructions, which is worth asking again
+  const needsRegeneration = normalized.length < Math.ceil(numTags / 2) || hashtags.length < numHashtags;
+
+  return { tags, hashtags, droppedTags: dropped, needsRegeneration };
+}
+
+module.exports = {
+  TAG_LIMITS,
+  tagsLength,
+  normalizeTags,
+  fitTagsToLimit,
+  normalizeHashtags,
+  enforceTagLimits,
+};
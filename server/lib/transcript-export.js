@@ -0,0 +1,262 @@
+/**
+ * Transcript export: caption files (SRT, WebVTT) and readable transcripts (Markdown, plain text)
+ * All formats take the processed segments from processTranscription(): { start, end, speaker, text }
+ */
+
+// Caption layout rules (broadcast-style defaults)
+const DEFAULT_CAPTION_OPTIONS = {
+  speakerPrefix: true, // Label the first caption of each speaker turn
+  maxLineLength: 42, // Characters per caption line
+  maxLines: 2, // Lines per caption
+  maxDuration: 7, // Seconds a single caption may stay on screen
+  minDuration: 1, // Seconds a caption stays on screen at minimum
+};
+
+const FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt' },
+  md: { extension: 'md', contentType: 'text/markdown' },
+  txt: { extension: 'txt', contentType: 'text/plain' },
+};
+
+/**
+ * Format seconds as a caption timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for WebVTT)
+ * @param {number} seconds
+ * @param {string} separator - ',' or '.'
+ * @returns {string}
+ */
+function formatCaptionTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => n.toString().padStart(width, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Format seconds as a readable timestamp (M:SS or H:MM:SS)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) {
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  }
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Wrap text into lines no longer than maxLength (words longer than a line get their own line)
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function wrapWords(text, maxLength) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= maxLength) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+
+  return lines;
+}
+
+/**
+ * Split transcript segments into caption cues that respect line length, line count and duration
+ * @param {Object[]} segments - { start, end, speaker, text }
+ * @param {Object} options - See DEFAULT_CAPTION_OPTIONS
+ * @returns {Object[]} - Cues: { start, end, speaker, lines, isTurnStart }
+ */
+function buildCaptionCues(segments, options = {}) {
+  const opts = { ...DEFAULT_CAPTION_OPTIONS, ...options };
+  const cues = [];
+  let previousSpeaker = null;
+
+  for (const segment of segments) {
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    const isTurnStart = segment.speaker !== previousSpeaker;
+    previousSpeaker = segment.speaker;
+
+    // The speaker label takes up room on the first line of a turn
+    const prefix = opts.speakerPrefix && isTurnStart && segment.speaker ? `${segment.speaker}: ` : '';
+    const lines = wrapWords(prefix + text, opts.maxLineLength);
+
+    // Group lines into cues
+    const groups = [];
+    for (let i = 0; i < lines.length; i += opts.maxLines) {
+      groups.push(lines.slice(i, i + opts.maxLines));
+    }
+
+    // Share the segment's time between its cues in proportion to their length
+    const totalChars = groups.reduce((sum, g) => sum + g.join(' ').length, 0);
+    const segmentDuration = Math.max(segment.end - segment.start, 0);
+    let cursor = segment.start;
+
+    groups.forEach((groupLines, index) => {
+      const share = segmentDuration * (groupLines.join(' ').length / totalChars);
+      const start = cursor;
+      let end = index === groups.length - 1 ? segment.end : cursor + share;
+      cursor = end;
+
+      // Hold very short captions long enough to read (overlaps are trimmed below)
+      if (end - start < opts.minDuration) {
+        end = start + opts.minDuration;
+      }
+      // Clear long captions from the screen during long pauses
+      end = Math.min(end, start + opts.maxDuration);
+
+      cues.push({
+        start,
+        end,
+        speaker: segment.speaker,
+        lines: groupLines,
+        isTurnStart: isTurnStart && index === 0,
+      });
+    });
+  }
+
+  // Prevent overlaps created by minimum durations
+  for (let i = 0; i < cues.length - 1; i++) {
+    if (cues[i].end > cues[i + 1].start) {
+      cues[i].end = Math.max(cues[i + 1].start, cues[i].start);
+    }
+  }
+
+  return cues;
+}
+
+/**
+ * Export segments as SubRip (.srt) captions
+ * @param {Object[]} segments
+ * @param {Object} options - Caption options
+ * @returns {string}
+ */
+function toSrt(segments, options = {}) {
+  return buildCaptionCues(segments, options)
+    .map((cue, i) => [
+      i + 1,
+      `${formatCaptionTime(cue.start, ',')} --> ${formatCaptionTime(cue.end, ',')}`,
+      ...cue.lines,
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Export segments as WebVTT (.vtt) captions
+ * Speaker names use WebVTT voice tags rather than a text prefix
+ * @param {Object[]} segments
+ * @param {Object} options - Caption options
+ * @returns {string}
+ */
+function toVtt(segments, options = {}) {
+  const opts = { ...DEFAULT_CAPTION_OPTIONS, ...options };
+  const useVoices = opts.speakerPrefix;
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  // Voice tags don't take screen space, so lay out cues without the text prefix
+  const cues = buildCaptionCues(segments, { ...opts, speakerPrefix: false });
+
+  const body = cues.map((cue) => {
+    const text = cue.lines.map(escape).join('\n');
+    const voiced = useVoices && cue.speaker ? `<v ${escape(cue.speaker)}>${text}` : text;
+    return `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}\n${voiced}`;
+  });
+
+  return `WEBVTT\n\n${body.join('\n\n')}\n`;
+}
+
+/**
+ * Group consecutive segments by speaker, keeping the start time of each turn
+ * @param {Object[]} segments
+ * @returns {Object[]} - { speaker, start, text }
+ */
+function groupTurns(segments) {
+  const turns = [];
+
+  for (const segment of segments) {
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${text}`;
+    } else {
+      turns.push({ speaker: segment.speaker || 'Unknown', start: segment.start, text });
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Export segments as a speaker-labelled Markdown transcript
+ * @param {Object[]} segments
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+function toMarkdown(segments, options = {}) {
+  const heading = options.title ? `# ${options.title}\n\n` : '';
+  const turns = groupTurns(segments)
+    .map(turn => `**${turn.speaker}** [${formatTimestamp(turn.start)}]\n\n${turn.text}`);
+  return `${heading}${turns.join('\n\n')}\n`;
+}
+
+/**
+ * Export segments as a speaker-labelled plain-text transcript
+ * @param {Object[]} segments
+ * @param {Object} options - { title }
+ * @returns {string}
+ */
+function toPlainText(segments, options = {}) {
+  const heading = options.title ? `${options.title}\n\n` : '';
+  const turns = groupTurns(segments)
+    .map(turn => `[${formatTimestamp(turn.start)}] ${turn.speaker}:\n${turn.text}`);
+  return `${heading}${turns.join('\n\n')}\n`;
+}
+
+/**
+ * Export segments in the requested format
+ * @param {Object[]} segments
+ * @param {string} format - srt, vtt, md or txt
+ * @param {Object} options
+ * @returns {string}
+ */
+function exportTranscript(segments, format, options = {}) {
+  switch (format) {
+    case 'srt': return toSrt(segments, options);
+    case 'vtt': return toVtt(segments, options);
+    case 'md': return toMarkdown(segments, options);
+    case 'txt': return toPlainText(segments, options);
+    default: throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_CAPTION_OPTIONS,
+  formatCaptionTime,
+  formatTimestamp,
+  buildCaptionCues,
+  toSrt,
+  toVtt,
+  toMarkdown,
+  toPlainText,
+  exportTranscript,
+};
@@ -0,0 +1,84 @@
+const { applyGlossary } = require('./glossary');
+
+/**
+ * Turning the transcription model's output into the app's transcript
+ * Long recordings are transcribed in overlapping chunks (see routes/transcribe.js);
+ * the chunks are merged here, then speakers are labelled and the glossary applied.
+ */
+
+/**
+ * Merge segments from a new chunk, removing duplicates in the overlap region
+ * Segments from the earlier chunk that run into the overlap are replaced by the new chunk's
+ * @param {Object[]} existingSegments - Segments so far ({ start, end, ... }, times in the whole file)
+ * @param {Object[]} newSegments - The new chunk's segments, already offset to the whole file
+ * @param {number} chunkStartTime - Where the new chunk starts, in seconds
+ * @param {number} overlapSeconds - Overlap between consecutive chunks
+ * @returns {Object[]} - Merged segments
+ */
+function mergeChunkSegments(existingSegments, newSegments, chunkStartTime, overlapSeconds) {
+  if (existingSegments.length === 0) {
+    return newSegments;
+  }
+
+  // Find where overlap region starts
+  const overlapStart = chunkStartTime;
+
+  // Remove segments from existing that fall within overlap region
+  // These will be replaced by the new chunk's segments which are more accurate
+  const filteredExisting = existingSegments.filter(seg => seg.end <= overlapStart + 1);
+
+  // Add new segments that start after the overlap adjustment point
+  const filteredNew = newSegments.filter(seg => seg.start >= overlapStart - 1);
+
+  return [...filteredExisting, ...filteredNew];
+}
+
+/**
+ * Normalize speaker labels and apply glossary corrections
+ * Generic diarization labels ("A", "B") are mapped to the prompt's unknown speaker labels
+ * @param {Object} transcription - Provider result ({ segments: [{ start, end, text, speaker }] })
+ * @param {Object} config - Transcription prompt config (unknown_speaker_labels)
+ * @param {Object[]} [glossary=[]] - Glossary terms
+ * @returns {Object} - { transcript, corrections } where corrections reports each glossary replacement
+ */
+function processTranscription(transcription, config, glossary = []) {
+  // gpt-4o-transcribe-diarize returns diarized_json format with speaker labels
+  // Speaker labels may be known names or generic labels like "A:", "B:"
+  const segments = transcription.segments || [];
+  const unknownLabels = config.unknown_speaker_labels || ['Interviewer', 'Speaker A', 'Speaker B', 'Speaker C'];
+
+  // Map generic speaker labels to more descriptive names
+  const speakerMap = {};
+  let unknownIndex = 0;
+
+  const labelled = segments.map((segment, index) => {
+    let speaker = segment.speaker || 'Unknown';
+
+    // If speaker is a generic label like "A", "B", map it
+    if (/^[A-Z]$/.test(speaker)) {
+      if (!speakerMap[speaker]) {
+        speakerMap[speaker] = unknownLabels[unknownIndex] || `Speaker ${speaker}`;
+        unknownIndex++;
+      }
+      speaker = speakerMap[speaker];
+    }
+
+    return {
+      id: index,
+      start: segment.start,
+      end: segment.end,
+      text: segment.text,
+      speaker: speaker,
+    };
+  });
+
+  // Deterministic spelling fixes for names, acronyms and jargon
+  const { segments: transcript, report } = applyGlossary(labelled, glossary);
+
+  return { transcript, corrections: report };
+}
+
+module.exports = {
+  mergeChunkSegments,
+  processTranscription,
+};
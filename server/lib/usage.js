@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { loadSettings } = require('./settings');
+const { getProvider } = require('./providers');
+
+/**
+ * Usage ledger: one line per AI call with the model, tokens or audio seconds, and an
+ * estimated cost, attributed to the session (video) it was made for.
+ * Costs come from the price table in pricing.json - USD per million input/output tokens,
+ * or per audio minute for transcription models. Calls to models missing from the table
+ * are recorded with a null cost; calls to the fake provider cost nothing.
+ */
+const LEDGER_PATH = path.join(DATA_DIR, 'usage.jsonl');
+const PRICING_PATH = path.join(DATA_DIR, 'pricing.json');
+
+const PRICE_FIELDS = ['inputPerMillion', 'outputPerMillion', 'perAudioMinute'];
+const MAX_PRICE = 1000;
+const MAX_MODELS = 200;
+const MAX_MODEL_ID_LENGTH = 100;
+const CHARS_PER_TOKEN = 4; // Rough size of a token of English text, for estimates before a call
+
+// This month's spending, kept in memory so the budget check on every AI call doesn't read
+// the whole ledger: loaded from the ledger on first use and when the month changes, then
+// kept up to date by recordUsage
+let monthToDate = null; // { month, cost }
+
+/**
+ * Load the price table
+ * @returns {Object} - { currency, models: { [modelId]: { inputPerMillion, outputPerMillion, perAudioMinute } } }
+ */
+function loadPricing() {
+  try {
+    return JSON.parse(fs.readFileSync(PRICING_PATH, 'utf8'));
+  } catch (error) {
+    return { currency: 'USD', models: {} };
+  }
+}
+
+/**
+ * Replace the price table
+ * @param {Object} pricing - { models }
+ * @returns {Object} - The saved table
+ */
+function savePricing(pricing) {
+  const saved = { currency: 'USD', models: pricing.models };
+  fs.writeFileSync(PRICING_PATH, JSON.stringify(saved, null, 2));
+  return saved;
+}
+
+/**
+ * Validate a price table
+ * @param {Object} pricing
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validatePricing(pricing) {
+  if (!pricing || typeof pricing !== 'object' || !pricing.models || typeof pricing.models !== 'object' || Array.isArray(pricing.models)) {
+    return 'pricing.models must be an object';
+  }
+
+  const entries = Object.entries(pricing.models);
+  if (entries.length > MAX_MODELS) {
+    return `The price table can have at most ${MAX_MODELS} models`;
+  }
+
+  for (const [model, price] of entries) {
+    if (!model.trim() || model.length > MAX_MODEL_ID_LENGTH) {
+      return `Model IDs must be 1-${MAX_MODEL_ID_LENGTH} characters`;
+    }
+    if (!price || typeof price !== 'object' || Array.isArray(price)) {
+      return `${model}: price must be an object`;
+    }
+    const fields = Object.keys(price);
+    if (fields.length === 0) {
+      return `${model}: give at least one of ${PRICE_FIELDS.join(', ')}`;
+    }
+    for (const field of fields) {
+      if (!PRICE_FIELDS.includes(field)) {
+        return `${model}: unknown price field '${field}'`;
+      }
+      const value = price[field];
+      if (typeof value !== 'number' || isNaN(value) || value < 0 || value > MAX_PRICE) {
+        return `${model}: ${field} must be a number from 0 to ${MAX_PRICE}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Price for a model: the exact ID, else the longest ID it starts with
+ * (so dated snapshots like gpt-4o-2024-08-06 use the gpt-4o price)
+ * @param {Object} models - Price table models
+ * @param {string} model
+ * @returns {Object|null}
+ */
+function findPrice(models, model) {
+  if (!model) return null;
+  if (models[model]) return models[model];
+
+  const prefix = Object.keys(models)
+    .filter(id => model.startsWith(`${id}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+/**
+ * Token counts from a provider's usage object
+ * (the Responses API reports input/output tokens, chat completions prompt/completion tokens)
+ * @param {Object} [usage]
+ * @returns {Object} - { inputTokens, outputTokens }
+ */
+function normalizeUsage(usage) {
+  return {
+    inputTokens: usage?.input_tokens ?? usage?.prompt_tokens ?? 0,
+    outputTokens: usage?.output_tokens ?? usage?.completion_tokens ?? 0,
+  };
+}
+
+/**
+ * Estimate the cost of a call
+ * Transcription models priced per audio minute are charged by audio length, everything else by tokens
+ * @param {Object|null} price - Price table entry
+ * @param {Object} amounts - { inputTokens, outputTokens, audioSeconds }
+ * @returns {number|null} - USD, or null if the model has no price
+ */
+function estimateCost(price, { inputTokens = 0, outputTokens = 0, audioSeconds = 0 }) {
+  if (!price) return null;
+
+  const cost = audioSeconds > 0 && price.perAudioMinute !== undefined
+    ? (audioSeconds / 60) * price.perAudioMinute
+    : (inputTokens / 1e6) * (price.inputPerMillion || 0) + (outputTokens / 1e6) * (price.outputPerMillion || 0);
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Rough cost of a text generation before it runs, for budget checks
+ * @param {string} model
+ * @param {string} inputText - Everything sent (instructions and input)
+ * @param {number} outputTokens - Tokens the answer is expected to take
+ * @returns {number} - USD; models missing from the price table count as free
+ */
+function estimateGenerationCost(model, inputText, outputTokens) {
+  const inputTokens = Math.ceil(inputText.length / CHARS_PER_TOKEN);
+  return estimateCost(findPrice(loadPricing().models, model), { inputTokens, outputTokens }) || 0;
+}
+
+/**
+ * Record an AI call in the ledger
+ * Never throws - losing a ledger line shouldn't fail the request that made the call
+ * @param {Object} call
+ * @param {string} [call.sessionId] - Session the call was made for
+ * @param {string} call.kind - transcription, generation or vision
+ * @param {string} call.operation - What the call was for, e.g. 'metadata', 'auto-fix', 'analyze-frames'
+ * @param {string} call.model
+ * @param {Object} [call.usage] - The provider's usage object
+ * @param {number} [call.audioSeconds] - Audio sent, for transcription
+ * @param {number} [call.images] - Images sent, for vision
+ * @returns {Object|null} - The ledger entry
+ */
+function recordUsage({ sessionId, kind, operation, model, usage, audioSeconds = 0, images = 0 }) {
+  try {
+    const provider = getProvider().name;
+    const tokens = normalizeUsage(usage);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      sessionId: sessionId || null,
+      kind,
+      operation,
+      provider,
+      model,
+      ...tokens,
+      audioSeconds: Math.round(audioSeconds * 10) / 10,
+      images,
+      cost: provider === 'fake' ? 0 : estimateCost(findPrice(loadPricing().models, model), { ...tokens, audioSeconds }),
+    };
+
+    fs.appendFileSync(LEDGER_PATH, `${JSON.stringify(entry)}\n`);
+    if (monthToDate && entry.timestamp.startsWith(monthToDate.month) && entry.cost !== null) {
+      monthToDate.cost += entry.cost;
+    }
+    return entry;
+  } catch (error) {
+    console.error('Failed to record usage:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Read ledger entries
+ * @param {Object} [filter]
+ * @param {string} [filter.month] - YYYY-MM (UTC)
+ * @param {string} [filter.sessionId]
+ * @returns {Object[]}
+ */
+function readLedger({ month, sessionId } = {}) {
+  let lines;
+  try {
+    lines = fs.readFileSync(LEDGER_PATH, 'utf8').split('\n');
+  } catch (error) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (month && !entry.timestamp.startsWith(month)) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+      entries.push(entry);
+    } catch {
+      // Skip a corrupt line rather than losing the whole ledger
+    }
+  }
+  return entries;
+}
+
+/**
+ * Current month as YYYY-MM (UTC, matching ledger timestamps)
+ * @returns {string}
+ */
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Add up ledger entries
+ * @param {Object[]} entries
+ * @returns {Object} - Totals ({ calls, inputTokens, outputTokens, audioSeconds, images, cost, unpricedCalls }) plus byKind and byModel breakdowns
+ */
+function summarizeUsage(entries) {
+  const empty = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, audioSeconds: 0, images: 0, cost: 0, unpricedCalls: 0 });
+  const add = (totals, entry) => {
+    totals.calls++;
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    totals.audioSeconds += entry.audioSeconds || 0;
+    totals.images += entry.images || 0;
+    if (entry.cost === null || entry.cost === undefined) {
+      totals.unpricedCalls++;
+    } else {
+      totals.cost += entry.cost;
+    }
+  };
+
+  const summary = { ...empty(), byKind: {}, byModel: {} };
+  for (const entry of entries) {
+    add(summary, entry);
+    add(summary.byKind[entry.kind] ||= empty(), entry);
+    add(summary.byModel[entry.model] ||= empty(), entry);
+  }
+
+  const round = totals => { totals.cost = Math.round(totals.cost * 1e6) / 1e6; };
+  round(summary);
+  Object.values(summary.byKind).forEach(round);
+  Object.values(summary.byModel).forEach(round);
+  return summary;
+}
+
+/**
+ * Add up this month's spending from the ledger
+ * @returns {Object} - { month, cost }
+ */
+function loadMonthToDate() {
+  const month = currentMonth();
+  monthToDate = { month, cost: summarizeUsage(readLedger({ month })).cost };
+  return monthToDate;
+}
+
+/**
+ * Spending against the monthly budget (the monthlyBudget setting; 0 means no cap)
+ * @returns {Object} - { month, limit, spent, remaining, exceeded }
+ */
+function getBudgetStatus() {
+  const { month, cost } = monthToDate?.month === currentMonth() ? monthToDate : loadMonthToDate();
+  const limit = loadSettings().monthlyBudget || 0;
+  const spent = Math.round(cost * 1e6) / 1e6;
+
+  return {
+    month,
+    limit,
+    spent,
+    remaining: limit > 0 ? Math.max(0, Math.round((limit - spent) * 100) / 100) : null,
+    exceeded: limit > 0 && spent >= limit,
+  };
+}
+
+/**
+ * Middleware for AI routes: refuse new work once this month's budget is spent
+ */
+function budgetGuard(req, res, next) {
+  const budget = getBudgetStatus();
+  if (budget.exceeded) {
+    return res.status(402).json({
+      error: `This month's AI budget of $${budget.limit.toFixed(2)} has been used ($${budget.spent.toFixed(2)} spent). Raise the monthly budget in Settings to continue.`,
+      isBudgetError: true,
+      budget,
+    });
+  }
+  next();
+}
+
+/**
+ * Check that what is left of this month's budget covers work before starting it
+ * (for requests that make several calls, which budgetGuard only checks once)
+ * @param {number} cost - Estimated USD (see estimateGenerationCost)
+ * @returns {Object|null} - Body for a 402 response, or null if the budget covers it
+ */
+function checkBudgetFor(cost) {
+  const budget = getBudgetStatus();
+  if (budget.limit > 0 && budget.spent + cost > budget.limit) {
+    return {
+      error: `This would cost about $${cost.toFixed(2)}, more than the $${budget.remaining.toFixed(2)} left of this month's AI budget. Raise the monthly budget in Settings to continue.`,
+      isBudgetError: true,
+      budget,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  loadPricing,
+  savePricing,
+  validatePricing,
+  findPrice,
+  normalizeUsage,
+  estimateCost,
+  estimateGenerationCost,
+  recordUsage,
+  readLedger,
+  currentMonth,
+  summarizeUsage,
+  loadMonthToDate,
+  getBudgetStatus,
+  budgetGuard,
+  checkBudgetFor,
+};
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./paths');
+const { resolveSettings } = require('./settings');
+const { DEFAULT_CHANNEL, getChannel } = require('./channels');
+
+/**
+ * User accounts (users.json)
+ * Passwords are stored as salted scrypt hashes. Each user also keeps a personal layer
+ * over the shared workspace: settings that differ from their channel's settings and,
+ * for each channel, the prompt they picked for each prompt type.
+ */
+const USERS_PATH = path.join(DATA_DIR, 'users.json');
+
+/**
+ * Roles, least to most access
+ * viewer - reads finished projects
+ * editor - runs the pipeline, keeps personal settings and prompts
+ * admin - also manages shared prompts and settings, accounts, pricing and cleanup
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+const DEFAULT_ROLE = 'editor';
+
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Users by username, in an object without a prototype so names like 'constructor' are free
+function loadUsers() {
+  const users = Object.create(null);
+  try {
+    return Object.assign(users, JSON.parse(fs.readFileSync(USERS_PATH, 'utf8')).users);
+  } catch {
+    return users;
+  }
+}
+
+function saveUsers(users) {
+  // Only the server process needs to read the password hashes
+  fs.writeFileSync(USERS_PATH, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {string} - scrypt:<salt>:<hash> (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored hash (constant time)
+ * @param {string} password
+ * @param {string} stored - From hashPassword
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Usernames are case-insensitive
+ * @param {string} username
+ * @returns {string}
+ */
+function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+/**
+ * Validate a username and password for a new account
+ * @param {string} username - Normalized
+ * @param {string} password
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCredentials(username, password) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Usernames are 2-32 characters: letters, numbers, dots, dashes and underscores';
+  }
+  return validatePassword(password);
+}
+
+/**
+ * @param {string} password
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Passwords must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * A user's role; a missing or unknown role gets the least access
+ * @param {Object} user
+ * @returns {string}
+ */
+function roleOf(user) {
+  return ROLES.includes(user.role) ? user.role : ROLES[0];
+}
+
+/**
+ * Make accounts from before roles existed admins, the full access they had (runs at startup)
+ * Only accounts with no role at all are promoted; after the first run every account has one
+ * @returns {string[]} - Usernames that were promoted
+ */
+function migrateLegacyRoles() {
+  const users = loadUsers();
+  const legacy = Object.values(users).filter(user => !Object.hasOwn(user, 'role'));
+  if (legacy.length === 0) return [];
+
+  for (const user of legacy) {
+    user.role = 'admin';
+  }
+  saveUsers(users);
+  return legacy.map(user => user.username);
+}
+
+/**
+ * Whether a role includes another's access
+ * @param {string} role
+ * @param {string} minimum - e.g. 'editor' is met by editors and admins
+ * @returns {boolean}
+ */
+function hasRole(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * A user without the password hash, safe to send to the browser
+ * @param {Object} user
+ * @returns {Object} - { username, role, createdAt }
+ */
+function publicUser(user) {
+  return {
+    username: user.username,
+    role: roleOf(user),
+    createdAt: user.createdAt,
+  };
+}
+
+function hasUsers() {
+  return Object.keys(loadUsers()).length > 0;
+}
+
+function listUsers() {
+  return Object.values(loadUsers())
+    .map(publicUser)
+    .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * @param {string} username
+ * @returns {Object|null} - The stored user (including the hash)
+ */
+function getUser(username) {
+  return loadUsers()[normalizeUsername(username)] || null;
+}
+
+/**
+ * Create an account (credentials and role must already be validated)
+ * @param {string} username
+ * @param {string} password
+ * @param {string} [role=editor]
+ * @returns {Object|null} - The public user, or null if the username is taken
+ */
+function createUser(username, password, role = DEFAULT_ROLE) {
+  const users = loadUsers();
+  const key = normalizeUsername(username);
+  if (users[key]) return null;
+
+  users[key] = {
+    username: key,
+    passwordHash: hashPassword(password),
+    role,
+    createdAt: Date.now(),
+    settings: {},
+    activePrompts: {},
+  };
+  saveUsers(users);
+  return publicUser(users[key]);
+}
+
+/**
+ * @param {string} username
+ * @returns {boolean} - False if there was no such user
+ */
+function deleteUser(username) {
+  const users = loadUsers();
+  const key = normalizeUsername(username);
+  if (!users[key]) return false;
+
+  delete users[key];
+  saveUsers(users);
+  return true;
+}
+
+/**
+ * Check a login
+ * @param {string} username
+ * @param {string} password
+ * @returns {Object|null} - The user, or null if the username or password is wrong
+ */
+function authenticateUser(username, password) {
+  const user = getUser(username);
+  if (!user || typeof password !== 'string') return null;
+  return verifyPassword(password, user.passwordHash) ? user : null;
+}
+
+/**
+ * Apply changes to a stored user
+ * @param {string} username
+ * @param {Function} update - Called with the stored user to modify in place
+ * @returns {Object|null} - The updated user, or null if there was no such user
+ */
+function updateUser(username, update) {
+  const users = loadUsers();
+  const user = users[normalizeUsername(username)];
+  if (!user) return null;
+
+  update(user);
+  saveUsers(users);
+  return user;
+}
+
+function setPassword(username, password) {
+  return updateUser(username, user => { user.passwordHash = hashPassword(password); });
+}
+
+function setRole(username, role) {
+  return updateUser(username, user => { user.role = role; });
+}
+
+/**
+ * Replace a user's personal settings (only the fields that differ from the shared settings)
+ * @param {string} username
+ * @param {Object} settings
+ */
+function saveUserSettings(username, settings) {
+  return updateUser(username, user => { user.settings = settings; });
+}
+
+/**
+ * The settings a user works with: their channel's settings with their own changes on top
+ * @param {string|null} username - null for the shared API key, which uses the shared settings
+ * @returns {Object}
+ */
+function getUserSettings(username) {
+  return resolveSettings((username && getUser(username)?.settings) || {});
+}
+
+/**
+ * A user's prompt picks, by channel
+ * Accounts from before channels have one set of picks ({ [type]: promptId }), which is the default channel's.
+ * @param {Object} user
+ * @returns {Object} - { [channelId]: { [type]: promptId } }
+ */
+function picksByChannel(user) {
+  const picks = user.activePrompts || {};
+  const isFlat = Object.values(picks).some(value => typeof value === 'string');
+  return isFlat ? { [DEFAULT_CHANNEL]: picks } : picks;
+}
+
+/**
+ * The prompts a user generates with on their channel, by type: their own picks over the channel's defaults
+ * @param {string|null} username - null for the shared API key, which has no picks
+ * @returns {Object} - { [type]: promptId }
+ */
+function getPromptSelections(username) {
+  const { channelId } = getUserSettings(username);
+  const user = username && getUser(username);
+  return {
+    ...getChannel(channelId).activePrompts,
+    ...(user ? picksByChannel(user)[channelId] : {}),
+  };
+}
+
+/**
+ * Pick the prompt a user generates with on their channel for a prompt type (null to follow the channel's default)
+ * @param {string} username
+ * @param {string} type - metadata, vision or transcription
+ * @param {string|null} promptId
+ */
+function saveUserPromptSelection(username, type, promptId) {
+  const { channelId } = getUserSettings(username);
+  return updateUser(username, user => {
+    const picks = picksByChannel(user);
+    picks[channelId] = picks[channelId] || {};
+    if (promptId) {
+      picks[channelId][type] = promptId;
+    } else {
+      delete picks[channelId][type];
+    }
+    user.activePrompts = picks;
+  });
+}
+
+module.exports = {
+  USERS_PATH,
+  ROLES,
+  roleOf,
+  migrateLegacyRoles,
+  hasRole,
+  normalizeUsername,
+  validateCredentials,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  hasUsers,
+  listUsers,
+  getUser,
+  createUser,
+  deleteUser,
+  authenticateUser,
+  setPassword,
+  setRole,
+  saveUserSettings,
+  getUserSettings,
+  getPromptSelections,
+  saveUserPromptSelection,
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+const { DEFAULT_CHANNEL } = require('./channels');
+const Validator = require('./validator');
+
+/**
+ * Metadata validation rules: the channel policy checked on titles, descriptions and
+ * thumbnail titles on top of YouTube's own limits (the checks live in lib/validator.js
+ * so the browser can run them too).
+ * Rules are stored per channel (lib/channels.js).
+ */
+const RULES_PATH = path.join(DATA_DIR, 'validation-rules.json');
+
+const MAX_WORDS = 200;
+const MAX_WORD_LENGTH = 60;
+
+const NUMBER_RULES = {
+  titleTruncateLength: { min: 30, max: Validator.YOUTUBE_LIMITS.titleMaxLength },
+  thumbnailTitleMaxLength: { min: 5, max: 100 },
+  maxCapsRatio: { min: 0, max: 1 },
+};
+
+/**
+ * Load the rules file
+ * @returns {Object} - { channels: { [channelId]: rules } }
+ */
+function loadRulesFile() {
+  if (!fs.existsSync(RULES_PATH)) {
+    return { channels: {} };
+  }
+  return JSON.parse(fs.readFileSync(RULES_PATH, 'utf8'));
+}
+
+/**
+ * Get a channel's validation rules, filled in with the defaults
+ * @param {string} channelId
+ * @returns {Object} - { titleTruncateLength, thumbnailTitleMaxLength, maxCapsRatio, bannedWords, clickbaitWords }
+ */
+function getValidationRules(channelId = DEFAULT_CHANNEL) {
+  const { updatedAt, ...rules } = loadRulesFile().channels[channelId] || {};
+  return { ...Validator.DEFAULT_RULES, ...rules };
+}
+
+/**
+ * Replace a channel's validation rules
+ * @param {Object} rules
+ * @param {string} channelId
+ * @returns {Object} - The saved rules
+ */
+function saveValidationRules(rules, channelId = DEFAULT_CHANNEL) {
+  const file = loadRulesFile();
+  const cleanWords = words => [...new Set((words || []).map(w => w.trim()).filter(Boolean))];
+
+  const normalized = { ...getValidationRules(channelId) };
+  for (const key of Object.keys(NUMBER_RULES)) {
+    if (rules[key] !== undefined) normalized[key] = rules[key];
+  }
+  if (rules.bannedWords !== undefined) normalized.bannedWords = cleanWords(rules.bannedWords);
+  if (rules.clickbaitWords !== undefined) normalized.clickbaitWords = cleanWords(rules.clickbaitWords);
+
+  file.channels[channelId] = { ...normalized, updatedAt: Date.now() };
+  fs.writeFileSync(RULES_PATH, JSON.stringify(file, null, 2));
+  return normalized;
+}
+
+/**
+ * Validate validation rules
+ * @param {Object} rules
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateValidationRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'rules must be an object';
+  }
+
+  const allowed = [...Object.keys(NUMBER_RULES), 'bannedWords', 'clickbaitWords'];
+  const unknown = Object.keys(rules).find(key => !allowed.includes(key));
+  if (unknown) {
+    return `Unknown rule: ${unknown}`;
+  }
+
+  for (const [key, { min, max }] of Object.entries(NUMBER_RULES)) {
+    if (rules[key] === undefined) continue;
+    if (typeof rules[key] !== 'number' || isNaN(rules[key]) || rules[key] < min || rules[key] > max) {
+      return `${key} must be a number between ${min} and ${max}`;
+    }
+  }
+
+  for (const key of ['bannedWords', 'clickbaitWords']) {
+    if (rules[key] === undefined) continue;
+    if (!Array.isArray(rules[key]) || rules[key].length > MAX_WORDS) {
+      return `${key} must be an array of at most ${MAX_WORDS} strings`;
+    }
+    if (rules[key].some(w => typeof w !== 'string' || w.length > MAX_WORD_LENGTH)) {
+      return `Each of ${key} must be a string of at most ${MAX_WORD_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  getValidationRules,
+  saveValidationRules,
+  validateValidationRules,
+};
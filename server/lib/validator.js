@@ -0,0 +1,138 @@
+/**
+ * Metadata validator: YouTube limits and channel policy checks for titles, descriptions and thumbnail titles
+ * Shared by the server (auto-fix on /api/generate) and the browser (live badges), which loads
+ * this file from /js/validator.js
+ */
+
+const Validator = {
+  // Limits YouTube enforces - anything over these can't be published
+  YOUTUBE_LIMITS: {
+    titleMaxLength: 100,
+    descriptionMaxLength: 5000,
+  },
+
+  // Channel policy used when a channel has no rules of its own (see server/lib/validation-rules.js)
+  DEFAULT_RULES: {
+    titleTruncateLength: 70, // Search results and mobile cut titles off around 60-70 characters
+    thumbnailTitleMaxLength: 40, // Longer overlays get hard to read at thumbnail size
+    maxCapsRatio: 0.5, // Share of letters in capitals before text reads as shouting
+    bannedWords: [],
+    clickbaitWords: [],
+  },
+
+  // Text shorter than this (in letters) isn't checked for capitals, so "CPI" alone doesn't count as shouting
+  MIN_LETTERS_FOR_CAPS_CHECK: 10,
+
+  KINDS: ['title', 'description', 'thumbnailTitle'],
+
+  /**
+   * Check one title, description or thumbnail title
+   * @param {string} text
+   * @param {string} kind - 'title', 'description' or 'thumbnailTitle'
+   * @param {Object} [rules] - Channel rules (missing fields fall back to DEFAULT_RULES)
+   * @returns {Object} - { status: 'ok'|'warning'|'error', issues: [{ severity, code, message }] }
+   */
+  validate(text, kind, rules = {}) {
+    const r = { ...this.DEFAULT_RULES, ...rules };
+    const value = typeof text === 'string' ? text : '';
+    const issues = [];
+    const error = (code, message) => issues.push({ severity: 'error', code, message });
+    const warning = (code, message) => issues.push({ severity: 'warning', code, message });
+
+    if (!value.trim()) {
+      error('empty', 'Empty');
+      return this.summarize(issues);
+    }
+
+    if (kind === 'title' && value.length > this.YOUTUBE_LIMITS.titleMaxLength) {
+      error('too-long', `${value.length} characters - YouTube allows ${this.YOUTUBE_LIMITS.titleMaxLength}`);
+    } else if (kind === 'title' && value.length > r.titleTruncateLength) {
+      warning('truncated', `${value.length} characters - cut off after about ${r.titleTruncateLength} in search and on mobile`);
+    }
+
+    if (kind === 'description' && value.length > this.YOUTUBE_LIMITS.descriptionMaxLength) {
+      error('too-long', `${value.length} characters - YouTube allows ${this.YOUTUBE_LIMITS.descriptionMaxLength}`);
+    }
+
+    if (kind === 'thumbnailTitle' && value.length > r.thumbnailTitleMaxLength) {
+      warning('too-long', `${value.length} characters - hard to read on a thumbnail (aim for ${r.thumbnailTitleMaxLength} or fewer)`);
+    }
+
+    // YouTube rejects angle brackets in titles and descriptions
+    if (kind !== 'thumbnailTitle' && /[<>]/.test(value)) {
+      error('angle-brackets', 'YouTube doesn\'t allow < or >');
+    }
+
+    // Thumbnail overlays are often styled in capitals on purpose
+    if (kind !== 'thumbnailTitle') {
+      const ratio = this.capsRatio(value);
+      if (ratio !== null && ratio > r.maxCapsRatio) {
+        warning('caps', `${Math.round(ratio * 100)}% capital letters`);
+      }
+    }
+
+    const banned = this.findWords(value, r.bannedWords);
+    if (banned.length > 0) {
+      error('banned', `Banned: ${banned.join(', ')}`);
+    }
+
+    const clickbait = this.findWords(value, r.clickbaitWords);
+    if (clickbait.length > 0) {
+      warning('clickbait', `Clickbait: ${clickbait.join(', ')}`);
+    }
+
+    return this.summarize(issues);
+  },
+
+  summarize(issues) {
+    let status = 'ok';
+    if (issues.some(i => i.severity === 'error')) {
+      status = 'error';
+    } else if (issues.length > 0) {
+      status = 'warning';
+    }
+    return { status, issues };
+  },
+
+  /**
+   * Check every title, description and thumbnail title in generated metadata
+   * @param {Object} metadata - { titles, descriptions, thumbnailTitles }
+   * @param {Object} [rules]
+   * @returns {Object} - { titles: [result], descriptions: [result], thumbnailTitles: [result] }
+   */
+  validateMetadata(metadata, rules = {}) {
+    return {
+      titles: (metadata?.titles || []).map(t => this.validate(t, 'title', rules)),
+      descriptions: (metadata?.descriptions || []).map(d => this.validate(d, 'description', rules)),
+      thumbnailTitles: (metadata?.thumbnailTitles || []).map(t => this.validate(t, 'thumbnailTitle', rules)),
+    };
+  },
+
+  // Share of letters that are capitals, or null if there are too few letters to judge
+  capsRatio(text) {
+    const letters = text.match(/\p{L}/gu) || [];
+    if (letters.length < this.MIN_LETTERS_FOR_CAPS_CHECK) return null;
+    const capitals = letters.filter(l => l !== l.toLowerCase()).length;
+    return capitals / letters.length;
+  },
+
+  /**
+   * Find listed words or phrases in text (whole words, case-insensitive)
+   * @param {string} text
+   * @param {string[]} words
+   * @returns {string[]} - The listed words that appear
+   */
+  findWords(text, words) {
+    return (words || []).filter((word) => {
+      const pattern = word.trim().split(/\s+/)
+        .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+');
+      if (!pattern) return false;
+      return new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+    });
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Validator;
+}
@@ -0,0 +1,123 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { getProject } = require('../lib/projects');
+const { getWaveform } = require('../lib/ffmpeg');
+const { COVER_IMAGE_EXTENSIONS, extensionOf } = require('../lib/media');
+const { safeFramesPath, safeUploadPath, isValidSessionId } = require('../lib/security');
+const { requireRole } = require('../lib/auth');
+
+// Audio-only projects have no frames: the player draws a waveform instead of a picture,
+// and thumbnails are made from cover images uploaded into the frames folder
+const router = express.Router();
+
+const WAVEFORM_PEAKS = 1000;
+const MAX_COVER_SIZE = 20 * 1024 * 1024;
+
+router.param('sessionId', (req, res, next, sessionId) => {
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+  next();
+});
+
+// Only audio projects have a waveform or cover images
+function findAudioProject(req, res) {
+  const project = getProject(req.params.sessionId);
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  if (project.mediaType !== 'audio') {
+    res.status(400).json({ error: 'Only audio projects have a waveform and cover images' });
+    return null;
+  }
+  return project;
+}
+
+// Waveform peaks for the player, computed on first request and kept next to the upload
+router.get('/projects/:sessionId/waveform', async (req, res) => {
+  const project = findAudioProject(req, res);
+  if (!project) return;
+
+  const audioPath = safeUploadPath(project.filename);
+  const waveformPath = safeUploadPath(`${project.sessionId}_waveform.json`);
+  if (!audioPath || !fs.existsSync(audioPath)) {
+    return res.status(404).json({ error: 'Audio file not found' });
+  }
+
+  try {
+    if (fs.existsSync(waveformPath)) {
+      return res.json({ success: true, ...JSON.parse(fs.readFileSync(waveformPath, 'utf8')) });
+    }
+
+    const waveform = await getWaveform(audioPath, WAVEFORM_PEAKS);
+    fs.writeFileSync(waveformPath, JSON.stringify(waveform));
+    res.json({ success: true, ...waveform });
+  } catch (error) {
+    console.error('Error computing waveform:', error);
+    res.status(500).json({ error: 'Failed to compute waveform' });
+  }
+});
+
+// Cover images are numbered like frames (cover_1.jpg, cover_2.png, ...)
+function nextCoverIndex(framesDir) {
+  const taken = fs.existsSync(framesDir)
+    ? fs.readdirSync(framesDir).map(file => parseInt(/^cover_(\d+)\./.exec(file)?.[1], 10)).filter(n => !isNaN(n))
+    : [];
+  return Math.max(0, ...taken) + 1;
+}
+
+const coverUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const framesDir = safeFramesPath(req.params.sessionId);
+      fs.mkdirSync(framesDir, { recursive: true });
+      cb(null, framesDir);
+    },
+    filename: (req, file, cb) => {
+      req.coverIndex = nextCoverIndex(safeFramesPath(req.params.sessionId));
+      cb(null, `cover_${req.coverIndex}.${extensionOf(file.originalname)}`);
+    },
+  }),
+  limits: { fileSize: MAX_COVER_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (COVER_IMAGE_EXTENSIONS.includes(extensionOf(file.originalname))) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid image type. Use ${COVER_IMAGE_EXTENSIONS.join(', ')}.`));
+    }
+  },
+});
+
+// Upload a cover image to make thumbnails from
+// Responds with the image as a frame, ready for the thumbnail editor
+router.post('/projects/:sessionId/cover', requireRole('editor'), (req, res) => {
+  if (!findAudioProject(req, res)) return;
+
+  coverUpload.single('image')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No cover image uploaded' });
+    }
+
+    const { sessionId } = req.params;
+    console.log(`Cover image ${req.file.filename} uploaded for ${sessionId}`);
+    res.json({
+      success: true,
+      frame: {
+        index: req.coverIndex,
+        timestamp: 0,
+        filename: req.file.filename,
+        url: `/uploads/${path.basename(safeFramesPath(sessionId))}/${req.file.filename}`,
+        cover: true,
+      },
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const {
+  ROLES,
+  normalizeUsername,
+  validateCredentials,
+  validatePassword,
+  hasUsers,
+  listUsers,
+  createUser,
+  deleteUser,
+  authenticateUser,
+  publicUser,
+  setPassword,
+  setRole,
+} = require('../lib/users');
+const {
+  createSession,
+  destroySession,
+  destroyUserSessions,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAuth,
+  requireRole,
+  requireUser,
+} = require('../lib/auth');
+const { loginRateLimit } = require('../lib/rate-limit');
+
+const router = express.Router();
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Who is signed in, and whether the first account still needs creating (open to everyone)
+router.get('/auth/status', (req, res) => {
+  res.json({
+    success: true,
+    authenticated: Boolean(req.user),
+    user: req.user,
+    setupRequired: !hasUsers(),
+    // Production deployments create the first account from ADMIN_USERNAME/ADMIN_PASSWORD instead
+    setupAllowed: !isProduction,
+  });
+});
+
+// Create the first account (an admin) and sign in with it
+router.post('/auth/setup', loginRateLimit, (req, res) => {
+  if (isProduction) {
+    return res.status(403).json({ error: 'Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first account' });
+  }
+  if (hasUsers()) {
+    return res.status(403).json({ error: 'An account already exists - sign in instead' });
+  }
+
+  const username = normalizeUsername(req.body.username);
+  const validationError = validateCredentials(username, req.body.password);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const user = createUser(username, req.body.password, 'admin');
+  setSessionCookie(res, createSession(user.username));
+  console.log(`Created first user '${user.username}' (admin)`);
+  res.json({ success: true, user });
+});
+
+// Sign in
+router.post('/auth/login', loginRateLimit, (req, res) => {
+  const user = authenticateUser(req.body.username, req.body.password);
+  if (!user) {
+    return res.status(401).json({ error: 'Incorrect username or password' });
+  }
+
+  setSessionCookie(res, createSession(user.username));
+  console.log(`User '${user.username}' signed in`);
+  res.json({ success: true, user: publicUser(user) });
+});
+
+// Sign out
+router.post('/auth/logout', (req, res) => {
+  if (req.sessionToken) destroySession(req.sessionToken);
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Change your own password (other sessions are signed out)
+router.post('/auth/password', requireAuth, requireUser, (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!authenticateUser(req.user.username, currentPassword)) {
+    return res.status(400).json({ error: 'Current password is incorrect' });
+  }
+  const validationError = validatePassword(newPassword);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  setPassword(req.user.username, newPassword);
+  destroyUserSessions(req.user.username, req.sessionToken);
+  res.json({ success: true });
+});
+
+// ============== ACCOUNTS (admins) ==============
+
+// List accounts
+router.get('/users', requireAuth, requireRole('admin'), (req, res) => {
+  res.json({ success: true, users: listUsers() });
+});
+
+// Add an account
+router.post('/users', requireAuth, requireRole('admin'), (req, res) => {
+  const { role = 'editor' } = req.body;
+  const username = normalizeUsername(req.body.username);
+  const validationError = validateCredentials(username, req.body.password);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const user = createUser(username, req.body.password, role);
+    if (!user) {
+      return res.status(400).json({ error: `User '${username}' already exists` });
+    }
+    console.log(`Added user '${username}' (${role})`);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error adding user:', error);
+    res.status(500).json({ error: 'Failed to add user' });
+  }
+});
+
+// Change an account's role (not your own, so there is always an admin left)
+router.put('/users/:username', requireAuth, requireRole('admin'), (req, res) => {
+  const { role } = req.body;
+  const username = normalizeUsername(req.params.username);
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (username === req.user.username) {
+    return res.status(400).json({ error: "You can't change your own role" });
+  }
+
+  try {
+    const user = setRole(username, role);
+    if (!user) {
+      return res.status(404).json({ error: `User '${username}' not found` });
+    }
+    console.log(`User '${username}' is now ${role}`);
+    res.json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    console.error('Error changing role:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// Remove an account (and sign it out)
+router.delete('/users/:username', requireAuth, requireRole('admin'), (req, res) => {
+  const username = normalizeUsername(req.params.username);
+
+  if (username === req.user.username) {
+    return res.status(400).json({ error: "You can't remove your own account" });
+  }
+
+  try {
+    if (!deleteUser(username)) {
+      return res.status(404).json({ error: `User '${username}' not found` });
+    }
+    destroyUserSessions(username);
+    console.log(`Removed user '${username}'`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ error: 'Failed to remove user' });
+  }
+});
+
+module.exports = router;
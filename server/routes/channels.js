@@ -0,0 +1,115 @@
+const express = require('express');
+const {
+  DEFAULT_CHANNEL,
+  listChannels,
+  channelExists,
+  saveChannel,
+  saveThumbnailStyle,
+  deleteChannel,
+  validateChannelId,
+  validateChannel,
+  validateThumbnailStyle,
+} = require('../lib/channels');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// List channel profiles (the values prompt templates are filled in with, and what each channel owns)
+router.get('/channels', (req, res) => {
+  try {
+    res.json({ success: true, channels: listChannels() });
+  } catch (error) {
+    console.error('Error loading channels:', error);
+    res.status(500).json({ error: 'Failed to load channels' });
+  }
+});
+
+// Add a channel profile
+router.post('/channels', requireRole('admin'), (req, res) => {
+  const { id, profile } = req.body;
+
+  const validationError = validateChannelId(id) || validateChannel(profile);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (channelExists(id)) {
+    return res.status(400).json({ error: `Channel '${id}' already exists` });
+  }
+
+  try {
+    const channel = saveChannel(id, profile);
+    console.log(`Added channel '${id}'`);
+    res.json({ success: true, channel });
+  } catch (error) {
+    console.error('Error adding channel:', error);
+    res.status(500).json({ error: 'Failed to add channel' });
+  }
+});
+
+// Update a channel profile
+router.put('/channels/:channelId', requireRole('admin'), (req, res) => {
+  const { channelId } = req.params;
+  const { profile } = req.body;
+
+  if (channelId !== DEFAULT_CHANNEL && !channelExists(channelId)) {
+    return res.status(404).json({ error: `Channel '${channelId}' not found` });
+  }
+  const validationError = validateChannel(profile);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const channel = saveChannel(channelId, profile);
+    console.log(`Updated channel '${channelId}'`);
+    res.json({ success: true, channel });
+  } catch (error) {
+    console.error('Error updating channel:', error);
+    res.status(500).json({ error: 'Failed to update channel' });
+  }
+});
+
+// Save the thumbnail brand kit new thumbnails on a channel start with
+router.put('/channels/:channelId/thumbnail-style', requireRole('admin'), (req, res) => {
+  const { channelId } = req.params;
+
+  if (channelId !== DEFAULT_CHANNEL && !channelExists(channelId)) {
+    return res.status(404).json({ error: `Channel '${channelId}' not found` });
+  }
+  const validationError = validateThumbnailStyle(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const channel = saveThumbnailStyle(channelId, req.body);
+    console.log(`Updated thumbnail style for channel '${channelId}'`);
+    res.json({ success: true, channel });
+  } catch (error) {
+    console.error('Error saving thumbnail style:', error);
+    res.status(500).json({ error: 'Failed to save thumbnail style' });
+  }
+});
+
+// Remove a channel profile (anyone who picked it goes back to the default channel)
+// Its glossary, metadata checks and speakers are kept, and come back if a channel with the same ID is added
+router.delete('/channels/:channelId', requireRole('admin'), (req, res) => {
+  const { channelId } = req.params;
+
+  if (channelId === DEFAULT_CHANNEL) {
+    return res.status(400).json({ error: 'The default channel cannot be removed' });
+  }
+
+  try {
+    if (!deleteChannel(channelId)) {
+      return res.status(404).json({ error: `Channel '${channelId}' not found` });
+    }
+    console.log(`Removed channel '${channelId}'`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing channel:', error);
+    res.status(500).json({ error: 'Failed to remove channel' });
+  }
+});
+
+module.exports = router;
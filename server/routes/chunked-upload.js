@@ -1,65 +1,65 @@
 const express = require('express');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
+const { Transform } = require('stream');
 const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
-const { UPLOADS_DIR, isValidSessionId } = require('../lib/security');
+const { UPLOADS_DIR } = require('../lib/security');
+const { createProject } = require('../lib/projects');
+const { startProxyJob } = require('../lib/playback');
+const { getUserSettings } = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+const { INVALID_TYPE_MESSAGE, extensionOf, mediaTypeOf } = require('../lib/media');
+const {
+  SHA256_PATTERN,
+  sha256,
+  manifestHashOf,
+  chunkPath,
+  createUpload,
+  getUpload,
+  receivedChunks,
+  saveChunk,
+  discardChunks,
+  removeUpload,
+  cleanupStaleUploads,
+} = require('../lib/chunked-uploads');
 
 const router = express.Router();
 
-// In-memory store for active uploads (in production, use Redis or similar)
-const activeUploads = new Map();
-
-// Cleanup stale uploads after 1 hour
-const UPLOAD_TIMEOUT_MS = 60 * 60 * 1000;
-
-setInterval(() => {
-  const now = Date.now();
-  for (const [uploadId, upload] of activeUploads) {
-    if (now - upload.createdAt > UPLOAD_TIMEOUT_MS) {
-      console.log(`Cleaning up stale upload: ${uploadId}`);
-      cleanupChunks(uploadId);
-      activeUploads.delete(uploadId);
-    }
-  }
-}, 5 * 60 * 1000); // Check every 5 minutes
+// Upload state lives on disk with the chunks (lib/chunked-uploads.js), so stale uploads
+// are found by scanning the uploads folder - including ones left by a previous run
+const cleanupStale = () => cleanupStaleUploads().catch(error => console.error('Upload cleanup failed:', error.message));
+cleanupStale();
+setInterval(cleanupStale, 5 * 60 * 1000).unref(); // Check every 5 minutes
 
 // Initialize a chunked upload session
-router.post('/upload/init', (req, res) => {
-  const { filename, fileSize, totalChunks } = req.body;
+router.post('/upload/init', requireRole('editor'), (req, res) => {
+  const { filename, fileSize, totalChunks, lastModified } = req.body;
 
   if (!filename || !fileSize || !totalChunks) {
     return res.status(400).json({ error: 'Missing required fields: filename, fileSize, totalChunks' });
   }
 
   // Validate file extension
-  const ext = path.extname(filename).toLowerCase().slice(1);
-  const allowedTypes = /^(mp4|mov|avi|mkv|webm)$/;
-  if (!allowedTypes.test(ext)) {
-    return res.status(400).json({ error: 'Invalid file type. Only video files are allowed.' });
+  if (!mediaTypeOf(filename)) {
+    return res.status(400).json({ error: INVALID_TYPE_MESSAGE });
   }
+  const ext = extensionOf(filename);
 
   const uploadId = uuidv4();
   const sessionId = uuidv4();
-  const chunksDir = path.join(UPLOADS_DIR, `${uploadId}_chunks`);
 
-  // Create chunks directory
-  if (!fs.existsSync(chunksDir)) {
-    fs.mkdirSync(chunksDir, { recursive: true });
-  }
-
-  // Store upload metadata
-  activeUploads.set(uploadId, {
+  createUpload({
     uploadId,
     sessionId,
     originalFilename: filename,
     fileSize,
     totalChunks,
-    receivedChunks: new Set(),
-    chunksDir,
+    lastModified: lastModified || null,
+    channelId: getUserSettings(req.user.username).channelId, // The project is for the channel the upload started on
     ext,
-    createdAt: Date.now(),
   });
 
   console.log(`=== Chunked Upload Initialized ===`);
@@ -76,15 +76,26 @@ router.post('/upload/init', (req, res) => {
 });
 
 // Receive a chunk
-router.post('/upload/chunk', express.raw({ type: 'application/octet-stream', limit: '50mb' }), async (req, res) => {
+// X-Chunk-SHA256 is the chunk's hash; a chunk that doesn't match it is refused with 422
+// so the client sends it again. Clients without Web Crypto leave it out
+router.post('/upload/chunk', requireRole('editor'), express.raw({ type: 'application/octet-stream', limit: '50mb' }), async (req, res) => {
   const uploadId = req.headers['x-upload-id'];
   const chunkIndex = parseInt(req.headers['x-chunk-index'], 10);
+  const checksum = (req.headers['x-chunk-sha256'] || '').toLowerCase();
 
   if (!uploadId || isNaN(chunkIndex)) {
     return res.status(400).json({ error: 'Missing upload ID or chunk index' });
   }
 
-  const upload = activeUploads.get(uploadId);
+  if (checksum && !SHA256_PATTERN.test(checksum)) {
+    return res.status(400).json({ error: 'Invalid chunk checksum (X-Chunk-SHA256, hex)' });
+  }
+
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Chunks must be sent as application/octet-stream' });
+  }
+
+  const upload = getUpload(uploadId);
   if (!upload) {
     return res.status(404).json({ error: 'Upload not found or expired' });
   }
@@ -93,20 +104,22 @@ router.post('/upload/chunk', express.raw({ type: 'application/octet-stream', lim
     return res.status(400).json({ error: 'Invalid chunk index' });
   }
 
-  // Save chunk to disk
-  const chunkPath = path.join(upload.chunksDir, `chunk_${chunkIndex.toString().padStart(6, '0')}`);
+  if (checksum && sha256(req.body) !== checksum) {
+    console.warn(`Chunk ${chunkIndex + 1}/${upload.totalChunks} of ${uploadId} failed its checksum`);
+    return res.status(422).json({ error: 'Chunk checksum mismatch', chunkIndex });
+  }
 
   try {
-    await fsPromises.writeFile(chunkPath, req.body);
-    upload.receivedChunks.add(chunkIndex);
+    await saveChunk(upload, chunkIndex, req.body);
+    const received = await receivedChunks(upload);
 
-    const progress = (upload.receivedChunks.size / upload.totalChunks * 100).toFixed(1);
+    const progress = (received.length / upload.totalChunks * 100).toFixed(1);
     console.log(`Chunk ${chunkIndex + 1}/${upload.totalChunks} received (${progress}%)`);
 
     res.json({
       success: true,
       chunkIndex,
-      receivedChunks: upload.receivedChunks.size,
+      receivedChunks: received.length,
       totalChunks: upload.totalChunks,
     });
   } catch (error) {
@@ -116,29 +129,38 @@ router.post('/upload/chunk', express.raw({ type: 'application/octet-stream', lim
 });
 
 // Complete the upload - assemble chunks into final file
-router.post('/upload/complete', async (req, res) => {
-  const { uploadId } = req.body;
+// fileHash, the manifest hash (see lib/chunked-uploads.js), is checked against the assembled
+// chunks when the client sends one. If it doesn't match and the client sent its chunkHashes,
+// the chunks that differ are thrown away and listed in missingChunks so the client can send
+// them again
+router.post('/upload/complete', requireRole('editor'), async (req, res) => {
+  const { uploadId, fileHash, chunkHashes } = req.body;
 
   if (!uploadId) {
     return res.status(400).json({ error: 'Missing upload ID' });
   }
 
-  const upload = activeUploads.get(uploadId);
+  if (fileHash != null && (typeof fileHash !== 'string' || !SHA256_PATTERN.test(fileHash))) {
+    return res.status(400).json({ error: 'Invalid manifest hash (fileHash, hex)' });
+  }
+
+  const upload = getUpload(uploadId);
   if (!upload) {
     return res.status(404).json({ error: 'Upload not found or expired' });
   }
 
   // Check all chunks received
-  if (upload.receivedChunks.size !== upload.totalChunks) {
+  const received = await receivedChunks(upload);
+  if (received.length !== upload.totalChunks) {
     const missing = [];
     for (let i = 0; i < upload.totalChunks; i++) {
-      if (!upload.receivedChunks.has(i)) {
+      if (!received.includes(i)) {
         missing.push(i);
       }
     }
     return res.status(400).json({
       error: 'Not all chunks received',
-      receivedChunks: upload.receivedChunks.size,
+      receivedChunks: received.length,
       totalChunks: upload.totalChunks,
       missingChunks: missing.slice(0, 10), // Only return first 10 missing
     });
@@ -149,16 +171,46 @@ router.post('/upload/complete', async (req, res) => {
   const finalPath = path.join(UPLOADS_DIR, finalFilename);
 
   try {
-    // Assemble chunks into final file using streams (memory efficient)
+    // Assemble chunks into final file using streams (memory efficient), hashing each
+    // chunk on the way through
     const writeStream = fs.createWriteStream(finalPath);
+    const assembledHashes = [];
+    const contentHash = crypto.createHash('sha256'); // The file's fingerprint (lib/content-cache.js)
 
     for (let i = 0; i < upload.totalChunks; i++) {
-      const chunkPath = path.join(upload.chunksDir, `chunk_${i.toString().padStart(6, '0')}`);
-      const readStream = fs.createReadStream(chunkPath);
-      await pipeline(readStream, writeStream, { end: false });
+      const readStream = fs.createReadStream(chunkPath(upload.chunksDir, i));
+      const hash = crypto.createHash('sha256');
+      const hashing = new Transform({
+        transform(data, encoding, callback) {
+          hash.update(data);
+          contentHash.update(data);
+          callback(null, data);
+        },
+      });
+      await pipeline(readStream, hashing, writeStream, { end: false });
+      assembledHashes.push(hash.digest('hex'));
     }
 
-    writeStream.end();
+    // Wait for the last bytes to reach disk before measuring the file
+    await new Promise((resolve, reject) => {
+      writeStream.on('error', reject);
+      writeStream.end(resolve);
+    });
+
+    if (fileHash != null && manifestHashOf(assembledHashes) !== fileHash.toLowerCase()) {
+      await fsPromises.rm(finalPath, { force: true });
+
+      const corrupted = Array.isArray(chunkHashes) && chunkHashes.length === upload.totalChunks
+        ? assembledHashes.map((hash, i) => (hash === String(chunkHashes[i]).toLowerCase() ? null : i)).filter(i => i !== null)
+        : [];
+      await discardChunks(upload, corrupted);
+
+      console.warn(`Upload ${uploadId} failed its manifest hash (${corrupted.length} chunks to resend)`);
+      return res.status(422).json({
+        error: 'Upload checksum mismatch',
+        missingChunks: corrupted,
+      });
+    }
 
     // Get final file size
     const stats = await fsPromises.stat(finalPath);
@@ -168,9 +220,24 @@ router.post('/upload/complete', async (req, res) => {
     console.log(`Final file: ${finalFilename}`);
     console.log(`Size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
 
+    try {
+      createProject(upload.sessionId, {
+        filename: finalFilename,
+        originalName: upload.originalFilename,
+        size: stats.size,
+        lastModified: upload.lastModified,
+        channelId: upload.channelId,
+        contentHash: contentHash.digest('hex'),
+      });
+    } catch (error) {
+      console.error('Failed to create project:', error.message);
+    }
+
     // Cleanup chunks
-    await cleanupChunks(uploadId);
-    activeUploads.delete(uploadId);
+    await removeUpload(uploadId);
+
+    // Videos browsers can't play get a playable copy made in the background
+    const proxyJob = startProxyJob(upload.sessionId, finalFilename);
 
     res.json({
       success: true,
@@ -179,6 +246,8 @@ router.post('/upload/complete', async (req, res) => {
       path: `/uploads/${finalFilename}`,
       originalName: upload.originalFilename,
       size: stats.size,
+      mediaType: mediaTypeOf(finalFilename),
+      proxyJobId: proxyJob?.id || null,
     });
   } catch (error) {
     console.error('Error assembling chunks:', error);
@@ -187,53 +256,39 @@ router.post('/upload/complete', async (req, res) => {
 });
 
 // Get upload status (for resuming)
-router.get('/upload/status/:uploadId', (req, res) => {
-  const { uploadId } = req.params;
-  const upload = activeUploads.get(uploadId);
-
+// After a reload the client finds its upload by file name, size and last-modified time,
+// checks it is the same file, and only sends the chunks that aren't listed here
+router.get('/upload/status/:uploadId', async (req, res) => {
+  const upload = getUpload(req.params.uploadId);
   if (!upload) {
     return res.status(404).json({ error: 'Upload not found or expired' });
   }
 
+  const received = await receivedChunks(upload);
   res.json({
     success: true,
-    uploadId,
-    receivedChunks: Array.from(upload.receivedChunks),
+    uploadId: upload.uploadId,
+    sessionId: upload.sessionId,
+    filename: upload.originalFilename,
+    fileSize: upload.fileSize,
+    lastModified: upload.lastModified,
+    receivedChunks: received,
     totalChunks: upload.totalChunks,
-    complete: upload.receivedChunks.size === upload.totalChunks,
+    complete: received.length === upload.totalChunks,
   });
 });
 
 // Cancel an upload
-router.delete('/upload/:uploadId', async (req, res) => {
+router.delete('/upload/:uploadId', requireRole('editor'), async (req, res) => {
   const { uploadId } = req.params;
-  const upload = activeUploads.get(uploadId);
-
-  if (!upload) {
+  if (!getUpload(uploadId)) {
     return res.status(404).json({ error: 'Upload not found' });
   }
 
-  await cleanupChunks(uploadId);
-  activeUploads.delete(uploadId);
+  await removeUpload(uploadId);
 
   console.log(`Upload ${uploadId} cancelled`);
   res.json({ success: true });
 });
 
-// Cleanup chunk files
-async function cleanupChunks(uploadId) {
-  const upload = activeUploads.get(uploadId);
-  if (!upload) return;
-
-  try {
-    const files = await fsPromises.readdir(upload.chunksDir);
-    for (const file of files) {
-      await fsPromises.unlink(path.join(upload.chunksDir, file));
-    }
-    await fsPromises.rmdir(upload.chunksDir);
-  } catch (error) {
-    console.error(`Error cleaning up chunks for ${uploadId}:`, error.message);
-  }
-}
-
 module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { FORMATS, DEFAULT_CAPTION_OPTIONS, exportTranscript } = require('../lib/transcript-export');
+
+const router = express.Router();
+
+// Caption option bounds (keep exported captions readable)
+const CAPTION_OPTION_LIMITS = {
+  maxLineLength: { min: 20, max: 80 },
+  maxLines: { min: 1, max: 3 },
+  maxDuration: { min: 1, max: 15 },
+  minDuration: { min: 0, max: 5 },
+};
+
+// Validate caption options, returning an error message or null
+function validateCaptionOptions(options) {
+  if (options.speakerPrefix !== undefined && typeof options.speakerPrefix !== 'boolean') {
+    return 'speakerPrefix must be a boolean';
+  }
+  for (const [key, { min, max }] of Object.entries(CAPTION_OPTION_LIMITS)) {
+    const value = options[key];
+    if (value === undefined) continue;
+    if (typeof value !== 'number' || isNaN(value) || value < min || value > max) {
+      return `${key} must be a number between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
+
+// Turn a display name into a safe download filename
+function toDownloadName(name, extension) {
+  const base = (name || 'transcript')
+    .replace(/\.[^.]+$/, '') // Drop the video's extension
+    .replace(/[^a-z0-9 _-]+/gi, '')
+    .trim()
+    .slice(0, 100) || 'transcript';
+  return `${base}.${extension}`;
+}
+
+// Export transcript as captions (SRT, WebVTT) or a readable transcript (Markdown, plain text)
+router.post('/export/transcript', (req, res) => {
+  const { transcript, format, options = {}, name } = req.body;
+
+  if (!Array.isArray(transcript) || transcript.length === 0) {
+    return res.status(400).json({ error: 'Missing transcript' });
+  }
+
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  const invalidSegment = transcript.find(seg =>
+    !seg || typeof seg.start !== 'number' || typeof seg.end !== 'number' || typeof seg.text !== 'string'
+  );
+  if (invalidSegment) {
+    return res.status(400).json({ error: 'Each segment needs numeric start/end and text' });
+  }
+
+  const optionsError = validateCaptionOptions(options);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    const title = typeof name === 'string' ? name.replace(/\.[^.]+$/, '') : undefined;
+    const content = exportTranscript(transcript, format, { ...DEFAULT_CAPTION_OPTIONS, ...options, title });
+    const { extension, contentType } = FORMATS[format];
+
+    console.log(`Exported transcript as ${format} (${transcript.length} segments)`);
+
+    res.set('Content-Type', `${contentType}; charset=utf-8`);
+    res.attachment(toDownloadName(name, extension));
+    res.send(content);
+  } catch (error) {
+    console.error('Transcript export error:', error);
+    res.status(500).json({ error: 'Failed to export transcript' });
+  }
+});
+
+module.exports = router;
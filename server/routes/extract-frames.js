@@ -1,24 +1,31 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { openai, imageToDataUrl, parseOpenAIError } = require('../lib/openai');
+const { imageToDataUrl, resolveActivePrompt, parseOpenAIError } = require('../lib/openai');
+const { versionStamp } = require('../lib/prompt-versions');
+const { getProvider } = require('../lib/providers');
 const { extractFrames } = require('../lib/ffmpeg');
 const { safeUploadPath, safeFramesPath, isValidFilename, isValidSessionId } = require('../lib/security');
 const { aiRateLimit } = require('../lib/rate-limit');
-
-// Load prompts from library
-const promptsLibraryPath = path.join(__dirname, '../prompts-library.json');
-function getActiveVisionPrompt() {
-  const library = JSON.parse(fs.readFileSync(promptsLibraryPath, 'utf8'));
-  const activeId = library.vision.active;
-  return library.vision.prompts[activeId];
-}
+const { createJob } = require('../lib/jobs');
+const { recordUsage, budgetGuard } = require('../lib/usage');
+const { extractRankedFrames } = require('../lib/frame-ranking');
+const { getPromptSelections, getUserSettings } = require('../lib/users');
+const { getChannel } = require('../lib/channels');
+const { renderPrompt, templateValues } = require('../lib/prompt-templates');
+const { requireRole } = require('../lib/auth');
+const { getProject } = require('../lib/projects');
+const { hashFile, cacheKey, getCached, setCached, cacheFrames, restoreFrames } = require('../lib/content-cache');
 
 const router = express.Router();
 
-// Extract frames from video
-router.post('/extract-frames', async (req, res) => {
-  const { sessionId, filename, numFrames } = req.body;
+// Extract frames from video (background job - responds with a job ID)
+// Audio projects are refused: their thumbnails start from a cover image (routes/audio.js)
+// Frames extracted before from the same video are reused (cached: true) unless force is set.
+// Additional batches ("load more", additional: true) are random new frames each time, so
+// they are never cached
+router.post('/extract-frames', requireRole('editor'), (req, res) => {
+  const { sessionId, filename, numFrames, force = false, additional = false } = req.body;
 
   if (!sessionId || !filename) {
     return res.status(400).json({ error: 'Missing sessionId or filename' });
@@ -40,34 +47,67 @@ router.post('/extract-frames', async (req, res) => {
     return res.status(400).json({ error: 'Invalid file path' });
   }
 
-  try {
-    // Create frames directory
-    if (!fs.existsSync(framesDir)) {
-      fs.mkdirSync(framesDir, { recursive: true });
-    }
+  const project = getProject(sessionId);
+  if (project?.mediaType === 'audio') {
+    return res.status(400).json({ error: 'Audio files have no frames. Upload a cover image instead.' });
+  }
+
+  const total = numFrames || 24;
+  const contentHash = project?.contentHash;
+  const resultKey = contentHash && !additional ? cacheKey({ contentHash, numFrames: total }) : null;
+  const withUrls = frames => frames.map(f => ({
+    ...f,
+    url: `/uploads/${sessionId}_frames/${f.filename}`,
+  }));
+
+  const job = createJob({ type: 'extract-frames', sessionId }, async (reporter) => {
+    try {
+      const cached = resultKey && !force ? await restoreFrames(resultKey, framesDir) : null;
+      if (cached) {
+        console.log(`Using ${cached.frames.length} cached frames for ${sessionId}`);
+        return { success: true, frames: withUrls(cached.frames), cached: true, cachedAt: cached.cachedAt };
+      }
 
-    // Extract frames
-    console.log(`Extracting ${numFrames || 24} frames from video...`);
-    const frames = await extractFrames(videoPath, framesDir, numFrames || 24);
-    console.log('Frame extraction complete');
+      // Create frames directory
+      if (!fs.existsSync(framesDir)) {
+        fs.mkdirSync(framesDir, { recursive: true });
+      }
 
-    // Return frame info
-    res.json({
-      success: true,
-      frames: frames.map(f => ({
-        ...f,
-        url: `/uploads/${sessionId}_frames/${f.filename}`,
-      })),
-    });
-  } catch (error) {
-    console.error('Frame extraction error:', error);
-    res.status(500).json({ error: error.message });
-  }
+      // Extract frames
+      console.log(`Extracting ${total} frames from video...`);
+      reporter.stage('extracting_frames', `Extracting frames: 0 of ${total}`, { current: 0, total });
+
+      const frames = await extractFrames(videoPath, framesDir, total, (current) => {
+        reporter.stage('extracting_frames', `Extracting frames: ${current} of ${total}`, { current, total });
+      });
+      console.log('Frame extraction complete');
+
+      if (resultKey) {
+        await cacheFrames(resultKey, framesDir, frames).catch((error) => {
+          console.error('Failed to cache frames:', error.message);
+        });
+      }
+
+      // Return frame info
+      return {
+        success: true,
+        frames: withUrls(frames),
+        cached: false,
+      };
+    } catch (error) {
+      console.error('Frame extraction error:', error);
+      throw error;
+    }
+  });
+
+  res.status(202).json({ success: true, jobId: job.id, job });
 });
 
-// Analyze frames with GPT Vision (rate limited - uses AI)
-router.post('/analyze-frames', aiRateLimit, async (req, res) => {
-  const { sessionId, frames, settings } = req.body;
+// Analyze frames with GPT Vision (rate limited - uses AI, background job - responds with a job ID)
+// The same frame images ranked with the same model and prompt get the cached ranking
+// (cached: true); force skips the lookup, and the new ranking replaces the cached one
+router.post('/analyze-frames', requireRole('editor'), aiRateLimit, budgetGuard, (req, res) => {
+  const { sessionId, frames, settings, force = false } = req.body;
 
   if (!sessionId || !frames || frames.length === 0) {
     return res.status(400).json({ error: 'Missing sessionId or frames' });
@@ -83,58 +123,92 @@ router.post('/analyze-frames', aiRateLimit, async (req, res) => {
     return res.status(400).json({ error: 'Invalid session path' });
   }
 
+  // The requester's vision prompt and channel, picked now rather than when the job runs
+  const promptSelections = getPromptSelections(req.user.username);
+  const channel = getChannel(getUserSettings(req.user.username).channelId);
+
+  const contentHash = getProject(sessionId)?.contentHash;
+
+  const job = createJob({ type: 'analyze-frames', sessionId }, (reporter) =>
+    analyzeFrames({ sessionId, frames, settings, framesDir, promptSelections, channel, contentHash, force }, reporter)
+  );
+
+  res.status(202).json({ success: true, jobId: job.id, job });
+});
+
+// Rank frames for thumbnail potential with the vision model
+// Rankings are cached for the video's contentHash (null to skip the cache) and the frame
+// images themselves - frames are taken at random times, so their filenames say nothing
+// about what they show. force skips the lookup but still stores the new ranking
+async function analyzeFrames({ sessionId, frames, settings, framesDir, promptSelections, channel, contentHash, force = false }, reporter) {
   try {
-    // Load thumbnail analysis prompts from library
-    const prompts = getActiveVisionPrompt();
+    // Load thumbnail analysis prompts from library, filled in for the channel
+    const active = resolveActivePrompt('vision', promptSelections);
+    const promptVersion = versionStamp('vision', active.id, active.prompt);
+    const prompts = renderPrompt(active.prompt, templateValues({ channel }));
     const model = settings?.visionModel || 'gpt-4o'; // Default to latest vision model
     const imageDetail = settings?.imageDetail || 'auto'; // low, high, or auto
 
-    // Convert frames to base64 for API
-    const imageContents = frames.map((frame, index) => {
-      // Validate each frame filename
+    // Validate each frame filename
+    const framePaths = frames.map((frame) => {
       if (!isValidFilename(frame.filename)) {
         throw new Error(`Invalid frame filename: ${frame.filename}`);
       }
-      const framePath = path.join(framesDir, frame.filename);
-      const dataUrl = imageToDataUrl(framePath);
-      return {
-        type: 'image_url',
-        image_url: {
-          url: dataUrl,
-          detail: imageDetail, // Control image processing detail level
-        },
-      };
+      return path.join(framesDir, frame.filename);
     });
 
-    // Build the message with all images
-    const userContent = [
-      { type: 'text', text: `${prompts.analysis_prompt}\n\nI'm sending you ${frames.length} frames numbered 1 through ${frames.length}. Rank ALL frames from best to worst for thumbnail potential.` },
-      ...imageContents,
-    ];
+    const resultKey = contentHash ? cacheKey({
+      contentHash,
+      frames: await Promise.all(framePaths.map(hashFile)),
+      model,
+      imageDetail,
+      systemPrompt: prompts.system_prompt,
+      analysisPrompt: prompts.analysis_prompt,
+    }) : null;
+    const cached = resultKey && !force ? getCached('rankings', resultKey) : null;
+    if (cached) {
+      console.log(`Using cached frame ranking for ${sessionId}`);
+      return {
+        success: true,
+        rankedFrames: cached.rankedFilenames.map(name => frames.find(f => f.filename === name)).filter(Boolean),
+        analysis: cached.analysis,
+        promptVersion: cached.promptVersion,
+        cached: true,
+        cachedAt: cached.cachedAt,
+      };
+    }
 
-    console.log('=== OpenAI Vision API Call ===');
-    console.log('Endpoint: POST /v1/chat/completions (with vision)');
+    // Convert frames to base64 for API
+    reporter.stage('preparing_images', `Preparing ${frames.length} images...`);
+    const images = framePaths.map(framePath => ({
+      dataUrl: imageToDataUrl(framePath),
+      detail: imageDetail, // Control image processing detail level
+    }));
+
+    console.log('=== Vision API Call ===');
+    console.log('Provider:', getProvider().name);
     console.log('Model:', model);
     console.log('Image detail:', imageDetail);
     console.log('Number of frames:', frames.length);
     console.log('Max tokens: 2000');
 
-    const response = await openai.chat.completions.create({
+    reporter.stage('analyzing', `Analyzing ${frames.length} frames with AI...`);
+    const response = await getProvider().analyzeImages({
       model,
-      messages: [
-        { role: 'system', content: prompts.system_prompt },
-        { role: 'user', content: userContent },
-      ],
-      max_tokens: 2000,
+      systemPrompt: prompts.system_prompt,
+      prompt: `${prompts.analysis_prompt}\n\nI'm sending you ${frames.length} frames numbered 1 through ${frames.length}. Rank ALL frames from best to worst for thumbnail potential.`,
+      images,
+      maxTokens: 2000,
     });
 
-    console.log('=== OpenAI Vision API Response ===');
+    console.log('=== Vision API Response ===');
     console.log('Model used:', response.model);
     console.log('Usage:', JSON.stringify(response.usage || {}));
-    console.log('Finish reason:', response.choices[0]?.finish_reason);
+    recordUsage({ sessionId, kind: 'vision', operation: 'analyze-frames', model, usage: response.usage, images: images.length });
+    console.log('Finish reason:', response.finishReason);
 
     // Parse the response to get ranked frames
-    const analysisText = response.choices[0].message.content;
+    const analysisText = response.text;
     console.log('Analysis text length:', analysisText?.length || 0, 'characters');
     console.log('Analysis preview:', analysisText?.substring(0, 200) + '...');
 
@@ -149,51 +223,35 @@ router.post('/analyze-frames', aiRateLimit, async (req, res) => {
       return frame || frames[num - 1]; // Fallback to index if not found
     }).filter(Boolean);
 
-    res.json({
+    if (resultKey) {
+      try {
+        setCached('rankings', resultKey, {
+          rankedFilenames: rankedFrames.map(f => f.filename),
+          analysis: analysisText,
+          promptVersion,
+        });
+      } catch (error) {
+        console.error('Failed to cache frame ranking:', error.message);
+      }
+    }
+
+    return {
       success: true,
       rankedFrames,
       analysis: analysisText,
-    });
+      promptVersion,
+      cached: false,
+    };
   } catch (error) {
     console.error('Frame analysis error:', error);
     const parsedError = parseOpenAIError(error);
-    res.status(500).json({
+    error.payload = {
       error: parsedError.userMessage,
       billingUrl: parsedError.billingUrl,
       isBillingError: parsedError.isBillingError,
-    });
+    };
+    throw error;
   }
-});
-
-// Extract ranked frame numbers from GPT response
-function extractRankedFrames(text, count, totalFrames = 24) {
-  // First, try to find a RANKING: line with comma-separated numbers
-  const rankingMatch = text.match(/RANKING:\s*([\d,\s]+)/i);
-  if (rankingMatch) {
-    const numbers = rankingMatch[1].match(/\d+/g);
-    if (numbers) {
-      const seen = new Set();
-      const validNumbers = numbers
-        .map(n => parseInt(n, 10))
-        .filter(n => n >= 1 && n <= totalFrames && !seen.has(n) && seen.add(n));
-      if (validNumbers.length >= count) {
-        return validNumbers.slice(0, count);
-      }
-    }
-  }
-
-  // Fallback: Look for numbers in the response
-  const numbers = text.match(/\d+/g);
-  if (!numbers) return Array.from({ length: count }, (_, i) => i + 1);
-
-  // Filter to valid frame numbers (1 to totalFrames) and dedupe
-  const seen = new Set();
-  const validNumbers = numbers
-    .map(n => parseInt(n, 10))
-    .filter(n => n >= 1 && n <= totalFrames && !seen.has(n) && seen.add(n));
-
-  // Return requested count
-  return validNumbers.slice(0, count);
 }
 
 // Serve individual frame
@@ -1,37 +1,22 @@
 const express = require('express');
-const { openai, loadActivePrompt, parseOpenAIError } = require('../lib/openai');
-const { aiRateLimit } = require('../lib/rate-limit');
+const { resolveActivePrompt, loadLibraryPrompt, parseOpenAIError } = require('../lib/openai');
+const { versionStamp } = require('../lib/prompt-versions');
+const { validateVariants, createComparison, getComparison, recordVote, getTallies } = require('../lib/prompt-comparisons');
+const { getPromptSelections, getUserSettings } = require('../lib/users');
+const { getChannel } = require('../lib/channels');
+const { renderPrompt, templateValues, formatDuration } = require('../lib/prompt-templates');
+const { requireRole } = require('../lib/auth');
+const { getProvider } = require('../lib/providers');
+const { aiRateLimit, weightedAiRateLimit } = require('../lib/rate-limit');
+const { DEFAULT_CHAPTER_PROMPT, normalizeChapters, groupTranscriptBySpeaker } = require('../lib/chapters');
+const { TAG_LIMITS, tagsLength, enforceTagLimits } = require('../lib/tags');
+const { getValidationRules } = require('../lib/validation-rules');
+const { createArrayItemParser } = require('../lib/json-stream');
+const { recordUsage, budgetGuard, estimateGenerationCost, checkBudgetFor } = require('../lib/usage');
+const Validator = require('../lib/validator');
 
 const router = express.Router();
 
-// Helper function to group consecutive transcript segments by the same speaker
-// Creates cleaner paragraphs instead of individual snippets with repeated speaker labels
-function groupTranscriptBySpeaker(transcript) {
-  if (!transcript || transcript.length === 0) return '';
-
-  const groups = [];
-  let currentGroup = { speaker: transcript[0].speaker, texts: [transcript[0].text] };
-
-  for (let i = 1; i < transcript.length; i++) {
-    const seg = transcript[i];
-    if (seg.speaker === currentGroup.speaker) {
-      // Same speaker, append text to current group
-      currentGroup.texts.push(seg.text);
-    } else {
-      // Different speaker, save current group and start new one
-      groups.push(currentGroup);
-      currentGroup = { speaker: seg.speaker, texts: [seg.text] };
-    }
-  }
-  // Don't forget the last group
-  groups.push(currentGroup);
-
-  // Format as "Speaker:\nParagraph text\n\n"
-  return groups
-    .map(g => `${g.speaker}:\n${g.texts.join(' ')}`)
-    .join('\n\n');
-}
-
 // Store conversation/response IDs for maintaining context
 // Each entry has { responseId, createdAt } for TTL cleanup
 const conversationState = new Map();
@@ -50,151 +35,542 @@ setInterval(() => {
   if (cleaned > 0) {
     console.log(`Cleaned up ${cleaned} expired conversation states`);
   }
-}, 30 * 60 * 1000);
+}, 30 * 60 * 1000).unref();
+
+// A comparison runs a generation per prompt, so it counts against the AI rate limit once for each
+const generateRateLimit = weightedAiRateLimit(req => (validateVariants(req.body.compare) ? 1 : req.body.compare.length));
+
+// Answer size assumed when checking a comparison against the budget (a full set of metadata)
+const METADATA_OUTPUT_TOKENS = 4000;
 
 // Generate YouTube metadata endpoint (rate limited - uses AI)
-router.post('/generate', aiRateLimit, async (req, res) => {
-  const { transcript, settings, sessionId, previousResponseId } = req.body;
+// With autoFix, titles, descriptions and thumbnail titles that fail validation are requested again once
+// With stream, results are sent as Server-Sent Events while the model writes them (see streamMetadata)
+// With compare, several prompts (and models) are run on the same transcript instead (see compareMetadata)
+router.post('/generate', requireRole('editor'), generateRateLimit, budgetGuard, async (req, res) => {
+  const { transcript, settings, sessionId, previousResponseId, autoFix, stream, compare } = req.body;
 
   if (!transcript) {
     return res.status(400).json({ error: 'Missing transcript' });
   }
 
+  if (compare !== undefined) {
+    return compareMetadata(req, res);
+  }
+
   try {
-    // Load metadata generation prompts from prompts library
-    const prompts = loadActivePrompt('metadata');
-
-    // Calculate clip duration from transcript timestamps
-    const lastSegment = transcript[transcript.length - 1];
-    const durationSeconds = lastSegment?.end || 0;
-    const durationMinutes = Math.floor(durationSeconds / 60);
-    const durationRemainderSeconds = Math.floor(durationSeconds % 60);
-    const durationStr = `${durationMinutes} min ${durationRemainderSeconds} seconds`;
-
-    // Combine transcript into text, grouping consecutive segments by the same speaker
-    // This creates cleaner paragraphs instead of individual snippets
-    const transcriptText = groupTranscriptBySpeaker(transcript);
-
-    // Get settings with defaults
-    const numTitles = settings?.numTitles || 20;
-    const numDescriptions = settings?.numDescriptions || 5;
-    const numThumbnailTitles = settings?.numThumbnailTitles || 20;
-    const model = settings?.chatModel || 'gpt-4o';
+    // Load metadata generation prompts from prompts library, noting the version for the result
+    const active = resolveActivePrompt('metadata', getPromptSelections(req.user.username));
+    const promptVersion = versionStamp('metadata', active.id, active.prompt);
+
+    const channel = getChannel(getUserSettings(req.user.username).channelId);
+    const { request, context, transcriptLength } = buildMetadataRequest(active.prompt, transcript, settings, channel);
 
-    // Build the system instruction with all formatting guidelines
-    const systemPrompt = `${prompts.system_prompt}
+    // Stateful conversation with structured outputs
+    // Chain to previous response if available (for follow-up requests)
+    const prevId = previousResponseId || conversationState.get(sessionId)?.responseId;
+    request.previousResponseId = prevId;
+    const { model } = request;
+
+    console.log('=== AI Generation Call ===');
+    console.log('Model:', model);
+    console.log('Previous Response ID:', prevId || 'none');
+    console.log('Transcript length:', transcriptLength, 'characters');
+    console.log('Requesting:', context.numTitles, 'titles,', context.numDescriptions, 'descriptions,', context.numThumbnailTitles, 'thumbnail titles');
+
+    Object.assign(context, { autoFix, sessionId, promptVersion });
+
+    if (stream) {
+      return streamMetadata(res, request, context, sessionId);
+    }
+
+    const response = await getProvider().generate(request);
+
+    console.log('Response ID:', response.id);
+    console.log('Usage:', JSON.stringify(response.usage || {}));
+    recordUsage({ sessionId, kind: 'generation', operation: 'metadata', model, usage: response.usage });
+
+    // Store response ID for future conversation continuity
+    if (sessionId) {
+      conversationState.set(sessionId, { responseId: response.id, createdAt: Date.now() });
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(response.text || '{}');
+    } catch (parseError) {
+      console.error('Failed to parse AI response as JSON:', parseError.message);
+      return res.status(500).json({
+        error: 'AI returned invalid JSON response',
+      });
+    }
+
+    await finalizeMetadata(metadata, response.id, context);
+
+    res.json({
+      success: true,
+      metadata,
+      responseId: response.id, // Return for potential follow-up
+    });
+  } catch (error) {
+    console.error('Metadata generation error:', error.message);
+    const parsedError = parseOpenAIError(error);
+    res.status(500).json({
+      error: parsedError.userMessage,
+      billingUrl: parsedError.billingUrl,
+      isBillingError: parsedError.isBillingError,
+    });
+  }
+});
+
+// Structured output schema for guaranteed JSON format
+const METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    titles: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'YouTube video title suggestions'
+    },
+    descriptions: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'YouTube video description suggestions'
+    },
+    thumbnailTitles: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Short thumbnail text overlay suggestions'
+    },
+    chapters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          start: { type: 'string', description: 'Chapter start time as M:SS or H:MM:SS, taken from the transcript timestamps' },
+          title: { type: 'string', description: 'Short chapter title' }
+        },
+        required: ['start', 'title'],
+        additionalProperties: false
+      },
+      description: 'YouTube chapter markers in time order, the first at 0:00'
+    },
+    tags: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'YouTube tags, most relevant first'
+    },
+    hashtags: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Hashtags starting with #, most important first'
+    }
+  },
+  required: ['titles', 'descriptions', 'thumbnailTitles', 'chapters', 'tags', 'hashtags'],
+  additionalProperties: false
+};
+
+
+// Build the model request for a metadata generation from a library prompt, filled in for a channel
+// Returns { request, context, transcriptLength }; context is what finalizeMetadata needs from the settings
+function buildMetadataRequest(template, transcript, settings, channel) {
+  // Calculate clip duration from transcript timestamps
+  const lastSegment = transcript[transcript.length - 1];
+  const durationSeconds = lastSegment?.end || 0;
+  const durationStr = formatDuration(durationSeconds);
+
+  // Combine transcript into text, grouping consecutive segments by the same speaker
+  // This creates cleaner paragraphs instead of individual snippets
+  const transcriptText = groupTranscriptBySpeaker(transcript);
+
+  // Get settings with defaults
+  const numTitles = settings?.numTitles || 20;
+  const numDescriptions = settings?.numDescriptions || 5;
+  const numThumbnailTitles = settings?.numThumbnailTitles || 20;
+  const numTags = settings?.numTags || 15;
+  const numHashtags = settings?.numHashtags || 3;
+  const model = settings?.chatModel || 'gpt-4o';
+
+  // Fill in the prompt's {{variables}}
+  const prompts = renderPrompt(template, templateValues({
+    channel,
+    transcript,
+    settings: { numTitles, numDescriptions, numThumbnailTitles },
+  }));
+
+  // Build the system instruction with all formatting guidelines
+  const systemPrompt = `${prompts.system_prompt}
 
 You will receive a transcript of an interview video. Based on that transcript, generate:
 1. ${numTitles} suggested YouTube video titles
 2. ${numDescriptions} suggested YouTube video descriptions
 3. ${numThumbnailTitles} suggested thumbnail titles (short, punchy phrases for thumbnails)
+4. YouTube chapter markers (a start timestamp and short title for each chapter)
+5. ${numTags} YouTube tags, most relevant first (search keywords and phrases; together they must fit in ${TAG_LIMITS.maxTotalLength} characters including commas)
+6. ${numHashtags} hashtags (single words or CamelCase phrases starting with #, most important first)
 
 ${prompts.title_prompt}
 
 ${prompts.description_prompt}
 
 ${prompts.thumbnail_title_prompt}
+
+${prompts.chapter_prompt || DEFAULT_CHAPTER_PROMPT}
 `;
 
-    // Build the user prompt - just the transcript
-    const userPrompt = `Transcript follows (Clip duration: ${durationStr})
+  // Build the user prompt - just the transcript
+  const userPrompt = `Transcript follows (Clip duration: ${durationStr})
 
 ${transcriptText}`;
 
-    // Define structured output schema for guaranteed JSON format
-    const outputSchema = {
-      type: 'object',
-      properties: {
-        titles: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'YouTube video title suggestions'
-        },
-        descriptions: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'YouTube video description suggestions'
-        },
-        thumbnailTitles: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Short thumbnail text overlay suggestions'
-        }
-      },
-      required: ['titles', 'descriptions', 'thumbnailTitles'],
-      additionalProperties: false
-    };
-
-    // Use Responses API for stateful conversation with structured outputs
-    const responseParams = {
+  return {
+    request: {
       model,
       instructions: systemPrompt,
       input: userPrompt,
-      text: {
-        format: {
-          type: 'json_schema',
-          name: 'metadata_response',
-          strict: true,
-          schema: outputSchema
-        }
-      }
-    };
-
-    // Chain to previous response if available (for follow-up requests)
-    const prevId = previousResponseId || conversationState.get(sessionId)?.responseId;
-    if (prevId) {
-      responseParams.previous_response_id = prevId;
-    }
-
-    console.log('=== OpenAI Responses API Call ===');
-    console.log('Model:', model);
-    console.log('Previous Response ID:', prevId || 'none');
-    console.log('Transcript length:', transcriptText.length, 'characters');
-    console.log('Requesting:', numTitles, 'titles,', numDescriptions, 'descriptions,', numThumbnailTitles, 'thumbnail titles');
+      format: { type: 'json_schema', name: 'metadata_response', schema: METADATA_SCHEMA },
+    },
+    context: { model, durationSeconds, numTitles, numDescriptions, numThumbnailTitles, numTags, numHashtags, channelId: channel.id },
+    transcriptLength: transcriptText.length,
+  };
+}
 
-    const response = await openai.responses.create(responseParams);
+// Fields sent to the browser item by item while streaming
+const STREAMED_FIELDS = ['titles', 'descriptions', 'thumbnailTitles'];
+
+// Stream a generation as Server-Sent Events:
+//   item  - { field, index, value } as soon as each title, description or thumbnail title is complete
+//   done  - the same body the non-streaming endpoint returns, once chapters, tags and validation are finalized
+//   error - { error, billingUrl, isBillingError }
+async function streamMetadata(res, request, context, sessionId) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop paying for tokens nobody will see if the browser goes away
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
 
-    console.log('Response ID:', response.id);
-    console.log('Usage:', JSON.stringify(response.usage || {}));
+  try {
+    const parser = createArrayItemParser(STREAMED_FIELDS, (field, index, value) => {
+      send('item', { field, index, value });
+    });
 
-    // Store response ID for future conversation continuity
-    if (sessionId) {
-      conversationState.set(sessionId, { responseId: response.id, createdAt: Date.now() });
+    let outputText = '';
+    let responseId = null;
+
+    for await (const event of getProvider().generateStream(request, { signal: abort.signal })) {
+      if (event.type === 'delta') {
+        outputText += event.text;
+        parser.push(event.text);
+      } else if (event.type === 'completed') {
+        responseId = event.id;
+        console.log('Response ID:', responseId);
+        console.log('Usage:', JSON.stringify(event.usage || {}));
+        recordUsage({ sessionId, kind: 'generation', operation: 'metadata', model: request.model, usage: event.usage });
+      }
     }
 
-    // Extract the text content from the response using SDK convenience property
-    const outputText = response.output_text;
+    if (sessionId && responseId) {
+      conversationState.set(sessionId, { responseId, createdAt: Date.now() });
+    }
 
     let metadata;
     try {
       metadata = JSON.parse(outputText || '{}');
     } catch (parseError) {
       console.error('Failed to parse AI response as JSON:', parseError.message);
-      return res.status(500).json({
-        error: 'AI returned invalid JSON response',
-      });
+      send('error', { error: 'AI returned invalid JSON response' });
+      return res.end();
     }
 
-    console.log('Generated:', metadata.titles?.length || 0, 'titles,', metadata.descriptions?.length || 0, 'descriptions,', metadata.thumbnailTitles?.length || 0, 'thumbnail titles');
+    await finalizeMetadata(metadata, responseId, context);
 
-    res.json({
-      success: true,
-      metadata,
-      responseId: response.id, // Return for potential follow-up
-    });
+    send('done', { success: true, metadata, responseId });
+    res.end();
   } catch (error) {
+    if (abort.signal.aborted) {
+      console.log('Metadata stream cancelled - client disconnected');
+      return;
+    }
     console.error('Metadata generation error:', error.message);
     const parsedError = parseOpenAIError(error);
-    res.status(500).json({
+    send('error', {
       error: parsedError.userMessage,
       billingUrl: parsedError.billingUrl,
       isBillingError: parsedError.isBillingError,
     });
+    res.end();
+  }
+}
+
+// Run several prompts (optionally each with its own chatModel) on the same transcript, side by side
+// compare: [{ promptId, chatModel }]
+// Responds with { comparisonId, results: [{ promptId, promptVersion, model, metadata } or { ..., error }] };
+// the comparison then waits for a vote on the better set (see POST /generate/compare/:comparisonId/vote).
+// Comparisons don't continue the session's conversation, so refinements still follow the last regular generation.
+async function compareMetadata(req, res) {
+  const { transcript, settings, sessionId, autoFix, compare } = req.body;
+
+  const validationError = validateVariants(compare);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const channel = getChannel(getUserSettings(req.user.username).channelId);
+
+  // Other people's personal prompts can't be compared
+  const variants = [];
+  for (const { promptId, chatModel } of compare) {
+    const prompt = loadLibraryPrompt('metadata', promptId);
+    if (!prompt || (prompt.owner && prompt.owner !== req.user.username)) {
+      return res.status(404).json({ error: `Prompt '${promptId}' not found` });
+    }
+    const { request, context } = buildMetadataRequest(prompt, transcript, { ...settings, chatModel: chatModel || settings?.chatModel }, channel);
+    variants.push({ promptId, prompt, chatModel, request, context });
+  }
+
+  // The runs all start at once, so check the budget has room for every call they can make:
+  // the generation, asking again for tags, and the auto-fix requests
+  const callsPerRun = autoFix ? 3 : 2;
+  const estimate = variants.reduce((total, { request }) => (
+    total + callsPerRun * estimateGenerationCost(request.model, request.instructions + request.input, METADATA_OUTPUT_TOKENS)
+  ), 0);
+  const budgetError = checkBudgetFor(estimate);
+  if (budgetError) {
+    return res.status(402).json(budgetError);
+  }
+
+  console.log('=== Prompt Comparison ===');
+  console.log('Comparing:', variants.map(v => (v.chatModel ? `${v.promptId} (${v.chatModel})` : v.promptId)).join(' vs '));
+
+  const results = await Promise.all(variants.map(async ({ promptId, prompt, request, context }) => {
+    const promptVersion = versionStamp('metadata', promptId, prompt);
+
+    try {
+      const response = await getProvider().generate(request);
+      recordUsage({ sessionId, kind: 'generation', operation: 'compare', model: request.model, usage: response.usage });
+
+      const metadata = JSON.parse(response.text || '{}');
+      await finalizeMetadata(metadata, response.id, { ...context, autoFix, sessionId, promptVersion });
+      return { promptId, promptVersion, model: request.model, metadata };
+    } catch (error) {
+      console.error(`Comparison run with '${promptId}' failed:`, error.message);
+      return { promptId, promptVersion, model: request.model, error: parseOpenAIError(error).userMessage };
+    }
+  }));
+
+  if (results.every(result => result.error)) {
+    return res.status(500).json({ error: results[0].error });
+  }
+
+  const comparisonId = createComparison({
+    type: 'metadata',
+    sessionId,
+    variants: results.map(({ promptId, promptVersion, model, error }) => ({
+      promptId,
+      version: promptVersion.version,
+      model,
+      failed: Boolean(error),
+    })),
+  });
+
+  res.json({ success: true, comparisonId, results });
+}
+
+// Post-process the model's metadata in place (shared by the streaming and non-streaming paths)
+// context: { model, durationSeconds, numTags, numHashtags, channelId, autoFix, sessionId, promptVersion }
+async function finalizeMetadata(metadata, responseId, { model, durationSeconds, numTags, numHashtags, channelId, autoFix, sessionId, promptVersion }) {
+  // Which prompt version produced this (see lib/prompt-versions.js)
+  metadata.promptVersion = promptVersion;
+
+  // Make chapters satisfy YouTube's rules (first at 0:00, at least three, ten seconds apart)
+  const { chapters, warnings } = normalizeChapters(metadata.chapters, durationSeconds);
+  metadata.chapters = chapters;
+  metadata.chapterWarnings = warnings;
+
+  // Enforce YouTube's tag budget and the hashtag count (asking again once if the model ignored them)
+  let tagResult = enforceTagLimits(metadata, { numTags, numHashtags });
+  if (tagResult.needsRegeneration) {
+    tagResult = await regenerateTags({ model, previousResponseId: responseId, numTags, numHashtags, sessionId }, tagResult);
+  }
+  metadata.tags = tagResult.tags;
+  metadata.hashtags = tagResult.hashtags;
+  if (tagResult.droppedTags.length > 0) {
+    console.log(`Dropped ${tagResult.droppedTags.length} tags over the ${TAG_LIMITS.maxTotalLength} character budget`);
+  }
+
+  // Replace items that break YouTube's limits or the channel's banned words
+  if (autoFix) {
+    metadata.autoFixed = await fixInvalidItems({ model, previousResponseId: responseId, sessionId }, metadata, getValidationRules(channelId));
+  }
+
+  console.log('Generated:', metadata.titles?.length || 0, 'titles,', metadata.descriptions?.length || 0, 'descriptions,', metadata.thumbnailTitles?.length || 0, 'thumbnail titles,', chapters.length, 'chapters,', metadata.tags.length, `tags (${tagsLength(metadata.tags)} chars),`, metadata.hashtags.length, 'hashtags');
+  if (warnings.length > 0) {
+    console.log('Chapter warnings:', warnings.join('; '));
+  }
+
+  return metadata;
+}
+
+// Ask the model again for tags and hashtags that meet the limits
+// Falls back to the first attempt's (trimmed) result if the retry fails or isn't better
+async function regenerateTags({ model, previousResponseId, numTags, numHashtags, sessionId }, firstAttempt) {
+  console.log('Tags/hashtags missed the limits - regenerating');
+
+  try {
+    const response = await getProvider().generate({
+      model,
+      previousResponseId,
+      input: `The tags and hashtags didn't meet YouTube's limits. Return exactly ${numTags} tags that together fit in ${TAG_LIMITS.maxTotalLength} characters including commas (prefer short keywords), and exactly ${numHashtags} hashtags, each a single word or CamelCase phrase starting with #.`,
+      format: {
+        type: 'json_schema',
+        name: 'tags_response',
+        schema: {
+          type: 'object',
+          properties: {
+            tags: { type: 'array', items: { type: 'string' } },
+            hashtags: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['tags', 'hashtags'],
+          additionalProperties: false
+        }
+      }
+    });
+
+    recordUsage({ sessionId, kind: 'generation', operation: 'tags-retry', model, usage: response.usage });
+
+    const retry = enforceTagLimits(JSON.parse(response.text || '{}'), { numTags, numHashtags });
+    return {
+      tags: retry.tags.length >= firstAttempt.tags.length ? retry.tags : firstAttempt.tags,
+      hashtags: retry.hashtags.length >= firstAttempt.hashtags.length ? retry.hashtags : firstAttempt.hashtags,
+      droppedTags: retry.droppedTags,
+    };
+  } catch (error) {
+    console.error('Tag regeneration failed:', error.message);
+    return firstAttempt;
+  }
+}
+
+// Which model output field holds each kind of item the validator checks
+const VALIDATED_FIELDS = {
+  titles: 'title',
+  descriptions: 'description',
+  thumbnailTitles: 'thumbnailTitle',
+};
+
+// Ask the model once for replacements of items with validation errors (warnings are left for the user)
+// Replacements that still have errors are discarded, keeping the original
+// Returns how many items were replaced in each field
+async function fixInvalidItems({ model, previousResponseId, sessionId }, metadata, rules) {
+  const failing = {};
+  for (const [field, kind] of Object.entries(VALIDATED_FIELDS)) {
+    failing[field] = (metadata[field] || [])
+      .map((text, index) => ({ index, text, result: Validator.validate(text, kind, rules) }))
+      .filter(item => item.result.status === 'error');
+  }
+
+  const fixed = { titles: 0, descriptions: 0, thumbnailTitles: 0 };
+  const total = Object.values(failing).reduce((sum, items) => sum + items.length, 0);
+  if (total === 0) return fixed;
+
+  console.log(`${total} items failed validation - requesting replacements`);
+
+  const problems = Object.entries(failing)
+    .filter(([, items]) => items.length > 0)
+    .map(([field, items]) => `${field}:\n${items
+      .map(item => `- "${item.text.slice(0, 200)}": ${item.result.issues.filter(i => i.severity === 'error').map(i => i.message).join('; ')}`)
+      .join('\n')}`)
+    .join('\n\n');
+
+  try {
+    const response = await getProvider().generate({
+      model,
+      previousResponseId,
+      input: `Some of the suggestions can't be used on YouTube. Write replacements in the same style that fix these problems. Titles must be at most ${Validator.YOUTUBE_LIMITS.titleMaxLength} characters (ideally under ${rules.titleTruncateLength}), descriptions at most ${Validator.YOUTUBE_LIMITS.descriptionMaxLength} characters, no < or > characters${rules.bannedWords.length > 0 ? `, and never use these words: ${rules.bannedWords.join(', ')}` : ''}. Return exactly ${failing.titles.length} titles, ${failing.descriptions.length} descriptions and ${failing.thumbnailTitles.length} thumbnail titles, in the order listed.
+
+${problems}`,
+      format: {
+        type: 'json_schema',
+        name: 'replacements_response',
+        schema: {
+          type: 'object',
+          properties: {
+            titles: { type: 'array', items: { type: 'string' } },
+            descriptions: { type: 'array', items: { type: 'string' } },
+            thumbnailTitles: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['titles', 'descriptions', 'thumbnailTitles'],
+          additionalProperties: false
+        }
+      }
+    });
+
+    recordUsage({ sessionId, kind: 'generation', operation: 'auto-fix', model, usage: response.usage });
+
+    const replacements = JSON.parse(response.text || '{}');
+
+    for (const [field, kind] of Object.entries(VALIDATED_FIELDS)) {
+      failing[field].forEach((item, i) => {
+        const replacement = replacements[field]?.[i];
+        if (typeof replacement === 'string' && Validator.validate(replacement, kind, rules).status !== 'error') {
+          metadata[field][item.index] = replacement.trim();
+          fixed[field]++;
+        }
+      });
+    }
+    console.log(`Replaced ${fixed.titles} titles, ${fixed.descriptions} descriptions, ${fixed.thumbnailTitles} thumbnail titles`);
+  } catch (error) {
+    console.error('Auto-fix failed:', error.message);
+  }
+
+  return fixed;
+}
+
+// Vote for the better set of results in a comparison (one vote per comparison)
+// Responds with the running tallies of the compared prompts
+router.post('/generate/compare/:comparisonId/vote', requireRole('editor'), (req, res) => {
+  const comparison = getComparison(req.params.comparisonId);
+  if (!comparison) {
+    return res.status(404).json({ error: 'Comparison not found - votes are accepted for 2 hours' });
+  }
+  if (comparison.voted) {
+    return res.status(400).json({ error: 'This comparison already has a vote' });
+  }
+
+  const { winner } = req.body;
+  if (!Number.isInteger(winner) || !comparison.variants[winner] || comparison.variants[winner].failed) {
+    return res.status(400).json({ error: 'winner must be the index of one of the compared results' });
+  }
+
+  try {
+    recordVote(req.params.comparisonId, winner, req.user.username);
+    const tallies = getTallies(comparison.type);
+    const compared = new Set(comparison.variants.map(variant => variant.promptId));
+
+    console.log(`Comparison vote: ${comparison.variants[winner].promptId} won (${req.user.username || 'API key'})`);
+    res.json({
+      success: true,
+      tallies: Object.fromEntries(Object.entries(tallies).filter(([promptId]) => compared.has(promptId))),
+    });
+  } catch (error) {
+    console.error('Error recording vote:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
   }
 });
 
 // Follow-up endpoint for refining metadata suggestions (rate limited - uses AI)
-router.post('/generate/refine', aiRateLimit, async (req, res) => {
+router.post('/generate/refine', requireRole('editor'), aiRateLimit, budgetGuard, async (req, res) => {
   const { sessionId, previousResponseId, feedback, settings } = req.body;
 
   if (!previousResponseId && !conversationState.get(sessionId)?.responseId) {
@@ -202,30 +578,31 @@ router.post('/generate/refine', aiRateLimit, async (req, res) => {
   }
 
   try {
-    const prompts = loadActivePrompt('metadata');
+    const active = resolveActivePrompt('metadata', getPromptSelections(req.user.username));
+    const channel = getChannel(getUserSettings(req.user.username).channelId);
+    const prompts = renderPrompt(active.prompt, templateValues({ channel, settings }));
     const model = settings?.chatModel || 'gpt-4o';
     const prevId = previousResponseId || conversationState.get(sessionId)?.responseId;
 
     console.log('Refinement request - Model:', model, 'Previous ID:', prevId);
 
-    const response = await openai.responses.create({
+    const response = await getProvider().generate({
       model,
       instructions: prompts.system_prompt,
-      previous_response_id: prevId,
+      previousResponseId: prevId,
       input: feedback,
-      text: {
-        format: { type: 'json_object' }
-      }
+      format: { type: 'json_object' }
     });
 
     console.log('Refinement response ID:', response.id);
+    recordUsage({ sessionId, kind: 'generation', operation: 'refine', model, usage: response.usage });
 
     // Update stored response ID
     if (sessionId) {
       conversationState.set(sessionId, { responseId: response.id, createdAt: Date.now() });
     }
 
-    const outputText = response.output_text;
+    const outputText = response.text;
 
     let metadata;
     try {
@@ -236,6 +613,7 @@ router.post('/generate/refine', aiRateLimit, async (req, res) => {
         error: 'AI returned invalid JSON response',
       });
     }
+    metadata.promptVersion = versionStamp('metadata', active.id, active.prompt);
 
     res.json({
       success: true,
@@ -254,8 +632,8 @@ router.post('/generate/refine', aiRateLimit, async (req, res) => {
 });
 
 // Summarize descriptions endpoint - generates distinguishing labels for each description
-router.post('/generate/summarize-descriptions', aiRateLimit, async (req, res) => {
-  const { descriptions, settings } = req.body;
+router.post('/generate/summarize-descriptions', requireRole('editor'), aiRateLimit, budgetGuard, async (req, res) => {
+  const { descriptions, settings, sessionId } = req.body;
 
   if (!descriptions || !Array.isArray(descriptions) || descriptions.length === 0) {
     return res.status(400).json({ error: 'Missing or invalid descriptions array' });
@@ -305,21 +683,15 @@ ${descriptionsText}`;
 
     console.log('Description summary request - Model:', model, 'Descriptions:', descriptions.length);
 
-    const response = await openai.responses.create({
+    const response = await getProvider().generate({
       model,
       instructions: 'You are an expert at analyzing and comparing text. Be concise and insightful.',
       input: userPrompt,
-      text: {
-        format: {
-          type: 'json_schema',
-          name: 'description_summary',
-          strict: true,
-          schema: summarySchema
-        }
-      }
+      format: { type: 'json_schema', name: 'description_summary', schema: summarySchema }
     });
+    recordUsage({ sessionId, kind: 'generation', operation: 'summarize-descriptions', model, usage: response.usage });
 
-    const outputText = response.output_text;
+    const outputText = response.text;
 
     let result;
     try {
@@ -0,0 +1,38 @@
+const express = require('express');
+const { getGlossary, saveGlossary, validateGlossary } = require('../lib/glossary');
+const { getUserSettings } = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Get glossary terms used to correct transcripts on your channel
+router.get('/glossary', (req, res) => {
+  try {
+    res.json({ success: true, terms: getGlossary(getUserSettings(req.user.username).channelId) });
+  } catch (error) {
+    console.error('Error loading glossary:', error);
+    res.status(500).json({ error: 'Failed to load glossary' });
+  }
+});
+
+// Replace your channel's glossary terms
+router.put('/glossary', requireRole('admin'), (req, res) => {
+  const { terms } = req.body;
+
+  const validationError = validateGlossary(terms);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { channelId } = getUserSettings(req.user.username);
+    const saved = saveGlossary(terms, channelId);
+    console.log(`Glossary for channel '${channelId}' saved (${saved.length} terms)`);
+    res.json({ success: true, terms: saved });
+  } catch (error) {
+    console.error('Error saving glossary:', error);
+    res.status(500).json({ error: 'Failed to save glossary' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const { getJob, listSessionJobs, subscribe, isFinished } = require('../lib/jobs');
+const { isValidSessionId } = require('../lib/security');
+
+const router = express.Router();
+
+// Heartbeat keeps proxies from closing idle SSE connections
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// List jobs for a session (lets a reloaded page pick up running work)
+router.get('/jobs', (req, res) => {
+  const { sessionId } = req.query;
+
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+
+  res.json({ success: true, jobs: listSessionJobs(sessionId) });
+});
+
+// Get job status (including result once complete)
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.json({ success: true, job });
+});
+
+// Stream job progress as Server-Sent Events
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (data) => {
+    const event = data.status === 'completed' || data.status === 'failed' ? data.status : 'progress';
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Always send the current state first so reconnecting clients catch up
+  send(job);
+
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+
+  unsubscribe = subscribe(job.id, (update) => {
+    send(update);
+    if (isFinished(update)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  // The job finished between the status read and subscribing
+  if (!unsubscribe) {
+    cleanup();
+    send(getJob(job.id) || job);
+    return res.end();
+  }
+
+  req.on('close', cleanup);
+});
+
+module.exports = router;
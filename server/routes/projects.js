@@ -0,0 +1,123 @@
+const express = require('express');
+const {
+  getProject,
+  saveProjectState,
+  updateProjectInfo,
+  validateProjectInfo,
+  summarizeProject,
+  listProjects,
+} = require('../lib/projects');
+const { cleanupSession } = require('../lib/cleanup');
+const { isValidSessionId } = require('../lib/security');
+const { hasRole } = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Validate the :sessionId param on every project route
+router.param('sessionId', (req, res, next, sessionId) => {
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+  next();
+});
+
+// Viewers only see projects whose metadata has been generated
+function canOpen(user, project) {
+  return hasRole(user.role, 'editor') || Boolean(project.metadata?.data);
+}
+
+// List recent projects
+router.get('/projects', (req, res) => {
+  try {
+    const projects = listProjects().filter(project => hasRole(req.user.role, 'editor') || project.hasMetadata);
+    res.json({ success: true, projects });
+  } catch (error) {
+    console.error('Error listing projects:', error);
+    res.status(500).json({ error: 'Failed to list projects' });
+  }
+});
+
+// Open a project (full saved state)
+router.get('/projects/:sessionId', (req, res) => {
+  try {
+    const project = getProject(req.params.sessionId);
+    if (!project || !canOpen(req.user, project)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true, project, summary: summarizeProject(project) });
+  } catch (error) {
+    console.error('Error loading project:', error);
+    res.status(500).json({ error: 'Failed to load project' });
+  }
+});
+
+// Save pipeline state (transcript, metadata, thumbnails)
+router.put('/projects/:sessionId', requireRole('editor'), (req, res) => {
+  const state = req.body;
+
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return res.status(400).json({ error: 'Project state must be an object' });
+  }
+  if (state.transcript !== undefined && state.transcript !== null && !Array.isArray(state.transcript)) {
+    return res.status(400).json({ error: 'transcript must be an array' });
+  }
+
+  try {
+    const project = saveProjectState(req.params.sessionId, state);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true, updatedAt: project.updatedAt });
+  } catch (error) {
+    console.error('Error saving project:', error);
+    res.status(500).json({ error: 'Failed to save project' });
+  }
+});
+
+// Rename a project or toggle whether it is kept
+router.patch('/projects/:sessionId', requireRole('editor'), (req, res) => {
+  const validationError = validateProjectInfo(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const updates = { ...req.body };
+    if (updates.name !== undefined) {
+      updates.name = updates.name.trim();
+    }
+
+    const project = updateProjectInfo(req.params.sessionId, updates);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    console.log(`Updated project ${project.sessionId}:`, { name: project.name, keep: project.keep });
+    res.json({ success: true, project: summarizeProject(project) });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project' });
+  }
+});
+
+// Delete a project along with all of its session files
+// Admins only, like the other ways of cleaning up session files (DELETE /api/uploads/:sessionId)
+router.delete('/projects/:sessionId', requireRole('admin'), (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    if (!getProject(sessionId)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const result = cleanupSession(sessionId);
+    console.log(`Deleted project ${sessionId}:`, result);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const express = require('express');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const { DATA_DIR } = require('../lib/paths');
+const { getPromptSelections, saveUserPromptSelection, getUserSettings, hasRole } = require('../lib/users');
+const { DEFAULT_CHANNEL, getChannel, saveChannelPrompt } = require('../lib/channels');
+const { requireRole } = require('../lib/auth');
+const { listVersions, getVersion, recordVersion, ensureVersion, diffVersions } = require('../lib/prompt-versions');
+const { getTallies } = require('../lib/prompt-comparisons');
+const { TEMPLATE_VARIABLES, findUnknownVariables } = require('../lib/prompt-templates');
+const { libraryType, findLibraryPrompt } = require('../lib/openai');
+const { CONFLICT_MODES, INVALID_PROMPT_ID_MESSAGE, isValidPromptId, createBundle, validateBundle, planImport } = require('../lib/prompt-bundles');
+
+const router = express.Router();
+
+const promptsLibraryPath = path.join(DATA_DIR, 'prompts-library.json');
+
+// Prompts created by editors are personal: they carry an owner and only the owner sees them.
+// Shared prompts (no owner) are managed by admins.
+function canSee(prompt, user) {
+  return !prompt.owner || prompt.owner === user.username;
+}
+
+function canManage(prompt, user) {
+  return prompt.owner ? prompt.owner === user.username : hasRole(user.role, 'admin');
+}
+
+// A type's prompts with other people's personal prompts left out
+function visiblePrompts(prompts, user) {
+  return Object.fromEntries(Object.entries(prompts).filter(([, prompt]) => canSee(prompt, user)));
+}
+
+// The prompt a user generates with: their own pick if it still exists, else the shared default
+function effectiveActive(library, type, selections) {
+  const selected = selections[type];
+  return findLibraryPrompt(library, type, selected) ? selected : library[type].active;
+}
+
+// The team default on a user's channel (the library's own default on the default channel)
+function channelDefaults(req) {
+  return getChannel(getUserSettings(req.user.username).channelId).activePrompts;
+}
+
+// Refuse prompts that use {{variables}} that don't exist (sends a 400 and returns false)
+function checkVariables(prompt, res) {
+  const unknown = findUnknownVariables(prompt);
+  if (unknown.length === 0) return true;
+
+  res.status(400).json({
+    error: `Unknown template variables: ${unknown.map(({ field, variable }) => `{{${variable}}} in ${field}`).join(', ')}`,
+    unknownVariables: unknown,
+  });
+  return false;
+}
+
+// The {{variables}} prompts can use, with what each is filled in with
+router.get('/prompt-variables', (req, res) => {
+  res.json({
+    success: true,
+    variables: Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({ name, description })),
+  });
+});
+
+// Get all prompts (each type's active prompt is the one you generate with)
+router.get('/prompts', async (req, res) => {
+  try {
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+    const selections = getPromptSelections(req.user.username);
+
+    const defaults = channelDefaults(req);
+
+    for (const type of Object.keys(library)) {
+      library[type].sharedActive = effectiveActive(library, type, defaults);
+      library[type].active = effectiveActive(library, type, selections);
+      library[type].prompts = visiblePrompts(library[type].prompts, req.user);
+    }
+    res.json({ success: true, library });
+  } catch (error) {
+    console.error('Error loading prompts:', error);
+    res.status(500).json({ error: 'Failed to load prompts' });
+  }
+});
+
+// ============== IMPORT / EXPORT ==============
+
+// Download prompts as a bundle: ?type= for one type, ?type=&promptId= for one prompt, neither for everything you can see
+router.get('/prompts/export', async (req, res) => {
+  try {
+    const { type, promptId } = req.query;
+    if (promptId && !type) {
+      return res.status(400).json({ error: 'Exporting one prompt needs its type' });
+    }
+
+    const library = JSON.parse(await fsPromises.readFile(promptsLibraryPath, 'utf8'));
+    for (const typeData of Object.values(library)) {
+      typeData.prompts = visiblePrompts(typeData.prompts, req.user);
+    }
+
+    const bundle = createBundle(library, { type, promptId, exportedBy: req.user.username });
+    if (!bundle) {
+      return res.status(404).json({ error: promptId ? `Prompt '${promptId}' not found` : `Prompt type '${type}' not found` });
+    }
+
+    const name = ['prompts', type, promptId].filter(Boolean).join('-');
+    res.attachment(`${name}.json`);
+    res.json(bundle);
+  } catch (error) {
+    console.error('Error exporting prompts:', error);
+    res.status(500).json({ error: 'Failed to export prompts' });
+  }
+});
+
+// Import a bundle as shared prompts
+// conflict decides what happens to IDs that are already taken (skip, overwrite or rename);
+// with dryRun: true nothing is saved and the response shows what would happen
+router.post('/prompts/import', requireRole('admin'), async (req, res) => {
+  try {
+    const { bundle, conflict = 'skip', dryRun = false } = req.body;
+
+    if (!CONFLICT_MODES.includes(conflict)) {
+      return res.status(400).json({ error: `conflict must be one of: ${CONFLICT_MODES.join(', ')}` });
+    }
+    const validationError = validateBundle(bundle);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const library = JSON.parse(await fsPromises.readFile(promptsLibraryPath, 'utf8'));
+    const plan = planImport(library, bundle, conflict);
+    const imported = plan.filter(item => ['add', 'overwrite', 'rename'].includes(item.action));
+
+    if (dryRun || imported.length === 0) {
+      return res.json({ success: true, dryRun, results: plan });
+    }
+
+    for (const { type, id, action, importedAs } of imported) {
+      // Keep what's being replaced if it predates version history
+      if (action === 'overwrite') {
+        ensureVersion(type, id, library[type].prompts[id]);
+      }
+      library[type].prompts[importedAs] = bundle.prompts[type][id];
+    }
+    await fsPromises.writeFile(promptsLibraryPath, JSON.stringify(library, null, 2));
+
+    for (const item of imported) {
+      const prompt = bundle.prompts[item.type][item.id];
+      const note = item.action === 'rename' ? `Imported (as a copy of '${item.id}')` : 'Imported';
+      item.version = recordVersion(item.type, item.importedAs, prompt, { author: req.user.username, note }).version;
+    }
+
+    console.log(`Imported ${imported.length} of ${plan.length} prompts (${conflict} on conflict)`);
+    res.json({ success: true, dryRun: false, results: plan });
+  } catch (error) {
+    console.error('Error importing prompts:', error);
+    res.status(500).json({ error: 'Failed to import prompts' });
+  }
+});
+
+// Get prompts for a specific type (metadata, vision, transcription)
+router.get('/prompts/:type', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+
+    if (!libraryType(library, type)) {
+      return res.status(404).json({ error: `Prompt type '${type}' not found` });
+    }
+
+    res.json({
+      success: true,
+      type,
+      active: effectiveActive(library, type, getPromptSelections(req.user.username)),
+      sharedActive: effectiveActive(library, type, channelDefaults(req)),
+      prompts: visiblePrompts(library[type].prompts, req.user),
+    });
+  } catch (error) {
+    console.error('Error loading prompts:', error);
+    res.status(500).json({ error: 'Failed to load prompts' });
+  }
+});
+
+// How each prompt of a type has done in A/B comparisons: { [promptId]: { wins, losses, comparisons } }
+router.get('/prompts/:type/tallies', async (req, res) => {
+  try {
+    const { type } = req.params;
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+
+    if (!libraryType(library, type)) {
+      return res.status(404).json({ error: `Prompt type '${type}' not found` });
+    }
+
+    const visible = visiblePrompts(library[type].prompts, req.user);
+    const tallies = Object.entries(getTallies(type)).filter(([promptId]) => visible[promptId]);
+    res.json({ success: true, tallies: Object.fromEntries(tallies) });
+  } catch (error) {
+    console.error('Error loading comparison tallies:', error);
+    res.status(500).json({ error: 'Failed to load comparison tallies' });
+  }
+});
+
+// Set active prompt for a type
+// Signed-in users pick for themselves on their channel; with shared: true (or the shared API key)
+// the channel's default that everyone without a pick of their own uses is changed (admins only)
+router.post('/prompts/:type/active', requireRole('editor'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { promptId, shared } = req.body;
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+
+    if (!libraryType(library, type)) {
+      return res.status(404).json({ error: `Prompt type '${type}' not found` });
+    }
+
+    const prompt = findLibraryPrompt(library, type, promptId);
+    if (!prompt || !canSee(prompt, req.user)) {
+      return res.status(404).json({ error: `Prompt '${promptId}' not found` });
+    }
+
+    if (req.user.username && !shared) {
+      saveUserPromptSelection(req.user.username, type, promptId);
+      console.log(`Active prompt for ${type} set to: ${promptId} (${req.user.username})`);
+      return res.json({ success: true });
+    }
+
+    if (!hasRole(req.user.role, 'admin')) {
+      return res.status(403).json({ error: 'Only admins can change the team default', isPermissionError: true });
+    }
+    if (prompt.owner) {
+      return res.status(400).json({ error: 'Personal prompts cannot be the team default' });
+    }
+
+    const { channelId } = getUserSettings(req.user.username);
+    if (channelId === DEFAULT_CHANNEL) {
+      library[type].active = promptId;
+      await fsPromises.writeFile(promptsLibraryPath, JSON.stringify(library, null, 2));
+    } else {
+      saveChannelPrompt(channelId, type, promptId);
+    }
+
+    console.log(`Shared active prompt for ${type} on channel '${channelId}' set to: ${promptId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error setting active prompt:', error);
+    res.status(500).json({ error: 'Failed to set active prompt' });
+  }
+});
+
+// Add new prompt (shared when an admin adds it, personal when an editor does)
+// Recorded as version 1, with an optional note
+router.post('/prompts/:type', requireRole('editor'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { id, prompt, note } = req.body;
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+
+    if (!libraryType(library, type)) {
+      return res.status(404).json({ error: `Prompt type '${type}' not found` });
+    }
+
+    if (!id || !prompt || typeof prompt !== 'object') {
+      return res.status(400).json({ error: 'Missing prompt ID or prompt' });
+    }
+    if (!isValidPromptId(id)) {
+      return res.status(400).json({ error: `Invalid prompt ID '${id}' (${INVALID_PROMPT_ID_MESSAGE})` });
+    }
+
+    if (findLibraryPrompt(library, type, id)) {
+      return res.status(400).json({ error: `Prompt '${id}' already exists` });
+    }
+    if (!checkVariables(prompt, res)) return;
+
+    const { owner, ...fields } = prompt;
+    library[type].prompts[id] = hasRole(req.user.role, 'admin') ? fields : { ...fields, owner: req.user.username };
+    await fsPromises.writeFile(promptsLibraryPath, JSON.stringify(library, null, 2));
+    const { version } = recordVersion(type, id, fields, { author: req.user.username, note: note || 'Created' });
+
+    console.log(`Added new prompt '${id}' for ${type}`);
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('Error adding prompt:', error);
+    res.status(500).json({ error: 'Failed to add prompt' });
+  }
+});
+
+// Update existing prompt (each save becomes a new version, with an optional note)
+router.put('/prompts/:type/:promptId', requireRole('editor'), async (req, res) => {
+  try {
+    const { type, promptId } = req.params;
+    const { prompt, note } = req.body;
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+
+    if (!libraryType(library, type)) {
+      return res.status(404).json({ error: `Prompt type '${type}' not found` });
+    }
+
+    const existing = findLibraryPrompt(library, type, promptId);
+    if (!existing || !canSee(existing, req.user)) {
+      return res.status(404).json({ error: `Prompt '${promptId}' not found` });
+    }
+    if (!canManage(existing, req.user)) {
+      return res.status(403).json({ error: 'Only admins can edit shared prompts', isPermissionError: true });
+    }
+
+    if (!prompt || typeof prompt !== 'object') {
+      return res.status(400).json({ error: 'Missing prompt' });
+    }
+    if (!checkVariables(prompt, res)) return;
+
+    // Keep what's being replaced if it predates version history
+    ensureVersion(type, promptId, existing);
+
+    const { owner, ...fields } = prompt;
+    library[type].prompts[promptId] = existing.owner ? { ...fields, owner: existing.owner } : fields;
+    await fsPromises.writeFile(promptsLibraryPath, JSON.stringify(library, null, 2));
+    const { version } = recordVersion(type, promptId, fields, { author: req.user.username, note });
+
+    console.log(`Updated prompt '${promptId}' for ${type} (version ${version})`);
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    res.status(500).json({ error: 'Failed to update prompt' });
+  }
+});
+
+// ============== VERSION HISTORY ==============
+
+// Load a prompt the caller can see, or send a 404 (returns null)
+async function findPrompt(req, res) {
+  const { type, promptId } = req.params;
+  const library = JSON.parse(await fsPromises.readFile(promptsLibraryPath, 'utf8'));
+
+  if (!libraryType(library, type)) {
+    res.status(404).json({ error: `Prompt type '${type}' not found` });
+    return null;
+  }
+  const prompt = findLibraryPrompt(library, type, promptId);
+  if (!prompt || !canSee(prompt, req.user)) {
+    res.status(404).json({ error: `Prompt '${promptId}' not found` });
+    return null;
+  }
+  return { library, prompt };
+}
+
+// List a prompt's versions, newest first
+router.get('/prompts/:type/:promptId/versions', async (req, res) => {
+  try {
+    const { type, promptId } = req.params;
+    const found = await findPrompt(req, res);
+    if (!found) return;
+
+    const current = ensureVersion(type, promptId, found.prompt);
+    res.json({ success: true, current: current.version, versions: listVersions(type, promptId).reverse() });
+  } catch (error) {
+    console.error('Error loading prompt versions:', error);
+    res.status(500).json({ error: 'Failed to load prompt versions' });
+  }
+});
+
+// Compare two versions field by field (?from=2&to=5)
+router.get('/prompts/:type/:promptId/versions/diff', async (req, res) => {
+  try {
+    const { type, promptId } = req.params;
+    const found = await findPrompt(req, res);
+    if (!found) return;
+
+    const from = getVersion(type, promptId, Number(req.query.from));
+    const to = getVersion(type, promptId, Number(req.query.to));
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ success: true, from: from.version, to: to.version, changes: diffVersions(from, to) });
+  } catch (error) {
+    console.error('Error comparing prompt versions:', error);
+    res.status(500).json({ error: 'Failed to compare prompt versions' });
+  }
+});
+
+// Put an earlier version back (recorded as a new version, so the rollback can itself be undone)
+router.post('/prompts/:type/:promptId/versions/:version/rollback', requireRole('editor'), async (req, res) => {
+  try {
+    const { type, promptId } = req.params;
+    const found = await findPrompt(req, res);
+    if (!found) return;
+    const { library, prompt } = found;
+
+    if (!canManage(prompt, req.user)) {
+      return res.status(403).json({ error: 'Only admins can roll back shared prompts', isPermissionError: true });
+    }
+
+    const target = getVersion(type, promptId, Number(req.params.version));
+    if (!target) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+
+    const current = ensureVersion(type, promptId, prompt);
+    if (current.version === target.version) {
+      return res.status(400).json({ error: `Version ${target.version} is already the current version` });
+    }
+
+    library[type].prompts[promptId] = prompt.owner ? { ...target.prompt, owner: prompt.owner } : target.prompt;
+    await fsPromises.writeFile(promptsLibraryPath, JSON.stringify(library, null, 2));
+    const { version } = recordVersion(type, promptId, target.prompt, {
+      author: req.user.username,
+      note: req.body?.note || `Rolled back to version ${target.version}`,
+    });
+
+    console.log(`Rolled back prompt '${promptId}' for ${type} to version ${target.version} (now version ${version})`);
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('Error rolling back prompt:', error);
+    res.status(500).json({ error: 'Failed to roll back prompt' });
+  }
+});
+
+// Delete prompt
+// Users who picked it go back to the shared default (its version history is kept)
+router.delete('/prompts/:type/:promptId', requireRole('editor'), async (req, res) => {
+  try {
+    const { type, promptId } = req.params;
+    const data = await fsPromises.readFile(promptsLibraryPath, 'utf8');
+    const library = JSON.parse(data);
+
+    if (!libraryType(library, type)) {
+      return res.status(404).json({ error: `Prompt type '${type}' not found` });
+    }
+
+    const prompt = findLibraryPrompt(library, type, promptId);
+    if (!prompt || !canSee(prompt, req.user)) {
+      return res.status(404).json({ error: `Prompt '${promptId}' not found` });
+    }
+    if (!canManage(prompt, req.user)) {
+      return res.status(403).json({ error: 'Only admins can delete shared prompts', isPermissionError: true });
+    }
+
+    // Don't allow deleting the last shared prompt (the team default has to be one)
+    const sharedIds = Object.keys(library[type].prompts).filter(id => !library[type].prompts[id].owner);
+    if (!prompt.owner && sharedIds.length <= 1) {
+      return res.status(400).json({ error: 'Cannot delete the last prompt' });
+    }
+
+    // If deleting the shared active prompt, switch to another shared one
+    if (library[type].active === promptId) {
+      library[type].active = sharedIds.find(id => id !== promptId);
+    }
+
+    delete library[type].prompts[promptId];
+    await fsPromises.writeFile(promptsLibraryPath, JSON.stringify(library, null, 2));
+
+    console.log(`Deleted prompt '${promptId}' from ${type}`);
+    res.json({ success: true, newActive: effectiveActive(library, type, getPromptSelections(req.user.username)) });
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    res.status(500).json({ error: 'Failed to delete prompt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const fsPromises = require('fs').promises;
+const {
+  DEFAULTS_PATH,
+  loadSettings,
+  saveSettings,
+  saveTeamSettings,
+  channelSettings,
+  resolveSettings,
+  splitSettings,
+  validateSettings,
+} = require('../lib/settings');
+const { resolveChannelId } = require('../lib/channels');
+const { getUser, saveUserSettings, hasRole } = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Personal settings of the signed-in user ({} for the shared API key, which works on the shared settings)
+function personalSettings(req) {
+  return req.user.username ? getUser(req.user.username)?.settings || {} : {};
+}
+
+// Get current settings (your channel's settings with your own changes on top)
+router.get('/settings', (req, res) => {
+  try {
+    const personal = personalSettings(req);
+    res.json({
+      success: true,
+      settings: resolveSettings(personal),
+      personal: Object.keys(personal),
+    });
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    res.status(500).json({ error: 'Failed to load settings' });
+  }
+});
+
+// Save settings
+// Fields that differ from your channel's settings are kept as your own, except the provider
+// and budget, which change the shared settings for everyone (admins only)
+router.post('/settings', requireRole('editor'), (req, res) => {
+  try {
+    const settings = req.body;
+
+    // Validate settings
+    const validation = validateSettings(settings);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid settings', details: validation.errors });
+    }
+
+    if (!req.user.username) {
+      saveTeamSettings(settings);
+      console.log('Shared settings saved:', settings);
+      return res.json({ success: true, settings: resolveSettings() });
+    }
+
+    // Your channel stays as it was unless these settings name another one
+    const shared = loadSettings();
+    const channelId = resolveChannelId(settings.channelId ?? personalSettings(req).channelId ?? shared.channelId);
+    const base = { ...channelSettings(channelId), channelId: shared.channelId };
+    const { personal, sharedChanges } = splitSettings({ ...settings, channelId }, base);
+    if (Object.keys(sharedChanges).length > 0) {
+      if (!hasRole(req.user.role, 'admin')) {
+        return res.status(403).json({
+          error: `Only admins can change ${Object.keys(sharedChanges).join(', ')}`,
+          isPermissionError: true,
+        });
+      }
+      saveSettings({ ...shared, ...sharedChanges });
+      console.log(`Shared settings changed by ${req.user.username}:`, sharedChanges);
+    }
+    saveUserSettings(req.user.username, personal);
+
+    res.json({ success: true, settings: resolveSettings(personal), personal: Object.keys(personal) });
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+});
+
+// Replace the settings everyone on a channel starts from
+router.post('/settings/shared', requireRole('admin'), (req, res) => {
+  try {
+    const settings = req.body;
+
+    const validation = validateSettings(settings);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid settings', details: validation.errors });
+    }
+
+    saveTeamSettings(settings);
+    console.log(`Shared settings saved by ${req.user.username || 'API key'}:`, settings);
+    res.json({ success: true, settings: resolveSettings(personalSettings(req)) });
+  } catch (error) {
+    console.error('Error saving shared settings:', error);
+    res.status(500).json({ error: 'Failed to save shared settings' });
+  }
+});
+
+// Get default settings
+router.get('/settings/defaults', async (req, res) => {
+  try {
+    const data = await fsPromises.readFile(DEFAULTS_PATH, 'utf8');
+    const defaults = JSON.parse(data);
+    res.json({ success: true, defaults });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load defaults' });
+  }
+});
+
+// Reset settings: drops your own changes, or (with the shared API key) resets the shared settings to the defaults
+// Either way you stay on the channel you were working on
+router.post('/settings/reset', requireRole('editor'), async (req, res) => {
+  try {
+    if (req.user.username) {
+      const { channelId } = personalSettings(req);
+      const kept = channelId ? { channelId } : {};
+      saveUserSettings(req.user.username, kept);
+      console.log(`Settings reset to shared settings for ${req.user.username}`);
+      return res.json({ success: true, settings: resolveSettings(kept), personal: Object.keys(kept) });
+    }
+
+    const data = await fsPromises.readFile(DEFAULTS_PATH, 'utf8');
+    const defaults = JSON.parse(data);
+    saveSettings({ ...defaults, channelId: loadSettings().channelId ?? defaults.channelId });
+    console.log('Settings reset to defaults');
+    res.json({ success: true, settings: resolveSettings(), personal: [] });
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+    res.status(500).json({ error: 'Failed to reset settings' });
+  }
+});
+
+// Switch the channel you work on (viewers too: it decides which channel's projects and lists you see)
+// The shared API key switches the channel the team starts on
+router.put('/settings/channel', (req, res) => {
+  const { channelId } = req.body;
+
+  if (typeof channelId !== 'string' || resolveChannelId(channelId) !== channelId) {
+    return res.status(404).json({ error: `Channel '${channelId}' not found` });
+  }
+
+  try {
+    if (!req.user.username) {
+      saveSettings({ ...loadSettings(), channelId });
+      return res.json({ success: true, settings: resolveSettings(), personal: [] });
+    }
+
+    const personal = { ...personalSettings(req), channelId };
+    saveUserSettings(req.user.username, personal);
+    console.log(`${req.user.username} switched to channel '${channelId}'`);
+    res.json({ success: true, settings: resolveSettings(personal), personal: Object.keys(personal) });
+  } catch (error) {
+    console.error('Error switching channel:', error);
+    res.status(500).json({ error: 'Failed to switch channel' });
+  }
+});
+
+module.exports = router;
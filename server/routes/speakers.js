@@ -0,0 +1,199 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const {
+  SAMPLES_DIR,
+  SAMPLE_MIN_SECONDS,
+  SAMPLE_MAX_SECONDS,
+  MAX_KNOWN_SPEAKERS,
+  listSpeakers,
+  getSpeaker,
+  samplePath,
+  validateSpeakerInfo,
+  createSpeaker,
+  updateSpeaker,
+  setSpeakerSample,
+  deleteSpeaker,
+} = require('../lib/speakers');
+const { trimAudioSample, getAudioDuration } = require('../lib/ffmpeg');
+const { UPLOADS_DIR } = require('../lib/security');
+const { getUserSettings } = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Raw samples (uploaded files or browser recordings) land in uploads/ until trimmed
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, UPLOADS_DIR);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `speaker-sample-${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+    },
+  }),
+  limits: { fileSize: 200 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /^(wav|mp3|m4a|aac|ogg|oga|webm|flac|mp4|mov)$/;
+    const ext = path.extname(file.originalname).toLowerCase().slice(1);
+    if (allowedTypes.test(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only audio (or video) files are allowed.'));
+    }
+  },
+});
+
+// Speaker IDs are slugs generated from the name
+router.param('speakerId', (req, res, next, speakerId) => {
+  if (!/^[a-z0-9-]{1,120}$/.test(speakerId)) {
+    return res.status(400).json({ error: 'Invalid speaker ID' });
+  }
+  next();
+});
+
+// A speaker on the caller's channel, or null - other channels' speakers are not found
+function channelSpeaker(req) {
+  return getSpeaker(req.params.speakerId, getUserSettings(req.user.username).channelId);
+}
+
+// List the speakers of your channel
+router.get('/speakers', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      speakers: listSpeakers(getUserSettings(req.user.username).channelId),
+      limits: {
+        maxKnownSpeakers: MAX_KNOWN_SPEAKERS,
+        sampleMinSeconds: SAMPLE_MIN_SECONDS,
+        sampleMaxSeconds: SAMPLE_MAX_SECONDS,
+      },
+    });
+  } catch (error) {
+    console.error('Error listing speakers:', error);
+    res.status(500).json({ error: 'Failed to list speakers' });
+  }
+});
+
+// Add a speaker to your channel
+router.post('/speakers', requireRole('editor'), (req, res) => {
+  const validationError = validateSpeakerInfo(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const speaker = createSpeaker(req.body, getUserSettings(req.user.username).channelId);
+    console.log(`Added speaker '${speaker.id}' to channel '${speaker.channelId}'`);
+    res.json({ success: true, speaker });
+  } catch (error) {
+    console.error('Error adding speaker:', error);
+    res.status(500).json({ error: 'Failed to add speaker' });
+  }
+});
+
+// Update a speaker's name, bio or default expectation (speakers of your channel only)
+router.patch('/speakers/:speakerId', requireRole('editor'), (req, res) => {
+  const validationError = validateSpeakerInfo(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const speaker = channelSpeaker(req) && updateSpeaker(req.params.speakerId, req.body);
+    if (!speaker) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+    res.json({ success: true, speaker });
+  } catch (error) {
+    console.error('Error updating speaker:', error);
+    res.status(500).json({ error: 'Failed to update speaker' });
+  }
+});
+
+// Remove a speaker of your channel and its voice sample
+router.delete('/speakers/:speakerId', requireRole('editor'), (req, res) => {
+  try {
+    if (!channelSpeaker(req) || !deleteSpeaker(req.params.speakerId)) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+    console.log(`Deleted speaker '${req.params.speakerId}'`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting speaker:', error);
+    res.status(500).json({ error: 'Failed to delete speaker' });
+  }
+});
+
+// Play back a speaker's voice sample
+router.get('/speakers/:speakerId/sample', (req, res) => {
+  const sample = samplePath(channelSpeaker(req));
+  if (!sample) {
+    return res.status(404).json({ error: 'Voice sample not found' });
+  }
+  res.sendFile(sample);
+});
+
+// Upload or record a voice sample, trimmed to the length the diarization model accepts
+// Multipart fields: sample (file), start (seconds), duration (seconds)
+router.post('/speakers/:speakerId/sample', requireRole('editor'), (req, res) => {
+  upload.single('sample')(req, res, async (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No voice sample uploaded' });
+    }
+
+    const rawPath = req.file.path;
+    const { speakerId } = req.params;
+
+    try {
+      if (!channelSpeaker(req)) {
+        return res.status(404).json({ error: 'Speaker not found' });
+      }
+
+      const start = req.body.start === undefined ? 0 : parseFloat(req.body.start);
+      const duration = req.body.duration === undefined ? SAMPLE_MAX_SECONDS : parseFloat(req.body.duration);
+
+      if (isNaN(start) || start < 0) {
+        return res.status(400).json({ error: 'start must be a non-negative number of seconds' });
+      }
+      if (isNaN(duration) || duration < SAMPLE_MIN_SECONDS || duration > SAMPLE_MAX_SECONDS) {
+        return res.status(400).json({
+          error: `duration must be between ${SAMPLE_MIN_SECONDS} and ${SAMPLE_MAX_SECONDS} seconds`,
+        });
+      }
+
+      // Trim into a temporary file first so a bad sample never replaces a good one
+      const sampleFile = `${speakerId}.wav`;
+      const trimmedPath = path.join(SAMPLES_DIR, `${speakerId}.tmp.wav`);
+      await trimAudioSample(rawPath, trimmedPath, start, duration);
+
+      const trimmedDuration = await getAudioDuration(trimmedPath);
+      if (!trimmedDuration || trimmedDuration < SAMPLE_MIN_SECONDS) {
+        fs.unlinkSync(trimmedPath);
+        return res.status(400).json({
+          error: `Voice sample must contain at least ${SAMPLE_MIN_SECONDS} seconds of audio after trimming`,
+        });
+      }
+
+      fs.renameSync(trimmedPath, path.join(SAMPLES_DIR, sampleFile));
+      const speaker = setSpeakerSample(speakerId, sampleFile, Math.round(trimmedDuration * 10) / 10);
+
+      console.log(`Saved voice sample for '${speakerId}' (${trimmedDuration.toFixed(1)}s)`);
+      res.json({ success: true, speaker });
+    } catch (error) {
+      console.error('Error saving voice sample:', error);
+      res.status(500).json({ error: `Failed to process voice sample: ${error.message}` });
+    } finally {
+      fs.unlink(rawPath, () => {});
+    }
+  });
+});
+
+module.exports = router;
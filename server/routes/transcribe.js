@@ -3,7 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { openai, loadPrompt, audioToDataUrl, parseOpenAIError } = require('../lib/openai');
+const { loadPrompt, parseOpenAIError } = require('../lib/openai');
+const { getProvider } = require('../lib/providers');
 const { extractAudio, getAudioDuration, getFileSize, splitAudioIntoChunks } = require('../lib/ffmpeg');
 
 // Hard limits for OpenAI transcription API (these always apply regardless of user settings)
@@ -14,10 +15,21 @@ const CHUNK_OVERLAP_SECONDS = 30; // 30 second overlap to avoid cutting words
 const DEFAULT_CHUNK_MINUTES = 4; // Default chunk size for parallel processing
 const { safeUploadPath, isValidFilename, isValidSessionId, UPLOADS_DIR } = require('../lib/security');
 const { aiRateLimit } = require('../lib/rate-limit');
+const { createProject, getProject, saveProjectState } = require('../lib/projects');
+const { startProxyJob } = require('../lib/playback');
+const { hashFile, cacheKey, getCached, setCached } = require('../lib/content-cache');
+const { createJob } = require('../lib/jobs');
+const { requireRole } = require('../lib/auth');
+const { getDefaultSpeakerIds, validateExpectedSpeakers, getKnownSpeakerReferences } = require('../lib/speakers');
+const { getGlossary, modelSupportsPrompt, buildTranscriptionPrompt } = require('../lib/glossary');
+const { mergeChunkSegments, processTranscription } = require('../lib/transcription');
+const { recordUsage, budgetGuard } = require('../lib/usage');
+const { getUserSettings } = require('../lib/users');
+const { INVALID_TYPE_MESSAGE, mediaTypeOf, canTranscribeDirectly } = require('../lib/media');
 
 const router = express.Router();
 
-// Configure multer for video uploads
+// Configure multer for video and audio uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, UPLOADS_DIR);
@@ -33,23 +45,21 @@ const upload = multer({
   storage,
   // No file size limit - let the system handle what it can
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /mp4|mov|avi|mkv|webm/;
-    const ext = path.extname(file.originalname).toLowerCase().slice(1);
-    if (allowedTypes.test(ext)) {
+    if (mediaTypeOf(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only video files are allowed.'));
+      cb(new Error(INVALID_TYPE_MESSAGE));
     }
   },
 });
 
 // Upload video endpoint with error handling
-router.post('/upload', (req, res, next) => {
+router.post('/upload', requireRole('editor'), (req, res, next) => {
   console.log('=== Video Upload Started ===');
   console.log('Content-Length:', req.headers['content-length']);
 
   // Handle multer upload with error catching
-  upload.single('video')(req, res, (err) => {
+  upload.single('video')(req, res, async (err) => {
     if (err) {
       console.error('=== Upload Error ===');
       console.error('Error type:', err.constructor.name);
@@ -59,7 +69,7 @@ router.post('/upload', (req, res, next) => {
       if (err.code === 'LIMIT_FILE_SIZE') {
         return res.status(413).json({ error: 'File too large.' });
       }
-      if (err.message === 'Invalid file type. Only video files are allowed.') {
+      if (err.message === INVALID_TYPE_MESSAGE) {
         return res.status(400).json({ error: err.message });
       }
       return res.status(500).json({ error: `Upload failed: ${err.message}` });
@@ -67,7 +77,7 @@ router.post('/upload', (req, res, next) => {
 
     if (!req.file) {
       console.log('Upload failed: No file received');
-      return res.status(400).json({ error: 'No video file uploaded' });
+      return res.status(400).json({ error: 'No video or audio file uploaded' });
     }
 
     const sessionId = path.basename(req.file.filename, path.extname(req.file.filename));
@@ -78,6 +88,22 @@ router.post('/upload', (req, res, next) => {
     console.log('Size:', (req.file.size / 1024 / 1024).toFixed(2), 'MB');
     console.log('Saved as:', req.file.filename);
 
+    try {
+      createProject(sessionId, {
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        lastModified: parseInt(req.body.lastModified, 10) || null,
+        channelId: getUserSettings(req.user.username).channelId,
+        contentHash: await hashFile(req.file.path),
+      });
+    } catch (error) {
+      console.error('Failed to create project:', error.message);
+    }
+
+    // Videos browsers can't play get a playable copy made in the background
+    const proxyJob = startProxyJob(sessionId, req.file.filename);
+
     res.json({
       success: true,
       sessionId,
@@ -85,13 +111,21 @@ router.post('/upload', (req, res, next) => {
       path: `/uploads/${req.file.filename}`,
       originalName: req.file.originalname,
       size: req.file.size,
+      mediaType: mediaTypeOf(req.file.filename),
+      proxyJobId: proxyJob?.id || null,
     });
   });
 });
 
 // Transcribe video endpoint (rate limited - uses AI)
-router.post('/transcribe', aiRateLimit, async (req, res) => {
-  const { sessionId, filename, chunkMinutes } = req.body;
+// Runs as a background job: responds with a job ID, progress streams from /api/jobs/:jobId/events
+// A video transcribed before with the same model and speakers gets the cached transcript
+// (cached: true) unless force is set
+router.post('/transcribe', requireRole('editor'), aiRateLimit, budgetGuard, (req, res) => {
+  const { sessionId, filename, chunkMinutes, force = false } = req.body;
+  const { channelId } = getUserSettings(req.user.username);
+  // Speakers from the library expected in this video (defaults to the channel's speakers marked as always expected)
+  const speakerIds = req.body.speakerIds ?? getDefaultSpeakerIds(channelId);
 
   if (!sessionId || !filename) {
     return res.status(400).json({ error: 'Missing sessionId or filename' });
@@ -113,13 +147,85 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
     return res.status(400).json({ error: 'Invalid file path' });
   }
 
+  const speakersError = validateExpectedSpeakers(speakerIds);
+  if (speakersError) {
+    return res.status(400).json({ error: speakersError });
+  }
+
+  const model = req.body.model || 'gpt-4o-transcribe-diarize';
+
+  try {
+    saveProjectState(sessionId, { expectedSpeakers: speakerIds });
+  } catch (error) {
+    console.error('Failed to save expected speakers on project:', error.message);
+  }
+
+  // Glossary spellings go to the model as a prompt where supported, and are always fixed afterwards
+  const glossary = getGlossary(channelId);
+  const glossaryPrompt = modelSupportsPrompt(model) ? buildTranscriptionPrompt(glossary) : null;
+
+  // The prompt changes what the model hears, so it is part of the key; the glossary
+  // corrections are applied again on every hit instead
+  const contentHash = getProject(sessionId)?.contentHash;
+  const resultKey = contentHash
+    ? cacheKey({ contentHash, model, speakerIds: [...speakerIds].sort(), glossaryPrompt })
+    : null;
+
+  const job = createJob({ type: 'transcribe', sessionId }, (reporter) => {
+    const cached = resultKey && !force ? getCached('transcripts', resultKey) : null;
+    if (cached) {
+      console.log(`Using cached transcript for ${sessionId} (transcribed ${new Date(cached.cachedAt).toISOString()})`);
+      return useCachedTranscript(sessionId, cached, glossary);
+    }
+    return runTranscription({ sessionId, videoPath, audioPath, chunkMinutes, model, speakerIds, glossary, glossaryPrompt, resultKey }, reporter);
+  });
+
+  res.status(202).json({ success: true, jobId: job.id, job });
+});
+
+// A transcript from an earlier upload of the same video
+// Speakers are labelled and the glossary applied again from the raw segments, since the
+// labels and this channel's glossary may differ from when it was transcribed
+function useCachedTranscript(sessionId, { cachedAt, ...result }, glossary) {
+  const config = loadPrompt('transcription.json');
+  const { transcript, corrections } = processTranscription({ segments: result.raw.segments }, config, glossary);
+
+  try {
+    saveProjectState(sessionId, { transcript });
+  } catch (error) {
+    console.error('Failed to save transcript on project:', error.message);
+  }
+  return { ...result, transcript, corrections, cached: true, cachedAt };
+}
+
+// Whether an upload can be sent to the API as it is: an audio format the API reads, within
+// its size and length limits (a few minutes of uncompressed WAV already is not)
+async function canSendOriginal(filePath) {
+  if (!canTranscribeDirectly(filePath)) return false;
+  if (getFileSize(filePath) / (1024 * 1024) > MAX_FILE_SIZE_MB) return false;
+  return (await getAudioDuration(filePath)) <= MAX_DURATION_SECONDS;
+}
+
+// Transcription pipeline: extract audio, split into chunks, transcribe in parallel, merge
+// Audio files the API can take as they are skip the extraction and are transcribed directly
+// resultKey is where the result is cached (null when the video has no content hash)
+async function runTranscription({ sessionId, videoPath, audioPath: extractedAudioPath, chunkMinutes, model, speakerIds, glossary, glossaryPrompt, resultKey }, reporter) {
   const chunkFiles = []; // Track chunk files for cleanup
+  const tempAudioFiles = []; // Never the upload itself
 
   try {
-    // Extract audio from video
-    console.log('Extracting audio from video...');
-    await extractAudio(videoPath, audioPath);
-    console.log('Audio extraction complete');
+    const useOriginal = await canSendOriginal(videoPath);
+    const audioPath = useOriginal ? videoPath : extractedAudioPath;
+
+    if (useOriginal) {
+      console.log('Audio file - transcribing it without extracting audio');
+    } else {
+      tempAudioFiles.push(audioPath);
+      console.log('Extracting audio from video...');
+      reporter.stage('extracting_audio', 'Extracting audio...');
+      await extractAudio(videoPath, audioPath);
+      console.log('Audio extraction complete');
+    }
 
     // Check if we need to chunk the audio
     const audioDuration = await getAudioDuration(audioPath);
@@ -149,26 +255,18 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
       }
     }
 
-    // Load transcription config
+    // Load transcription config (labels for speakers not in the library)
     const config = loadPrompt('transcription.json');
 
-    // Prepare known speaker references
-    const knownSpeakerNames = config.known_speakers.map(s => s.name);
-    const knownSpeakerReferences = [];
+    // Prepare known speaker references for the speakers expected in this video
+    const { names: knownSpeakerNames, references: knownSpeakerReferences } = getKnownSpeakerReferences(speakerIds);
 
-    for (const speaker of config.known_speakers) {
-      const samplePath = path.join(__dirname, '../samples', speaker.sample_file);
-      if (fs.existsSync(samplePath)) {
-        knownSpeakerReferences.push(audioToDataUrl(samplePath));
-      }
-    }
-
-    const model = req.body.model || 'gpt-4o-transcribe-diarize';
     let allSegments = [];
     let totalDuration = 0;
 
     if (needsChunking) {
       // Split audio into chunks
+      reporter.stage('splitting', 'Splitting audio into chunks...');
       const chunks = await splitAudioIntoChunks(
         audioPath,
         UPLOADS_DIR,
@@ -195,6 +293,9 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
       // Transcribe all chunks in parallel
       console.log(`=== Starting parallel transcription of ${chunks.length} chunks ===`);
       const startTime = Date.now();
+      let completedChunks = 0;
+
+      reporter.stage('transcribing', `Transcribing: 0 of ${chunks.length} chunks`, { current: 0, total: chunks.length });
 
       const transcriptionPromises = chunks.map((chunk, i) => {
         console.log(`Launching transcription for chunk ${i + 1}/${chunks.length}`);
@@ -202,8 +303,18 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
           chunk.path,
           model,
           knownSpeakerNames,
-          knownSpeakerReferences
-        ).then(result => ({ index: i, chunk, result }));
+          knownSpeakerReferences,
+          glossaryPrompt,
+          { sessionId, audioSeconds: chunk.endTime - chunk.startTime }
+        ).then(result => {
+          completedChunks++;
+          reporter.stage(
+            'transcribing',
+            `Transcribing: ${completedChunks} of ${chunks.length} chunks`,
+            { current: completedChunks, total: chunks.length }
+          );
+          return { index: i, chunk, result };
+        });
       });
 
       const transcriptionResults = await Promise.all(transcriptionPromises);
@@ -211,6 +322,7 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
       console.log(`=== All ${chunks.length} chunks transcribed in ${elapsedSeconds.toFixed(1)}s ===`);
 
       // Sort results by chunk index and merge segments in order
+      reporter.stage('merging', 'Merging transcript chunks...');
       transcriptionResults.sort((a, b) => a.index - b.index);
 
       for (const { index, chunk, result } of transcriptionResults) {
@@ -231,44 +343,69 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
       console.log(`Total segments after merging: ${allSegments.length}`);
     } else {
       // Single transcription for smaller files
-      console.log('=== OpenAI Transcription API Call ===');
-      console.log('Endpoint: POST /v1/audio/transcriptions');
+      console.log('=== Transcription API Call ===');
+      console.log('Provider:', getProvider().name);
       console.log('Model:', model);
-      console.log('Response format: diarized_json');
-      console.log('Chunking strategy: auto');
       console.log('Known speaker names:', knownSpeakerNames.join(', ') || 'none');
       console.log('Known speaker references:', knownSpeakerReferences.length, 'audio samples provided');
+      console.log('Glossary prompt:', glossaryPrompt || 'none');
       console.log('Audio file:', audioPath);
 
+      reporter.stage('transcribing', 'Transcribing audio...', { current: 0, total: 1 });
+
       const transcription = await transcribeAudioFile(
         audioPath,
         model,
         knownSpeakerNames,
-        knownSpeakerReferences
+        knownSpeakerReferences,
+        glossaryPrompt,
+        { sessionId, audioSeconds: audioDuration }
       );
 
       allSegments = transcription.segments || [];
       totalDuration = transcription.duration || audioDuration;
 
-      console.log('=== OpenAI Transcription API Response ===');
+      console.log('=== Transcription API Response ===');
       console.log('Segments received:', allSegments.length);
       console.log('Total duration:', totalDuration, 'seconds');
       console.log('Language detected:', transcription.language || 'unknown');
     }
 
     // Post-process to add speaker labels
-    const processedTranscript = processTranscription({ segments: allSegments }, config);
+    reporter.stage('processing', 'Labelling speakers...');
+    const { transcript: processedTranscript, corrections } = processTranscription({ segments: allSegments }, config, glossary);
+    if (corrections.totalReplacements > 0) {
+      console.log(`Glossary corrections: ${corrections.totalReplacements} replacements`);
+    }
 
     // Clean up audio file and any chunk files
-    cleanupFiles([audioPath, ...chunkFiles]);
+    cleanupFiles([...tempAudioFiles, ...chunkFiles]);
 
-    res.json({
+    // Save on the project so the result survives a closed browser
+    try {
+      saveProjectState(sessionId, { transcript: processedTranscript });
+    } catch (error) {
+      console.error('Failed to save transcript on project:', error.message);
+    }
+
+    const result = {
       success: true,
       transcript: processedTranscript,
+      corrections,
       raw: { segments: allSegments, duration: totalDuration },
       chunked: needsChunking,
       chunksUsed: needsChunking ? Math.ceil(audioDuration / chunkDurationSeconds) : 1,
-    });
+    };
+
+    if (resultKey) {
+      try {
+        setCached('transcripts', resultKey, result);
+      } catch (error) {
+        console.error('Failed to cache transcript:', error.message);
+      }
+    }
+
+    return { ...result, cached: false };
   } catch (error) {
     console.error('Transcription error:', error);
     console.error('Error name:', error.name);
@@ -277,16 +414,17 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
     if (error.code) console.error('Error code:', error.code);
 
     // Clean up audio file and any chunk files on error
-    cleanupFiles([audioPath, ...chunkFiles]);
+    cleanupFiles([...tempAudioFiles, ...chunkFiles]);
 
     // Check for OpenAI billing/quota errors first
     const parsedError = parseOpenAIError(error);
     if (parsedError.isBillingError || parsedError.billingUrl) {
-      return res.status(500).json({
+      error.payload = {
         error: parsedError.userMessage,
         billingUrl: parsedError.billingUrl,
         isBillingError: parsedError.isBillingError,
-      });
+      };
+      throw error;
     }
 
     // Provide more helpful error message for other errors
@@ -297,48 +435,23 @@ router.post('/transcribe', aiRateLimit, async (req, res) => {
       errorMessage = `Audio file too large for transcription API. Try a shorter video.`;
     }
 
-    res.status(500).json({ error: errorMessage });
-  }
-});
-
-// Helper function to transcribe a single audio file
-async function transcribeAudioFile(audioPath, model, knownSpeakerNames, knownSpeakerReferences) {
-  const audioFile = fs.createReadStream(audioPath);
-
-  const transcriptionParams = {
-    file: audioFile,
-    model: model,
-    response_format: 'diarized_json',
-    chunking_strategy: 'auto',
-  };
-
-  if (knownSpeakerNames.length > 0) {
-    transcriptionParams.known_speaker_names = knownSpeakerNames;
+    error.payload = { error: errorMessage };
+    throw error;
   }
-  if (knownSpeakerReferences.length > 0) {
-    transcriptionParams.known_speaker_references = knownSpeakerReferences;
-  }
-
-  return await openai.audio.transcriptions.create(transcriptionParams);
 }
 
-// Merge segments from a new chunk, removing duplicates in overlap region
-function mergeChunkSegments(existingSegments, newSegments, chunkStartTime, overlapSeconds) {
-  if (existingSegments.length === 0) {
-    return newSegments;
-  }
-
-  // Find where overlap region starts
-  const overlapStart = chunkStartTime;
-
-  // Remove segments from existing that fall within overlap region
-  // These will be replaced by the new chunk's segments which are more accurate
-  const filteredExisting = existingSegments.filter(seg => seg.end <= overlapStart + 1);
-
-  // Add new segments that start after the overlap adjustment point
-  const filteredNew = newSegments.filter(seg => seg.start >= overlapStart - 1);
+// Helper function to transcribe a single audio file, recording it in the usage ledger
+async function transcribeAudioFile(audioPath, model, knownSpeakerNames, knownSpeakerReferences, prompt = null, { sessionId, audioSeconds } = {}) {
+  const transcription = await getProvider().transcribe({
+    filePath: audioPath,
+    model,
+    knownSpeakerNames,
+    knownSpeakerReferences,
+    prompt,
+  });
 
-  return [...filteredExisting, ...filteredNew];
+  recordUsage({ sessionId, kind: 'transcription', operation: 'transcribe', model, usage: transcription.usage, audioSeconds });
+  return transcription;
 }
 
 // Clean up temporary files
@@ -354,37 +467,4 @@ function cleanupFiles(filePaths) {
   }
 }
 
-// Process transcription to normalize speaker labels
-function processTranscription(transcription, config) {
-  // gpt-4o-transcribe-diarize returns diarized_json format with speaker labels
-  // Speaker labels may be known names or generic labels like "A:", "B:"
-  const segments = transcription.segments || [];
-  const unknownLabels = config.unknown_speaker_labels || ['Interviewer', 'Speaker A', 'Speaker B', 'Speaker C'];
-
-  // Map generic speaker labels to more descriptive names
-  const speakerMap = {};
-  let unknownIndex = 0;
-
-  return segments.map((segment, index) => {
-    let speaker = segment.speaker || 'Unknown';
-
-    // If speaker is a generic label like "A", "B", map it
-    if (/^[A-Z]$/.test(speaker)) {
-      if (!speakerMap[speaker]) {
-        speakerMap[speaker] = unknownLabels[unknownIndex] || `Speaker ${speaker}`;
-        unknownIndex++;
-      }
-      speaker = speakerMap[speaker];
-    }
-
-    return {
-      id: index,
-      start: segment.start,
-      end: segment.end,
-      text: segment.text,
-      speaker: speaker,
-    };
-  });
-}
-
 module.exports = router;
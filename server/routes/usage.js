@@ -0,0 +1,76 @@
+const express = require('express');
+const { isValidSessionId } = require('../lib/security');
+const { requireRole } = require('../lib/auth');
+const {
+  loadPricing,
+  savePricing,
+  validatePricing,
+  readLedger,
+  currentMonth,
+  summarizeUsage,
+  getBudgetStatus,
+} = require('../lib/usage');
+
+const router = express.Router();
+
+// Totals for a month (defaults to the current one) and the budget status
+router.get('/usage', (req, res) => {
+  const month = req.query.month || currentMonth();
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({ error: 'month must be YYYY-MM' });
+  }
+
+  try {
+    res.json({
+      success: true,
+      month,
+      usage: summarizeUsage(readLedger({ month })),
+      budget: getBudgetStatus(),
+    });
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
+// Totals and individual calls for one session (video)
+router.get('/usage/sessions/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+
+  try {
+    const entries = readLedger({ sessionId });
+    res.json({ success: true, sessionId, usage: summarizeUsage(entries), entries });
+  } catch (error) {
+    console.error('Error loading session usage:', error);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
+// Get the price table used for cost estimates
+router.get('/usage/pricing', (req, res) => {
+  res.json({ success: true, pricing: loadPricing() });
+});
+
+// Replace the price table
+router.put('/usage/pricing', requireRole('admin'), (req, res) => {
+  const { pricing } = req.body;
+
+  const validationError = validatePricing(pricing);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const saved = savePricing(pricing);
+    console.log(`Price table saved (${Object.keys(saved.models).length} models)`);
+    res.json({ success: true, pricing: saved });
+  } catch (error) {
+    console.error('Error saving price table:', error);
+    res.status(500).json({ error: 'Failed to save price table' });
+  }
+});
+
+module.exports = router;
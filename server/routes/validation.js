@@ -0,0 +1,38 @@
+const express = require('express');
+const { getValidationRules, saveValidationRules, validateValidationRules } = require('../lib/validation-rules');
+const { getUserSettings } = require('../lib/users');
+const { requireRole } = require('../lib/auth');
+
+const router = express.Router();
+
+// Get the rules titles, descriptions and thumbnail titles are checked against on your channel
+router.get('/validation-rules', (req, res) => {
+  try {
+    res.json({ success: true, rules: getValidationRules(getUserSettings(req.user.username).channelId) });
+  } catch (error) {
+    console.error('Error loading validation rules:', error);
+    res.status(500).json({ error: 'Failed to load validation rules' });
+  }
+});
+
+// Update your channel's validation rules (only the fields given are changed)
+router.put('/validation-rules', requireRole('admin'), (req, res) => {
+  const { rules } = req.body;
+
+  const validationError = validateValidationRules(rules);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const { channelId } = getUserSettings(req.user.username);
+    const saved = saveValidationRules(rules, channelId);
+    console.log(`Validation rules for channel '${channelId}' saved (${saved.bannedWords.length} banned, ${saved.clickbaitWords.length} clickbait words)`);
+    res.json({ success: true, rules: saved });
+  } catch (error) {
+    console.error('Error saving validation rules:', error);
+    res.status(500).json({ error: 'Failed to save validation rules' });
+  }
+});
+
+module.exports = router;
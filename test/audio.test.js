@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { API_KEY, UPLOADS_DIR, startServer, sha256, request, waitForJob } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// Upload a small file in one request, as the browser does below the chunking threshold
+async function uploadDirect(filename, bytes) {
+  const form = new FormData();
+  form.append('video', new Blob([bytes]), filename);
+  const response = await fetch(`${server.baseUrl}/api/upload`, {
+    method: 'POST',
+    headers: { 'X-API-Key': API_KEY },
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Upload a file as a single chunk
+async function uploadChunked(filename, bytes) {
+  const base = server.baseUrl;
+  const { body: started } = await request(base, 'POST', '/api/upload/init', {
+    filename,
+    fileSize: bytes.length,
+    totalChunks: 1,
+  });
+  await request(base, 'POST', '/api/upload/chunk', bytes, {
+    'x-upload-id': started.uploadId,
+    'x-chunk-index': '0',
+    'x-chunk-sha256': sha256(bytes),
+  });
+  const { body } = await request(base, 'POST', '/api/upload/complete', {
+    uploadId: started.uploadId,
+    fileHash: sha256(sha256(bytes)),
+  });
+  return body;
+}
+
+async function uploadCover(sessionId, filename, bytes) {
+  const form = new FormData();
+  form.append('image', new Blob([bytes]), filename);
+  const response = await fetch(`${server.baseUrl}/api/projects/${sessionId}/cover`, {
+    method: 'POST',
+    headers: { 'X-API-Key': API_KEY },
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const AUDIO = Buffer.from('an interview from the audio recorder');
+
+test('accepts audio files through both upload paths', async () => {
+  const direct = await uploadDirect('episode.mp3', AUDIO);
+  assert.equal(direct.status, 200, direct.body.error);
+  assert.equal(direct.body.mediaType, 'audio');
+
+  const chunked = await uploadChunked('interview.m4a', AUDIO);
+  assert.equal(chunked.success, true);
+  assert.equal(chunked.mediaType, 'audio');
+  assert.equal(chunked.filename, `${chunked.sessionId}.m4a`);
+
+  const { body: opened } = await request(server.baseUrl, 'GET', `/api/projects/${chunked.sessionId}`);
+  assert.equal(opened.project.mediaType, 'audio');
+  assert.equal(opened.summary.mediaType, 'audio');
+
+  assert.equal((await uploadChunked('interview.mp4', AUDIO)).mediaType, 'video');
+});
+
+test('sends audio to the API as it is only when it fits the upload limit', async () => {
+  const transcribe = async ({ sessionId, filename }) => {
+    const { body } = await request(server.baseUrl, 'POST', '/api/transcribe', { sessionId, filename });
+    return waitForJob(server.baseUrl, body.jobId);
+  };
+
+  // Neither is real audio, so both fail - the question is whether audio was extracted first
+  const small = await transcribe(await uploadChunked('memo.wav', AUDIO));
+  assert.equal(small.status, 'failed');
+  assert.notEqual(small.stage, 'extracting_audio');
+
+  // Ten minutes of recorder WAV is over 100 MB; anything over 24 MB goes through mp3 extraction
+  const large = await transcribe(await uploadChunked('recorder.wav', Buffer.alloc(25 * 1024 * 1024, 1)));
+  assert.equal(large.status, 'failed');
+  assert.equal(large.stage, 'extracting_audio');
+});
+
+test('refuses files that are neither video nor audio', async () => {
+  const direct = await uploadDirect('notes.txt', AUDIO);
+  assert.equal(direct.status, 400);
+  assert.match(direct.body.error, /video and audio/);
+
+  const { status } = await request(server.baseUrl, 'POST', '/api/upload/init', { filename: 'cover.png', fileSize: 10, totalChunks: 1 });
+  assert.equal(status, 400);
+});
+
+test('audio projects have no frames to extract', async () => {
+  const { sessionId, filename } = await uploadChunked('episode.wav', AUDIO);
+  const { status, body } = await request(server.baseUrl, 'POST', '/api/extract-frames', { sessionId, filename, numFrames: 4 });
+  assert.equal(status, 400);
+  assert.match(body.error, /cover image/);
+});
+
+test('cover images become frames for the thumbnail editor', async () => {
+  const { sessionId } = await uploadChunked('episode.mp3', AUDIO);
+
+  const first = await uploadCover(sessionId, 'Cover Art.PNG', Buffer.from('png bytes'));
+  assert.equal(first.status, 200, first.body.error);
+  assert.deepEqual(first.body.frame, {
+    index: 1,
+    timestamp: 0,
+    filename: 'cover_1.png',
+    url: `/uploads/${sessionId}_frames/cover_1.png`,
+    cover: true,
+  });
+  assert.equal(fs.readFileSync(path.join(UPLOADS_DIR, `${sessionId}_frames`, 'cover_1.png'), 'utf8'), 'png bytes');
+
+  const second = await uploadCover(sessionId, 'square.jpg', Buffer.from('jpg bytes'));
+  assert.equal(second.body.frame.index, 2);
+  assert.equal(second.body.frame.filename, 'cover_2.jpg');
+
+  const served = await fetch(`${server.baseUrl}${second.body.frame.url}`, { headers: { 'X-API-Key': API_KEY } });
+  assert.equal(await served.text(), 'jpg bytes');
+
+  assert.equal((await uploadCover(sessionId, 'cover.gif', Buffer.from('gif'))).status, 400);
+});
+
+test('only audio projects take cover images or have a waveform', async () => {
+  const video = await uploadChunked('interview.mp4', Buffer.from('a video'));
+
+  assert.equal((await uploadCover(video.sessionId, 'cover.png', Buffer.from('png'))).status, 400);
+  assert.equal((await request(server.baseUrl, 'GET', `/api/projects/${video.sessionId}/waveform`)).status, 400);
+  assert.equal((await request(server.baseUrl, 'GET', '/api/projects/00000000-0000-4000-8000-000000000000/waveform')).status, 404);
+  assert.equal((await request(server.baseUrl, 'GET', '/api/projects/not-a-session/waveform')).status, 400);
+});
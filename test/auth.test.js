@@ -0,0 +1,211 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, startServer, request } = require('./helpers');
+const { hashPassword, verifyPassword, validateCredentials, getUser, createUser, deleteUser } = require('../server/lib/users');
+const { parseCookies } = require('../server/lib/auth');
+const { loadActivePrompt } = require('../server/lib/openai');
+
+const anonymous = { 'X-API-Key': '' };
+
+// Session cookie from a sign-in response, ready to send back
+function sessionCookie(response) {
+  return response.headers.get('set-cookie').split(';')[0];
+}
+
+test('hashes passwords with a salt and verifies them', () => {
+  const stored = hashPassword('correct horse');
+  assert.match(stored, /^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+  assert.notEqual(hashPassword('correct horse'), stored);
+  assert.equal(verifyPassword('correct horse', stored), true);
+  assert.equal(verifyPassword('wrong horse', stored), false);
+  assert.equal(verifyPassword('correct horse', 'plaintext'), false);
+});
+
+test('validates usernames and passwords', () => {
+  assert.equal(validateCredentials('alice', 'long enough'), null);
+  assert.match(validateCredentials('a', 'long enough'), /Usernames are 2-32 characters/);
+  assert.match(validateCredentials('alice smith', 'long enough'), /Usernames/);
+  assert.match(validateCredentials('alice', 'short'), /Passwords must be 8-200 characters/);
+});
+
+test('parses cookie headers', () => {
+  assert.deepEqual(parseCookies('a=1; aw_session=abc%20def;b'), { a: '1', aw_session: 'abc def' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test("uses a user's own prompt pick when it exists", () => {
+  const library = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'prompts-library.json'), 'utf8'));
+  const shared = library.vision.prompts[library.vision.active];
+
+  assert.deepEqual(loadActivePrompt('vision'), shared);
+  assert.deepEqual(loadActivePrompt('vision', { vision: 'deleted-prompt' }), shared);
+});
+
+test('usernames every object has are free to register', () => {
+  assert.equal(getUser('constructor'), null);
+  try {
+    assert.equal(createUser('constructor', 'builder-password').username, 'constructor');
+    assert.equal(getUser('constructor').username, 'constructor');
+  } finally {
+    assert.equal(deleteUser('constructor'), true);
+  }
+  assert.equal(deleteUser('constructor'), false);
+});
+
+describe('sign-in', () => {
+  let server;
+  let aliceCookie;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('protects the API, uploads and the app page', async () => {
+    const base = server.baseUrl;
+
+    const api = await request(base, 'GET', '/api/settings', undefined, anonymous);
+    assert.equal(api.status, 401);
+    assert.equal(api.body.isAuthError, true);
+
+    assert.equal((await request(base, 'GET', '/uploads/video.mp4', undefined, anonymous)).status, 401);
+    assert.equal((await request(base, 'GET', '/api/frames/abc/frame.jpg', undefined, anonymous)).status, 401);
+    assert.equal((await request(base, 'GET', '/api/settings', undefined, { 'X-API-Key': 'wrong' })).status, 401);
+
+    const page = await request(base, 'GET', '/', undefined, anonymous);
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), '/login.html');
+
+    assert.equal((await request(base, 'GET', '/api/health', undefined, anonymous)).status, 200);
+  });
+
+  test('serves the server validator to the browser', async () => {
+    const res = await fetch(`${server.baseUrl}/js/validator.js`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /javascript/);
+    assert.equal(await res.text(), fs.readFileSync(path.join(__dirname, '../server/lib/validator.js'), 'utf8'));
+  });
+
+  test('creates the first account once, then signs in', async () => {
+    const base = server.baseUrl;
+
+    let res = await request(base, 'GET', '/api/auth/status', undefined, anonymous);
+    assert.equal(res.body.authenticated, false);
+    assert.equal(res.body.setupRequired, true);
+
+    res = await request(base, 'POST', '/api/auth/setup', { username: 'Alice', password: 'alice-password' }, anonymous);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.username, 'alice');
+    assert.match(res.headers.get('set-cookie'), /HttpOnly/);
+
+    res = await request(base, 'POST', '/api/auth/setup', { username: 'mallory', password: 'mallory-password' }, anonymous);
+    assert.equal(res.status, 403);
+
+    res = await request(base, 'POST', '/api/auth/login', { username: 'alice', password: 'wrong-password' }, anonymous);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Incorrect username or password');
+
+    res = await request(base, 'POST', '/api/auth/login', { username: 'ALICE', password: 'alice-password' }, anonymous);
+    assert.equal(res.status, 200);
+    aliceCookie = sessionCookie(res);
+
+    res = await request(base, 'GET', '/api/auth/status', undefined, { Cookie: aliceCookie });
+    assert.equal(res.body.authenticated, true);
+    assert.equal(res.body.user.username, 'alice');
+    assert.equal(res.body.setupRequired, false);
+
+    const stored = fs.readFileSync(path.join(DATA_DIR, 'users.json'), 'utf8');
+    assert.ok(!stored.includes('alice-password'));
+  });
+
+  test('manages accounts', async () => {
+    const base = server.baseUrl;
+    const alice = { Cookie: aliceCookie };
+
+    let res = await request(base, 'POST', '/api/users', { username: 'bob', password: 'bob-password' }, alice);
+    assert.equal(res.status, 200);
+
+    res = await request(base, 'POST', '/api/users', { username: 'bob', password: 'bob-password' }, alice);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "User 'bob' already exists");
+
+    res = await request(base, 'GET', '/api/users', undefined, alice);
+    assert.deepEqual(res.body.users.map(u => u.username), ['alice', 'bob']);
+    assert.equal(res.body.users[0].passwordHash, undefined);
+
+    res = await request(base, 'DELETE', '/api/users/alice', undefined, alice);
+    assert.equal(res.status, 400);
+  });
+
+  test("layers each user's settings over the shared settings", async () => {
+    const base = server.baseUrl;
+    const bob = { Cookie: sessionCookie(await request(base, 'POST', '/api/auth/login', { username: 'bob', password: 'bob-password' }, anonymous)) };
+    const alice = { Cookie: aliceCookie };
+    const sharedPath = path.join(DATA_DIR, 'settings.json');
+    const shared = JSON.parse(fs.readFileSync(sharedPath, 'utf8'));
+
+    let res = await request(base, 'POST', '/api/settings', { ...shared, numTitles: 7, monthlyBudget: 50 }, alice);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.personal, ['numTitles']);
+
+    res = await request(base, 'GET', '/api/settings', undefined, alice);
+    assert.equal(res.body.settings.numTitles, 7);
+
+    // Nobody else sees Alice's title count, but the budget is shared
+    res = await request(base, 'GET', '/api/settings', undefined, bob);
+    assert.equal(res.body.settings.numTitles, shared.numTitles);
+    assert.equal(res.body.settings.monthlyBudget, 50);
+    const saved = JSON.parse(fs.readFileSync(sharedPath, 'utf8'));
+    assert.equal(saved.numTitles, shared.numTitles);
+    assert.equal(saved.monthlyBudget, 50);
+
+    res = await request(base, 'POST', '/api/settings/reset', undefined, alice);
+    assert.equal(res.body.settings.numTitles, shared.numTitles);
+    assert.equal(res.body.settings.monthlyBudget, 50);
+
+    await request(base, 'POST', '/api/settings', shared);
+  });
+
+  test('keeps prompt picks per user', async () => {
+    const base = server.baseUrl;
+    const alice = { Cookie: aliceCookie };
+    const prompt = { name: 'Faces', system_prompt: 'You pick YouTube thumbnails.', analysis_prompt: 'Rank the frames.' };
+
+    await request(base, 'POST', '/api/prompts/vision', { id: 'faces', prompt }, alice);
+    let res = await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'faces' }, alice);
+    assert.equal(res.status, 200);
+
+    res = await request(base, 'GET', '/api/prompts/vision', undefined, alice);
+    assert.equal(res.body.active, 'faces');
+    assert.equal(res.body.sharedActive, 'default');
+
+    res = await request(base, 'GET', '/api/prompts/vision');
+    assert.equal(res.body.active, 'default');
+
+    // Deleting a user's pick puts them back on the shared default
+    res = await request(base, 'DELETE', '/api/prompts/vision/faces', undefined, alice);
+    assert.equal(res.body.newActive, 'default');
+  });
+
+  test('changing the password signs out other sessions', async () => {
+    const base = server.baseUrl;
+    const other = { Cookie: sessionCookie(await request(base, 'POST', '/api/auth/login', { username: 'alice', password: 'alice-password' }, anonymous)) };
+
+    let res = await request(base, 'POST', '/api/auth/password', { currentPassword: 'nope', newPassword: 'new-alice-password' }, { Cookie: aliceCookie });
+    assert.equal(res.status, 400);
+
+    res = await request(base, 'POST', '/api/auth/password', { currentPassword: 'alice-password', newPassword: 'new-alice-password' }, { Cookie: aliceCookie });
+    assert.equal(res.status, 200);
+
+    assert.equal((await request(base, 'GET', '/api/settings', undefined, other)).status, 401);
+    assert.equal((await request(base, 'GET', '/api/settings', undefined, { Cookie: aliceCookie })).status, 200);
+  });
+
+  test('signing out ends the session', async () => {
+    const base = server.baseUrl;
+    const alice = { Cookie: aliceCookie };
+
+    const res = await request(base, 'POST', '/api/auth/logout', undefined, alice);
+    assert.equal(res.status, 200);
+    assert.equal((await request(base, 'GET', '/api/settings', undefined, alice)).status, 401);
+  });
+});
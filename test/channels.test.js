@@ -0,0 +1,151 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sha256, request } = require('./helpers');
+const { findUnknownVariables, renderPrompt, templateValues } = require('../server/lib/prompt-templates');
+
+const TRANSCRIPT = [
+  { start: 0, end: 30, text: 'Welcome back.', speaker: 'Interviewer' },
+  { start: 30, end: 252, text: 'Inflation is cooling.', speaker: 'Betsey Stevenson' },
+];
+
+const channel = { channelName: 'Think Like an Economist', guestNames: 'Betsey Stevenson', topic: 'labor markets' };
+
+test('fills in template variables from the channel, transcript and settings', () => {
+  const values = templateValues({ channel, transcript: TRANSCRIPT, settings: { numTitles: 12 } });
+  const prompt = renderPrompt({
+    name: 'Show',
+    system_prompt: 'You write for {{ channel_name }} about {{channel_topic}}, featuring {{guest_names}}.',
+    title_prompt: 'Write {{num_titles}} titles for this {{video_duration}} clip with {{speakers}}.',
+    known_speakers: ['{{guest_names}}'],
+  }, values);
+
+  assert.equal(prompt.system_prompt, 'You write for Think Like an Economist about labor markets, featuring Betsey Stevenson.');
+  assert.equal(prompt.title_prompt, 'Write 12 titles for this 4 min 12 seconds clip with Interviewer, Betsey Stevenson.');
+  assert.deepEqual(prompt.known_speakers, ['{{guest_names}}']); // Only text fields are templates
+});
+
+test('finds variables that do not exist', () => {
+  assert.deepEqual(findUnknownVariables({ name: 'x', system_prompt: 'For {{channel_name}} and {{host}}', title_prompt: '{{ host }} {{}}' }), [
+    { field: 'system_prompt', variable: 'host' },
+    { field: 'title_prompt', variable: 'host' },
+    { field: 'title_prompt', variable: '' },
+  ]);
+});
+
+describe('channel profiles', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('adds, updates and removes a channel', async () => {
+    const base = server.baseUrl;
+
+    let res = await request(base, 'POST', '/api/channels', { id: 'betsey', profile: { name: 'Betsey', ...channel } });
+    assert.equal(res.status, 200);
+    assert.equal((await request(base, 'POST', '/api/channels', { id: 'betsey', profile: { name: 'Again' } })).status, 400);
+    assert.equal((await request(base, 'POST', '/api/channels', { id: 'Not Valid', profile: { name: 'Bad' } })).status, 400);
+
+    res = await request(base, 'PUT', '/api/channels/betsey', { profile: { name: 'Betsey Stevenson', ...channel, topic: 'the economy' } });
+    assert.equal(res.body.channel.topic, 'the economy');
+
+    res = await request(base, 'GET', '/api/channels');
+    assert.deepEqual(res.body.channels.map(c => c.id), ['default', 'betsey']);
+
+    assert.equal((await request(base, 'DELETE', '/api/channels/default')).status, 400);
+    assert.equal((await request(base, 'DELETE', '/api/channels/betsey')).status, 200);
+    assert.equal((await request(base, 'PUT', '/api/channels/betsey', { profile: { name: 'Gone' } })).status, 404);
+  });
+
+  test('refuses prompts with unknown variables', async () => {
+    const res = await request(server.baseUrl, 'POST', '/api/prompts/vision', {
+      id: 'typo',
+      prompt: { name: 'Typo', system_prompt: 'Thumbnails for {{chanel_name}}', analysis_prompt: 'Rank the frames.' },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Unknown template variables: {{chanel_name}} in system_prompt');
+
+    const { body } = await request(server.baseUrl, 'GET', '/api/prompt-variables');
+    assert.ok(body.variables.some(v => v.name === 'guest_names'));
+  });
+});
+
+describe('working on a channel', () => {
+  let server;
+  let ada;
+
+  before(async () => {
+    server = await startServer();
+    await request(server.baseUrl, 'POST', '/api/channels', { id: 'second', profile: { name: 'Second Channel', ...channel } });
+    await request(server.baseUrl, 'POST', '/api/users', { username: 'ada', password: 'ada-password', role: 'admin' });
+    const login = await request(server.baseUrl, 'POST', '/api/auth/login', { username: 'ada', password: 'ada-password' }, { 'X-API-Key': '' });
+    ada = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+  });
+  after(() => server.close());
+
+  test('keeps settings, prompts, glossary and speakers per channel', async () => {
+    const base = server.baseUrl;
+    const { body: { settings: teamSettings } } = await request(base, 'GET', '/api/settings', undefined, ada);
+    const otherPrompt = 'second-thumbnails';
+    await request(base, 'POST', '/api/prompts/vision', {
+      id: otherPrompt,
+      prompt: { name: 'Second Thumbnails', system_prompt: 'Thumbnails for {{channel_name}}.', analysis_prompt: 'Rank the frames.' },
+    }, ada);
+    const { body: { library } } = await request(base, 'GET', '/api/prompts', undefined, ada);
+
+    assert.equal((await request(base, 'PUT', '/api/settings/channel', { channelId: 'missing' }, ada)).status, 404);
+    let res = await request(base, 'PUT', '/api/settings/channel', { channelId: 'second' }, ada);
+    assert.equal(res.body.settings.channelId, 'second');
+
+    res = await request(base, 'POST', '/api/settings/shared', { ...teamSettings, channelId: 'second', numTitles: 7 }, ada);
+    assert.equal(res.body.settings.numTitles, 7);
+    await request(base, 'POST', '/api/prompts/vision/active', { promptId: otherPrompt, shared: true }, ada);
+    await request(base, 'PUT', '/api/glossary', { terms: [{ term: 'Stevenson', misspellings: ['Stephenson'] }] }, ada);
+    res = await request(base, 'POST', '/api/speakers', { name: 'Second Host' }, ada);
+    assert.equal(res.body.speaker.channelId, 'second');
+
+    res = await request(base, 'GET', '/api/prompts', undefined, ada);
+    assert.equal(res.body.library.vision.sharedActive, otherPrompt);
+    res = await request(base, 'GET', '/api/speakers', undefined, ada);
+    assert.deepEqual(res.body.speakers.map(s => s.name), ['Second Host']);
+
+    // The default channel is untouched
+    await request(base, 'PUT', '/api/settings/channel', { channelId: 'default' }, ada);
+    res = await request(base, 'GET', '/api/settings', undefined, ada);
+    assert.equal(res.body.settings.numTitles, teamSettings.numTitles);
+    res = await request(base, 'GET', '/api/prompts', undefined, ada);
+    assert.equal(res.body.library.vision.sharedActive, library.vision.sharedActive);
+    res = await request(base, 'GET', '/api/glossary', undefined, ada);
+    assert.ok(!res.body.terms.some(t => t.term === 'Stevenson'));
+    res = await request(base, 'GET', '/api/speakers', undefined, ada);
+    assert.ok(!res.body.speakers.some(s => s.name === 'Second Host'));
+
+    // ...and the other channel's speakers can't be changed from here
+    assert.equal((await request(base, 'PATCH', '/api/speakers/second-host', { name: 'Renamed' }, ada)).status, 404);
+    assert.equal((await request(base, 'DELETE', '/api/speakers/second-host', undefined, ada)).status, 404);
+    assert.equal((await request(base, 'GET', '/api/speakers/second-host/sample', undefined, ada)).status, 404);
+    await request(base, 'PUT', '/api/settings/channel', { channelId: 'second' }, ada);
+    res = await request(base, 'GET', '/api/speakers', undefined, ada);
+    assert.deepEqual(res.body.speakers.map(s => s.name), ['Second Host']);
+    await request(base, 'PUT', '/api/settings/channel', { channelId: 'default' }, ada);
+  });
+
+  test('tags projects with the channel they were uploaded on', async () => {
+    const base = server.baseUrl;
+    await request(base, 'PUT', '/api/settings/channel', { channelId: 'second' }, ada);
+
+    const init = await request(base, 'POST', '/api/upload/init', { filename: 'clip.mp4', fileSize: 4, totalChunks: 1 }, ada);
+    await request(base, 'POST', '/api/upload/chunk', Buffer.from('clip'), {
+      ...ada,
+      'x-upload-id': init.body.uploadId,
+      'x-chunk-index': '0',
+      'x-chunk-sha256': sha256('clip'),
+    });
+    const complete = await request(base, 'POST', '/api/upload/complete', {
+      uploadId: init.body.uploadId,
+      fileHash: sha256(sha256('clip')),
+    }, ada);
+
+    const { body } = await request(base, 'GET', `/api/projects/${complete.body.sessionId}`, undefined, ada);
+    assert.equal(body.summary.channelId, 'second');
+  });
+});
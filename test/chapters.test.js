@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatChapterTime, parseChapterTime, normalizeChapters, groupTranscriptBySpeaker } = require('../server/lib/chapters');
+
+test('formatChapterTime and parseChapterTime round-trip YouTube timestamps', () => {
+  assert.equal(formatChapterTime(0), '0:00');
+  assert.equal(formatChapterTime(75.9), '1:15');
+  assert.equal(formatChapterTime(3725), '1:02:05');
+  assert.equal(parseChapterTime('1:02:05'), 3725);
+  assert.equal(parseChapterTime('1:15'), 75);
+  assert.equal(parseChapterTime('soon'), null);
+});
+
+test('normalizeChapters sorts chapters and starts the first at 0:00', () => {
+  const { chapters, warnings } = normalizeChapters([
+    { start: '2:00', title: 'Second' },
+    { start: '0:05', title: 'Intro' },
+    { start: '4:00', title: 'Third' },
+  ], 300);
+
+  assert.deepEqual(chapters.map(c => c.start), [0, 120, 240]);
+  assert.deepEqual(warnings, []);
+});
+
+test('normalizeChapters drops chapters YouTube would reject as too short', () => {
+  const { chapters, warnings } = normalizeChapters([
+    { start: '0:00', title: 'Intro' },
+    { start: '0:04', title: 'Too soon' },
+    { start: '1:00', title: 'Middle' },
+    { start: '1:55', title: 'Too close to the end' },
+  ], 120);
+
+  assert.deepEqual(chapters.map(c => c.title), ['Intro', 'Middle']);
+  assert.deepEqual(warnings, ['YouTube needs at least 3 chapters']);
+});
+
+test('groupTranscriptBySpeaker merges consecutive turns and marks their start', () => {
+  const text = groupTranscriptBySpeaker([
+    { start: 0, text: 'Welcome.', speaker: 'Host' },
+    { start: 4, text: 'Thanks.', speaker: 'Guest' },
+    { start: 8, text: 'Glad to be here.', speaker: 'Guest' },
+  ]);
+
+  assert.equal(text, 'Host [0:00]:\nWelcome.\n\nGuest [0:04]:\nThanks. Glad to be here.');
+});
+
+test('groupTranscriptBySpeaker marks the time inside long turns', () => {
+  const text = groupTranscriptBySpeaker([
+    { start: 0, text: 'One.', speaker: 'Guest' },
+    { start: 30, text: 'Two.', speaker: 'Guest' },
+    { start: 65, text: 'Three.', speaker: 'Guest' },
+  ]);
+
+  assert.equal(text, 'Guest [0:00]:\nOne. Two. [1:05] Three.');
+});
+
+test('groupTranscriptBySpeaker returns an empty string for an empty transcript', () => {
+  assert.equal(groupTranscriptBySpeaker([]), '');
+});
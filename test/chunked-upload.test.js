@@ -0,0 +1,189 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { UPLOADS_DIR, startServer, sha256, request } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const sendChunk = (uploadId, index, bytes, checksum = sha256(bytes)) =>
+  request(server.baseUrl, 'POST', '/api/upload/chunk', bytes, {
+    'x-upload-id': uploadId,
+    'x-chunk-index': String(index),
+    'x-chunk-sha256': checksum,
+  });
+
+// The manifest hash is the hash of the chunk hashes, in order
+const CHUNKS = ['abcd', 'efgh', 'ijkl'].map(text => Buffer.from(text));
+const FILE_HASH = sha256(CHUNKS.map(chunk => sha256(chunk)).join(''));
+
+const complete = (uploadId, fields = {}) =>
+  request(server.baseUrl, 'POST', '/api/upload/complete', { uploadId, fileHash: FILE_HASH, ...fields });
+
+const init = (fields = {}) =>
+  request(server.baseUrl, 'POST', '/api/upload/init', {
+    filename: 'interview.mp4',
+    fileSize: 12,
+    totalChunks: 3,
+    ...fields,
+  });
+
+test('assembles chunks received out of order into the session file', async () => {
+  const chunks = [Buffer.from('abcd'), Buffer.from('efgh'), Buffer.from('ijkl')];
+  const { body: started } = await init({ lastModified: 1700000000000 });
+  assert.ok(started.uploadId);
+  assert.ok(started.sessionId);
+
+  for (const index of [2, 0, 1]) {
+    const { status, body } = await sendChunk(started.uploadId, index, CHUNKS[index]);
+    assert.equal(status, 200);
+    assert.equal(body.chunkIndex, index);
+  }
+
+  const { body: status } = await request(server.baseUrl, 'GET', `/api/upload/status/${started.uploadId}`);
+  assert.deepEqual(status.receivedChunks.sort(), [0, 1, 2]);
+  assert.equal(status.complete, true);
+
+  const { status: code, body } = await complete(started.uploadId);
+  assert.equal(code, 200);
+  assert.equal(body.filename, `${started.sessionId}.mp4`);
+  assert.equal(body.size, 12);
+  assert.equal(fs.readFileSync(path.join(UPLOADS_DIR, body.filename), 'utf8'), 'abcdefghijkl');
+  assert.equal(fs.existsSync(path.join(UPLOADS_DIR, `${started.uploadId}_chunks`)), false);
+
+  // The upload is forgotten once assembled, and a project is created for the session
+  assert.equal((await request(server.baseUrl, 'GET', `/api/upload/status/${started.uploadId}`)).status, 404);
+  const { body: project } = await request(server.baseUrl, 'GET', `/api/projects/${started.sessionId}`);
+  assert.equal(project.project.originalName, 'interview.mp4');
+});
+
+test('refuses to complete while chunks are missing', async () => {
+  const { body: started } = await init();
+  await sendChunk(started.uploadId, 1, Buffer.from('efgh'));
+
+  const { status, body } = await complete(started.uploadId);
+  assert.equal(status, 400);
+  assert.deepEqual(body.missingChunks, [0, 2]);
+  assert.equal(body.receivedChunks, 1);
+});
+
+test('rejects non-video files and incomplete init requests', async () => {
+  assert.equal((await init({ filename: 'notes.txt' })).status, 400);
+  assert.equal((await init({ totalChunks: undefined })).status, 400);
+});
+
+test('rejects chunks for unknown uploads or outside the chunk range', async () => {
+  const { body: started } = await init();
+
+  assert.equal((await sendChunk('not-an-upload', 0, Buffer.from('x'))).status, 404);
+  assert.equal((await sendChunk(started.uploadId, 3, Buffer.from('x'))).status, 400);
+  assert.equal((await sendChunk(started.uploadId, -1, Buffer.from('x'))).status, 400);
+  assert.equal((await request(server.baseUrl, 'POST', '/api/upload/chunk', Buffer.from('x'))).status, 400);
+});
+
+test('cancelling an upload removes its chunks', async () => {
+  const { body: started } = await init();
+  await sendChunk(started.uploadId, 0, Buffer.from('abcd'));
+  const chunksDir = path.join(UPLOADS_DIR, `${started.uploadId}_chunks`);
+  assert.equal(fs.existsSync(chunksDir), true);
+
+  assert.equal((await request(server.baseUrl, 'DELETE', `/api/upload/${started.uploadId}`)).status, 200);
+  assert.equal(fs.existsSync(chunksDir), false);
+  assert.equal((await complete(started.uploadId)).status, 404);
+});
+
+test('an upload resumes after the server restarts', async () => {
+  const { body: started } = await init({ lastModified: 1700000000000 });
+  await sendChunk(started.uploadId, 1, Buffer.from('efgh'));
+
+  // A fresh app with fresh route modules: nothing is left in memory
+  await server.close();
+  for (const modulePath of ['../server/app', '../server/routes/chunked-upload']) {
+    delete require.cache[require.resolve(modulePath)];
+  }
+  server = await startServer();
+
+  const { status, body } = await request(server.baseUrl, 'GET', `/api/upload/status/${started.uploadId}`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.receivedChunks, [1]);
+  assert.equal(body.complete, false);
+  assert.equal(body.filename, 'interview.mp4');
+  assert.equal(body.fileSize, 12);
+  assert.equal(body.lastModified, 1700000000000);
+  assert.equal(body.sessionId, started.sessionId);
+
+  // Only the missing chunks are sent
+  await sendChunk(started.uploadId, 0, Buffer.from('abcd'));
+  await sendChunk(started.uploadId, 2, Buffer.from('ijkl'));
+  const { body: done } = await complete(started.uploadId);
+  assert.equal(fs.readFileSync(path.join(UPLOADS_DIR, done.filename), 'utf8'), 'abcdefghijkl');
+});
+
+test('stale uploads are cleaned up from what is on disk', async () => {
+  const { cleanupStaleUploads, UPLOAD_TIMEOUT_MS } = require('../server/lib/chunked-uploads');
+  const { body: stale } = await init();
+  const { body: active } = await init();
+  await sendChunk(stale.uploadId, 0, Buffer.from('abcd'));
+  await sendChunk(active.uploadId, 0, Buffer.from('abcd'));
+
+  const lastChunk = new Date(Date.now() - UPLOAD_TIMEOUT_MS - 60 * 1000);
+  fs.utimesSync(path.join(UPLOADS_DIR, `${stale.uploadId}_chunks`, 'upload.json'), lastChunk, lastChunk);
+
+  const removed = await cleanupStaleUploads();
+  assert.ok(removed.includes(stale.uploadId));
+  assert.ok(!removed.includes(active.uploadId));
+  assert.equal(fs.existsSync(path.join(UPLOADS_DIR, `${stale.uploadId}_chunks`)), false);
+  assert.equal((await request(server.baseUrl, 'GET', `/api/upload/status/${stale.uploadId}`)).status, 404);
+  assert.equal((await request(server.baseUrl, 'GET', `/api/upload/status/${active.uploadId}`)).status, 200);
+});
+
+test('refuses chunks that fail their checksum', async () => {
+  const { body: started } = await init();
+
+  const corrupted = await sendChunk(started.uploadId, 0, Buffer.from('abcX'), sha256('abcd'));
+  assert.equal(corrupted.status, 422);
+  assert.equal(corrupted.body.chunkIndex, 0);
+  assert.equal((await sendChunk(started.uploadId, 0, Buffer.from('abcd'), 'not-a-hash')).status, 400);
+
+  const { body: status } = await request(server.baseUrl, 'GET', `/api/upload/status/${started.uploadId}`);
+  assert.deepEqual(status.receivedChunks, []);
+
+  // Sent again intact, it is accepted
+  assert.equal((await sendChunk(started.uploadId, 0, Buffer.from('abcd'))).status, 200);
+});
+
+test('checks the manifest hash and asks again for chunks that differ', async () => {
+  const { body: started } = await init();
+  await Promise.all(CHUNKS.map((chunk, index) => sendChunk(started.uploadId, index, chunk)));
+
+  // The client's hashes say chunk 1 should be different from what the server has
+  const chunkHashes = [sha256('abcd'), sha256('efgX'), sha256('ijkl')];
+  const { status, body } = await complete(started.uploadId, { fileHash: sha256(chunkHashes.join('')), chunkHashes });
+  assert.equal(status, 422);
+  assert.deepEqual(body.missingChunks, [1]);
+  assert.equal(fs.existsSync(path.join(UPLOADS_DIR, `${started.sessionId}.mp4`)), false);
+
+  const { body: after } = await request(server.baseUrl, 'GET', `/api/upload/status/${started.uploadId}`);
+  assert.deepEqual(after.receivedChunks, [0, 2]);
+
+  await sendChunk(started.uploadId, 1, CHUNKS[1]);
+  assert.equal((await complete(started.uploadId, { fileHash: 'f'.repeat(63) })).status, 400);
+  assert.equal((await complete(started.uploadId)).status, 200);
+});
+
+test('accepts uploads without checksums from browsers without Web Crypto', async () => {
+  const { body: started } = await init();
+  for (const [index, chunk] of CHUNKS.entries()) {
+    const { status } = await request(server.baseUrl, 'POST', '/api/upload/chunk', chunk, {
+      'x-upload-id': started.uploadId,
+      'x-chunk-index': String(index),
+    });
+    assert.equal(status, 200);
+  }
+
+  const { status, body } = await complete(started.uploadId, { fileHash: undefined });
+  assert.equal(status, 200, body.error);
+  assert.equal(fs.readFileSync(path.join(UPLOADS_DIR, `${started.sessionId}.mp4`), 'utf8'), 'abcdefghijkl');
+});
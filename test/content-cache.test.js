@@ -0,0 +1,199 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { UPLOADS_DIR, startServer, sha256, request, waitForJob } = require('./helpers');
+const { cacheKey, setCached, cacheFrames, pruneCache } = require('../server/lib/content-cache');
+const { getGlossary, buildTranscriptionPrompt } = require('../server/lib/glossary');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const VIDEO = Buffer.from('the same interview, uploaded again');
+
+// Upload VIDEO as a new session
+async function uploadVideo() {
+  const base = server.baseUrl;
+  const { body: started } = await request(base, 'POST', '/api/upload/init', {
+    filename: 'interview.mp4',
+    fileSize: VIDEO.length,
+    totalChunks: 1,
+  });
+  await request(base, 'POST', '/api/upload/chunk', VIDEO, {
+    'x-upload-id': started.uploadId,
+    'x-chunk-index': '0',
+    'x-chunk-sha256': sha256(VIDEO),
+  });
+  const { body } = await request(base, 'POST', '/api/upload/complete', {
+    uploadId: started.uploadId,
+    fileHash: sha256(sha256(VIDEO)),
+  });
+  return body;
+}
+
+const runJob = async (urlPath, payload) => {
+  const { body } = await request(server.baseUrl, 'POST', urlPath, payload);
+  return waitForJob(server.baseUrl, body.jobId);
+};
+
+test('uploads are fingerprinted by their content', async () => {
+  const first = await uploadVideo();
+  const second = await uploadVideo();
+  assert.notEqual(first.sessionId, second.sessionId);
+
+  const { body: project } = await request(server.baseUrl, 'GET', `/api/projects/${second.sessionId}`);
+  assert.equal(project.project.contentHash, sha256(VIDEO));
+});
+
+test('transcribing a video that was transcribed before returns the cached transcript', async () => {
+  const segments = [{ start: 0, end: 4, text: 'Welcome back.', speaker: 'Justin Wolfers' }];
+  const transcript = [{ id: 0, ...segments[0] }];
+  const glossaryPrompt = buildTranscriptionPrompt(getGlossary());
+  setCached('transcripts', cacheKey({ contentHash: sha256(VIDEO), model: 'gpt-4o-transcribe', speakerIds: [], glossaryPrompt }), {
+    success: true,
+    transcript,
+    corrections: { totalReplacements: 0, replacements: [] },
+    raw: { segments, duration: 4 },
+  });
+
+  const { sessionId, filename } = await uploadVideo();
+  const payload = { sessionId, filename, model: 'gpt-4o-transcribe', speakerIds: [] };
+  const job = await runJob('/api/transcribe', payload);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.cached, true);
+  assert.deepEqual(job.result.transcript, transcript);
+  assert.ok(job.result.cachedAt);
+
+  const { body: project } = await request(server.baseUrl, 'GET', `/api/projects/${sessionId}`);
+  assert.deepEqual(project.project.transcript, transcript);
+
+  // Another model or speaker set isn't a hit, and force skips the cache (the test video
+  // isn't a real video, so a real transcription fails)
+  assert.equal((await runJob('/api/transcribe', { ...payload, model: 'whisper-1' })).status, 'failed');
+  assert.equal((await runJob('/api/transcribe', { ...payload, speakerIds: ['justin-wolfers'] })).status, 'failed');
+  assert.equal((await runJob('/api/transcribe', { ...payload, force: true })).status, 'failed');
+});
+
+test('a cached transcript gets the current glossary, and a changed glossary prompt is a miss', async () => {
+  const base = server.baseUrl;
+  const { body: original } = await request(base, 'GET', '/api/glossary');
+
+  // Diarizing models take no prompt, so only the corrections depend on the glossary
+  const segments = [{ start: 0, end: 4, text: 'Professor Stephenson joins us.', speaker: 'Interviewer' }];
+  setCached('transcripts', cacheKey({ contentHash: sha256(VIDEO), model: 'gpt-4o-transcribe-diarize', speakerIds: [], glossaryPrompt: null }), {
+    success: true,
+    transcript: [{ id: 0, ...segments[0] }],
+    corrections: { totalReplacements: 0, replacements: [] },
+    raw: { segments, duration: 4 },
+  });
+
+  try {
+    const terms = [{ term: 'Stevenson', misspellings: ['Stephenson'] }];
+    await request(base, 'PUT', '/api/glossary', { terms });
+
+    const { sessionId, filename } = await uploadVideo();
+    const payload = { sessionId, filename, model: 'gpt-4o-transcribe-diarize', speakerIds: [] };
+    const job = await runJob('/api/transcribe', payload);
+    assert.equal(job.result.cached, true);
+    assert.equal(job.result.transcript[0].text, 'Professor Stevenson joins us.');
+    assert.equal(job.result.corrections.totalReplacements, 1);
+
+    // Models that take the glossary as a prompt hear differently once it changes
+    setCached('transcripts', cacheKey({ contentHash: sha256(VIDEO), model: 'gpt-4o-transcribe', speakerIds: [], glossaryPrompt: null }), {
+      success: true,
+      transcript: [],
+      raw: { segments: [], duration: 0 },
+    });
+    assert.equal((await runJob('/api/transcribe', { ...payload, model: 'gpt-4o-transcribe' })).status, 'failed');
+  } finally {
+    await request(base, 'PUT', '/api/glossary', { terms: original.terms });
+  }
+});
+
+test('frames extracted before are copied into the new session', async () => {
+  const sourceDir = fs.mkdtempSync(path.join(UPLOADS_DIR, 'cached-frames-'));
+  const frames = [1, 2].map(index => ({ filename: `frame_${index}.jpg`, index, timestamp: index * 2 }));
+  frames.forEach(frame => fs.writeFileSync(path.join(sourceDir, frame.filename), `image ${frame.index}`));
+  await cacheFrames(cacheKey({ contentHash: sha256(VIDEO), numFrames: 2 }), sourceDir, frames);
+
+  const { sessionId, filename } = await uploadVideo();
+  const job = await runJob('/api/extract-frames', { sessionId, filename, numFrames: 2 });
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.cached, true);
+  assert.deepEqual(job.result.frames.map(f => f.url), frames.map(f => `/uploads/${sessionId}_frames/${f.filename}`));
+  assert.equal(fs.readFileSync(path.join(UPLOADS_DIR, `${sessionId}_frames`, 'frame_2.jpg'), 'utf8'), 'image 2');
+});
+
+test('additional batches of frames skip the frames cache', async () => {
+  const sourceDir = fs.mkdtempSync(path.join(UPLOADS_DIR, 'cached-frames-'));
+  const frames = [{ filename: 'frame_1.jpg', index: 1, timestamp: 2 }];
+  fs.writeFileSync(path.join(sourceDir, 'frame_1.jpg'), 'image 1');
+  await cacheFrames(cacheKey({ contentHash: sha256(VIDEO), numFrames: 1 }), sourceDir, frames);
+
+  const { sessionId, filename } = await uploadVideo();
+  assert.equal((await runJob('/api/extract-frames', { sessionId, filename, numFrames: 1 })).result.cached, true);
+
+  // Not a real video, so extracting fresh frames fails rather than returning the cached ones
+  const more = await runJob('/api/extract-frames', { sessionId, filename, numFrames: 1, additional: true });
+  assert.notEqual(more.result?.cached, true);
+});
+
+test('ranking the same frames again uses the cached ranking unless forced', async () => {
+  const { sessionId } = await uploadVideo();
+  const framesDir = path.join(UPLOADS_DIR, `${sessionId}_frames`);
+  fs.mkdirSync(framesDir);
+  const frames = [1, 2, 3].map((index) => {
+    fs.writeFileSync(path.join(framesDir, `frame_${index}.jpg`), `frame ${index}`);
+    return { filename: `frame_${index}.jpg`, index, timestamp: index };
+  });
+
+  const first = await runJob('/api/analyze-frames', { sessionId, frames });
+  assert.equal(first.result.cached, false);
+
+  // A later upload of the same video gets the ranking without calling the vision model
+  const { sessionId: laterSession } = await uploadVideo();
+  fs.cpSync(framesDir, path.join(UPLOADS_DIR, `${laterSession}_frames`), { recursive: true });
+  const second = await runJob('/api/analyze-frames', { sessionId: laterSession, frames });
+  assert.equal(second.result.cached, true);
+  assert.deepEqual(second.result.rankedFrames, first.result.rankedFrames);
+  const { body: usage } = await request(server.baseUrl, 'GET', `/api/usage/sessions/${laterSession}`);
+  assert.equal(usage.usage.calls, 0);
+
+  const forced = await runJob('/api/analyze-frames', { sessionId: laterSession, frames, force: true });
+  assert.equal(forced.result.cached, false);
+});
+
+test('a ranking is only reused for the same frame images', async () => {
+  const { sessionId } = await uploadVideo();
+  const framesDir = path.join(UPLOADS_DIR, `${sessionId}_frames`);
+  fs.mkdirSync(framesDir);
+  const frames = [1, 2].map((index) => {
+    fs.writeFileSync(path.join(framesDir, `frame_${index}.jpg`), `picture ${index}`);
+    return { filename: `frame_${index}.jpg`, index, timestamp: index };
+  });
+  assert.equal((await runJob('/api/analyze-frames', { sessionId, frames })).result.cached, false);
+  assert.equal((await runJob('/api/analyze-frames', { sessionId, frames })).result.cached, true);
+
+  // Extracted again: same filenames, other pictures
+  fs.writeFileSync(path.join(framesDir, 'frame_2.jpg'), 'another picture');
+  assert.equal((await runJob('/api/analyze-frames', { sessionId, frames })).result.cached, false);
+
+  // A forced ranking replaces the cached one
+  const forced = await runJob('/api/analyze-frames', { sessionId, frames, force: true });
+  const next = await runJob('/api/analyze-frames', { sessionId, frames });
+  assert.equal(next.result.cached, true);
+  assert.ok(next.result.cachedAt >= forced.createdAt);
+});
+
+test('entries unused for too long are pruned', () => {
+  const key = cacheKey({ contentHash: 'old-video', model: 'gpt-4o-transcribe', speakerIds: [] });
+  setCached('transcripts', key, { transcript: [] });
+  assert.equal(pruneCache(60 * 1000), 0);
+
+  const entry = path.join(process.env.DATA_DIR, 'cache', 'transcripts', `${key}.json`);
+  const longAgo = new Date(Date.now() - 2 * 60 * 1000);
+  fs.utimesSync(entry, longAgo, longAgo);
+  assert.ok(pruneCache(60 * 1000) >= 1);
+  assert.equal(fs.existsSync(entry), false);
+});
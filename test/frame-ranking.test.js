@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractRankedFrames } = require('../server/lib/frame-ranking');
+
+test('extractRankedFrames reads the RANKING line', () => {
+  const text = 'Frame 2 has the best expression.\n\nRANKING: 3, 1, 2, 4';
+  assert.deepEqual(extractRankedFrames(text, 3, 4), [3, 1, 2]);
+});
+
+test('extractRankedFrames drops duplicates and out-of-range frames from the ranking', () => {
+  const text = 'RANKING: 5, 5, 30, 2, 0, 1';
+  assert.deepEqual(extractRankedFrames(text, 3, 24), [5, 2, 1]);
+});
+
+test('extractRankedFrames falls back to any frame numbers in the reply', () => {
+  const text = 'The best are frame 7 and frame 3; frame 7 again, then 12.';
+  assert.deepEqual(extractRankedFrames(text, 4, 24), [7, 3, 12]);
+});
+
+test('extractRankedFrames falls back when the ranking line is too short', () => {
+  const text = 'Frame 4 is sharp, frame 9 is fine.\nRANKING: 4';
+  assert.deepEqual(extractRankedFrames(text, 2, 24), [4, 9]);
+});
+
+test('extractRankedFrames returns the first frames when the reply has no numbers', () => {
+  assert.deepEqual(extractRankedFrames('I cannot rank these.', 3, 24), [1, 2, 3]);
+});
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+
+/**
+ * Test harness
+ * Each test file runs in its own process (node --test), so requiring this first points the
+ * app at scratch copies of the data files and an empty uploads directory, and swaps the AI
+ * provider for the offline fake (lib/providers/fake.js). Requests sign in with the shared
+ * API key unless they pass their own X-API-Key or Cookie header. Set TEST_VERBOSE=true to see
+ * the server's logging.
+ */
+const SERVER_DIR = path.join(__dirname, '../server');
+const DATA_FILES = ['settings.json', 'prompts-library.json', 'speakers.json', 'glossary.json', 'validation-rules.json', 'pricing.json', 'channels.json'];
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'algo-whisperer-test-'));
+const DATA_DIR = path.join(TMP_DIR, 'data');
+const UPLOADS_DIR = path.join(TMP_DIR, 'uploads');
+const FIXTURES_DIR = path.join(TMP_DIR, 'fixtures');
+
+for (const dir of [DATA_DIR, UPLOADS_DIR, FIXTURES_DIR]) {
+  fs.mkdirSync(dir);
+}
+for (const file of DATA_FILES) {
+  fs.copyFileSync(path.join(SERVER_DIR, file), path.join(DATA_DIR, file));
+}
+fs.cpSync(path.join(SERVER_DIR, 'samples'), path.join(DATA_DIR, 'samples'), { recursive: true });
+
+process.env.DATA_DIR = DATA_DIR;
+process.env.UPLOADS_DIR = UPLOADS_DIR;
+process.env.AI_PROVIDER = 'fake';
+process.env.DISABLE_RATE_LIMIT = 'true';
+
+const API_KEY = 'test-api-key';
+process.env.API_SECRET = API_KEY;
+
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {};
+}
+
+process.on('exit', () => {
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Boot the app on a free port
+ * @returns {Promise<Object>} - { baseUrl, close() }
+ */
+function startServer() {
+  const app = require('../server/app');
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Hex SHA-256, as the chunked upload API wants for chunks and files
+ * @param {Buffer|string} data
+ * @returns {string}
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Call the API
+ * @param {string} baseUrl
+ * @param {string} method
+ * @param {string} urlPath - e.g. /api/settings
+ * @param {Object|Buffer} [body] - JSON body, or raw bytes (sent as application/octet-stream)
+ * @param {Object} [headers] - Pass a Cookie, or X-API-Key: '' to call without signing in
+ * @returns {Promise<Object>} - { status, headers, body } (body parsed as JSON when possible)
+ */
+async function request(baseUrl, method, urlPath, body, headers = {}) {
+  const signedIn = headers.Cookie !== undefined || headers['X-API-Key'] !== undefined;
+  const options = { method, headers: signedIn ? { ...headers } : { 'X-API-Key': API_KEY, ...headers }, redirect: 'manual' };
+  if (Buffer.isBuffer(body)) {
+    options.headers['Content-Type'] = 'application/octet-stream';
+    options.body = body;
+  } else if (body !== undefined) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+
+  const response = await fetch(`${baseUrl}${urlPath}`, options);
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Not JSON (e.g. an event stream) - leave as text
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+/**
+ * Poll a background job until it finishes
+ * @param {string} baseUrl
+ * @param {string} jobId
+ * @param {number} [timeoutMs=30000]
+ * @returns {Promise<Object>} - The finished job (status 'completed' or 'failed')
+ */
+async function waitForJob(baseUrl, jobId, timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { body } = await request(baseUrl, 'GET', `/api/jobs/${jobId}`);
+    if (body.job && (body.job.status === 'completed' || body.job.status === 'failed')) {
+      return body.job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+// ffmpeg and ffprobe are needed for audio extraction and frame extraction
+const hasFfmpeg = ['ffmpeg', 'ffprobe'].every(command => spawnSync(command, ['-version']).status === 0);
+
+/**
+ * Generate a short synthetic video (test pattern with a sine tone)
+ * @param {string} [name='fixture.mp4']
+ * @param {number} [seconds=6]
+ * @returns {string} - Path to the video
+ */
+function makeVideoFixture(name = 'fixture.mp4', seconds = 6) {
+  const output = path.join(FIXTURES_DIR, name);
+  execFileSync('ffmpeg', [
+    '-y', '-loglevel', 'error',
+    '-f', 'lavfi', '-i', `testsrc=duration=${seconds}:size=320x240:rate=10`,
+    '-f', 'lavfi', '-i', `sine=frequency=440:duration=${seconds}`,
+    '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-shortest',
+    output,
+  ]);
+  return output;
+}
+
+/**
+ * Generate a short synthetic audio file (sine tone)
+ * @param {string} [name='fixture.mp3']
+ * @param {number} [seconds=6]
+ * @returns {string} - Path to the audio
+ */
+function makeAudioFixture(name = 'fixture.mp3', seconds = 6) {
+  const output = path.join(FIXTURES_DIR, name);
+  execFileSync('ffmpeg', [
+    '-y', '-loglevel', 'error',
+    '-f', 'lavfi', '-i', `sine=frequency=440:duration=${seconds}`,
+    '-c:a', 'libmp3lame', output,
+  ]);
+  return output;
+}
+
+module.exports = {
+  API_KEY,
+  DATA_DIR,
+  UPLOADS_DIR,
+  FIXTURES_DIR,
+  hasFfmpeg,
+  startServer,
+  sha256,
+  request,
+  waitForJob,
+  makeVideoFixture,
+  makeAudioFixture,
+};
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createArrayItemParser } = require('../server/lib/json-stream');
+
+test('reports array items as they complete, whatever the chunk boundaries', () => {
+  const json = JSON.stringify({
+    titles: ['First "quoted" title', 'Second, with a \\ backslash'],
+    chapters: [{ start: '0:00', title: 'Intro' }],
+    tags: ['ignored'],
+    thumbnailTitles: ['Thumb'],
+  });
+
+  const items = [];
+  const parser = createArrayItemParser(['titles', 'thumbnailTitles'], (field, index, value) => {
+    items.push([field, index, value]);
+  });
+  for (let i = 0; i < json.length; i += 7) {
+    parser.push(json.slice(i, i + 7));
+  }
+
+  assert.deepEqual(items, [
+    ['titles', 0, 'First "quoted" title'],
+    ['titles', 1, 'Second, with a \\ backslash'],
+    ['thumbnailTitles', 0, 'Thumb'],
+  ]);
+});
@@ -0,0 +1,168 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, startServer, request } = require('./helpers');
+const { USERS_PATH, hasRole, roleOf, migrateLegacyRoles, createUser, getUser, deleteUser } = require('../server/lib/users');
+const { createProject, saveProjectState } = require('../server/lib/projects');
+
+const FINISHED_ID = '11111111-1111-4111-8111-111111111111';
+const UNFINISHED_ID = '22222222-2222-4222-8222-222222222222';
+
+const prompt = (name) => ({ name, system_prompt: 'You pick YouTube thumbnails.', analysis_prompt: 'Rank the frames.' });
+
+test('orders roles from viewer to admin', () => {
+  assert.equal(hasRole('admin', 'editor'), true);
+  assert.equal(hasRole('editor', 'editor'), true);
+  assert.equal(hasRole('viewer', 'editor'), false);
+  assert.equal(hasRole('editor', 'admin'), false);
+});
+
+test('gives accounts without a valid role the least access', () => {
+  assert.equal(roleOf({ username: 'old' }), 'viewer');
+  assert.equal(roleOf({ username: 'odd', role: 'superuser' }), 'viewer');
+  assert.equal(roleOf({ username: 'new', role: 'editor' }), 'editor');
+});
+
+test('promotes accounts from before roles to admin once', () => {
+  createUser('legacy', 'legacy-password');
+  createUser('malformed', 'malformed-password');
+  const file = JSON.parse(fs.readFileSync(USERS_PATH, 'utf8'));
+  delete file.users.legacy.role;
+  file.users.malformed.role = 'superuser';
+  fs.writeFileSync(USERS_PATH, JSON.stringify(file));
+
+  try {
+    assert.deepEqual(migrateLegacyRoles(), ['legacy']);
+    assert.equal(roleOf(getUser('legacy')), 'admin');
+    assert.equal(roleOf(getUser('malformed')), 'viewer');
+    assert.deepEqual(migrateLegacyRoles(), []);
+  } finally {
+    deleteUser('legacy');
+    deleteUser('malformed');
+  }
+});
+
+describe('roles', () => {
+  let server;
+  const as = {};
+
+  before(async () => {
+    server = await startServer();
+
+    // The API key acts as an admin
+    for (const [username, role] of [['ada', 'admin'], ['eddie', 'editor'], ['erin', 'editor'], ['vera', 'viewer']]) {
+      await request(server.baseUrl, 'POST', '/api/users', { username, password: `${username}-password`, role });
+      const login = await request(server.baseUrl, 'POST', '/api/auth/login', { username, password: `${username}-password` }, { 'X-API-Key': '' });
+      as[username] = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+    }
+
+    createProject(FINISHED_ID, { filename: `${FINISHED_ID}.mp4`, originalName: 'finished.mp4' });
+    saveProjectState(FINISHED_ID, { metadata: { data: { titles: ['A title'] } } });
+    createProject(UNFINISHED_ID, { filename: `${UNFINISHED_ID}.mp4`, originalName: 'unfinished.mp4' });
+  });
+  after(() => server.close());
+
+  test('viewers read finished projects and nothing runs', async () => {
+    const base = server.baseUrl;
+
+    let res = await request(base, 'GET', '/api/projects', undefined, as.vera);
+    assert.deepEqual(res.body.projects.map(p => p.sessionId), [FINISHED_ID]);
+    assert.equal((await request(base, 'GET', `/api/projects/${FINISHED_ID}`, undefined, as.vera)).status, 200);
+    assert.equal((await request(base, 'GET', `/api/projects/${UNFINISHED_ID}`, undefined, as.vera)).status, 404);
+
+    res = await request(base, 'GET', '/api/projects', undefined, as.eddie);
+    assert.equal(res.body.projects.length, 2);
+
+    res = await request(base, 'POST', '/api/generate', { transcript: [{ start: 0, end: 1, text: 'Hi' }] }, as.vera);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.isPermissionError, true);
+    assert.equal((await request(base, 'POST', '/api/upload/init', { filename: 'a.mp4', fileSize: 1, totalChunks: 1 }, as.vera)).status, 403);
+    assert.equal((await request(base, 'PATCH', `/api/projects/${FINISHED_ID}`, { name: 'Renamed' }, as.vera)).status, 403);
+    assert.equal((await request(base, 'DELETE', `/api/projects/${FINISHED_ID}`, undefined, as.vera)).status, 403);
+    assert.equal((await request(base, 'POST', '/api/settings', { numTitles: 3 }, as.vera)).status, 403);
+  });
+
+  test('editors keep personal prompts and cannot touch shared ones', async () => {
+    const base = server.baseUrl;
+
+    let res = await request(base, 'POST', '/api/prompts/vision', { id: 'eddies', prompt: { ...prompt('Eddie'), owner: 'ada' } }, as.eddie);
+    assert.equal(res.status, 200);
+    const stored = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'prompts-library.json'), 'utf8'));
+    assert.equal(stored.vision.prompts.eddies.owner, 'eddie');
+
+    res = await request(base, 'GET', '/api/prompts/vision', undefined, as.erin);
+    assert.equal(res.body.prompts.eddies, undefined);
+    assert.equal((await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'eddies' }, as.erin)).status, 404);
+
+    assert.equal((await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'eddies' }, as.eddie)).status, 200);
+    res = await request(base, 'PUT', '/api/prompts/vision/eddies', { prompt: prompt('Eddie v2') }, as.eddie);
+    assert.equal(res.status, 200);
+    res = await request(base, 'GET', '/api/prompts/vision', undefined, as.eddie);
+    assert.equal(res.body.active, 'eddies');
+    assert.equal(res.body.prompts.eddies.owner, 'eddie');
+
+    res = await request(base, 'PUT', '/api/prompts/vision/default', { prompt: prompt('Hijacked') }, as.eddie);
+    assert.equal(res.status, 403);
+    assert.equal((await request(base, 'DELETE', '/api/prompts/vision/default', undefined, as.eddie)).status, 403);
+    assert.equal((await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'default', shared: true }, as.eddie)).status, 403);
+
+    // Personal prompts can't become the team default
+    res = await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'eddies', shared: true }, as.ada);
+    assert.equal(res.status, 404);
+
+    assert.equal((await request(base, 'DELETE', '/api/prompts/vision/eddies', undefined, as.eddie)).status, 200);
+  });
+
+  test('admins manage shared prompts, settings, pricing and cleanup', async () => {
+    const base = server.baseUrl;
+    const shared = (await request(base, 'GET', '/api/settings')).body.settings;
+
+    let res = await request(base, 'POST', '/api/settings', { ...shared, monthlyBudget: 10 }, as.eddie);
+    assert.equal(res.status, 403);
+    res = await request(base, 'POST', '/api/settings', { ...shared, numTitles: 4 }, as.eddie);
+    assert.equal(res.status, 200);
+
+    assert.equal((await request(base, 'POST', '/api/settings/shared', { ...shared, numTitles: 30 }, as.eddie)).status, 403);
+    res = await request(base, 'POST', '/api/settings/shared', { ...shared, numTitles: 30 }, as.ada);
+    assert.equal(res.status, 200);
+    assert.equal((await request(base, 'GET', '/api/settings', undefined, as.erin)).body.settings.numTitles, 30);
+    assert.equal((await request(base, 'GET', '/api/settings', undefined, as.eddie)).body.settings.numTitles, 4);
+
+    res = await request(base, 'POST', '/api/prompts/vision', { id: 'team', prompt: prompt('Team') }, as.ada);
+    assert.equal(res.status, 200);
+    res = await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'team', shared: true }, as.ada);
+    assert.equal(res.status, 200);
+    assert.equal((await request(base, 'GET', '/api/prompts/vision', undefined, as.vera)).body.active, 'team');
+
+    for (const [method, urlPath, body] of [
+      ['POST', '/api/uploads/cleanup', { maxAgeHours: 24 }],
+      ['PUT', '/api/glossary', { terms: [] }],
+      ['PUT', '/api/usage/pricing', { pricing: { models: {} } }],
+      ['GET', '/api/users'],
+      ['DELETE', `/api/projects/${UNFINISHED_ID}`],
+    ]) {
+      assert.equal((await request(base, method, urlPath, body, as.eddie)).status, 403, `${method} ${urlPath}`);
+    }
+    assert.equal((await request(base, 'POST', '/api/uploads/cleanup', { maxAgeHours: 24 }, as.ada)).status, 200);
+    const doomed = '33333333-3333-4333-8333-333333333333';
+    createProject(doomed, { filename: `${doomed}.mp4`, originalName: 'doomed.mp4' });
+    assert.equal((await request(base, 'DELETE', `/api/projects/${doomed}`, undefined, as.ada)).status, 200);
+
+    await request(base, 'POST', '/api/settings/shared', shared);
+  });
+
+  test('admins change roles, but not their own', async () => {
+    const base = server.baseUrl;
+
+    let res = await request(base, 'PUT', '/api/users/vera', { role: 'editor' }, as.ada);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.role, 'editor');
+    assert.equal((await request(base, 'GET', '/api/projects', undefined, as.vera)).body.projects.length, 2);
+
+    res = await request(base, 'PUT', '/api/users/ada', { role: 'viewer' }, as.ada);
+    assert.equal(res.status, 400);
+    res = await request(base, 'PUT', '/api/users/vera', { role: 'owner' }, as.ada);
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,310 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { UPLOADS_DIR, hasFfmpeg, startServer, sha256, request, waitForJob, makeVideoFixture, makeAudioFixture } = require('./helpers');
+
+// upload -> transcribe -> generate -> extract/analyze frames, with the fake AI provider
+// Steps that run ffmpeg are skipped when it isn't installed
+const needsFfmpeg = hasFfmpeg ? {} : { skip: 'ffmpeg is not installed' };
+
+const SETTINGS = { numTitles: 4, numDescriptions: 2, numThumbnailTitles: 3, numTags: 8, numHashtags: 2, chatModel: 'gpt-4o' };
+
+const TRANSCRIPT = [
+  { id: 0, start: 0, end: 15, text: 'Welcome back to the show.', speaker: 'Interviewer' },
+  { id: 1, start: 15, end: 30, text: 'The jobs report came in strong.', speaker: 'Justin Wolfers' },
+  { id: 2, start: 30, end: 60, text: 'What does it mean for the Fed?', speaker: 'Interviewer' },
+];
+
+// Parse a Server-Sent Events body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+// Write placeholder frame images, as the extract-frames job would
+function writeFrames(sessionId, count) {
+  const framesDir = path.join(UPLOADS_DIR, `${sessionId}_frames`);
+  fs.mkdirSync(framesDir, { recursive: true });
+  return Array.from({ length: count }, (_, i) => {
+    const filename = `frame_${String(i + 1).padStart(3, '0')}.jpg`;
+    fs.writeFileSync(path.join(framesDir, filename), Buffer.from(`frame ${i + 1}`));
+    return { filename, index: i + 1, timestamp: i * 2 };
+  });
+}
+
+// Upload a file in chunks, as the browser does
+async function uploadFile(baseUrl, filePath, chunkSize = 64 * 1024) {
+  const bytes = fs.readFileSync(filePath);
+  const totalChunks = Math.ceil(bytes.length / chunkSize);
+  const { body: started } = await request(baseUrl, 'POST', '/api/upload/init', {
+    filename: path.basename(filePath),
+    fileSize: bytes.length,
+    totalChunks,
+  });
+
+  const chunkHashes = [];
+  for (let i = 0; i < totalChunks; i++) {
+    const chunk = bytes.subarray(i * chunkSize, (i + 1) * chunkSize);
+    chunkHashes.push(sha256(chunk));
+    await request(baseUrl, 'POST', '/api/upload/chunk', chunk, {
+      'x-upload-id': started.uploadId,
+      'x-chunk-index': String(i),
+      'x-chunk-sha256': chunkHashes[i],
+    });
+  }
+
+  const { body } = await request(baseUrl, 'POST', '/api/upload/complete', {
+    uploadId: started.uploadId,
+    fileHash: sha256(chunkHashes.join('')),
+  });
+  return body;
+}
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+describe('metadata generation', () => {
+  test('returns the requested number of items, chapters and tags', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/generate', {
+      transcript: TRANSCRIPT,
+      settings: SETTINGS,
+      sessionId: uuidv4(),
+    });
+
+    assert.equal(status, 200);
+    const { metadata } = body;
+    assert.equal(metadata.titles.length, 4);
+    assert.equal(metadata.descriptions.length, 2);
+    assert.equal(metadata.thumbnailTitles.length, 3);
+    assert.equal(metadata.tags.length, 8);
+    assert.equal(metadata.hashtags.length, 2);
+    assert.deepEqual(metadata.chapters.map(c => c.start), [0, 20, 40]);
+    assert.equal(metadata.promptVersion.promptId, 'default');
+    assert.equal(metadata.promptVersion.version, 1);
+    assert.ok(body.responseId);
+  });
+
+  test('streams items as they are generated, then the same result', async () => {
+    const payload = { transcript: TRANSCRIPT, settings: SETTINGS };
+    const { headers, body } = await request(server.baseUrl, 'POST', '/api/generate', { ...payload, stream: true });
+
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+    const events = parseEvents(body);
+    const items = events.filter(e => e.event === 'item').map(e => e.data);
+    const done = events.find(e => e.event === 'done').data;
+
+    assert.equal(items.filter(i => i.field === 'titles').length, 4);
+    assert.deepEqual(items.filter(i => i.field === 'titles').map(i => i.value), done.metadata.titles);
+
+    const { body: plain } = await request(server.baseUrl, 'POST', '/api/generate', payload);
+    assert.deepEqual(done.metadata, plain.metadata);
+  });
+
+  test('requires a transcript', async () => {
+    const { status } = await request(server.baseUrl, 'POST', '/api/generate', { settings: SETTINGS });
+    assert.equal(status, 400);
+  });
+
+  test('compares prompts on the same transcript and tallies votes', async () => {
+    const base = server.baseUrl;
+    const { body: library } = await request(base, 'GET', '/api/prompts/metadata');
+    await request(base, 'POST', '/api/prompts/metadata', { id: 'punchy', prompt: { ...library.prompts.default, name: 'Punchy' } });
+
+    const compare = [{ promptId: 'default' }, { promptId: 'punchy', chatModel: 'gpt-4o-mini' }];
+    let res = await request(base, 'POST', '/api/generate', { transcript: TRANSCRIPT, settings: SETTINGS, compare });
+    assert.equal(res.status, 200);
+    const { comparisonId, results } = res.body;
+    assert.deepEqual(results.map(r => [r.promptId, r.model]), [['default', 'gpt-4o'], ['punchy', 'gpt-4o-mini']]);
+    assert.equal(results[1].metadata.titles.length, 4);
+    assert.equal(results[1].metadata.promptVersion.promptId, 'punchy');
+
+    assert.equal((await request(base, 'POST', `/api/generate/compare/${comparisonId}/vote`, { winner: 2 })).status, 400);
+    res = await request(base, 'POST', `/api/generate/compare/${comparisonId}/vote`, { winner: 1 });
+    assert.deepEqual(res.body.tallies, {
+      default: { wins: 0, losses: 1, comparisons: 1 },
+      punchy: { wins: 1, losses: 0, comparisons: 1 },
+    });
+    assert.equal((await request(base, 'POST', `/api/generate/compare/${comparisonId}/vote`, { winner: 0 })).status, 400);
+
+    res = await request(base, 'GET', '/api/prompts/metadata/tallies');
+    assert.equal(res.body.tallies.punchy.wins, 1);
+  });
+
+  test('refuses comparisons of a single or unknown prompt', async () => {
+    const base = server.baseUrl;
+    let res = await request(base, 'POST', '/api/generate', { transcript: TRANSCRIPT, compare: [{ promptId: 'default' }] });
+    assert.equal(res.status, 400);
+    res = await request(base, 'POST', '/api/generate', { transcript: TRANSCRIPT, compare: [{ promptId: 'default' }, { promptId: 'nope' }] });
+    assert.equal(res.status, 404);
+    res = await request(base, 'POST', '/api/generate', { transcript: TRANSCRIPT, compare: [{ promptId: 'default' }, { promptId: 'constructor' }] });
+    assert.equal(res.status, 404);
+  });
+
+  test('counts a comparison against the AI rate limit once per prompt', async () => {
+    const compare = [{ promptId: 'default' }, { promptId: 'default', chatModel: 'gpt-4o-mini' }, { promptId: 'punchy' }, { promptId: 'punchy', chatModel: 'gpt-4o-mini' }];
+    const compareAll = () => request(server.baseUrl, 'POST', '/api/generate', { transcript: TRANSCRIPT, settings: SETTINGS, compare });
+
+    process.env.DISABLE_RATE_LIMIT = 'false';
+    try {
+      // Each request also counts once against the general API limit, which shares the count
+      assert.equal((await compareAll()).status, 200);
+      assert.equal((await compareAll()).status, 200);
+      const res = await compareAll();
+      assert.equal(res.status, 429);
+      assert.equal(res.body.error, 'Too many AI requests, please wait before trying again');
+    } finally {
+      process.env.DISABLE_RATE_LIMIT = 'true';
+    }
+  });
+});
+
+describe('frame analysis', () => {
+  test('ranks the frames sent to the vision model', async () => {
+    const sessionId = uuidv4();
+    const frames = writeFrames(sessionId, 5);
+
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/analyze-frames', { sessionId, frames });
+    assert.equal(status, 202);
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result.rankedFrames.map(f => f.filename), frames.map(f => f.filename));
+    assert.match(job.result.analysis, /RANKING: 1, 2, 3, 4, 5/);
+  });
+
+  test('fails the job when a frame is missing', async () => {
+    const sessionId = uuidv4();
+    const { body } = await request(server.baseUrl, 'POST', '/api/analyze-frames', {
+      sessionId,
+      frames: [{ filename: 'frame_001.jpg', index: 1 }],
+    });
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.status, 'failed');
+  });
+
+  test('rejects an invalid session ID', async () => {
+    const { status } = await request(server.baseUrl, 'POST', '/api/analyze-frames', {
+      sessionId: '../etc',
+      frames: [{ filename: 'frame_001.jpg', index: 1 }],
+    });
+    assert.equal(status, 400);
+  });
+});
+
+describe('full pipeline on a synthetic video', needsFfmpeg, () => {
+  test('upload, transcribe, generate, extract and rank frames', async () => {
+    const base = server.baseUrl;
+
+    const video = makeVideoFixture('interview.mp4', 6);
+    const uploaded = await uploadFile(base, video);
+    assert.equal(uploaded.success, true);
+    const { sessionId, filename } = uploaded;
+
+    let { body } = await request(base, 'POST', '/api/transcribe', { sessionId, filename });
+    const transcription = await waitForJob(base, body.jobId);
+    assert.equal(transcription.status, 'completed', transcription.error?.error);
+    const { transcript } = transcription.result;
+    assert.ok(transcript.length > 0);
+    assert.deepEqual([...new Set(transcript.map(s => s.speaker))], ['Justin Wolfers', 'Betsey Stevenson']);
+
+    ({ body } = await request(base, 'POST', '/api/generate', { transcript, settings: SETTINGS, sessionId }));
+    assert.equal(body.metadata.titles.length, 4);
+
+    ({ body } = await request(base, 'POST', '/api/extract-frames', { sessionId, filename, numFrames: 4 }));
+    const extraction = await waitForJob(base, body.jobId);
+    assert.equal(extraction.status, 'completed', extraction.error?.error);
+    const { frames } = extraction.result;
+    assert.equal(frames.length, 4);
+
+    ({ body } = await request(base, 'POST', '/api/analyze-frames', { sessionId, frames }));
+    const analysis = await waitForJob(base, body.jobId);
+    assert.equal(analysis.status, 'completed');
+    assert.equal(analysis.result.rankedFrames.length, 4);
+
+    const { body: project } = await request(base, 'GET', `/api/projects/${sessionId}`);
+    assert.equal(project.project.transcript.length, transcript.length);
+
+    // Uploading the same video again reuses the transcript and frames
+    const again = await uploadFile(base, video);
+    ({ body } = await request(base, 'POST', '/api/transcribe', { sessionId: again.sessionId, filename: again.filename }));
+    const cachedTranscription = await waitForJob(base, body.jobId);
+    assert.equal(cachedTranscription.result.cached, true);
+    assert.deepEqual(cachedTranscription.result.transcript, transcript);
+
+    ({ body } = await request(base, 'POST', '/api/extract-frames', { sessionId: again.sessionId, filename: again.filename, numFrames: 4 }));
+    const cachedExtraction = await waitForJob(base, body.jobId);
+    assert.equal(cachedExtraction.result.cached, true);
+    assert.equal(cachedExtraction.result.frames.length, 4);
+
+    // "Load more" extracts new frames every time
+    const timestamps = [];
+    for (let batch = 0; batch < 2; batch++) {
+      ({ body } = await request(base, 'POST', '/api/extract-frames', { sessionId, filename, numFrames: 4, additional: true }));
+      const more = await waitForJob(base, body.jobId);
+      assert.equal(more.result.cached, false);
+      timestamps.push(more.result.frames.map(f => f.timestamp));
+    }
+    assert.notDeepEqual(timestamps[0], timestamps[1]);
+  });
+
+  test('makes a playable copy of an MKV upload and leaves browser-ready MP4s alone', async () => {
+    const base = server.baseUrl;
+
+    const mkv = await uploadFile(base, makeVideoFixture('interview.mkv', 3));
+    const transcoded = await waitForJob(base, mkv.proxyJobId, 60000);
+    assert.equal(transcoded.status, 'completed', transcoded.error?.error);
+    assert.equal(transcoded.result.proxy.status, 'ready');
+    assert.equal(transcoded.result.proxy.filename, `${mkv.sessionId}_proxy.mp4`);
+    assert.ok(fs.statSync(path.join(UPLOADS_DIR, transcoded.result.proxy.filename)).size > 0);
+
+    // Processing keeps using the original
+    const { body: opened } = await request(base, 'GET', `/api/projects/${mkv.sessionId}`);
+    assert.equal(opened.project.filename, mkv.filename);
+    assert.equal(opened.project.proxy.status, 'ready');
+
+    const mp4 = await uploadFile(base, makeVideoFixture('ready.mp4', 3));
+    const checked = await waitForJob(base, mp4.proxyJobId);
+    assert.equal(checked.result.proxy.status, 'not_needed');
+    assert.deepEqual(checked.result.proxy.codecs, { video: 'h264', audio: 'aac' });
+    assert.equal(fs.existsSync(path.join(UPLOADS_DIR, `${mp4.sessionId}_proxy.mp4`)), false);
+  });
+
+  test('transcribes an audio file as it is and draws its waveform', async () => {
+    const base = server.baseUrl;
+    const uploaded = await uploadFile(base, makeAudioFixture('episode.mp3', 6));
+    assert.equal(uploaded.mediaType, 'audio');
+    const { sessionId, filename } = uploaded;
+
+    const { body } = await request(base, 'POST', '/api/transcribe', { sessionId, filename });
+    const transcription = await waitForJob(base, body.jobId);
+    assert.equal(transcription.status, 'completed', transcription.error?.error);
+    assert.ok(transcription.result.transcript.length > 0);
+    assert.ok(fs.existsSync(path.join(UPLOADS_DIR, filename)), 'the upload itself is not cleaned up');
+
+    const { status, body: waveform } = await request(base, 'GET', `/api/projects/${sessionId}/waveform`);
+    assert.equal(status, 200);
+    assert.ok(Math.abs(waveform.duration - 6) < 0.5);
+    assert.equal(waveform.peaks.length, 1000);
+    assert.ok(waveform.peaks.some(peak => peak > 0.1));
+  });
+
+  test('trims an uploaded voice sample', async () => {
+    const sample = fs.readFileSync(makeAudioFixture('voice.mp3', 8));
+    const form = new FormData();
+    form.append('sample', new Blob([sample], { type: 'audio/mpeg' }), 'voice.mp3');
+    form.append('duration', '5');
+
+    const response = await fetch(`${server.baseUrl}/api/speakers/justin-wolfers/sample`, { method: 'POST', body: form });
+    const body = await response.json();
+
+    assert.equal(response.status, 200, body.error);
+    assert.ok(Math.abs(body.speaker.sampleDuration - 5) < 0.5);
+  });
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sha256, request, waitForJob } = require('./helpers');
+const { isBrowserPlayable } = require('../server/lib/playback');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+// Upload a file as a single chunk
+async function uploadChunked(filename, bytes) {
+  const base = server.baseUrl;
+  const { body: started } = await request(base, 'POST', '/api/upload/init', {
+    filename,
+    fileSize: bytes.length,
+    totalChunks: 1,
+  });
+  await request(base, 'POST', '/api/upload/chunk', bytes, {
+    'x-upload-id': started.uploadId,
+    'x-chunk-index': '0',
+    'x-chunk-sha256': sha256(bytes),
+  });
+  const { body } = await request(base, 'POST', '/api/upload/complete', {
+    uploadId: started.uploadId,
+    fileHash: sha256(sha256(bytes)),
+  });
+  return body;
+}
+
+test('isBrowserPlayable goes by container and codecs', () => {
+  assert.equal(isBrowserPlayable('talk.mp4', { videoCodec: 'h264', audioCodec: 'aac' }), true);
+  assert.equal(isBrowserPlayable('talk.MOV', { videoCodec: 'h264', audioCodec: 'aac' }), true);
+  assert.equal(isBrowserPlayable('talk.webm', { videoCodec: 'vp9', audioCodec: 'opus' }), true);
+  assert.equal(isBrowserPlayable('silent.mp4', { videoCodec: 'h264', audioCodec: null }), true);
+
+  // Containers browsers don't read, whatever is inside
+  assert.equal(isBrowserPlayable('talk.mkv', { videoCodec: 'h264', audioCodec: 'aac' }), false);
+  assert.equal(isBrowserPlayable('talk.avi', { videoCodec: 'h264', audioCodec: 'mp3' }), false);
+
+  // Codecs browsers don't decode
+  assert.equal(isBrowserPlayable('camera.mov', { videoCodec: 'prores', audioCodec: 'pcm_s16le' }), false);
+  assert.equal(isBrowserPlayable('phone.mov', { videoCodec: 'hevc', audioCodec: 'aac' }), false);
+  assert.equal(isBrowserPlayable('talk.mp4', { videoCodec: 'h264', audioCodec: 'ac3' }), false);
+});
+
+test('video uploads are checked for playback in the background', async () => {
+  // Not a real video, so probing fails - the upload itself still succeeds
+  const uploaded = await uploadChunked('interview.mkv', Buffer.from('not really a matroska file'));
+  assert.equal(uploaded.success, true);
+  assert.ok(uploaded.proxyJobId);
+
+  const job = await waitForJob(server.baseUrl, uploaded.proxyJobId);
+  assert.equal(job.type, 'proxy');
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error.error, 'Could not make a playable copy of this video');
+
+  const { body } = await request(server.baseUrl, 'GET', `/api/projects/${uploaded.sessionId}`);
+  assert.equal(body.project.proxy.status, 'failed');
+});
+
+test('audio uploads need no playable copy', async () => {
+  const uploaded = await uploadChunked('episode.mp3', Buffer.from('an audio file'));
+  assert.equal(uploaded.proxyJobId, null);
+
+  const { body } = await request(server.baseUrl, 'GET', `/api/projects/${uploaded.sessionId}`);
+  assert.equal(body.project.proxy, null);
+});
@@ -0,0 +1,217 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request } = require('./helpers');
+const { diffLines } = require('../server/lib/prompt-versions');
+
+const visionPrompt = (name) => ({
+  name,
+  system_prompt: 'You pick YouTube thumbnails.',
+  analysis_prompt: 'Rank the frames.',
+});
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+test('lists the prompt library by type', async () => {
+  const { status, body } = await request(server.baseUrl, 'GET', '/api/prompts');
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.library).sort(), ['metadata', 'transcription', 'vision']);
+
+  const vision = await request(server.baseUrl, 'GET', '/api/prompts/vision');
+  assert.equal(vision.body.active, 'default');
+  assert.ok(vision.body.prompts.default);
+});
+
+test('returns 404 for an unknown prompt type', async () => {
+  const { status, body } = await request(server.baseUrl, 'GET', '/api/prompts/audio');
+  assert.equal(status, 404);
+  assert.equal(body.error, "Prompt type 'audio' not found");
+});
+
+test('adds, updates, activates and deletes a prompt', async () => {
+  const base = server.baseUrl;
+
+  let res = await request(base, 'POST', '/api/prompts/vision', { id: 'faces', prompt: visionPrompt('Faces') });
+  assert.equal(res.status, 200);
+
+  res = await request(base, 'POST', '/api/prompts/vision', { id: 'faces', prompt: visionPrompt('Faces again') });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "Prompt 'faces' already exists");
+
+  res = await request(base, 'PUT', '/api/prompts/vision/faces', { prompt: visionPrompt('Close-up faces') });
+  assert.equal(res.status, 200);
+
+  res = await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'faces' });
+  assert.equal(res.status, 200);
+
+  let { body } = await request(base, 'GET', '/api/prompts/vision');
+  assert.equal(body.active, 'faces');
+  assert.equal(body.prompts.faces.name, 'Close-up faces');
+
+  // Deleting the active prompt switches to one of the others
+  res = await request(base, 'DELETE', '/api/prompts/vision/faces');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.newActive, 'default');
+
+  ({ body } = await request(base, 'GET', '/api/prompts/vision'));
+  assert.equal(body.active, 'default');
+  assert.equal(body.prompts.faces, undefined);
+});
+
+test('refuses to activate, update or delete a missing prompt', async () => {
+  const base = server.baseUrl;
+  assert.equal((await request(base, 'POST', '/api/prompts/vision/active', { promptId: 'nope' })).status, 404);
+  assert.equal((await request(base, 'PUT', '/api/prompts/vision/nope', { prompt: visionPrompt('Nope') })).status, 404);
+  assert.equal((await request(base, 'DELETE', '/api/prompts/vision/nope')).status, 404);
+});
+
+test('takes the same prompt IDs when creating as when importing', async () => {
+  const base = server.baseUrl;
+  for (const id of ['bad id', '__proto__', 'constructor', 'x'.repeat(101)]) {
+    const created = await request(base, 'POST', '/api/prompts/vision', { id, prompt: visionPrompt('X') });
+    assert.equal(created.status, 400);
+    assert.match(created.body.error, /^Invalid prompt ID/);
+
+    const bundle = { format: 'algo-whisperer-prompts', version: 1, prompts: { vision: { [id]: visionPrompt('X') } } };
+    const imported = await request(base, 'POST', '/api/prompts/import', { bundle });
+    assert.equal(imported.status, 400);
+    assert.match(imported.body.error, /^Invalid prompt ID/);
+  }
+
+  const { body } = await request(base, 'GET', '/api/prompts/vision');
+  assert.deepEqual(Object.keys(body.prompts), ['default']);
+});
+
+test('finds no prompt types or prompts under names every object has', async () => {
+  const base = server.baseUrl;
+  for (const [type, id] of [['metadata', '__proto__'], ['metadata', 'constructor'], ['constructor', 'default'], ['__proto__', 'default']]) {
+    const prompt = `/api/prompts/${type}/${id}`;
+    assert.equal((await request(base, 'PUT', prompt, { prompt: visionPrompt('X') })).status, 404, `PUT ${prompt}`);
+    assert.equal((await request(base, 'GET', `${prompt}/versions`)).status, 404);
+    assert.equal((await request(base, 'GET', `${prompt}/versions/diff?from=1&to=2`)).status, 404);
+    assert.equal((await request(base, 'POST', `${prompt}/versions/1/rollback`)).status, 404);
+    assert.equal((await request(base, 'DELETE', prompt)).status, 404);
+    assert.equal((await request(base, 'POST', `/api/prompts/${type}/active`, { promptId: id })).status, 404);
+  }
+  assert.equal((await request(base, 'GET', '/api/prompts/constructor')).status, 404);
+  assert.equal((await request(base, 'GET', '/api/prompts/export?type=metadata&promptId=constructor')).status, 404);
+});
+
+test('refuses to delete the last prompt of a type', async () => {
+  const { status, body } = await request(server.baseUrl, 'DELETE', '/api/prompts/transcription/default');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Cannot delete the last prompt');
+});
+
+test('diffs prompt text line by line', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'same', text: 'c' },
+    { type: 'added', text: 'd' },
+  ]);
+  assert.deepEqual(diffLines('', 'new'), [{ type: 'added', text: 'new' }]);
+});
+
+test('keeps every save as a version that can be compared and rolled back', async () => {
+  const base = server.baseUrl;
+
+  let res = await request(base, 'POST', '/api/prompts/vision', { id: 'history', prompt: visionPrompt('History') });
+  assert.equal(res.body.version, 1);
+  res = await request(base, 'PUT', '/api/prompts/vision/history', {
+    prompt: { ...visionPrompt('History'), analysis_prompt: 'Rank the frames.\nPrefer faces.' },
+    note: 'Prefer faces',
+  });
+  assert.equal(res.body.version, 2);
+
+  res = await request(base, 'GET', '/api/prompts/vision/history/versions');
+  assert.equal(res.body.current, 2);
+  assert.deepEqual(res.body.versions.map(v => [v.version, v.note]), [[2, 'Prefer faces'], [1, 'Created']]);
+  assert.equal(res.body.versions[0].author, null); // The shared API key
+
+  res = await request(base, 'GET', '/api/prompts/vision/history/versions/diff?from=1&to=2');
+  assert.equal(res.body.changes.length, 1);
+  assert.equal(res.body.changes[0].field, 'analysis_prompt');
+  assert.deepEqual(res.body.changes[0].lines.filter(l => l.type !== 'same'), [{ type: 'added', text: 'Prefer faces.' }]);
+  assert.equal((await request(base, 'GET', '/api/prompts/vision/history/versions/diff?from=1&to=9')).status, 404);
+
+  res = await request(base, 'POST', '/api/prompts/vision/history/versions/1/rollback');
+  assert.equal(res.body.version, 3);
+  res = await request(base, 'GET', '/api/prompts/vision');
+  assert.equal(res.body.prompts.history.analysis_prompt, 'Rank the frames.');
+  res = await request(base, 'GET', '/api/prompts/vision/history/versions');
+  assert.equal(res.body.versions[0].note, 'Rolled back to version 1');
+  assert.equal((await request(base, 'POST', '/api/prompts/vision/history/versions/3/rollback')).status, 400);
+});
+
+test('records prompts from before version history on their first edit', async () => {
+  const base = server.baseUrl;
+  const { body } = await request(base, 'GET', '/api/prompts/metadata');
+  const original = body.prompts.default;
+
+  await request(base, 'PUT', '/api/prompts/metadata/default', { prompt: { ...original, system_prompt: 'Be brief.' } });
+  const res = await request(base, 'GET', '/api/prompts/metadata/default/versions');
+  assert.deepEqual(res.body.versions.map(v => v.version), [2, 1]);
+  assert.equal(res.body.versions[1].note, 'Initial version');
+  assert.equal(res.body.versions[1].prompt.system_prompt, original.system_prompt);
+
+  await request(base, 'POST', '/api/prompts/metadata/default/versions/1/rollback');
+});
+
+test('exports prompts as a bundle and imports them with a dry run and conflict modes', async () => {
+  const base = server.baseUrl;
+  await request(base, 'POST', '/api/prompts/vision', { id: 'export-me', prompt: visionPrompt('Export Me') });
+
+  let res = await request(base, 'GET', '/api/prompts/export?type=vision&promptId=export-me');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /prompts-vision-export-me\.json/);
+  const bundle = res.body;
+  assert.equal(bundle.format, 'algo-whisperer-prompts');
+  assert.deepEqual(bundle.prompts, { vision: { 'export-me': visionPrompt('Export Me') } });
+
+  res = await request(base, 'GET', '/api/prompts/export');
+  assert.deepEqual(Object.keys(res.body.prompts).sort(), ['metadata', 'transcription', 'vision']);
+  assert.equal((await request(base, 'GET', '/api/prompts/export?type=vision&promptId=missing')).status, 404);
+
+  // The same prompt is already there; a changed copy conflicts
+  const changed = { ...bundle, prompts: { vision: { 'export-me': visionPrompt('Changed'), fresh: visionPrompt('Fresh') } } };
+  res = await request(base, 'POST', '/api/prompts/import', { bundle, dryRun: true });
+  assert.deepEqual(res.body.results.map(r => r.action), ['unchanged']);
+
+  res = await request(base, 'POST', '/api/prompts/import', { bundle: changed, conflict: 'rename', dryRun: true });
+  assert.deepEqual(res.body.results.map(r => [r.action, r.importedAs]), [['rename', 'export-me-2'], ['add', 'fresh']]);
+  assert.equal((await request(base, 'GET', '/api/prompts/vision')).body.prompts.fresh, undefined);
+
+  res = await request(base, 'POST', '/api/prompts/import', { bundle: changed, conflict: 'skip' });
+  assert.deepEqual(res.body.results.map(r => r.action), ['skip', 'add']);
+  res = await request(base, 'POST', '/api/prompts/import', { bundle: changed, conflict: 'overwrite' });
+  assert.deepEqual(res.body.results.map(r => r.action), ['overwrite', 'unchanged']);
+
+  const { body } = await request(base, 'GET', '/api/prompts/vision');
+  assert.equal(body.prompts['export-me'].name, 'Changed');
+  assert.equal(body.prompts.fresh.name, 'Fresh');
+  res = await request(base, 'GET', '/api/prompts/vision/export-me/versions');
+  assert.equal(res.body.versions[0].note, 'Imported');
+});
+
+test('rejects bundles that do not match the schema', async () => {
+  const base = server.baseUrl;
+  const bundle = (prompts, fields = {}) => ({ format: 'algo-whisperer-prompts', version: 1, prompts, ...fields });
+
+  const cases = [
+    [{ prompts: {} }, 'Not a prompt bundle'],
+    [bundle({ vision: { x: visionPrompt('X') } }, { version: 99 }), 'Unsupported bundle version: 99 (this app reads up to version 1)'],
+    [bundle({ audio: { x: visionPrompt('X') } }), "Unknown prompt type 'audio'"],
+    [bundle({ vision: { 'bad id': visionPrompt('X') } }), "Invalid prompt ID 'bad id' (letters, numbers, dashes and underscores)"],
+    [bundle({ vision: { x: { name: 'X', system_prompt: 'Hi' } } }), "vision prompt 'x' is missing 'analysis_prompt'"],
+    [bundle({ vision: { x: { ...visionPrompt('X'), extra: 'no' } } }), "vision prompt 'x' has an unknown field 'extra'"],
+    [bundle({ vision: { x: { ...visionPrompt('X'), analysis_prompt: '{{host}}' } } }), "vision prompt 'x' uses unknown template variables: {{host}} in analysis_prompt"],
+  ];
+  for (const [body, error] of cases) {
+    const res = await request(base, 'POST', '/api/prompts/import', { bundle: body });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, error);
+  }
+  assert.equal((await request(base, 'POST', '/api/prompts/import', { bundle: bundle({}), conflict: 'merge' })).status, 400);
+});
@@ -0,0 +1,75 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, startServer, request } = require('./helpers');
+const { validateSettings } = require('../server/lib/settings');
+
+test('validateSettings accepts the shipped defaults', () => {
+  const defaults = require('../server/defaults.json');
+  assert.deepEqual(validateSettings(defaults), { valid: true, errors: [] });
+});
+
+test('validateSettings rejects non-objects', () => {
+  for (const value of [null, 'numTitles=5', [1, 2]]) {
+    assert.deepEqual(validateSettings(value), { valid: false, errors: ['Settings must be an object'] });
+  }
+});
+
+test('validateSettings reports unknown fields, wrong types and out-of-range values', () => {
+  const { valid, errors } = validateSettings({
+    numTitles: 0,
+    numTags: 51,
+    chatModel: 42,
+    imageDetail: 'ultra',
+    autoFixMetadata: 'yes',
+    aiBaseUrl: 'ftp://example.com',
+    theme: 'dark',
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors.sort(), [
+    'Unknown setting: theme',
+    'aiBaseUrl must be an http(s) URL',
+    'autoFixMetadata must be true or false',
+    'chatModel must be a string',
+    'imageDetail must be one of: low, high, auto',
+    'numTags must be at most 50',
+    'numTitles must be at least 1',
+  ]);
+});
+
+test('validateSettings checks the AI provider against the known providers', () => {
+  assert.equal(validateSettings({ aiProvider: 'fake' }).valid, true);
+  assert.equal(validateSettings({ aiProvider: 'openai-compatible', aiBaseUrl: 'http://localhost:8000/v1' }).valid, true);
+  assert.equal(validateSettings({ aiProvider: 'anthropic' }).valid, false);
+});
+
+describe('settings API', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('saves valid settings to the data directory', async () => {
+    const { body: current } = await request(server.baseUrl, 'GET', '/api/settings');
+    const updated = { ...current.settings, numTitles: 7 };
+
+    const saved = await request(server.baseUrl, 'POST', '/api/settings', updated);
+    assert.equal(saved.status, 200);
+
+    const { body } = await request(server.baseUrl, 'GET', '/api/settings');
+    assert.equal(body.settings.numTitles, 7);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'settings.json'), 'utf8')).numTitles, 7);
+  });
+
+  test('rejects invalid settings with the validation errors', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/settings', { numTitles: 500 });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, ['numTitles must be at most 100']);
+  });
+
+  test('resets to the defaults', async () => {
+    const { body } = await request(server.baseUrl, 'POST', '/api/settings/reset');
+    assert.deepEqual(body.settings, require('../server/defaults.json'));
+  });
+});
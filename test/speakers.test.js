@@ -0,0 +1,31 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+test('adds, renames and removes a speaker', async () => {
+  const base = server.baseUrl;
+  const { body: created } = await request(base, 'POST', '/api/speakers', { name: 'Guest Host', bio: 'Fills in.' });
+  assert.equal(created.speaker.id, 'guest-host');
+
+  const { body: updated } = await request(base, 'PATCH', '/api/speakers/guest-host', { name: 'Guest Anchor' });
+  assert.equal(updated.speaker.name, 'Guest Anchor');
+
+  assert.equal((await request(base, 'DELETE', '/api/speakers/guest-host')).status, 200);
+  assert.equal((await request(base, 'DELETE', '/api/speakers/guest-host')).status, 404);
+});
+
+test('finds no speakers under names every object has', async () => {
+  const base = server.baseUrl;
+  assert.equal((await request(base, 'PATCH', '/api/speakers/constructor', { bio: 'Not a speaker.' })).status, 404);
+  assert.equal(Object.bio, undefined);
+  assert.equal((await request(base, 'DELETE', '/api/speakers/constructor')).status, 404);
+
+  // A speaker can still be called that
+  const { body } = await request(base, 'POST', '/api/speakers', { name: 'Constructor' });
+  assert.equal(body.speaker.id, 'constructor');
+  assert.equal((await request(base, 'DELETE', '/api/speakers/constructor')).status, 200);
+});
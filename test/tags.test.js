@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tagsLength, fitTagsToLimit, normalizeHashtags, enforceTagLimits } = require('../server/lib/tags');
+
+test('tagsLength counts commas and the quotes around multi-word tags', () => {
+  assert.equal(tagsLength([]), 0);
+  assert.equal(tagsLength(['fed', 'jobs report']), 3 + 1 + 11 + 2);
+});
+
+test('fitTagsToLimit keeps the tags that fit the budget, in order', () => {
+  const { tags, dropped } = fitTagsToLimit(['aaaa', 'bbbbbbbbbb', 'cc'], 8);
+  assert.deepEqual(tags, ['aaaa', 'cc']);
+  assert.deepEqual(dropped, ['bbbbbbbbbb']);
+});
+
+test('normalizeHashtags joins words in camel case and drops duplicates', () => {
+  assert.deepEqual(normalizeHashtags(['labor market', '#LaborMarket', 'fed', '#']), ['#LaborMarket', '#fed']);
+});
+
+test('enforceTagLimits asks again when the model returned too few hashtags', () => {
+  const result = enforceTagLimits({ tags: ['a', 'b', 'c'], hashtags: ['#one'] }, { numTags: 3, numHashtags: 2 });
+  assert.deepEqual(result.tags, ['a', 'b', 'c']);
+  assert.equal(result.needsRegeneration, true);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeChunkSegments, processTranscription } = require('../server/lib/transcription');
+
+const seg = (start, end, text = `${start}-${end}`, speaker = 'A') => ({ start, end, text, speaker });
+
+test('mergeChunkSegments returns the new chunk when nothing has been merged yet', () => {
+  const chunk = [seg(0, 5), seg(5, 10)];
+  assert.deepEqual(mergeChunkSegments([], chunk, 0, 30), chunk);
+});
+
+test('mergeChunkSegments replaces segments in the overlap with the next chunk', () => {
+  const first = [seg(0, 100), seg(100, 200), seg(200, 260)];
+  const second = [seg(210, 230, 'early'), seg(238, 250), seg(250, 300)];
+
+  const merged = mergeChunkSegments(first, second, 240, 30);
+
+  assert.deepEqual(merged.map(s => s.start), [0, 100, 250]);
+});
+
+test('mergeChunkSegments keeps segments within a second of the chunk boundary', () => {
+  const merged = mergeChunkSegments([seg(0, 240.5)], [seg(239.5, 260)], 240, 30);
+  assert.deepEqual(merged.map(s => s.start), [0, 239.5]);
+});
+
+test('processTranscription maps generic speaker labels in order of appearance', () => {
+  const transcription = {
+    segments: [seg(0, 1, 'hi', 'B'), seg(1, 2, 'hello', 'A'), seg(2, 3, 'again', 'B'), seg(3, 4, 'me', 'Justin Wolfers')],
+  };
+  const config = { unknown_speaker_labels: ['Interviewer', 'Guest'] };
+
+  const { transcript } = processTranscription(transcription, config);
+
+  assert.deepEqual(transcript.map(s => s.speaker), ['Interviewer', 'Guest', 'Interviewer', 'Justin Wolfers']);
+  assert.deepEqual(transcript.map(s => s.id), [0, 1, 2, 3]);
+});
+
+test('processTranscription falls back to "Speaker X" and "Unknown" labels', () => {
+  const transcription = { segments: [seg(0, 1, 'a', 'A'), seg(1, 2, 'b', 'B'), { start: 2, end: 3, text: 'c' }] };
+
+  const { transcript } = processTranscription(transcription, { unknown_speaker_labels: ['Host'] });
+
+  assert.deepEqual(transcript.map(s => s.speaker), ['Host', 'Speaker B', 'Unknown']);
+});
+
+test('processTranscription applies the glossary and reports corrections', () => {
+  const transcription = { segments: [seg(0, 1, 'The cpi rose, says Jay Powel.'), seg(1, 2, 'Powel again.')] };
+  const glossary = [
+    { term: 'CPI', misspellings: [] },
+    { term: 'Jerome Powell', misspellings: ['Jay Powel', 'Powel'] },
+  ];
+
+  const { transcript, corrections } = processTranscription(transcription, {}, glossary);
+
+  assert.equal(transcript[0].text, 'The CPI rose, says Jerome Powell.');
+  assert.equal(transcript[1].text, 'Jerome Powell again.');
+  assert.equal(corrections.totalReplacements, 3);
+});
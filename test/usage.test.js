@@ -0,0 +1,149 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, startServer, request } = require('./helpers');
+const { findPrice, normalizeUsage, estimateCost, summarizeUsage, validatePricing, currentMonth, loadMonthToDate, getBudgetStatus } = require('../server/lib/usage');
+
+const MODELS = {
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'whisper-1': { perAudioMinute: 0.006 },
+};
+
+test('findPrice matches exact model IDs, then the longest dated prefix', () => {
+  assert.equal(findPrice(MODELS, 'gpt-4o'), MODELS['gpt-4o']);
+  assert.equal(findPrice(MODELS, 'gpt-4o-2024-08-06'), MODELS['gpt-4o']);
+  assert.equal(findPrice(MODELS, 'gpt-4o-mini-2024-07-18'), MODELS['gpt-4o-mini']);
+  assert.equal(findPrice(MODELS, 'llama-3'), null);
+});
+
+test('normalizeUsage reads Responses API and chat completions usage', () => {
+  assert.deepEqual(normalizeUsage({ input_tokens: 10, output_tokens: 5 }), { inputTokens: 10, outputTokens: 5 });
+  assert.deepEqual(normalizeUsage({ prompt_tokens: 7, completion_tokens: 3 }), { inputTokens: 7, outputTokens: 3 });
+  assert.deepEqual(normalizeUsage(undefined), { inputTokens: 0, outputTokens: 0 });
+});
+
+test('estimateCost charges tokens, or audio minutes for transcription models', () => {
+  assert.equal(estimateCost(MODELS['gpt-4o'], { inputTokens: 1e6, outputTokens: 1e5 }), 3.5);
+  assert.equal(estimateCost(MODELS['whisper-1'], { audioSeconds: 600 }), 0.06);
+  assert.equal(estimateCost(null, { inputTokens: 100 }), null);
+});
+
+test('summarizeUsage totals calls by kind and model and counts unpriced calls', () => {
+  const summary = summarizeUsage([
+    { kind: 'transcription', model: 'whisper-1', audioSeconds: 60, cost: 0.006 },
+    { kind: 'generation', model: 'gpt-4o', inputTokens: 1000, outputTokens: 200, cost: 0.0045 },
+    { kind: 'generation', model: 'llama-3', inputTokens: 50, outputTokens: 50, cost: null },
+  ]);
+
+  assert.equal(summary.calls, 3);
+  assert.equal(summary.cost, 0.0105);
+  assert.equal(summary.unpricedCalls, 1);
+  assert.equal(summary.byKind.generation.calls, 2);
+  assert.equal(summary.byModel['whisper-1'].audioSeconds, 60);
+});
+
+test('validatePricing rejects unknown fields and out-of-range prices', () => {
+  assert.equal(validatePricing({ models: MODELS }), null);
+  assert.equal(validatePricing({ models: [] }), 'pricing.models must be an object');
+  assert.equal(validatePricing({ models: { 'gpt-4o': { input: 2.5 } } }), "gpt-4o: unknown price field 'input'");
+  assert.equal(validatePricing({ models: { 'gpt-4o': { inputPerMillion: -1 } } }), 'gpt-4o: inputPerMillion must be a number from 0 to 1000');
+  assert.equal(validatePricing({ models: { 'gpt-4o': {} } }), 'gpt-4o: give at least one of inputPerMillion, outputPerMillion, perAudioMinute');
+});
+
+describe('usage API', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  const ledgerPath = path.join(DATA_DIR, 'usage.jsonl');
+  const setBudget = async (monthlyBudget) => {
+    const { body } = await request(server.baseUrl, 'GET', '/api/settings');
+    await request(server.baseUrl, 'POST', '/api/settings', { ...body.settings, monthlyBudget });
+  };
+
+  test('records generation calls against the session', async () => {
+    const sessionId = uuidv4();
+    await request(server.baseUrl, 'POST', '/api/generate', {
+      sessionId,
+      transcript: [{ start: 0, end: 30, text: 'Hello.', speaker: 'Host' }],
+      settings: { chatModel: 'gpt-4o' },
+    });
+
+    const { body } = await request(server.baseUrl, 'GET', `/api/usage/sessions/${sessionId}`);
+    assert.equal(body.usage.calls, 1);
+    assert.deepEqual(body.entries.map(e => [e.kind, e.operation, e.provider, e.model, e.cost]), [
+      ['generation', 'metadata', 'fake', 'gpt-4o', 0],
+    ]);
+  });
+
+  test('reports monthly totals and the budget', async () => {
+    const month = currentMonth();
+    fs.appendFileSync(ledgerPath, `${JSON.stringify({ timestamp: `${month}-01T00:00:00.000Z`, kind: 'vision', model: 'gpt-4.1', images: 12, cost: 1.25 })}\n`);
+    fs.appendFileSync(ledgerPath, `${JSON.stringify({ timestamp: '2020-01-01T00:00:00.000Z', kind: 'vision', model: 'gpt-4.1', cost: 99 })}\n`);
+    loadMonthToDate(); // Written behind the server's back, so its running total is reloaded
+    await setBudget(10);
+
+    const { body } = await request(server.baseUrl, 'GET', '/api/usage');
+    assert.equal(body.month, month);
+    assert.equal(body.usage.cost, 1.25);
+    assert.equal(body.usage.byKind.vision.images, 12);
+    assert.deepEqual(body.budget, { month, limit: 10, spent: 1.25, remaining: 8.75, exceeded: false });
+
+    const old = await request(server.baseUrl, 'GET', '/api/usage?month=2020-01');
+    assert.equal(old.body.usage.cost, 99);
+    assert.equal((await request(server.baseUrl, 'GET', '/api/usage?month=January')).status, 400);
+  });
+
+  test('keeps the month-to-date total without rereading the ledger', async () => {
+    const { spent } = getBudgetStatus();
+    fs.appendFileSync(ledgerPath, `${JSON.stringify({ timestamp: `${currentMonth()}-02T00:00:00.000Z`, kind: 'vision', model: 'gpt-4.1', cost: 5 })}\n`);
+    assert.equal(getBudgetStatus().spent, spent);
+
+    await request(server.baseUrl, 'POST', '/api/generate', { transcript: [{ start: 0, end: 30, text: 'Hello.', speaker: 'Host' }] });
+    assert.equal(getBudgetStatus().spent, spent);
+    assert.equal(loadMonthToDate().cost, spent + 5);
+  });
+
+  test('blocks AI routes once the monthly budget is spent', async () => {
+    await setBudget(1);
+
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/generate', {
+      transcript: [{ start: 0, end: 30, text: 'Hello.', speaker: 'Host' }],
+    });
+    assert.equal(status, 402);
+    assert.equal(body.isBudgetError, true);
+    assert.equal((await request(server.baseUrl, 'POST', '/api/analyze-frames', { sessionId: uuidv4(), frames: [{ filename: 'a.jpg' }] })).status, 402);
+
+    // Non-AI routes keep working, and raising the budget lifts the block
+    assert.equal((await request(server.baseUrl, 'GET', '/api/projects')).status, 200);
+    await setBudget(0);
+    assert.equal((await request(server.baseUrl, 'POST', '/api/generate', { transcript: [{ start: 0, end: 30, text: 'Hi.', speaker: 'Host' }] })).status, 200);
+  });
+
+  test('updates the price table', async () => {
+    const { status } = await request(server.baseUrl, 'PUT', '/api/usage/pricing', { pricing: { models: MODELS } });
+    assert.equal(status, 200);
+
+    const { body } = await request(server.baseUrl, 'GET', '/api/usage/pricing');
+    assert.deepEqual(body.pricing.models, MODELS);
+    assert.equal((await request(server.baseUrl, 'PUT', '/api/usage/pricing', { pricing: { models: { x: { inputPerMillion: 'a' } } } })).status, 400);
+  });
+
+  test('refuses comparisons the rest of the budget cannot cover', async () => {
+    const transcript = [{ start: 0, end: 30, text: 'Hello.', speaker: 'Host' }];
+    const compare = [{ promptId: 'default' }, { promptId: 'default', chatModel: 'gpt-4o-mini' }];
+    await setBudget(loadMonthToDate().cost + 0.01);
+
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/generate', { transcript, settings: { chatModel: 'gpt-4o' }, compare });
+    assert.equal(status, 402);
+    assert.equal(body.isBudgetError, true);
+    assert.match(body.error, /^This would cost about \$0\.\d\d, more than the \$0\.01 left/);
+
+    // A single generation still fits
+    assert.equal((await request(server.baseUrl, 'POST', '/api/generate', { transcript })).status, 200);
+    await setBudget(0);
+  });
+});